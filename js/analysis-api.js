@@ -242,6 +242,20 @@ export function appendDiagnosticMessage(side, message, options = {}) {
     refreshAnalysisContent(side);
 }
 
+/**
+ * Diagnostic line for a server response that went through the response cache
+ */
+export function formatCacheDiagnostic(label, cache) {
+    if (!cache || typeof cache !== 'object') {
+        return '';
+    }
+    const outcome = cache.hit ? 'cache hit' : 'cache miss';
+    const stats = cache.stats && Number.isFinite(cache.stats.hits) && Number.isFinite(cache.stats.misses)
+        ? ` (${cache.stats.hits} hits / ${cache.stats.misses} misses so far)`
+        : '';
+    return `${label}: ${outcome}${stats}.`;
+}
+
 /**
  * Reset analysis state for a side
  */
@@ -880,6 +894,11 @@ async function requestAnalysis(side, photoDataUrl, viewportSnapshot, options = {
 
             storePhotoData(side, renderedViewportDataUrl, payload.analysis || null, capturedAt, payload.discriminators || null);
 
+            const cacheDiagnostic = formatCacheDiagnostic(`${label} analysis`, payload.cache);
+            if (cacheDiagnostic) {
+                appendDiagnosticMessage(side, cacheDiagnostic, { level: 'info' });
+            }
+
             addToHistory(side, {
                 id: payload.recordId || Date.now(),
                 analysis: payload.analysis || {},
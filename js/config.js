@@ -41,6 +41,15 @@ export const CAMERA_SELECTIONS_LIST_URL = '/.netlify/functions/get-selections';
 // Single-camera selections (separate collection)
 export const SINGLE_SELECTIONS_STORE_URL = '/.netlify/functions/store-single-selection';
 export const SINGLE_SELECTIONS_LIST_URL = '/.netlify/functions/get-single-selections';
+export const SINGLE_SELECTIONS_SEARCH_URL = '/.netlify/functions/search-single-selections';
+export const SINGLE_PEOPLE_QUERY_URL = '/.netlify/functions/query-people';
+export const SINGLE_GROUP_NEIGHBORS_URL = '/.netlify/functions/get-single-group-neighbors';
 export const SINGLE_SELECTIONS_CLEAR_URL = '/.netlify/functions/clear-single-selections';
 export const SINGLE_SELECTIONS_DELETE_URL = '/.netlify/functions/delete-single-selection';
+export const SINGLE_SELECTION_MOVE_URL = '/.netlify/functions/move-single-selection';
+export const SINGLE_GROUP_SPLIT_URL = '/.netlify/functions/split-person-group';
+export const SINGLE_GROUP_MERGE_URL = '/.netlify/functions/merge-person-groups';
+export const SINGLE_GROUPING_FEEDBACK_URL = '/.netlify/functions/record-grouping-feedback';
+export const SINGLE_DETECT_PEOPLE_URL = '/.netlify/functions/detect-people';
+export const SINGLE_IMPORT_JOBS_URL = '/.netlify/functions/import-jobs';
 
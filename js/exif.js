@@ -1,7 +1,8 @@
-// Minimal EXIF parser for extracting GPS metadata from JPEG data URLs
+// Minimal EXIF parser for extracting GPS metadata and capture time from JPEG data URLs
 
 const JPEG_SOI = 0xffd8;
 const TIFF_TAG_GPS_POINTER = 0x8825;
+const TIFF_TAG_EXIF_POINTER = 0x8769;
 const EXIF_MAX_SCAN_BYTES = 256 * 1024;
 
 const GPS_TAGS = {
@@ -15,6 +16,11 @@ const GPS_TAGS = {
     DATESTAMP: 0x001d
 };
 
+const EXIF_TAGS = {
+    DATE_TIME_ORIGINAL: 0x9003,
+    OFFSET_TIME_ORIGINAL: 0x9011
+};
+
 const TYPE_SIZES = {
     1: 1,  // BYTE
     2: 1,  // ASCII
@@ -220,12 +226,12 @@ function parseGpsIfd(dataView, gpsOffset, tiffStart, littleEndian) {
     };
 }
 
-function parseExifGps(dataView, start, length) {
+function readTiffHeader(dataView, start, length) {
     if (length < 6) {
         return null;
     }
-    const identifier = readAscii(dataView, start, 6);
-    if (identifier !== 'Exif\u0000\u0000') {
+    // readAscii stops at NUL, so the two padding bytes are checked separately.
+    if (readAscii(dataView, start, 4) !== 'Exif' || dataView.getUint16(start + 4, false) !== 0) {
         return null;
     }
 
@@ -249,6 +255,11 @@ function parseExifGps(dataView, start, length) {
         return null;
     }
 
+    return { tiffStart, littleEndian };
+}
+
+// Offset (from the TIFF header) of the sub-IFD that `pointerTag` in IFD0 points to.
+function findSubIfdOffset(dataView, { tiffStart, littleEndian }, pointerTag) {
     const ifdOffset = dataView.getUint32(tiffStart + 4, littleEndian);
     const firstIfdPointer = tiffStart + ifdOffset;
     if (firstIfdPointer + 2 > dataView.byteLength) {
@@ -262,21 +273,93 @@ function parseExifGps(dataView, start, length) {
             break;
         }
         const tag = dataView.getUint16(entryOffset, littleEndian);
-        if (tag === TIFF_TAG_GPS_POINTER) {
+        if (tag === pointerTag) {
             const type = dataView.getUint16(entryOffset + 2, littleEndian);
             const count = dataView.getUint32(entryOffset + 4, littleEndian);
             if (type !== 4 || count !== 1) {
                 continue;
             }
-            const gpsOffset = dataView.getUint32(entryOffset + 8, littleEndian);
-            return parseGpsIfd(dataView, gpsOffset, tiffStart, littleEndian);
+            return dataView.getUint32(entryOffset + 8, littleEndian);
         }
     }
 
     return null;
 }
 
-export function extractGpsLocationFromDataUrl(dataUrl, { maxBytes = EXIF_MAX_SCAN_BYTES } = {}) {
+function parseExifGps(dataView, start, length) {
+    const header = readTiffHeader(dataView, start, length);
+    if (!header) {
+        return null;
+    }
+    const gpsOffset = findSubIfdOffset(dataView, header, TIFF_TAG_GPS_POINTER);
+    if (gpsOffset === null) {
+        return null;
+    }
+    return parseGpsIfd(dataView, gpsOffset, header.tiffStart, header.littleEndian);
+}
+
+// DateTimeOriginal is camera-local time ("YYYY:MM:DD HH:MM:SS"). OffsetTimeOriginal,
+// when present, pins it to UTC; otherwise it is read in the local time zone.
+function parseExifCaptureTime(dataView, start, length) {
+    const header = readTiffHeader(dataView, start, length);
+    if (!header) {
+        return null;
+    }
+    const { tiffStart, littleEndian } = header;
+    const exifOffset = findSubIfdOffset(dataView, header, TIFF_TAG_EXIF_POINTER);
+    if (exifOffset === null || tiffStart + exifOffset + 2 > dataView.byteLength) {
+        return null;
+    }
+
+    const ifdStart = tiffStart + exifOffset;
+    const entryCount = dataView.getUint16(ifdStart, littleEndian);
+    let dateTime = null;
+    let offsetTime = null;
+    for (let i = 0; i < entryCount; i += 1) {
+        const entryOffset = ifdStart + 2 + (i * 12);
+        if (entryOffset + 12 > dataView.byteLength) {
+            break;
+        }
+        const tag = dataView.getUint16(entryOffset, littleEndian);
+        if (tag !== EXIF_TAGS.DATE_TIME_ORIGINAL && tag !== EXIF_TAGS.OFFSET_TIME_ORIGINAL) {
+            continue;
+        }
+        const type = dataView.getUint16(entryOffset + 2, littleEndian);
+        const count = dataView.getUint32(entryOffset + 4, littleEndian);
+        const valueOffset = readValueOffset(entryOffset, count, type, littleEndian, tiffStart, dataView);
+        if (type !== 2 || valueOffset === null || valueOffset + count > dataView.byteLength) {
+            continue;
+        }
+        if (tag === EXIF_TAGS.DATE_TIME_ORIGINAL) {
+            dateTime = readAscii(dataView, valueOffset, count);
+        } else {
+            offsetTime = readAscii(dataView, valueOffset, count);
+        }
+    }
+
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec((dateTime || '').trim());
+    if (!match) {
+        return null;
+    }
+    const [year, month, day, hours, minutes, seconds] = match.slice(1).map(part => parseInt(part, 10));
+    if (!year || !month || !day) {
+        return null; // "0000:00:00 00:00:00" marks an unset clock
+    }
+
+    let date;
+    const offsetMatch = /^([+-])(\d{2}):(\d{2})$/.exec((offsetTime || '').trim());
+    if (offsetMatch) {
+        const offsetMinutes = (offsetMatch[1] === '-' ? -1 : 1)
+            * ((parseInt(offsetMatch[2], 10) * 60) + parseInt(offsetMatch[3], 10));
+        date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds) - (offsetMinutes * 60000));
+    } else {
+        date = new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Walks the JPEG markers up to the APP1 (EXIF) segment and hands it to `parse`.
+function readExifSegment(dataUrl, maxBytes, parse) {
     if (typeof dataUrl !== 'string') {
         return null;
     }
@@ -300,7 +383,7 @@ export function extractGpsLocationFromDataUrl(dataUrl, { maxBytes = EXIF_MAX_SCA
     try {
         binary = atob(base64.slice(0, maxCharLength));
     } catch (error) {
-        console.warn('EXIF GPS extraction failed: unable to decode base64.', error);
+        console.warn('EXIF extraction failed: unable to decode base64.', error);
         return null;
     }
 
@@ -333,22 +416,30 @@ export function extractGpsLocationFromDataUrl(dataUrl, { maxBytes = EXIF_MAX_SCA
 
         if (offset + segmentLength > dataView.byteLength) {
             if (truncated) {
-                console.info('EXIF GPS extraction stopped: segment extends beyond scan window.');
+                console.info('EXIF extraction stopped: segment extends beyond scan window.');
             }
             break;
         }
 
         if (marker === 0xe1) {
-            return parseExifGps(dataView, offset + 2, segmentLength - 2);
+            return parse(dataView, offset + 2, segmentLength - 2);
         }
 
         offset += segmentLength;
     }
 
     if (truncated) {
-        console.info(`EXIF GPS metadata not found within first ${Math.round(maxBytes / 1024)} KiB; skipping full JPEG decode.`);
+        console.info(`EXIF metadata not found within first ${Math.round(maxBytes / 1024)} KiB; skipping full JPEG decode.`);
     }
 
     return null;
 }
 
+export function extractGpsLocationFromDataUrl(dataUrl, { maxBytes = EXIF_MAX_SCAN_BYTES } = {}) {
+    return readExifSegment(dataUrl, maxBytes, parseExifGps);
+}
+
+// Returns the photo's original capture time as an ISO string, or null.
+export function extractCaptureTimeFromDataUrl(dataUrl, { maxBytes = EXIF_MAX_SCAN_BYTES } = {}) {
+    return readExifSegment(dataUrl, maxBytes, parseExifCaptureTime);
+}
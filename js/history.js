@@ -231,10 +231,11 @@ function displayHistoryItem(side) {
     
     // Display the photo - this is the cropped viewport that was analyzed
     // NOTE: imageDataUrl is the CROPPED selection area, not the original full photo
-    if (item.imageDataUrl && slot.imageEl) {
-        slot.imageEl.src = item.imageDataUrl;
+    const itemImageSrc = item.imageUrl || item.imageDataUrl;
+    if (itemImageSrc && slot.imageEl) {
+        slot.imageEl.src = itemImageSrc;
         slot.imageEl.classList.add('active');
-        slot.lastPhotoDataUrl = item.imageDataUrl;
+        slot.lastPhotoDataUrl = itemImageSrc;
         
         // Hide placeholder
         if (slot.placeholderEl) {
@@ -2,7 +2,7 @@
 
 import { analysisState, historyState } from './state.js';
 import * as dom from './dom.js';
-import { appendDiagnosticMessage } from './analysis-api.js';
+import { appendDiagnosticMessage, formatCacheDiagnostic } from './analysis-api.js';
 import { showWarning } from './ui.js';
 
 const RATIONALE_DEFAULT_PLACEHOLDER = 'No similarity rationale yet. Capture both photos to compare.';
@@ -557,6 +557,12 @@ export async function updateSimilarityBar(options = {}) {
             }
         };
         setSimilarityRationale(result.reasoning);
+
+        const cacheDiagnostic = formatCacheDiagnostic('Similarity match', result.cache);
+        if (cacheDiagnostic) {
+            appendDiagnosticMessage('you', cacheDiagnostic, { level: 'info' });
+            appendDiagnosticMessage('me', cacheDiagnostic, { level: 'info' });
+        }
     } catch (error) {
         console.error('AI vision matching failed:', error);
 
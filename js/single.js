@@ -1,6 +1,21 @@
 // Single-camera page initialization and selection storage
 
-import { DEFAULT_BACK_ASPECT, SINGLE_SELECTIONS_STORE_URL, SINGLE_SELECTIONS_LIST_URL, SINGLE_SELECTIONS_CLEAR_URL, SINGLE_SELECTIONS_DELETE_URL } from './config.js';
+import {
+    DEFAULT_BACK_ASPECT,
+    SINGLE_SELECTIONS_STORE_URL,
+    SINGLE_SELECTIONS_LIST_URL,
+    SINGLE_SELECTIONS_SEARCH_URL,
+    SINGLE_PEOPLE_QUERY_URL,
+    SINGLE_GROUP_NEIGHBORS_URL,
+    SINGLE_SELECTIONS_CLEAR_URL,
+    SINGLE_SELECTIONS_DELETE_URL,
+    SINGLE_SELECTION_MOVE_URL,
+    SINGLE_GROUP_SPLIT_URL,
+    SINGLE_GROUP_MERGE_URL,
+    SINGLE_GROUPING_FEEDBACK_URL,
+    SINGLE_DETECT_PEOPLE_URL,
+    SINGLE_IMPORT_JOBS_URL
+} from './config.js';
 import * as dom from './dom.js';
 import { initializePhotoSlot, displayPhotoForSide } from './photo.js';
 import { setupSelectionInteractions, updateSelectionStyles } from './selection.js';
@@ -9,7 +24,9 @@ import { renderAppVersion, showError, showWarning } from './ui.js';
 import { snapshotViewportState } from './zoom.js';
 import { photoSlots } from './state.js';
 import { createViewportDataUrl, buildViewportSignature } from './analysis-api.js';
-import { readFileAsDataUrl, loadImageElement } from './utils.js';
+import { readFileAsDataUrl, loadImageElement, createThumbnailDataUrl } from './utils.js';
+import { extractGpsLocationFromDataUrl, extractCaptureTimeFromDataUrl } from './exif.js';
+import { requestCurrentLocation } from './geo.js';
 import {
     handlePointerDownOnHalf,
     handlePointerMoveOnHalf,
@@ -47,6 +64,14 @@ const SINGLE_UPLOAD_LABEL = 'Subject';
 const pendingSingleUploads = [];
 let isProcessingSingleUpload = false;
 const VISION_TOGGLE_KEY = 'llooker_vision_enabled';
+const DETECT_PEOPLE_TOGGLE_KEY = 'llooker_detect_people_enabled';
+// Photos sent for person detection are downscaled first; boxes are fractions of
+// the image size, so they apply unchanged to the full-size photo.
+const DETECTION_MAX_EDGE = 1280;
+const IMPORT_JOB_KEY = 'llooker_import_job_id';
+// Imported photos are downscaled before upload to stay under the function body limit.
+const IMPORT_MAX_EDGE = 1600;
+const IMPORT_IDLE_DELAY_MS = 3000;
 
 function isVisionEnabled() {
     try {
@@ -65,6 +90,22 @@ function setVisionEnabled(enabled) {
     }
 }
 
+function isDetectPeopleEnabled() {
+    try {
+        return localStorage.getItem(DETECT_PEOPLE_TOGGLE_KEY) === 'true';
+    } catch {
+        return false;
+    }
+}
+
+function setDetectPeopleEnabled(enabled) {
+    try {
+        localStorage.setItem(DETECT_PEOPLE_TOGGLE_KEY, String(Boolean(enabled)));
+    } catch (error) {
+        console.warn('Failed to store person detection toggle state:', error);
+    }
+}
+
 function toOneDecimalLocal(value) {
     const num = Number(value);
     if (!Number.isFinite(num)) {
@@ -372,9 +413,366 @@ async function buildFullFrameViewportSnapshot(photoDataUrl) {
     };
 }
 
+// Drag payload types for manual regrouping: a thumbnail carries its selection id,
+// a row header carries its person group id.
+const DRAG_SELECTION_TYPE = 'application/x-llooker-selection';
+const DRAG_GROUP_TYPE = 'application/x-llooker-group';
+
+async function postGroupOperation(url, body, failureMessage) {
+    assertConfigured(url, 'Single selections API (group editing) is not configured.');
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const errorPayload = await response.json().catch(() => null);
+            throw new Error(errorPayload?.error || `HTTP ${response.status}`);
+        }
+
+        const payload = await response.json().catch(() => null);
+        await loadExistingSelections();
+        return payload;
+    } catch (error) {
+        console.error('Group edit failed:', { url, body, error });
+        showError(failureMessage, {
+            diagnostics: false,
+            detail: error?.message || null
+        });
+        return null;
+    }
+}
+
+function moveSelectionToGroup(selectionId, targetGroupId) {
+    return postGroupOperation(
+        SINGLE_SELECTION_MOVE_URL,
+        { id: selectionId, targetGroupId },
+        'Failed to move this photo to the other group.'
+    );
+}
+
+function mergeGroups(sourceGroupId, targetGroupId) {
+    const confirmed = window.confirm(`Merge group ${sourceGroupId} into group ${targetGroupId}? All of its photos will move.`);
+    if (!confirmed) {
+        return Promise.resolve(null);
+    }
+    return postGroupOperation(
+        SINGLE_GROUP_MERGE_URL,
+        { sourceGroupId, targetGroupId },
+        'Failed to merge these groups.'
+    );
+}
+
+function splitSelectedFromRow(row) {
+    const selectionIds = Array.from(row.querySelectorAll('.single-selection-thumb-wrapper.is-selected'))
+        .map((wrapper) => Number(wrapper.dataset.selectionId))
+        .filter((id) => Number.isFinite(id) && id > 0);
+    if (!selectionIds.length) {
+        showWarning('Shift- or Ctrl-click photos in this row to choose which ones to split out.', {
+            diagnostics: false
+        });
+        return Promise.resolve(null);
+    }
+    return postGroupOperation(
+        SINGLE_GROUP_SPLIT_URL,
+        { selectionIds },
+        'Failed to split the selected photos into a new group.'
+    );
+}
+
+function updateRowSplitButton(row) {
+    const button = row.querySelector('.single-selection-row-split');
+    if (!button) {
+        return;
+    }
+    const count = row.querySelectorAll('.single-selection-thumb-wrapper.is-selected').length;
+    button.disabled = count === 0;
+    button.textContent = count ? `Split ${count} into new group` : 'Split';
+}
+
+function createRowHeader(row, personGroupId) {
+    const header = document.createElement('div');
+    header.className = 'single-selection-row-header';
+
+    const handle = document.createElement('span');
+    handle.className = 'single-selection-row-handle';
+    handle.textContent = `Group ${personGroupId}`;
+    handle.title = 'Drag onto another row to merge this group into it';
+    handle.draggable = true;
+    handle.addEventListener('dragstart', (event) => {
+        event.dataTransfer.setData(DRAG_GROUP_TYPE, String(personGroupId));
+        event.dataTransfer.effectAllowed = 'move';
+    });
+    header.appendChild(handle);
+
+    const splitButton = document.createElement('button');
+    splitButton.type = 'button';
+    splitButton.className = 'single-selection-row-split';
+    splitButton.addEventListener('click', () => {
+        void splitSelectedFromRow(row);
+    });
+    header.appendChild(splitButton);
+
+    row.appendChild(header);
+    updateRowSplitButton(row);
+}
+
+function attachRowDropTarget(row, personGroupId) {
+    const acceptsDrag = (event) => {
+        const types = Array.from(event.dataTransfer?.types || []);
+        return types.includes(DRAG_SELECTION_TYPE) || types.includes(DRAG_GROUP_TYPE);
+    };
+
+    row.addEventListener('dragover', (event) => {
+        if (!acceptsDrag(event)) {
+            return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        row.classList.add('is-drop-target');
+    });
+    row.addEventListener('dragleave', (event) => {
+        if (!row.contains(event.relatedTarget)) {
+            row.classList.remove('is-drop-target');
+        }
+    });
+    row.addEventListener('drop', (event) => {
+        row.classList.remove('is-drop-target');
+        if (!acceptsDrag(event)) {
+            return;
+        }
+        event.preventDefault();
+
+        const sourceGroupId = Number(event.dataTransfer.getData(DRAG_GROUP_TYPE));
+        if (sourceGroupId) {
+            if (sourceGroupId !== personGroupId) {
+                void mergeGroups(sourceGroupId, personGroupId);
+            }
+            return;
+        }
+
+        const selectionId = Number(event.dataTransfer.getData(DRAG_SELECTION_TYPE));
+        const sourceRow = selectionId
+            ? document.querySelector(`.single-selection-thumb-wrapper[data-selection-id="${selectionId}"]`)?.closest('.single-selection-row')
+            : null;
+        if (selectionId && sourceRow !== row) {
+            void moveSelectionToGroup(selectionId, personGroupId);
+        }
+    });
+}
+
+// Thumbnail whose details are open in the description modal; feedback applies to it.
+let activeDescriptionWrapper = null;
+
+function setGroupingFeedbackState({ enabled, message = '' }) {
+    ['singleGroupingConfirmButton', 'singleGroupingRejectButton'].forEach((id) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = !enabled;
+        }
+    });
+    const statusEl = document.getElementById('singleGroupingFeedbackStatus');
+    if (statusEl) {
+        statusEl.textContent = message;
+    }
+}
+
+async function submitGroupingFeedback(verdict) {
+    const wrapper = activeDescriptionWrapper;
+    const selectionId = wrapper ? Number(wrapper.dataset.selectionId) : null;
+    const groupId = wrapper ? Number(wrapper.dataset.personGroupId) : null;
+    if (!selectionId || !groupId) {
+        return;
+    }
+    assertConfigured(SINGLE_GROUPING_FEEDBACK_URL, 'Single selections API (feedback) is not configured.');
+
+    setGroupingFeedbackState({ enabled: false, message: 'Saving…' });
+    try {
+        const response = await fetch(SINGLE_GROUPING_FEEDBACK_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ selectionId, groupId, verdict })
+        });
+        if (!response.ok) {
+            const errorPayload = await response.json().catch(() => null);
+            throw new Error(errorPayload?.error || `HTTP ${response.status}`);
+        }
+        const payload = await response.json().catch(() => null);
+        if (payload?.pinned) {
+            wrapper.classList.add('is-pinned');
+            wrapper.title = 'Placed in this group by hand; automatic regrouping will not move it.';
+        }
+        setGroupingFeedbackState({
+            enabled: true,
+            message: verdict === 'confirm'
+                ? 'Thanks — marked as the right group.'
+                : 'Thanks — marked as the wrong group. Drag the photo to the right row to fix it.'
+        });
+    } catch (error) {
+        console.error('Failed to record grouping feedback:', error);
+        setGroupingFeedbackState({ enabled: true, message: '' });
+        showError('Failed to save your feedback. Check diagnostics and try again.', {
+            diagnostics: false,
+            detail: error?.message || null
+        });
+    }
+}
+
+const NEIGHBOR_LIMIT = 5;
+
+function formatNeighborTimestamp(value) {
+    if (!value) {
+        return '';
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+}
+
+function buildNeighborHeaderCell(neighbor) {
+    const cell = document.createElement('th');
+    cell.scope = 'col';
+    cell.className = 'single-description-neighbor-column';
+    if (neighbor.isCurrentGroup) {
+        cell.classList.add('is-current');
+    }
+
+    const imageSrc = neighbor.thumbnailUrl || neighbor.imageUrl || neighbor.imageDataUrl;
+    if (imageSrc) {
+        const thumb = document.createElement('img');
+        thumb.className = 'single-description-neighbor-thumb';
+        thumb.src = imageSrc;
+        thumb.alt = `Group ${neighbor.personGroupId} representative photo`;
+        cell.appendChild(thumb);
+    }
+
+    const title = document.createElement('strong');
+    title.textContent = neighbor.label || `Group ${neighbor.personGroupId}`;
+    cell.appendChild(title);
+
+    const score = document.createElement('div');
+    if (neighbor.fatal) {
+        score.className = 'single-description-neighbor-fatal';
+        score.textContent = `${formatFilterValue(neighbor.fatal.reason)}${neighbor.fatal.details ? ` (${neighbor.fatal.details})` : ''}`;
+    } else {
+        score.className = 'single-description-neighbor-score';
+        score.classList.toggle('is-below-threshold', !neighbor.passesThreshold);
+        score.textContent = `${neighbor.score}%`;
+    }
+    cell.appendChild(score);
+
+    const meta = document.createElement('div');
+    meta.className = 'single-description-neighbor-timestamp';
+    const members = `${neighbor.memberCount} photo${neighbor.memberCount === 1 ? '' : 's'}`;
+    const lastSeen = formatNeighborTimestamp(neighbor.lastSeenAt);
+    meta.textContent = lastSeen ? `${members} · last seen ${lastSeen}` : members;
+    cell.appendChild(meta);
+
+    if (neighbor.isCurrentGroup) {
+        const current = document.createElement('div');
+        current.className = 'single-description-neighbor-timestamp';
+        current.textContent = 'Current group';
+        cell.appendChild(current);
+    }
+    return cell;
+}
+
+// Comparison table for the neighbours endpoint: one column per group, one row per
+// scored trait, each group cell coloured by its verdict against this photo.
+function renderNeighborComparison(container, payload) {
+    const neighbors = Array.isArray(payload?.neighbors) ? payload.neighbors : [];
+    container.innerHTML = '';
+
+    if (!neighbors.length) {
+        const msg = document.createElement('div');
+        msg.className = 'single-description-neighbor-meta';
+        msg.textContent = 'No other groups to compare this photo with yet.';
+        container.appendChild(msg);
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'single-description-neighbors-table';
+
+    const headRow = document.createElement('tr');
+    const traitHeader = document.createElement('th');
+    traitHeader.scope = 'col';
+    traitHeader.textContent = 'Trait';
+    headRow.appendChild(traitHeader);
+    const selectionHeader = document.createElement('th');
+    selectionHeader.scope = 'col';
+    selectionHeader.textContent = 'This photo';
+    headRow.appendChild(selectionHeader);
+    neighbors.forEach((neighbor) => headRow.appendChild(buildNeighborHeaderCell(neighbor)));
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    (neighbors[0].traits || []).forEach((row, index) => {
+        const tr = document.createElement('tr');
+        const label = document.createElement('th');
+        label.scope = 'row';
+        label.textContent = formatFilterValue(row.trait);
+        label.title = `Weight ${row.weight}`;
+        tr.appendChild(label);
+
+        const selectionCell = document.createElement('td');
+        selectionCell.textContent = row.selectionValue ? formatFilterValue(row.selectionValue) : '—';
+        tr.appendChild(selectionCell);
+
+        neighbors.forEach((neighbor) => {
+            const entry = neighbor.traits?.[index] || null;
+            const cell = document.createElement('td');
+            cell.className = 'single-description-neighbor-value';
+            if (entry) {
+                cell.dataset.verdict = entry.verdict;
+                cell.textContent = entry.groupValue ? formatFilterValue(entry.groupValue) : '—';
+                cell.title = `${entry.verdict}, weight ${entry.weight}`;
+            }
+            tr.appendChild(cell);
+        });
+        tbody.appendChild(tr);
+    });
+
+    const evidenceRow = document.createElement('tr');
+    const evidenceLabel = document.createElement('th');
+    evidenceLabel.scope = 'row';
+    evidenceLabel.textContent = 'marks & accessories';
+    evidenceRow.appendChild(evidenceLabel);
+    evidenceRow.appendChild(document.createElement('td'));
+    neighbors.forEach((neighbor) => {
+        const cell = document.createElement('td');
+        const evidence = Array.isArray(neighbor.evidence) ? neighbor.evidence : [];
+        cell.className = 'single-description-neighbor-value';
+        if (evidence.length) {
+            cell.dataset.verdict = 'match';
+            cell.textContent = evidence.map((entry) => entry.description || entry.type).join(', ');
+        } else {
+            cell.textContent = '—';
+        }
+        evidenceRow.appendChild(cell);
+    });
+    tbody.appendChild(evidenceRow);
+    table.appendChild(tbody);
+
+    container.appendChild(table);
+
+    const note = document.createElement('div');
+    note.className = 'single-description-neighbor-timestamp';
+    note.textContent = `Top ${neighbors.length} of ${payload.groupsScored} groups. Grouping needs ≥${payload.requiredScore}% before vision verification; scores include time-and-place priors.`;
+    container.appendChild(note);
+}
+
 function renderSelectionRow(selection) {
     const container = getSingleSelectionContainer();
-    if (!container || !selection?.imageDataUrl) {
+    const imageSrc = selection?.thumbnailUrl || selection?.imageUrl || selection?.imageDataUrl;
+    if (!container || !imageSrc) {
         return;
     }
 
@@ -398,6 +796,12 @@ function renderSelectionRow(selection) {
         row.className = 'single-selection-row';
         row.dataset.groupKey = groupKey;
         row.dataset.groupSource = selection.personGroupId ? 'personGroupId' : descriptionKey ? 'description' : 'selectionId';
+        if (selection.personGroupId) {
+            const personGroupId = Number(selection.personGroupId);
+            row.dataset.personGroupId = String(personGroupId);
+            createRowHeader(row, personGroupId);
+            attachRowDropTarget(row, personGroupId);
+        }
         singleGroupRows.set(groupKey, row);
         container.appendChild(row);
     }
@@ -439,10 +843,21 @@ function renderSelectionRow(selection) {
     wrapper.dataset.personGroupId = selection.personGroupId
         ? String(selection.personGroupId)
         : '';
+    if (selection.assignmentPinned) {
+        wrapper.classList.add('is-pinned');
+        wrapper.title = 'Placed in this group by hand; automatic regrouping will not move it.';
+    }
+    if (selection.id) {
+        wrapper.draggable = true;
+        wrapper.addEventListener('dragstart', (event) => {
+            event.dataTransfer.setData(DRAG_SELECTION_TYPE, String(selection.id));
+            event.dataTransfer.effectAllowed = 'move';
+        });
+    }
 
     const img = document.createElement('img');
     img.className = 'single-selection-thumb';
-    img.src = selection.imageDataUrl;
+    img.src = imageSrc;
     img.alt = 'Saved selection';
     img.loading = 'lazy';
 
@@ -537,6 +952,11 @@ function renderSelectionRow(selection) {
             groupIdEl.textContent = 'Group ID not available for this photo yet.';
             groupIdEl.classList.add('is-empty');
         }
+        activeDescriptionWrapper = wrapper;
+        setGroupingFeedbackState({
+            enabled: Boolean(groupIdText && wrapper.dataset.selectionId),
+            message: ''
+        });
 
         // Nearest groups by appearance for this selection.
         neighborsEl.innerHTML = '';
@@ -545,7 +965,7 @@ function renderSelectionRow(selection) {
 
         const label = document.createElement('div');
         label.className = 'single-description-neighbors-label';
-        label.textContent = 'Closest groups by appearance';
+        label.textContent = 'Closest groups, trait by trait';
         neighborsEl.appendChild(label);
 
         const content = document.createElement('div');
@@ -564,77 +984,13 @@ function renderSelectionRow(selection) {
             content.appendChild(loading);
 
             try {
-                const response = await fetch(`/.netlify/functions/get-single-group-neighbors?id=${encodeURIComponent(selectionId)}`);
+                const params = new URLSearchParams({ id: String(selectionId), limit: String(NEIGHBOR_LIMIT) });
+                const response = await fetch(`${SINGLE_GROUP_NEIGHBORS_URL}?${params}`);
+                const payload = await response.json().catch(() => null);
                 if (!response.ok) {
-                    const errorText = await response.text().catch(() => '');
-                    throw new Error(errorText || `HTTP ${response.status}`);
-                }
-                const payload = await response.json().catch(() => ({}));
-                const neighbors = Array.isArray(payload?.neighbors) ? payload.neighbors : [];
-
-                content.innerHTML = '';
-
-                if (!neighbors.length) {
-                    const msg = document.createElement('div');
-                    msg.className = 'single-description-neighbor-meta';
-                    msg.textContent = 'No strong group matches found for this photo yet.';
-                    content.appendChild(msg);
-                } else {
-                    neighbors.slice(0, 3).forEach((neighbor) => {
-                        const card = document.createElement('div');
-                        card.className = 'single-description-neighbor-card';
-
-                        if (neighbor.imageDataUrl) {
-                            const thumb = document.createElement('img');
-                            thumb.className = 'single-description-neighbor-thumb';
-                            thumb.src = neighbor.imageDataUrl;
-                            thumb.alt = `Group ${neighbor.personGroupId || ''} representative photo`;
-                            card.appendChild(thumb);
-                        }
-
-                        const meta = document.createElement('div');
-                        meta.className = 'single-description-neighbor-meta';
-
-                        const header = document.createElement('strong');
-                        const scoreValue = Number.isFinite(Number(neighbor.score))
-                            ? Math.max(0, Math.min(100, Math.round(Number(neighbor.score))))
-                            : null;
-                        if (neighbor.personGroupId && scoreValue !== null) {
-                            header.textContent = `Group ${neighbor.personGroupId} · ${scoreValue}% similarity`;
-                        } else if (neighbor.personGroupId) {
-                            header.textContent = `Group ${neighbor.personGroupId}`;
-                        } else if (scoreValue !== null) {
-                            header.textContent = `${scoreValue}% similarity`;
-                        } else {
-                            header.textContent = 'Group match';
-                        }
-                        meta.appendChild(header);
-
-                        const explanation = (neighbor.explanation || '').trim();
-                        if (explanation) {
-                            const expl = document.createElement('div');
-                            expl.className = 'single-description-neighbor-explanation';
-                            expl.textContent = explanation;
-                            meta.appendChild(expl);
-                        }
-
-                        const timestamp = neighbor.capturedAt || neighbor.createdAt || null;
-                        if (timestamp) {
-                            const tsEl = document.createElement('div');
-                            tsEl.className = 'single-description-neighbor-timestamp';
-                            try {
-                                const date = new Date(timestamp);
-                                tsEl.textContent = date.toLocaleString();
-                            } catch {
-                                tsEl.textContent = String(timestamp);
-                            }
-                            meta.appendChild(tsEl);
-                        }
-
-                        card.appendChild(meta);
-                        content.appendChild(card);
-                    });
+                    throw new Error(payload?.error || `HTTP ${response.status}`);
                 }
+                renderNeighborComparison(content, payload);
             } catch (error) {
                 console.error('Failed to load single-group neighbors:', error);
                 content.innerHTML = '';
@@ -702,6 +1058,9 @@ function renderSelectionRow(selection) {
             const rowEl = wrapper.parentElement;
             wrapper.remove();
 
+            if (rowEl) {
+                updateRowSplitButton(rowEl);
+            }
             if (rowEl && !rowEl.querySelector('.single-selection-thumb-wrapper')) {
                 const groupKey = rowEl.dataset.groupKey;
                 rowEl.remove();
@@ -766,14 +1125,39 @@ function renderSelectionRow(selection) {
     wrapper.addEventListener('pointercancel', handlePointerEnd);
     wrapper.addEventListener('pointerleave', handlePointerEnd);
 
-    // Desktop/mouse: regular click opens description
+    // Desktop/mouse: regular click opens description; shift/ctrl/cmd-click marks the photo for splitting.
     wrapper.addEventListener('click', (event) => {
+        if (event.shiftKey || event.ctrlKey || event.metaKey) {
+            wrapper.classList.toggle('is-selected');
+            updateRowSplitButton(row);
+            return;
+        }
         if (event.pointerType === 'mouse' || typeof event.pointerType === 'undefined') {
             void openDescription();
         }
     });
 }
 
+// Active filters from the search form, or null to list everything.
+let activeSearchParams = null;
+
+function setSearchStatus(message) {
+    const status = document.getElementById('singleSearchStatus');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+function buildSelectionsRequestUrl() {
+    if (activeSearchParams) {
+        const params = new URLSearchParams(activeSearchParams);
+        params.set('limit', '200');
+        params.set('offset', '0');
+        return `${SINGLE_SELECTIONS_SEARCH_URL}?${params.toString()}`;
+    }
+    return `${SINGLE_SELECTIONS_LIST_URL}?limit=200&offset=0`;
+}
+
 async function loadExistingSelections() {
     if (!SINGLE_SELECTIONS_LIST_URL) {
         // Missing configuration should be explicit, no silent fallbacks
@@ -784,11 +1168,11 @@ async function loadExistingSelections() {
     }
 
     try {
-        const response = await fetch(`${SINGLE_SELECTIONS_LIST_URL}?limit=200&offset=0`);
+        const response = await fetch(buildSelectionsRequestUrl());
+        const payload = await response.json().catch(() => null);
         if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+            throw new Error(payload?.error || `HTTP ${response.status}`);
         }
-        const payload = await response.json();
         const selections = Array.isArray(payload?.selections) ? payload.selections : [];
 
         const container = getSingleSelectionContainer();
@@ -801,8 +1185,20 @@ async function loadExistingSelections() {
         selections.forEach((selection) => {
             renderSelectionRow(selection);
         });
+
+        if (activeSearchParams) {
+            const total = Number(payload?.pagination?.total) || 0;
+            const shown = total > selections.length ? `, showing the latest ${selections.length}` : '';
+            setSearchStatus(`${total} matching selection${total === 1 ? '' : 's'}${shown}.`);
+        } else {
+            setSearchStatus('');
+        }
     } catch (error) {
         console.error('Failed to load single-camera selections:', error);
+        if (activeSearchParams) {
+            setSearchStatus(`Search failed: ${error?.message || 'unknown error'}`);
+            return;
+        }
         showWarning('Unable to load previously saved selections.', {
             diagnostics: false,
             detail: error?.message || null
@@ -810,6 +1206,256 @@ async function loadExistingSelections() {
     }
 }
 
+// Local calendar day as an ISO instant; `dayOffset` days after the given date.
+function localDateToIso(value, dayOffset = 0) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day + dayOffset).toISOString();
+}
+
+function formatLocalDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Form fields map one-to-one onto search parameters; the date inputs are whole
+// local days, so "to" is sent as the start of the following day.
+function readSearchForm(form) {
+    const params = new URLSearchParams();
+    Array.from(form.elements).forEach((element) => {
+        const value = typeof element.value === 'string' ? element.value.trim() : '';
+        if (!element.name || !value) {
+            return;
+        }
+        if (element.name === 'from') {
+            params.set('from', localDateToIso(value));
+        } else if (element.name === 'to') {
+            params.set('to', localDateToIso(value, 1));
+        } else {
+            params.set(element.name, value);
+        }
+    });
+    return params.toString() ? params : null;
+}
+
+function formatFilterValue(value) {
+    return value.replace(/_/g, ' ');
+}
+
+// Fills the filter selects with the values the search endpoint accepts.
+async function loadSearchFields(form) {
+    try {
+        const response = await fetch(`${SINGLE_SELECTIONS_SEARCH_URL}?limit=1`);
+        const payload = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(payload?.error || `HTTP ${response.status}`);
+        }
+        form.querySelectorAll('select[name]').forEach((select) => {
+            const values = Array.isArray(payload?.fields?.[select.name]) ? payload.fields[select.name] : [];
+            select.innerHTML = '';
+            select.appendChild(new Option(select.dataset.anyLabel || 'Any', ''));
+            values.forEach((value) => {
+                select.appendChild(new Option(formatFilterValue(value), value));
+            });
+        });
+    } catch (error) {
+        console.warn('Failed to load search filter values:', error);
+        setSearchStatus('Filters unavailable.');
+    }
+}
+
+function attachSearchHandlers() {
+    const form = document.getElementById('singleSearchForm');
+    if (!form) {
+        return;
+    }
+    if (!SINGLE_SELECTIONS_SEARCH_URL) {
+        form.hidden = true;
+        return;
+    }
+    void loadSearchFields(form);
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        activeSearchParams = readSearchForm(form);
+        void loadExistingSelections();
+    });
+
+    form.querySelectorAll('[data-search-day]').forEach((button) => {
+        button.addEventListener('click', () => {
+            const day = new Date();
+            day.setDate(day.getDate() - Number(button.dataset.searchDay));
+            form.elements.from.value = formatLocalDate(day);
+            form.elements.to.value = formatLocalDate(day);
+        });
+    });
+
+    const resetButton = document.getElementById('singleSearchResetButton');
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            form.reset();
+            activeSearchParams = null;
+            void loadExistingSelections();
+        });
+    }
+}
+
+function setPeopleQueryStatus(message) {
+    const status = document.getElementById('singlePeopleQueryStatus');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+// Picking a result lists that group's selections through the search form.
+function showGroupSelections(personGroupId) {
+    const form = document.getElementById('singleSearchForm');
+    if (!form) {
+        return;
+    }
+    form.reset();
+    form.elements.groupId.value = String(personGroupId);
+    activeSearchParams = readSearchForm(form);
+    void loadExistingSelections();
+}
+
+function renderPeopleQueryResult(result) {
+    const item = document.createElement('li');
+    item.className = 'single-people-query-result';
+    item.tabIndex = 0;
+
+    const imageSrc = result.thumbnailUrl || result.imageUrl || result.imageDataUrl;
+    if (imageSrc) {
+        const image = document.createElement('img');
+        image.src = imageSrc;
+        image.alt = `Group ${result.personGroupId}`;
+        image.loading = 'lazy';
+        item.appendChild(image);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'single-people-query-body';
+    const title = document.createElement('span');
+    title.className = 'single-people-query-title';
+    const name = result.label || `Group ${result.personGroupId}`;
+    const members = `${result.memberCount} photo${result.memberCount === 1 ? '' : 's'}`;
+    title.textContent = `${name} · ${result.score}% · ${members}`;
+    body.appendChild(title);
+
+    const traits = document.createElement('div');
+    traits.className = 'single-people-query-traits';
+    (result.traits || []).forEach((trait) => {
+        const chip = document.createElement('span');
+        chip.className = 'single-people-query-trait';
+        chip.dataset.verdict = trait.verdict;
+        const groupValue = trait.group ? formatFilterValue(trait.group) : 'not seen';
+        chip.textContent = `${formatFilterValue(trait.trait)}: ${groupValue}`;
+        chip.title = `Searched for ${formatFilterValue(trait.query)}`;
+        traits.appendChild(chip);
+    });
+    (result.evidence || []).forEach((entry) => {
+        const chip = document.createElement('span');
+        chip.className = 'single-people-query-trait';
+        chip.dataset.verdict = 'match';
+        chip.textContent = entry.description || entry.type;
+        traits.appendChild(chip);
+    });
+    body.appendChild(traits);
+
+    if (result.explanation) {
+        const explanation = document.createElement('span');
+        explanation.textContent = result.explanation;
+        body.appendChild(explanation);
+    }
+    item.appendChild(body);
+
+    const open = () => showGroupSelections(result.personGroupId);
+    item.addEventListener('click', open);
+    item.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            open();
+        }
+    });
+    return item;
+}
+
+async function runPeopleQuery(query) {
+    const list = document.getElementById('singlePeopleQueryResults');
+    setPeopleQueryStatus('Searching…');
+    try {
+        const response = await fetch(SINGLE_PEOPLE_QUERY_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query })
+        });
+        const payload = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(payload?.error || `HTTP ${response.status}`);
+        }
+        const results = Array.isArray(payload?.results) ? payload.results : [];
+        if (list) {
+            list.innerHTML = '';
+            results.forEach((result) => list.appendChild(renderPeopleQueryResult(result)));
+            list.hidden = !results.length;
+        }
+        const searched = (payload?.queriedTraits || []).map(formatFilterValue).join(', ');
+        setPeopleQueryStatus(results.length
+            ? `${results.length} matching group${results.length === 1 ? '' : 's'}${searched ? ` by ${searched}` : ''}.`
+            : 'No group matches that description.');
+    } catch (error) {
+        console.error('People query failed:', error);
+        if (list) {
+            list.hidden = true;
+        }
+        setPeopleQueryStatus(`Search failed: ${error?.message || 'unknown error'}`);
+    }
+}
+
+function attachPeopleQueryHandlers() {
+    const form = document.getElementById('singlePeopleQueryForm');
+    if (!form) {
+        return;
+    }
+    if (!SINGLE_PEOPLE_QUERY_URL) {
+        form.hidden = true;
+        return;
+    }
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const query = form.elements.query.value.trim();
+        if (!query) {
+            const list = document.getElementById('singlePeopleQueryResults');
+            if (list) {
+                list.hidden = true;
+            }
+            setPeopleQueryStatus('');
+            return;
+        }
+        void runPeopleQuery(query);
+    });
+}
+
+// Uploaded photos carry their own capture time and GPS tags; live captures are
+// taken now, at the device position. Grouping uses both to rule out impossible
+// travel between sightings, so an upload without an EXIF capture time sends
+// neither: its GPS fix paired with the upload time could rule out the right group.
+async function resolveSelectionCapture(photoDataUrl, isUpload) {
+    if (isUpload) {
+        const capturedAt = extractCaptureTimeFromDataUrl(photoDataUrl);
+        return {
+            capturedAt,
+            location: capturedAt ? extractGpsLocationFromDataUrl(photoDataUrl) : null
+        };
+    }
+    const capturedAt = new Date().toISOString();
+    try {
+        return { capturedAt, location: await requestCurrentLocation({ timeout: 5000 }) };
+    } catch (error) {
+        console.warn('Failed to read device location for single selection:', error);
+        return { capturedAt, location: null };
+    }
+}
+
 async function saveCurrentSelection({ viewportOverride = null } = {}) {
     assertConfigured(
         SINGLE_SELECTIONS_STORE_URL,
@@ -843,26 +1489,50 @@ async function saveCurrentSelection({ viewportOverride = null } = {}) {
         }
     };
 
+    // Read before any await: closing the camera modal resets the slot.
+    const photoDataUrl = slot.lastPhotoDataUrl;
+    const { capturedAt, location } = await resolveSelectionCapture(photoDataUrl, Boolean(viewportOverride));
+    await storeSingleSelection({
+        photoDataUrl,
+        viewport: viewportForSave,
+        location,
+        capturedAt
+    });
+}
+
+// Crops `viewport` out of the photo, stores it as a single selection and renders
+// its row. Resolves to true when the selection was saved; failures are reported
+// to the user here.
+async function storeSingleSelection({ photoDataUrl, viewport, location, capturedAt = new Date().toISOString() }) {
     let croppedDataUrl;
     try {
-        croppedDataUrl = await createViewportDataUrl(slot.lastPhotoDataUrl, viewportForSave);
+        croppedDataUrl = await createViewportDataUrl(photoDataUrl, viewport);
     } catch (error) {
         console.error('Failed to render viewport for single selection:', error);
         showError('Failed to render the selected area for saving.', {
             diagnostics: false,
             detail: error?.message || null
         });
-        return;
+        return false;
+    }
+
+    let thumbnailDataUrl = null;
+    try {
+        thumbnailDataUrl = await createThumbnailDataUrl(croppedDataUrl);
+    } catch (error) {
+        // The server falls back to the full image when no thumbnail is sent.
+        console.warn('Failed to create thumbnail for single selection:', error);
     }
 
-    const signature = buildViewportSignature(slot.lastPhotoDataUrl, viewportForSave);
-    const capturedAtIso = new Date().toISOString();
+    const signature = buildViewportSignature(photoDataUrl, viewport);
 
     const payload = {
         imageDataUrl: croppedDataUrl,
-        viewport: viewportForSave,
+        thumbnailDataUrl,
+        viewport,
         signature,
-        capturedAt: capturedAtIso,
+        capturedAt,
+        location,
         mode: 'single',
         visionEnabled: isVisionEnabled()
     };
@@ -886,13 +1556,17 @@ async function saveCurrentSelection({ viewportOverride = null } = {}) {
             console.log('single-page grouping (save)', result.groupingDebug);
         }
         const selectionMeta = result?.selection || {};
+        if (selectionMeta.descriptionError) {
+            console.warn('single-page description failed (saved without description)', selectionMeta.descriptionError);
+        }
 
         renderSelectionRow({
             id: selectionMeta.id || null,
             personGroupId: selectionMeta.personGroupId || null,
             imageDataUrl: croppedDataUrl,
+            thumbnailUrl: thumbnailDataUrl,
             createdAt: selectionMeta.createdAt || null,
-            capturedAt: selectionMeta.capturedAt || capturedAtIso,
+            capturedAt: selectionMeta.capturedAt || capturedAt,
             description: selectionMeta.description || '',
             descriptionSchema: selectionMeta.descriptionSchema || null,
             groupingProbability: Number.isFinite(Number(selectionMeta.groupingProbability))
@@ -902,12 +1576,652 @@ async function saveCurrentSelection({ viewportOverride = null } = {}) {
             groupingExplanationDetails: selectionMeta.groupingExplanationDetails || null,
             bestCandidate: selectionMeta.bestCandidate || null
         });
+        return true;
     } catch (error) {
         console.error('Failed to store single-camera selection:', error);
         showError('Failed to save selection. Check diagnostics and try again.', {
             diagnostics: false,
             detail: error?.message || null
         });
+        return false;
+    }
+}
+
+// Person detection: the full photo goes to detect-people, every person found is
+// drawn as a box over it, and each selected box is saved as its own single
+// selection. saveDetectedPeople resolves once the user has saved or cancelled,
+// so queued uploads are handled one photo at a time.
+const detectionState = {
+    people: [],
+    selected: new Set(),
+    resolveChoice: null
+};
+
+async function requestPersonDetections(photoDataUrl) {
+    const imageDataUrl = await createThumbnailDataUrl(photoDataUrl, DETECTION_MAX_EDGE, 0.85);
+    const response = await fetch(SINGLE_DETECT_PEOPLE_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ imageDataUrl })
+    });
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw new Error(payload?.error || `HTTP ${response.status}`);
+    }
+    return Array.isArray(payload?.people) ? payload.people : [];
+}
+
+function setDetectionStatus(message) {
+    const status = document.getElementById('singleDetectionStatus');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+function setDetectionBusy(isBusy) {
+    ['singleDetectionSaveButton', 'singleDetectionWholeButton', 'singleDetectionCancelButton'].forEach((id) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = isBusy;
+        }
+    });
+    updateDetectionSaveButton();
+}
+
+function updateDetectionSaveButton() {
+    const button = document.getElementById('singleDetectionSaveButton');
+    if (!button) {
+        return;
+    }
+    const count = detectionState.selected.size;
+    button.textContent = count === 1 ? 'Save 1 person' : `Save ${count} people`;
+    if (!count) {
+        button.disabled = true;
+    }
+}
+
+function renderDetectionBoxes() {
+    const container = document.getElementById('singleDetectionBoxes');
+    if (!container) {
+        return;
+    }
+    container.innerHTML = '';
+    detectionState.people.forEach((person) => {
+        const box = document.createElement('button');
+        box.type = 'button';
+        box.className = 'single-detection-box';
+        box.style.left = `${person.box.x * 100}%`;
+        box.style.top = `${person.box.y * 100}%`;
+        box.style.width = `${person.box.width * 100}%`;
+        box.style.height = `${person.box.height * 100}%`;
+        box.title = `${person.description} (confidence ${Math.round(person.confidence * 100)}%)`;
+
+        const label = document.createElement('span');
+        label.className = 'single-detection-box-label';
+        label.textContent = `${person.index}. ${person.description}`;
+        box.appendChild(label);
+
+        const syncSelected = () => {
+            const isSelected = detectionState.selected.has(person.index);
+            box.classList.toggle('is-selected', isSelected);
+            box.setAttribute('aria-pressed', String(isSelected));
+        };
+        syncSelected();
+
+        box.addEventListener('click', (event) => {
+            event.preventDefault();
+            if (detectionState.selected.has(person.index)) {
+                detectionState.selected.delete(person.index);
+            } else {
+                detectionState.selected.add(person.index);
+            }
+            syncSelected();
+            updateDetectionSaveButton();
+        });
+        container.appendChild(box);
+    });
+}
+
+function openDetectionModal(photoDataUrl) {
+    const modal = document.getElementById('singleDetectionModal');
+    const image = document.getElementById('singleDetectionImage');
+    if (!modal || !image) {
+        throw new Error('Person detection modal missing in DOM.');
+    }
+    detectionState.people = [];
+    detectionState.selected.clear();
+    renderDetectionBoxes();
+    image.src = photoDataUrl;
+    modal.classList.add('is-open');
+    modal.setAttribute('aria-hidden', 'false');
+}
+
+function closeDetectionModal() {
+    const modal = document.getElementById('singleDetectionModal');
+    if (!modal) {
+        return;
+    }
+    modal.classList.remove('is-open');
+    modal.setAttribute('aria-hidden', 'true');
+    detectionState.people = [];
+    detectionState.selected.clear();
+    renderDetectionBoxes();
+}
+
+// Resolves to 'selected', 'whole' or 'cancel'.
+function waitForDetectionChoice() {
+    return new Promise((resolve) => {
+        detectionState.resolveChoice = resolve;
+    });
+}
+
+function resolveDetectionChoice(choice) {
+    const resolve = detectionState.resolveChoice;
+    detectionState.resolveChoice = null;
+    if (resolve) {
+        resolve(choice);
+    }
+}
+
+async function saveDetectedPeople(photoDataUrl, { isUpload }) {
+    assertConfigured(
+        SINGLE_DETECT_PEOPLE_URL,
+        'Person detection API is not configured.'
+    );
+
+    const fullFrame = await buildFullFrameViewportSnapshot(photoDataUrl);
+    const capturePromise = resolveSelectionCapture(photoDataUrl, isUpload);
+
+    openDetectionModal(photoDataUrl);
+    setDetectionBusy(true);
+    setDetectionStatus('Looking for people...');
+
+    try {
+        detectionState.people = await requestPersonDetections(photoDataUrl);
+    } catch (error) {
+        console.error('Person detection failed:', error);
+        showWarning('Could not find people in this photo. Save the whole photo or cancel.', {
+            diagnostics: false,
+            detail: error?.message || null
+        });
+        detectionState.people = [];
+    }
+    detectionState.people.forEach((person) => detectionState.selected.add(person.index));
+    renderDetectionBoxes();
+    setDetectionBusy(false);
+    setDetectionStatus(detectionState.people.length
+        ? `Found ${detectionState.people.length} ${detectionState.people.length === 1 ? 'person' : 'people'}. Tap a box to leave that person out.`
+        : 'No people found in this photo.');
+
+    const choice = await waitForDetectionChoice();
+    if (choice === 'cancel') {
+        closeDetectionModal();
+        return;
+    }
+
+    const { capturedAt, location } = await capturePromise;
+    const viewports = choice === 'whole'
+        ? [fullFrame]
+        : detectionState.people
+            .filter((person) => detectionState.selected.has(person.index))
+            .map((person) => ({ ...fullFrame, selection: { ...person.box } }));
+
+    setDetectionBusy(true);
+    let saved = 0;
+    for (let index = 0; index < viewports.length; index += 1) {
+        setDetectionStatus(`Saving ${index + 1} of ${viewports.length}...`);
+        // Saved one after another so each person is grouped against the ones before.
+        // eslint-disable-next-line no-await-in-loop
+        const stored = await storeSingleSelection({
+            photoDataUrl,
+            viewport: viewports[index],
+            location,
+            capturedAt
+        });
+        if (stored) {
+            saved += 1;
+        }
+    }
+    closeDetectionModal();
+    if (saved < viewports.length) {
+        showWarning(`Saved ${saved} of ${viewports.length} selections from this photo.`, { diagnostics: false });
+    }
+}
+
+function attachDetectionModalHandlers() {
+    const overlay = document.getElementById('singleDetectionOverlay');
+    if (overlay) {
+        overlay.addEventListener('click', () => {
+            const cancelButton = document.getElementById('singleDetectionCancelButton');
+            if (!cancelButton || !cancelButton.disabled) {
+                resolveDetectionChoice('cancel');
+            }
+        });
+    }
+
+    [
+        ['singleDetectionSaveButton', 'selected'],
+        ['singleDetectionWholeButton', 'whole'],
+        ['singleDetectionCancelButton', 'cancel']
+    ].forEach(([id, choice]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', (event) => {
+                event.preventDefault();
+                resolveDetectionChoice(choice);
+            });
+        }
+    });
+}
+
+// Batch import: the chosen files become a server-side import job, each file is
+// uploaded as one item and `process` calls work through the queue. The job id
+// stays in localStorage so a reload picks the job up again; files that never
+// reached the server have to be chosen again and are matched by name and size.
+const importState = {
+    job: null,
+    items: [],
+    files: new Map(),
+    isRunning: false
+};
+
+function getStoredImportJobId() {
+    try {
+        const jobId = Number(localStorage.getItem(IMPORT_JOB_KEY));
+        return Number.isInteger(jobId) && jobId > 0 ? jobId : null;
+    } catch {
+        return null;
+    }
+}
+
+function setStoredImportJobId(jobId) {
+    try {
+        if (jobId) {
+            localStorage.setItem(IMPORT_JOB_KEY, String(jobId));
+        } else {
+            localStorage.removeItem(IMPORT_JOB_KEY);
+        }
+    } catch (error) {
+        console.warn('Failed to store import job id:', error);
+    }
+}
+
+async function requestImportJobs(body) {
+    const response = body
+        ? await fetch(SINGLE_IMPORT_JOBS_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        })
+        : await fetch(`${SINGLE_IMPORT_JOBS_URL}?jobId=${importState.job.id}`);
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+        const error = new Error(payload?.error || `HTTP ${response.status}`);
+        error.code = payload?.code || null;
+        throw error;
+    }
+    return payload;
+}
+
+function importFileName(file) {
+    return file.webkitRelativePath || file.name;
+}
+
+function countImportItems(status) {
+    return importState.items.filter((item) => item.status === status).length;
+}
+
+function hasOpenImportItems() {
+    return importState.items.some((item) => item.status === 'pending'
+        || item.status === 'processing'
+        || (item.status === 'awaiting_upload' && importState.files.has(item.position)));
+}
+
+function applyImportJob(view) {
+    if (view?.job) {
+        importState.job = view.job;
+    }
+    if (Array.isArray(view?.items)) {
+        importState.items = view.items;
+    }
+    renderImportPanel();
+}
+
+function renderImportPanel() {
+    const panel = document.getElementById('singleImportPanel');
+    if (!panel) {
+        return;
+    }
+    const { job, items } = importState;
+    panel.hidden = !job;
+    if (!job) {
+        return;
+    }
+
+    const done = countImportItems('done');
+    const failed = countImportItems('failed');
+    const cancelled = countImportItems('cancelled');
+    const missingFiles = items.filter((item) => item.status === 'awaiting_upload' && !importState.files.has(item.position)).length;
+
+    const parts = [`${done} of ${job.totalItems} imported`];
+    if (failed) {
+        parts.push(`${failed} failed`);
+    }
+    if (cancelled) {
+        parts.push(`${cancelled} cancelled`);
+    }
+    if (missingFiles && job.status === 'in_progress') {
+        parts.push(`${missingFiles} waiting for their files to be chosen again`);
+    }
+    const summary = document.getElementById('singleImportSummary');
+    if (summary) {
+        summary.textContent = `Import ${job.id} (${job.status.replace(/_/g, ' ')}): ${parts.join(', ')}.`;
+    }
+
+    const progress = document.getElementById('singleImportProgress');
+    if (progress) {
+        progress.max = job.totalItems || 1;
+        progress.value = done + failed + cancelled;
+    }
+
+    const isOpen = job.status === 'in_progress';
+    const resumeButton = document.getElementById('singleImportResumeButton');
+    if (resumeButton) {
+        resumeButton.hidden = !(isOpen && missingFiles);
+    }
+    const retryButton = document.getElementById('singleImportRetryButton');
+    if (retryButton) {
+        retryButton.hidden = !(failed && job.status !== 'cancelled');
+    }
+    const cancelButton = document.getElementById('singleImportCancelButton');
+    if (cancelButton) {
+        cancelButton.hidden = !isOpen;
+    }
+    const dismissButton = document.getElementById('singleImportDismissButton');
+    if (dismissButton) {
+        dismissButton.hidden = isOpen;
+    }
+
+    const list = document.getElementById('singleImportItems');
+    if (list) {
+        list.innerHTML = '';
+        items.forEach((item) => {
+            const entry = document.createElement('li');
+            entry.className = `single-import-item is-${item.status.replace(/_/g, '-')}`;
+            const name = document.createElement('span');
+            name.className = 'single-import-item-name';
+            name.textContent = item.fileName;
+            const status = document.createElement('span');
+            status.className = 'single-import-item-status';
+            status.textContent = item.status === 'done' && item.personGroupId
+                ? `group ${item.personGroupId}`
+                : item.status.replace(/_/g, ' ');
+            if (item.error) {
+                entry.title = item.error;
+            }
+            entry.append(name, status);
+            list.appendChild(entry);
+        });
+    }
+}
+
+async function startImportJob(files) {
+    assertConfigured(SINGLE_IMPORT_JOBS_URL, 'Import jobs API is not configured.');
+    if (importState.job?.status === 'in_progress') {
+        showWarning('Finish or cancel the current import before starting another one.', { diagnostics: false });
+        return;
+    }
+
+    const images = files
+        .filter((file) => file && (!file.type || file.type.startsWith('image/')))
+        .sort((a, b) => importFileName(a).localeCompare(importFileName(b)));
+    if (!images.length) {
+        showWarning('No image files to import.', { diagnostics: false });
+        return;
+    }
+
+    try {
+        const view = await requestImportJobs({
+            action: 'create',
+            files: images.map((file) => ({ name: importFileName(file), size: file.size })),
+            visionEnabled: isVisionEnabled()
+        });
+        importState.files = new Map(images.map((file, position) => [position, file]));
+        setStoredImportJobId(view.job.id);
+        applyImportJob(view);
+    } catch (error) {
+        console.error('Failed to create import job:', error);
+        showError('Failed to start the import.', {
+            diagnostics: false,
+            detail: error?.message || null
+        });
+        return;
+    }
+    void runImportJob();
+}
+
+async function uploadImportItem(item, file) {
+    const dataUrl = await readFileAsDataUrl(file);
+    // EXIF tags are read from the original file; downscaling drops them.
+    const location = extractGpsLocationFromDataUrl(dataUrl);
+    const capturedAt = extractCaptureTimeFromDataUrl(dataUrl)
+        || (file.lastModified ? new Date(file.lastModified).toISOString() : null);
+    const imageDataUrl = await createThumbnailDataUrl(dataUrl, IMPORT_MAX_EDGE, 0.85);
+    let thumbnailDataUrl = null;
+    try {
+        thumbnailDataUrl = await createThumbnailDataUrl(imageDataUrl);
+    } catch (error) {
+        console.warn('Failed to create thumbnail for import item:', error);
+    }
+    try {
+        const result = await requestImportJobs({
+            action: 'add-item',
+            jobId: importState.job.id,
+            position: item.position,
+            imageDataUrl,
+            thumbnailDataUrl,
+            capturedAt,
+            location
+        });
+        Object.assign(item, result.item);
+    } catch (error) {
+        // A previous page load already uploaded it.
+        if (error.code !== 'ITEM_ALREADY_UPLOADED') {
+            throw error;
+        }
+    }
+}
+
+async function uploadImportFiles() {
+    for (const item of importState.items) {
+        const file = importState.files.get(item.position);
+        if (item.status !== 'awaiting_upload' || !file) {
+            continue;
+        }
+        if (importState.job?.status !== 'in_progress') {
+            return;
+        }
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            await uploadImportItem(item, file);
+        } catch (error) {
+            // The item keeps waiting for its file; choosing it again retries the upload.
+            console.error(`Failed to upload ${item.fileName} for import:`, error);
+            showWarning(`Failed to upload ${item.fileName} for import.`, {
+                diagnostics: false,
+                detail: error?.message || null
+            });
+        }
+        importState.files.delete(item.position);
+        renderImportPanel();
+    }
+}
+
+// Uploads the files this page has and keeps calling `process` until nothing is
+// left to do. Several tabs can drive the same job; items are claimed on the server.
+async function runImportJob() {
+    if (importState.isRunning || !importState.job) {
+        return;
+    }
+    importState.isRunning = true;
+    let uploading = true;
+    const uploads = uploadImportFiles().finally(() => {
+        uploading = false;
+    });
+
+    try {
+        while (importState.job?.status === 'in_progress') {
+            // Read before the call: once uploads are over, the view it returns is complete.
+            const wasUploading = uploading;
+            // eslint-disable-next-line no-await-in-loop
+            const view = await requestImportJobs({ action: 'process', jobId: importState.job.id });
+            applyImportJob(view);
+            if (view.processed) {
+                // eslint-disable-next-line no-await-in-loop
+                await loadExistingSelections();
+                continue;
+            }
+            if (!wasUploading && !hasOpenImportItems()) {
+                break;
+            }
+            // Waiting for uploads, or another tab (or a call that died) holds the items.
+            // eslint-disable-next-line no-await-in-loop
+            await new Promise((resolve) => window.setTimeout(resolve, IMPORT_IDLE_DELAY_MS));
+        }
+        await uploads;
+        applyImportJob(await requestImportJobs());
+    } catch (error) {
+        console.error('Import job failed to progress:', error);
+        showError('Import paused after an error. Reload the page to resume it.', {
+            diagnostics: false,
+            detail: error?.message || null
+        });
+    } finally {
+        importState.isRunning = false;
+        renderImportPanel();
+    }
+}
+
+// Matches re-chosen files to the items still waiting for an upload.
+function resumeImportWithFiles(files) {
+    const waiting = importState.items.filter((item) => item.status === 'awaiting_upload');
+    let matched = 0;
+    files.forEach((file) => {
+        const item = waiting.find((entry) => !importState.files.has(entry.position)
+            && entry.fileSize === file.size
+            && (entry.fileName === importFileName(file) || entry.fileName.split('/').pop() === file.name));
+        if (item) {
+            importState.files.set(item.position, file);
+            matched += 1;
+        }
+    });
+    if (!matched) {
+        showWarning('None of the chosen files belong to this import.', { diagnostics: false });
+        return;
+    }
+    renderImportPanel();
+    void runImportJob();
+}
+
+async function runImportAction(action, failureMessage) {
+    try {
+        applyImportJob(await requestImportJobs({ action, jobId: importState.job.id }));
+    } catch (error) {
+        console.error(`Import ${action} failed:`, error);
+        showError(failureMessage, {
+            diagnostics: false,
+            detail: error?.message || null
+        });
+        return;
+    }
+    if (action === 'retry-failed') {
+        void runImportJob();
+    }
+}
+
+async function restoreImportJob() {
+    const jobId = getStoredImportJobId();
+    if (!jobId || !SINGLE_IMPORT_JOBS_URL) {
+        return;
+    }
+    importState.job = { id: jobId };
+    try {
+        applyImportJob(await requestImportJobs());
+    } catch (error) {
+        importState.job = null;
+        if (error.code === 'JOB_NOT_FOUND') {
+            setStoredImportJobId(null);
+            return;
+        }
+        console.error('Failed to restore import job:', error);
+        showWarning('Unable to load the previous import.', {
+            diagnostics: false,
+            detail: error?.message || null
+        });
+        return;
+    }
+    void runImportJob();
+}
+
+function attachImportHandlers() {
+    const folderButton = document.getElementById('singleImportFolderButton');
+    const folderInput = document.getElementById('singleImportFolderInput');
+    if (folderButton && folderInput) {
+        folderButton.addEventListener('click', () => {
+            folderInput.click();
+        });
+        folderInput.addEventListener('change', () => {
+            const files = Array.from(folderInput.files || []);
+            folderInput.value = '';
+            if (files.length) {
+                void startImportJob(files);
+            }
+        });
+    }
+
+    const resumeButton = document.getElementById('singleImportResumeButton');
+    const resumeInput = document.getElementById('singleImportResumeInput');
+    if (resumeButton && resumeInput) {
+        resumeButton.addEventListener('click', () => {
+            resumeInput.click();
+        });
+        resumeInput.addEventListener('change', () => {
+            const files = Array.from(resumeInput.files || []);
+            resumeInput.value = '';
+            if (files.length) {
+                resumeImportWithFiles(files);
+            }
+        });
+    }
+
+    const retryButton = document.getElementById('singleImportRetryButton');
+    if (retryButton) {
+        retryButton.addEventListener('click', () => {
+            void runImportAction('retry-failed', 'Failed to retry the failed imports.');
+        });
+    }
+
+    const cancelButton = document.getElementById('singleImportCancelButton');
+    if (cancelButton) {
+        cancelButton.addEventListener('click', () => {
+            importState.files.clear();
+            void runImportAction('cancel', 'Failed to cancel the import.');
+        });
+    }
+
+    const dismissButton = document.getElementById('singleImportDismissButton');
+    if (dismissButton) {
+        dismissButton.addEventListener('click', () => {
+            importState.job = null;
+            importState.items = [];
+            importState.files.clear();
+            setStoredImportJobId(null);
+            renderImportPanel();
+        });
     }
 }
 
@@ -1034,6 +2348,12 @@ function handleSingleUpload(fileInput) {
     }
 
     fileInput.value = '';
+    // Several photos at once run as an import job so a reload does not lose them.
+    // Person detection needs a choice per photo and keeps the in-page queue.
+    if (files.length > 1 && !isDetectPeopleEnabled() && SINGLE_IMPORT_JOBS_URL) {
+        void startImportJob(files);
+        return;
+    }
     enqueueSingleUploads(files);
 }
 
@@ -1086,6 +2406,10 @@ async function processSingleUploadFile(file) {
         }
         displayPhotoForSide('you', dataUrl);
         stopAllCameras();
+        if (isDetectPeopleEnabled()) {
+            await saveDetectedPeople(dataUrl, { isUpload: true });
+            return;
+        }
         const viewportOverride = await buildFullFrameViewportSnapshot(dataUrl);
         await saveCurrentSelection({ viewportOverride });
     } catch (error) {
@@ -1222,6 +2546,16 @@ function attachCameraModalHandlers() {
         });
     }
 
+    ['singleGroupingConfirmButton', 'singleGroupingRejectButton'].forEach((id) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', (event) => {
+                event.preventDefault();
+                void submitGroupingFeedback(button.dataset.verdict);
+            });
+        }
+    });
+
     const descriptionCloseButton = document.getElementById('singleDescriptionCloseButton');
     if (descriptionCloseButton) {
         descriptionCloseButton.addEventListener('click', (event) => {
@@ -1243,6 +2577,21 @@ function attachCameraModalHandlers() {
         if (isActive) {
             captureBackPhoto();
             window.setTimeout(() => {
+                if (isDetectPeopleEnabled()) {
+                    // Detection works on the whole capture, not the zoomed view.
+                    const photoDataUrl = photoSlots.back.lastPhotoDataUrl;
+                    closeSingleCameraModal();
+                    if (photoDataUrl) {
+                        saveDetectedPeople(photoDataUrl, { isUpload: false }).catch((error) => {
+                            console.error('Failed to split captured photo into people:', error);
+                            showError('Failed to prepare the captured photo for person detection.', {
+                                diagnostics: false,
+                                detail: error?.message || null
+                            });
+                        });
+                    }
+                    return;
+                }
                 void saveCurrentSelection();
                 closeSingleCameraModal();
             }, 0);
@@ -1278,6 +2627,10 @@ function initSinglePage() {
 
     // Camera modal handlers
     attachCameraModalHandlers();
+    attachDetectionModalHandlers();
+    attachImportHandlers();
+    attachSearchHandlers();
+    attachPeopleQueryHandlers();
 
     // Toolbar camera open button
     const openCameraButton = document.getElementById('singleOpenCameraButton');
@@ -1310,11 +2663,23 @@ function initSinglePage() {
         });
     }
 
+    // Person detection toggle
+    const detectPeopleToggle = document.getElementById('detectPeopleToggle');
+    if (detectPeopleToggle) {
+        detectPeopleToggle.checked = isDetectPeopleEnabled();
+        detectPeopleToggle.addEventListener('change', () => {
+            setDetectPeopleEnabled(detectPeopleToggle.checked);
+        });
+    }
+
     // Render version badge
     renderAppVersion();
 
     // Load existing selections for this collection
     void loadExistingSelections();
+
+    // Continue an import started before the last reload
+    void restoreImportJob();
 }
 
 if (document.readyState === 'loading') {
@@ -98,3 +98,22 @@ export function loadImageElement(dataUrl) {
     });
 }
 
+// Downscale an image so its longest edge is at most maxEdge pixels.
+// Listing views load this instead of the full-size selection.
+export async function createThumbnailDataUrl(dataUrl, maxEdge = 192, quality = 0.8) {
+    const image = await loadImageElement(dataUrl);
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    if (!width || !height) {
+        throw new Error('Image dimensions unavailable.');
+    }
+
+    const scale = Math.min(1, maxEdge / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+}
+
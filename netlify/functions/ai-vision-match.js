@@ -1,8 +1,8 @@
-// AI vision-based person matching using GPT-4o-mini
+// AI vision-based person matching through the configured vision provider
 // Compares two photos to determine if they show the same person
 
-import OpenAI from 'openai';
 import { performVisionMatch } from './shared/vision-match.js';
+import { getVisionProvider } from './shared/vision-provider.js';
 
 export const handler = async (event) => {
   if (event.httpMethod !== 'POST') {
@@ -33,20 +33,18 @@ export const handler = async (event) => {
       };
     }
 
-      const openaiKey = process.env.OPENAI_API_KEY || process.env.OPENAIKEY;
-      if (!openaiKey) {
+      const provider = getVisionProvider();
+      if (!provider.isConfigured()) {
         return {
           statusCode: 500,
-          body: JSON.stringify({ error: 'OpenAI API key not configured' })
+          body: JSON.stringify({ error: `Vision provider "${provider.name}" not configured` })
         };
       }
 
-      const openai = new OpenAI({ apiKey: openaiKey });
-
       console.log('=== VISION MATCHING REQUEST ===');
       console.log('Photo 1 analysis:', photo1.analysis);
       console.log('Photo 2 analysis:', photo2.analysis);
-      const result = await performVisionMatch(openai, photo1, photo2);
+      const result = await performVisionMatch(provider, photo1, photo2);
 
       console.log('=== VISION MATCHING RESULT ===');
       console.log('Similarity:', result.similarity);
@@ -65,10 +63,22 @@ export const handler = async (event) => {
         confidence: result.confidence || 'medium',
         reasoning: result.reasoning || 'No reasoning provided',
           fatal_mismatch: result.fatal_mismatch || null,
-          timeDiffMinutes: result.timeDiffMinutes
+          timeDiffMinutes: result.timeDiffMinutes,
+          cache: result.cache,
+          promptVersion: result.promptVersion
       })
     };
   } catch (error) {
+    if (error?.code === 'OUTPUT_INVALID') {
+      console.error('Vision match answer failed validation:', error.toJSON());
+      return {
+        statusCode: 502,
+        body: JSON.stringify({
+          error: 'Vision match answer did not match the expected structure, even after a repair attempt.',
+          details: error.toJSON()
+        })
+      };
+    }
     console.error('Vision matching error:', {
       message: error?.message,
       stack: error?.stack
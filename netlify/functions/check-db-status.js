@@ -1,38 +1,7 @@
-const { Pool } = require('pg');
+const { getDatabasePool, ANALYSES_TABLE_NAME } = require('./shared/db.js');
+const { getMigrationStatus } = require('./shared/migrations.js');
 
-const DEFAULT_TABLE_NAME = 'portrait_analyses';
-
-function resolveTableName() {
-  const configured = process.env.ANALYSES_TABLE;
-  if (!configured) {
-    return DEFAULT_TABLE_NAME;
-  }
-
-  const sanitized = configured.trim();
-  const isSafe = /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(sanitized);
-  if (!isSafe) {
-    return DEFAULT_TABLE_NAME;
-  }
-
-  return sanitized;
-}
-
-const TABLE_NAME = resolveTableName();
-
-function getDatabasePool() {
-  const rawConnectionString = (process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL)?.trim();
-
-  if (!rawConnectionString) {
-    return null;
-  }
-
-  const sslRequired = rawConnectionString.includes('sslmode=require');
-
-  return new Pool({
-    connectionString: rawConnectionString,
-    ssl: sslRequired ? { rejectUnauthorized: false } : undefined
-  });
-}
+const TABLE_NAME = ANALYSES_TABLE_NAME;
 
 exports.handler = async (event, context) => {
   const pool = getDatabasePool();
@@ -53,6 +22,14 @@ exports.handler = async (event, context) => {
   }
 
   try {
+    const migrationStatus = await getMigrationStatus(pool);
+    const schema = {
+      current: migrationStatus.current,
+      latest: migrationStatus.latest,
+      upToDate: migrationStatus.pending.length === 0,
+      pending: migrationStatus.pending.map((migration) => `${migration.id}_${migration.name}`)
+    };
+
     // Check if table exists
     const tableCheckQuery = `
       SELECT EXISTS (
@@ -63,7 +40,6 @@ exports.handler = async (event, context) => {
     const tableExists = await pool.query(tableCheckQuery, [TABLE_NAME]);
     
     if (!tableExists.rows[0].exists) {
-      await pool.end();
       return {
         statusCode: 200,
         headers: { 'Content-Type': 'application/json' },
@@ -71,7 +47,8 @@ exports.handler = async (event, context) => {
           success: true,
           tableExists: false,
           tableName: TABLE_NAME,
-          message: 'Table does not exist yet - will be created on first write'
+          schema,
+          message: 'Table does not exist yet - run "node scripts/migrate.js up"'
         })
       };
     }
@@ -94,7 +71,7 @@ exports.handler = async (event, context) => {
       SELECT id, created_at, role, status,
              jsonb_array_length(COALESCE(analysis->'appearance'->'dominantColors', '[]'::jsonb)) AS dominant_color_count,
              jsonb_array_length(COALESCE(analysis->'accessories'->'handheld', '[]'::jsonb)) AS handheld_count,
-             LENGTH(image_data_url) as image_size,
+             COALESCE(image_bytes_estimated, LENGTH(image_data_url)) as image_size,
              location IS NOT NULL as has_location
       FROM ${TABLE_NAME}
       ORDER BY created_at DESC
@@ -102,8 +79,6 @@ exports.handler = async (event, context) => {
     `;
     const recentResult = await pool.query(recentQuery);
 
-    await pool.end();
-
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
@@ -111,6 +86,7 @@ exports.handler = async (event, context) => {
         success: true,
         tableExists: true,
         tableName: TABLE_NAME,
+        schema,
         totalRecords: total,
         recordsByRole: roleCountResult.rows.reduce((acc, row) => {
           acc[row.role || 'null'] = parseInt(row.count, 10);
@@ -130,8 +106,6 @@ exports.handler = async (event, context) => {
     };
 
   } catch (error) {
-    if (pool) await pool.end();
-    
     return {
       statusCode: 500,
       headers: { 'Content-Type': 'application/json' },
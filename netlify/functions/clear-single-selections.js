@@ -1,11 +1,15 @@
 const {
   getDatabasePool,
-  ensureSingleCameraSelectionsTable,
-  SINGLE_CAMERA_SELECTIONS_TABLE_NAME
+  SINGLE_CAMERA_SELECTIONS_TABLE_NAME,
+  ANALYSES_TABLE_NAME,
+  PERSON_GROUPS_TABLE_NAME,
+  PERSON_GROUP_EVENTS_TABLE_NAME,
+  GROUPING_FEEDBACK_TABLE_NAME,
+  GROUPING_DECISIONS_TABLE_NAME,
+  IMPORT_JOB_ITEMS_TABLE_NAME
 } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
 
-const DEFAULT_ANALYSES_TABLE_NAME = 'portrait_analyses';
-const ANALYSES_TABLE_ENV_KEY = 'ANALYSES_TABLE';
 const PG_TABLE_NOT_FOUND = '42P01';
 const PG_INSUFFICIENT_PRIVILEGE = '42501';
 const PG_FEATURE_NOT_SUPPORTED = '0A000';
@@ -14,24 +18,6 @@ function isTruncateDisallowed(error) {
   return error?.code === PG_INSUFFICIENT_PRIVILEGE || error?.code === PG_FEATURE_NOT_SUPPORTED;
 }
 
-function resolveAnalysesTableName() {
-  const configured = process.env[ANALYSES_TABLE_ENV_KEY];
-  if (!configured) {
-    return DEFAULT_ANALYSES_TABLE_NAME;
-  }
-  const trimmed = configured.trim();
-  const isValid = /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(trimmed);
-  if (!isValid) {
-    console.warn(
-      `Invalid ${ANALYSES_TABLE_ENV_KEY} value "${configured}". Falling back to default "${DEFAULT_ANALYSES_TABLE_NAME}".`
-    );
-    return DEFAULT_ANALYSES_TABLE_NAME;
-  }
-  return trimmed;
-}
-
-const ANALYSES_TABLE_NAME = resolveAnalysesTableName();
-
 exports.handler = async (event) => {
   if (event.httpMethod !== 'POST') {
     return {
@@ -49,13 +35,10 @@ exports.handler = async (event) => {
   }
 
   try {
-    await ensureSingleCameraSelectionsTable(pool);
+    await assertSchemaCurrent(pool);
   } catch (error) {
-    console.error('Failed to ensure single camera selections table before clear:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to prepare single selection storage.' })
-    };
+    console.error('Single camera selections schema check failed before clear:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
   }
 
   const client = await pool.connect();
@@ -123,6 +106,27 @@ exports.handler = async (event) => {
       singleCleared = 0;
     }
 
+    // Groups, their history, feedback and grouping decisions only describe the selections
+    // that were just removed; selection ids restart, so stale rows would attach to new photos.
+    if (singleTruncated) {
+      await client.query(`TRUNCATE ${GROUPING_DECISIONS_TABLE_NAME}, ${GROUPING_FEEDBACK_TABLE_NAME}, ${PERSON_GROUP_EVENTS_TABLE_NAME}, ${PERSON_GROUPS_TABLE_NAME} RESTART IDENTITY;`);
+    } else {
+      // Grouping decisions are append-only (migration 014); this setting is the
+      // trigger's one exception, scoped to this transaction.
+      await client.query(`SELECT set_config('llooker.clear_grouping_decisions', 'on', true);`);
+      await client.query(`DELETE FROM ${GROUPING_DECISIONS_TABLE_NAME};`);
+      await client.query(`DELETE FROM ${GROUPING_FEEDBACK_TABLE_NAME};`);
+      await client.query(`DELETE FROM ${PERSON_GROUP_EVENTS_TABLE_NAME};`);
+      await client.query(`DELETE FROM ${PERSON_GROUPS_TABLE_NAME};`);
+    }
+    console.info('clear-single-selections: cleared person groups, membership history, grouping feedback and decisions.');
+
+    // Import items keep their status, but the selection ids they point at are gone and
+    // will be handed out again.
+    await client.query(
+      `UPDATE ${IMPORT_JOB_ITEMS_TABLE_NAME} SET selection_id = NULL WHERE selection_id IS NOT NULL;`
+    );
+
     await client.query('COMMIT');
     resultSummary.single.rowsCleared = Number(singleCleared) || 0;
     resultSummary.single.truncated = singleTruncated;
@@ -147,6 +151,8 @@ exports.handler = async (event) => {
         code: error?.code || null
       })
     };
+  } finally {
+    client.release();
   }
 
   // Attempt to clear analyses table without failing the overall request.
@@ -174,7 +180,6 @@ exports.handler = async (event) => {
           );
           resultSummary.analyses.exists = false;
           await analysesClient.query('ROLLBACK');
-          analysesClient.release();
           return {
             statusCode: 200,
             headers: { 'Content-Type': 'application/json' },
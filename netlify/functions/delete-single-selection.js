@@ -1,8 +1,10 @@
 const {
   getDatabasePool,
-  ensureSingleCameraSelectionsTable,
+  withTransaction,
   SINGLE_CAMERA_SELECTIONS_TABLE_NAME
 } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const { recordGroupMembership } = require('./shared/person-group.js');
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'POST') {
@@ -21,13 +23,10 @@ exports.handler = async (event) => {
   }
 
   try {
-    await ensureSingleCameraSelectionsTable(pool);
+    await assertSchemaCurrent(pool);
   } catch (error) {
-    console.error('Failed to ensure single camera selections table before delete:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to prepare single selection storage.' })
-    };
+    console.error('Single camera selections schema check failed before delete:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
   }
 
   let payload;
@@ -49,16 +48,25 @@ exports.handler = async (event) => {
   }
 
   try {
-    const result = await pool.query(
-      `
-      DELETE FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-      WHERE id = $1
-      RETURNING id
-      `,
-      [id]
-    );
-
-    const deleted = result.rows?.[0] || null;
+    const deleted = await withTransaction(pool, async (client) => {
+      const result = await client.query(
+        `
+        DELETE FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+        WHERE id = $1
+        RETURNING id, person_group_id
+        `,
+        [id]
+      );
+      const row = result.rows?.[0] || null;
+      if (row?.person_group_id) {
+        await recordGroupMembership(client, {
+          selectionId: id,
+          previousGroupId: row.person_group_id,
+          source: 'delete'
+        });
+      }
+      return row;
+    });
     if (!deleted) {
       return {
         statusCode: 404,
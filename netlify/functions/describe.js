@@ -1,152 +1,12 @@
-const { Pool } = require('pg');
+const { getDatabasePool, ANALYSES_TABLE_NAME } = require('./shared/db.js');
+const { assertSchemaCurrent } = require('./shared/migrations.js');
+const { getVisionProvider } = require('./shared/vision-provider.js');
+const { getPrompt } = require('./shared/prompts/index.js');
+const { completeWithRepair } = require('./shared/output-repair.js');
+const { saveImageDataUrl } = require('./shared/image-store.js');
+const { convertToDate, buildLocationDocument } = require('./shared/geo.js');
 
-const DEFAULT_TABLE_NAME = 'portrait_analyses';
-const TABLE_ENV_KEY = 'ANALYSES_TABLE';
-
-function resolveTableName() {
-  const configured = process.env[TABLE_ENV_KEY];
-  if (!configured) {
-    return DEFAULT_TABLE_NAME;
-  }
-
-  const sanitized = configured.trim();
-  const isSafe = /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(sanitized);
-  if (!isSafe) {
-    console.warn(`Invalid ${TABLE_ENV_KEY} provided. Falling back to default.`, {
-      provided: configured
-    });
-    return DEFAULT_TABLE_NAME;
-  }
-
-  return sanitized;
-}
-
-const TABLE_NAME = resolveTableName();
-let poolInstance = null;
-let ensureTablePromise = null;
-
-function extractJsonContent(messageContent) {
-  if (typeof messageContent === 'string') {
-    const trimmed = messageContent.trim();
-    return trimmed.length ? trimmed : null;
-  }
-
-  if (Array.isArray(messageContent)) {
-    let structuredPayload = null;
-    const fragments = [];
-
-    for (const segment of messageContent) {
-      if (!segment || typeof segment !== 'object') {
-        continue;
-      }
-
-      if (
-        segment.type === 'output_json'
-        && segment.output_json
-        && typeof segment.output_json === 'object'
-      ) {
-        structuredPayload = segment.output_json;
-        break;
-      }
-
-      if (typeof segment.text === 'string') {
-        fragments.push(segment.text);
-        continue;
-      }
-
-      if (typeof segment.content === 'string') {
-        fragments.push(segment.content);
-        continue;
-      }
-
-      if (typeof segment.json === 'string') {
-        fragments.push(segment.json);
-        continue;
-      }
-
-      if (
-        segment.type === 'json'
-        && typeof segment.data === 'object'
-        && segment.data !== null
-      ) {
-        structuredPayload = segment.data;
-        break;
-      }
-    }
-
-    if (structuredPayload) {
-      return structuredPayload;
-    }
-
-    const joined = fragments.join('').trim();
-    return joined.length ? joined : null;
-  }
-
-  return null;
-}
-
-function parseJsonStringWithFallback(raw) {
-  if (typeof raw !== 'string') {
-    return { parsed: null, cleanup: 'non_string' };
-  }
-
-  const trimmed = raw.trim();
-  if (!trimmed.length) {
-    return { parsed: null, cleanup: 'empty_string' };
-  }
-
-  const attemptParse = (value, reason) => {
-    if (typeof value !== 'string') {
-      return null;
-    }
-    const candidate = value.trim();
-    if (!candidate.length) {
-      return null;
-    }
-    try {
-      return { parsed: JSON.parse(candidate), cleanup: reason };
-    } catch {
-      return null;
-    }
-  };
-
-  const direct = attemptParse(trimmed, null);
-  if (direct) {
-    return direct;
-  }
-
-  const fencedBlockMatch = trimmed.match(/^```(?:json)?\s*([\s\S]*?)```$/i);
-  if (fencedBlockMatch) {
-    const fenced = attemptParse(fencedBlockMatch[1], 'code_fence_block');
-    if (fenced) {
-      return fenced;
-    }
-  }
-
-  if (trimmed.startsWith('```')) {
-    const withoutFenceHeader = trimmed.replace(/^```(?:json)?\s*/i, '');
-    const closingFenceIndex = withoutFenceHeader.indexOf('```');
-    const insideFence = closingFenceIndex !== -1
-      ? withoutFenceHeader.slice(0, closingFenceIndex)
-      : withoutFenceHeader;
-    const strippedFence = attemptParse(insideFence, 'code_fence_stripped');
-    if (strippedFence) {
-      return strippedFence;
-    }
-  }
-
-  const firstBrace = trimmed.indexOf('{');
-  const lastBrace = trimmed.lastIndexOf('}');
-  if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-    const braceSlice = trimmed.slice(firstBrace, lastBrace + 1);
-    const braceParsed = attemptParse(braceSlice, 'brace_slice');
-    if (braceParsed) {
-      return braceParsed;
-    }
-  }
-
-  return { parsed: null, cleanup: 'unparseable' };
-}
+const TABLE_NAME = ANALYSES_TABLE_NAME;
 
 function estimateImageBytesFromDataUrl(dataUrl) {
   if (typeof dataUrl !== 'string') {
@@ -165,115 +25,6 @@ function estimateImageBytesFromDataUrl(dataUrl) {
   return Math.floor((base64Data.length * 3) / 4) - paddingLength;
 }
 
-function convertToDate(value) {
-  if (value === null || value === undefined) {
-    return null;
-  }
-
-  if (value instanceof Date) {
-    return Number.isNaN(value.getTime()) ? null : value;
-  }
-
-  if (typeof value === 'number' && Number.isFinite(value)) {
-    const fromNumber = new Date(value);
-    return Number.isNaN(fromNumber.getTime()) ? null : fromNumber;
-  }
-
-  if (typeof value === 'string') {
-    const parsed = Date.parse(value);
-    if (!Number.isNaN(parsed)) {
-      return new Date(parsed);
-    }
-  }
-
-  return null;
-}
-
-function buildLocationDocument(locationInput) {
-  if (!locationInput || typeof locationInput !== 'object') {
-    return null;
-  }
-
-  const status = typeof locationInput.status === 'string'
-    ? locationInput.status.toLowerCase()
-    : 'unknown';
-
-  const locationDoc = { status };
-
-  if (locationInput.error && typeof locationInput.error === 'string') {
-    locationDoc.error = locationInput.error;
-  }
-
-  const timestamp = convertToDate(locationInput.timestamp);
-  if (timestamp) {
-    locationDoc.timestamp = timestamp.toISOString();
-  }
-
-  if (locationInput.coords && typeof locationInput.coords === 'object') {
-    const {
-      latitude,
-      longitude,
-      accuracy,
-      altitude,
-      altitudeAccuracy,
-      heading,
-      speed
-    } = locationInput.coords;
-
-    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
-      locationDoc.coordinates = { latitude, longitude };
-    }
-    if (Number.isFinite(accuracy)) {
-      locationDoc.accuracy = accuracy;
-    }
-    if (Number.isFinite(altitude)) {
-      locationDoc.altitude = altitude;
-    }
-    if (Number.isFinite(altitudeAccuracy)) {
-      locationDoc.altitudeAccuracy = altitudeAccuracy;
-    }
-    if (Number.isFinite(heading)) {
-      locationDoc.heading = heading;
-    }
-    if (Number.isFinite(speed)) {
-      locationDoc.speed = speed;
-    }
-  }
-
-  return locationDoc;
-}
-
-function getDatabasePool() {
-  if (poolInstance) {
-    return poolInstance;
-  }
-
-  const rawConnectionString = (process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL)?.trim();
-
-  if (!rawConnectionString) {
-    console.error('DATABASE_URL or NETLIFY_DATABASE_URL environment variable is not set.');
-    return null;
-  }
-
-  const sslRequired = rawConnectionString.includes('sslmode=require');
-
-  poolInstance = new Pool({
-    connectionString: rawConnectionString,
-    ssl: sslRequired
-      ? { rejectUnauthorized: false }
-      : undefined
-  });
-
-  poolInstance.on('error', (dbError) => {
-    console.error('Unexpected database error on idle client.', {
-      message: dbError?.message,
-      stack: dbError?.stack
-    });
-  });
-
-  return poolInstance;
-}
-
 function ensureObject(value) {
   return value && typeof value === 'object' && !Array.isArray(value)
     ? value
@@ -424,45 +175,6 @@ function sanitizeDiscriminators(raw) {
   return discriminators;
 }
 
-async function ensureTableExists(pool) {
-  if (!pool) {
-    throw new Error('Database pool not initialized.');
-  }
-
-  if (ensureTablePromise) {
-    return ensureTablePromise;
-  }
-
-  const createAnalysesTableSql = `
-    CREATE TABLE IF NOT EXISTS ${TABLE_NAME} (
-      id BIGSERIAL PRIMARY KEY,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      captured_at TIMESTAMPTZ,
-      role TEXT,
-      status TEXT NOT NULL,
-      analysis JSONB NOT NULL,
-      discriminators JSONB,
-      reason TEXT,
-      image_data_url TEXT,
-      image_bytes_estimated INTEGER,
-      viewport_signature TEXT,
-      viewport JSONB,
-      location JSONB,
-      openai_request_id TEXT,
-      model TEXT,
-      request_meta JSONB
-    );
-  `;
-
-  ensureTablePromise = pool.query(createAnalysesTableSql)
-    .catch((error) => {
-      ensureTablePromise = null;
-      throw error;
-    });
-
-  return ensureTablePromise;
-}
-
 async function persistAnalysisRecord(recordInput, requestMeta) {
   const pool = getDatabasePool();
   if (!pool) {
@@ -470,9 +182,9 @@ async function persistAnalysisRecord(recordInput, requestMeta) {
   }
 
   try {
-    await ensureTableExists(pool);
+    await assertSchemaCurrent(pool);
   } catch (tableError) {
-    console.error('Failed to ensure analyses table exists.', {
+    console.error('Analyses schema check failed.', {
       message: tableError?.message,
       stack: tableError?.stack,
       tableName: TABLE_NAME
@@ -480,6 +192,19 @@ async function persistAnalysisRecord(recordInput, requestMeta) {
     throw tableError;
   }
 
+  let storedImage = null;
+  if (recordInput.imageDataUrl) {
+    try {
+      storedImage = await saveImageDataUrl(recordInput.imageDataUrl);
+    } catch (imageError) {
+      console.error('Failed to save analysis image to image store.', {
+        message: imageError?.message,
+        status: imageError?.status
+      });
+      throw imageError;
+    }
+  }
+
   const locationDoc = buildLocationDocument(recordInput.location);
   const capturedAtDate = convertToDate(recordInput.capturedAt);
   const viewportData = recordInput.viewport && typeof recordInput.viewport === 'object'
@@ -494,7 +219,7 @@ async function persistAnalysisRecord(recordInput, requestMeta) {
           analysis,
           discriminators,
           reason,
-          image_data_url,
+          image_key,
           image_bytes_estimated,
           viewport_signature,
           viewport,
@@ -502,9 +227,10 @@ async function persistAnalysisRecord(recordInput, requestMeta) {
           captured_at,
           openai_request_id,
           model,
-          request_meta
+          request_meta,
+          prompt_version
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
         RETURNING id;
       `,
       values: [
@@ -513,7 +239,7 @@ async function persistAnalysisRecord(recordInput, requestMeta) {
         JSON.stringify(recordInput.analysis),
         recordInput.discriminators ? JSON.stringify(recordInput.discriminators) : null,
         recordInput.reason || null,
-        recordInput.imageDataUrl,
+        storedImage ? storedImage.key : null,
         recordInput.imageBytesEstimated ?? estimateImageBytesFromDataUrl(recordInput.imageDataUrl),
         recordInput.signature || null,
         viewportData ? JSON.stringify(viewportData) : null,
@@ -521,7 +247,8 @@ async function persistAnalysisRecord(recordInput, requestMeta) {
         capturedAtDate || null,
         recordInput.openAiRequestId || null,
         recordInput.model || null,
-        requestMeta ? JSON.stringify(requestMeta) : null
+        requestMeta ? JSON.stringify(requestMeta) : null,
+        requestMeta?.promptVersion || null
       ]
   };
 
@@ -539,33 +266,6 @@ async function persistAnalysisRecord(recordInput, requestMeta) {
   }
 }
 
-const SYSTEM_PROMPT = [
-  'Return ONLY JSON with top-level fields {status, analysis, discriminators}.',
-  'status must be "ok", "unclear", or "error". When status is not "ok", omit analysis and discriminators.',
-  'If status is "ok", analysis must include:',
-  '  subject: gender, genderConfidence (0-1), ageRange, ageBucket, build, bodyType, heightCategory, skinTone, hair{color,length,style}, facialHair, eyewear, headwear, distinguishingFeatures[].',
-  '  appearance: dominantColors[], styleDescriptors[], patterns[].',
-  '  clothing: dominantColors[] plus objects top/bottom/outerwear/footwear each with category, colors[], pattern, style.',
-  '  accessories: buckets jewelry[], headwear[], eyewear[], handheld[], bags[], tech[], other[].',
-  '  carriedItems: array listing obvious handheld or worn items.',
-  '  environment: setting, background, lighting, crowdLevel.',
-  '  confidence: overall, gender, age, clothing, accessories as numbers between 0 and 1.',
-  'discriminators must contain hair, face, top, bottom, footwear, accessories, carried using concise hyphenated tokens (allow "+").',
-  'Use "unknown" or [] when uncertain. Do NOT include prose outside the JSON.'
-].join(' ');
-
-function buildUserPrompt(selectionInstruction) {
-  return [
-    'Analyze the framed person for re-identification metadata.',
-    'Fill every requested field even if approximate, using concise hyphenated tokens.',
-    'Report gender cues, age range, build, skin tone, hair details, eyewear/headwear, and distinguishing features.',
-    'Describe clothing (top/bottom/outerwear/footwear) with categories and dominant colours, and list overall outfit colours and patterns.',
-    'List accessories (jewelry, bags, tech, handheld items) and any carried objects.',
-    'Capture environment setting/background/lighting/crowd level plus confidence scores (0-1).',
-    selectionInstruction
-  ].join(' ');
-}
-
 exports.handler = async (event) => {
   if (event.httpMethod !== 'POST') {
     return {
@@ -628,9 +328,10 @@ exports.handler = async (event) => {
     tableName: TABLE_NAME
   };
 
-  requestMeta.promptVersion = 'v2-compact';
-  requestMeta.imageDetail = 'low';
-  requestMeta.maxTokens = 900;
+  const promptSpec = getPrompt('portrait-analysis');
+  requestMeta.promptVersion = promptSpec.version;
+  requestMeta.imageDetail = promptSpec.detail;
+  requestMeta.maxTokens = promptSpec.maxTokens;
 
   try {
     const databasePool = getDatabasePool();
@@ -651,11 +352,12 @@ exports.handler = async (event) => {
       };
     }
 
-    const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAIKEY;
-    if (!apiKey) {
+    const provider = getVisionProvider();
+    requestMeta.provider = provider.name;
+    if (!provider.isConfigured()) {
       return {
         statusCode: 500,
-        body: JSON.stringify({ error: 'OpenAI API key not configured' })
+        body: JSON.stringify({ error: `Vision provider "${provider.name}" not configured` })
       };
     }
 
@@ -666,49 +368,46 @@ exports.handler = async (event) => {
       : '';
     const selectionInstruction = `${selectionInstructionBase}${coordinateInstruction}`;
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: SYSTEM_PROMPT
+    let completion;
+    let parsed;
+    try {
+      const outcome = await completeWithRepair(provider, 'describeImage', {
+        task: 'portrait-analysis',
+        responseSchemaName: 'portrait-analysis',
+        promptVersion: promptSpec.version,
+        systemPrompt: promptSpec.systemPrompt,
+        prompt: promptSpec.buildPrompt(selectionInstruction),
+        imageDataUrl: image,
+        detail: promptSpec.detail,
+        maxTokens: promptSpec.maxTokens,
+        temperature: promptSpec.temperature
+      });
+      completion = outcome.completion;
+      parsed = outcome.value;
+      requestMeta.repaired = outcome.repaired;
+      requestMeta.cleanupReason = outcome.cleanup;
+    } catch (providerError) {
+      if (providerError?.code === 'OUTPUT_INVALID') {
+        console.error('AI response failed schema validation after repair.', {
+          ...providerError.toJSON(),
+          requestMeta
+        });
+        return {
+          statusCode: 502,
+          headers: {
+            'Content-Type': 'application/json'
           },
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: buildUserPrompt(selectionInstruction)
-              },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: image,
-                  detail: 'low'
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 900,
-        response_format: { type: 'json_object' },
-        temperature: 0.1
-      })
-    });
-
-    const openAiRequestId = response.headers.get('x-request-id')
-      || response.headers.get('openai-request-id')
-      || null;
-    requestMeta.openAiRequestId = openAiRequestId;
+          body: JSON.stringify({
+            error: 'AI response failed schema validation',
+            details: providerError.toJSON()
+          })
+        };
+      }
+      if (!providerError?.status) {
+        throw providerError;
+      }
 
-    if (!response.ok) {
-      const errorText = await response.text();
+      const errorText = typeof providerError.body === 'string' ? providerError.body : '';
       let openAiResponse;
 
       try {
@@ -718,11 +417,13 @@ exports.handler = async (event) => {
       }
 
       const openAiError = openAiResponse?.error;
+      requestMeta.openAiRequestId = providerError.requestId || null;
 
       const errorDetails = {
-        status: response.status,
-        statusText: response.statusText,
-        requestId: openAiRequestId,
+        status: providerError.status,
+        statusText: providerError.statusText || null,
+        requestId: providerError.requestId || null,
+        provider: provider.name,
         openAiMessage: openAiError?.message ?? null,
         openAiType: openAiError?.type ?? null,
         openAiCode: openAiError?.code ?? null,
@@ -730,201 +431,43 @@ exports.handler = async (event) => {
         requestMeta
       };
 
-      console.error('OpenAI API error:', {
+      console.error('Vision provider API error:', {
         ...errorDetails,
-        rawResponseBodySnippet: typeof errorText === 'string' ? errorText.slice(0, 500) : null
+        rawResponseBodySnippet: errorText.slice(0, 500)
       });
 
       return {
-        statusCode: response.status,
+        statusCode: providerError.status,
         headers: {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          error: 'OpenAI API request failed',
+          error: 'Vision provider request failed',
           details: {
             ...errorDetails,
-            rawResponseBodySnippet: typeof errorText === 'string'
-              ? errorText.slice(0, 500)
-              : null
+            rawResponseBodySnippet: errorText.slice(0, 500)
           }
         })
       };
-      }
-
-      const data = await response.json();
-      const firstChoice = data.choices?.[0] ?? null;
-      const message = firstChoice?.message ?? null;
-      const finishReason = firstChoice?.finish_reason ?? null;
-      const finishReasonNormalized = typeof finishReason === 'string'
-        ? finishReason.trim().toLowerCase()
-        : null;
-      let parsed = null;
-      let normalizedContent = null;
-
-      if (
-        message
-        && typeof message.parsed === 'object'
-        && message.parsed !== null
-        && !Array.isArray(message.parsed)
-      ) {
-        parsed = message.parsed;
-        console.log('AI response provided parsed JSON payload.', {
-          requestId: openAiRequestId,
-          keys: Object.keys(parsed),
-          finishReason: finishReasonNormalized,
-          requestMeta
-        });
-        if (finishReasonNormalized === 'length') {
-          console.error('AI response truncated before delivering full JSON payload.', {
-            requestId: openAiRequestId,
-            finishReason: finishReasonNormalized,
-            partialKeys: Object.keys(parsed),
-            requestMeta
-          });
-          return {
-            statusCode: 500,
-            body: JSON.stringify({
-              error: 'AI response truncated before completion',
-              finishReason: finishReasonNormalized
-            })
-          };
-        }
-      } else {
-        const messageContent = message?.content;
-        normalizedContent = extractJsonContent(messageContent);
-
-        if (normalizedContent == null) {
-          console.error('AI response missing JSON content.', {
-            rawMessageContent: messageContent,
-            finishReason: finishReasonNormalized,
-            requestMeta
-          });
-          return {
-            statusCode: 500,
-            body: JSON.stringify({
-              error: finishReasonNormalized === 'length'
-                ? 'AI response truncated before completion'
-                : 'AI response missing JSON payload',
-              finishReason: finishReasonNormalized
-            })
-          };
-        }
-
-        if (normalizedContent && typeof normalizedContent === 'object') {
-          console.log('AI response provided structured JSON payload after normalization.', {
-            requestId: openAiRequestId,
-            keys: Object.keys(normalizedContent),
-            finishReason: finishReasonNormalized,
-            requestMeta
-          });
-          if (finishReasonNormalized === 'length') {
-            console.error('AI response truncated before delivering full JSON payload.', {
-              requestId: openAiRequestId,
-              finishReason: finishReasonNormalized,
-              partialKeys: Object.keys(normalizedContent),
-              requestMeta
-            });
-            return {
-              statusCode: 500,
-              body: JSON.stringify({
-                error: 'AI response truncated before completion',
-                finishReason: finishReasonNormalized
-              })
-            };
-          }
-        }
-
-        if (typeof normalizedContent === 'string') {
-          const parseOutcome = parseJsonStringWithFallback(normalizedContent);
-          parsed = parseOutcome.parsed;
-          if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
-            console.error('Failed to parse AI response as JSON.', {
-              parseError: 'Parsed content is not a JSON object',
-              cleanupReason: parseOutcome.cleanup,
-              rawContentSnippet: normalizedContent.slice(0, 500),
-              finishReason: finishReasonNormalized,
-              requestMeta
-            });
-            return {
-              statusCode: 500,
-              body: JSON.stringify({
-                error: finishReasonNormalized === 'length'
-                  ? 'AI response truncated before completion'
-                  : 'AI response JSON parse failed',
-                cleanupReason: parseOutcome.cleanup,
-                finishReason: finishReasonNormalized
-              })
-            };
-          }
-          if (parseOutcome.cleanup) {
-            console.warn('AI response JSON required cleanup before parsing.', {
-              cleanupReason: parseOutcome.cleanup,
-              finishReason: finishReasonNormalized,
-              requestMeta
-            });
-          }
-          if (finishReasonNormalized === 'length') {
-            console.error('AI response truncated before delivering full JSON payload.', {
-              requestId: openAiRequestId,
-              finishReason: finishReasonNormalized,
-              partialKeys: Object.keys(parsed),
-              requestMeta
-            });
-            return {
-              statusCode: 500,
-              body: JSON.stringify({
-                error: 'AI response truncated before completion',
-                finishReason: finishReasonNormalized
-              })
-            };
-          }
-        } else if (normalizedContent && typeof normalizedContent === 'object' && !Array.isArray(normalizedContent)) {
-          parsed = normalizedContent;
-          if (finishReasonNormalized === 'length') {
-            console.error('AI response truncated before delivering full JSON payload.', {
-              requestId: openAiRequestId,
-              finishReason: finishReasonNormalized,
-              partialKeys: Object.keys(parsed),
-              requestMeta
-            });
-            return {
-              statusCode: 500,
-              body: JSON.stringify({
-                error: 'AI response truncated before completion',
-                finishReason: finishReasonNormalized
-              })
-            };
-          }
-        } else {
-          console.error('AI response contained unusable JSON payload.', {
-            rawMessageContent: messageContent,
-            finishReason: finishReasonNormalized,
-            requestMeta
-          });
-          return {
-            statusCode: 500,
-            body: JSON.stringify({
-              error: finishReasonNormalized === 'length'
-                ? 'AI response truncated before completion'
-                : 'AI response format invalid',
-              finishReason: finishReasonNormalized
-            })
-          };
-        }
-      }
-
-    const status = typeof parsed?.status === 'string' ? parsed.status.trim().toLowerCase() : null;
-    const analysisDoc = sanitizeAnalysisDoc(parsed?.analysis);
-    const discriminators = sanitizeDiscriminators(parsed?.discriminators);
+    }
 
-    if (status !== 'ok' && status !== 'unclear' && status !== 'error') {
-      return {
-        statusCode: 500,
-        body: JSON.stringify({ error: 'AI response missing valid status' })
-      };
+    const openAiRequestId = completion.requestId || null;
+    requestMeta.openAiRequestId = openAiRequestId;
+    requestMeta.model = completion.model || provider.model;
+    requestMeta.cacheHit = Boolean(completion.cache?.hit);
+    // "json_schema" when the provider constrained the answer, "json_object" when
+    // only lenient parsing stood between the model and the schema check.
+    requestMeta.responseFormat = completion.responseFormat || null;
+    if (completion.structuredOutputsRejected) {
+      requestMeta.structuredOutputsRejected = true;
     }
 
+    // The answer already passed the portrait-analysis schema; sanitizing only
+    // normalizes casing, de-duplicates lists and clamps confidences.
+    const status = parsed.status;
+    const analysisDoc = sanitizeAnalysisDoc(parsed.analysis);
+    const discriminators = sanitizeDiscriminators(parsed.discriminators);
+
     if (status === 'ok' && !analysisDoc) {
       return {
         statusCode: 500,
@@ -958,7 +501,7 @@ exports.handler = async (event) => {
       reason,
       viewport,
       openAiRequestId,
-      model: 'gpt-4o-mini'
+      model: requestMeta.model
     };
 
     let recordId = null;
@@ -986,7 +529,8 @@ exports.handler = async (event) => {
         status,
         analysis: analysisDoc,
         discriminators,
-        recordId
+        recordId,
+        cache: completion.cache || null
       })
     };
   } catch (error) {
@@ -0,0 +1,76 @@
+const { getVisionProvider } = require('./shared/vision-provider.js');
+const { detectPeople } = require('./shared/person-detection.js');
+
+// Returns a normalized bounding box for every person in a full photo, so the
+// single page can save each of them as a separate selection.
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'Invalid JSON body.' })
+    };
+  }
+
+  const imageDataUrl = typeof payload?.imageDataUrl === 'string' ? payload.imageDataUrl : '';
+  if (!imageDataUrl.startsWith('data:image/')) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'An "imageDataUrl" with an image data URL is required.' })
+    };
+  }
+
+  const provider = getVisionProvider();
+  if (!provider.isConfigured()) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: `Vision provider "${provider.name}" not configured` })
+    };
+  }
+
+  try {
+    const result = await detectPeople(provider, imageDataUrl);
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        status: 'ok',
+        ...result
+      })
+    };
+  } catch (error) {
+    if (error?.code === 'OUTPUT_INVALID') {
+      console.error('Person detection answer failed validation:', error.toJSON());
+      return {
+        statusCode: 502,
+        body: JSON.stringify({
+          error: 'Person detection answer did not match the expected structure, even after a repair attempt.',
+          details: error.toJSON()
+        })
+      };
+    }
+    console.error('Person detection error:', {
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'Person detection failed',
+        details: error?.message
+      })
+    };
+  }
+};
@@ -1,98 +1,8 @@
-const { Pool } = require('pg');
+const { getDatabasePool, ANALYSES_TABLE_NAME } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const { buildRowImageFields } = require('./shared/image-store.js');
 
-const DEFAULT_TABLE_NAME = 'portrait_analyses';
-const TABLE_ENV_KEY = 'ANALYSES_TABLE';
-
-function resolveTableName() {
-  const configured = process.env[TABLE_ENV_KEY];
-  if (!configured) {
-    return DEFAULT_TABLE_NAME;
-  }
-
-  const sanitized = configured.trim();
-  const isSafe = /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(sanitized);
-  if (!isSafe) {
-    console.warn(`Invalid ${TABLE_ENV_KEY} provided. Using default.`, {
-      provided: configured
-    });
-    return DEFAULT_TABLE_NAME;
-  }
-
-  return sanitized;
-}
-
-const TABLE_NAME = resolveTableName();
-let poolInstance = null;
-let ensureTablesPromise = null;
-
-function getDatabasePool() {
-  if (poolInstance) {
-    return poolInstance;
-  }
-
-  const rawConnectionString = (process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL)?.trim();
-
-  if (!rawConnectionString) {
-    console.error('DATABASE_URL or NETLIFY_DATABASE_URL environment variable is not set.');
-    return null;
-  }
-
-  const sslRequired = rawConnectionString.includes('sslmode=require');
-
-  poolInstance = new Pool({
-    connectionString: rawConnectionString,
-    ssl: sslRequired
-      ? { rejectUnauthorized: false }
-      : undefined
-  });
-
-  poolInstance.on('error', (dbError) => {
-    console.error('Unexpected database error on idle client.', {
-      message: dbError?.message,
-      stack: dbError?.stack
-    });
-  });
-
-  return poolInstance;
-}
-
-async function ensureTables(pool) {
-  if (!pool) {
-    throw new Error('Database pool not initialized.');
-  }
-
-  if (ensureTablesPromise) {
-    return ensureTablesPromise;
-  }
-
-  const createAnalysesSql = `
-    CREATE TABLE IF NOT EXISTS ${TABLE_NAME} (
-      id BIGSERIAL PRIMARY KEY,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      captured_at TIMESTAMPTZ,
-      role TEXT,
-      status TEXT NOT NULL,
-      analysis JSONB NOT NULL,
-      discriminators JSONB,
-      reason TEXT,
-      image_data_url TEXT,
-      image_bytes_estimated INTEGER,
-      viewport_signature TEXT,
-      viewport JSONB,
-      location JSONB,
-      openai_request_id TEXT,
-      model TEXT,
-      request_meta JSONB
-    );
-  `;
-  ensureTablesPromise = pool.query(createAnalysesSql)
-    .catch((error) => {
-      ensureTablesPromise = null;
-      throw error;
-    });
-
-  return ensureTablesPromise;
-}
+const TABLE_NAME = ANALYSES_TABLE_NAME;
 
 function parseJsonColumn(value) {
   if (!value) {
@@ -130,19 +40,13 @@ exports.handler = async (event) => {
   }
 
   try {
-    await ensureTables(pool);
+    await assertSchemaCurrent(pool);
   } catch (tableError) {
-    console.error('Failed to ensure required tables exist:', {
+    console.error('Analyses schema check failed:', {
       message: tableError?.message,
       stack: tableError?.stack
     });
-    return {
-      statusCode: 500,
-      body: JSON.stringify({
-        error: 'Failed to prepare database tables',
-        details: tableError?.message || 'Unknown error'
-      })
-    };
+    return buildSchemaErrorResponse(tableError, 'Failed to prepare database tables');
   }
 
   const params = event.queryStringParameters || {};
@@ -160,9 +64,12 @@ exports.handler = async (event) => {
       a.status,
       a.analysis,
       a.discriminators,
-      a.image_data_url,
+      a.image_key,
+      a.thumbnail_key,
+      CASE WHEN a.image_key IS NULL THEN a.image_data_url END AS image_data_url,
       a.location,
-      a.viewport_signature
+      a.viewport_signature,
+      a.prompt_version
     FROM ${TABLE_NAME} a
     WHERE 1=1
   `;
@@ -197,9 +104,10 @@ exports.handler = async (event) => {
       status: row.status,
       analysis: parseJsonColumn(row.analysis) || {},
       discriminators: parseJsonColumn(row.discriminators) || {},
-      imageDataUrl: row.image_data_url,
+      ...buildRowImageFields(row),
       location: parseJsonColumn(row.location),
-      signature: row.viewport_signature
+      signature: row.viewport_signature,
+      promptVersion: row.prompt_version || null
     }));
 
     const countQuery = `
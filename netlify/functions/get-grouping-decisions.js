@@ -0,0 +1,62 @@
+const { getDatabasePool } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const { loadGroupingDecisions } = require('./shared/grouping-decisions.js');
+
+// GET ?selectionId=<id>&limit=<n>. A selection's grouping decision history, newest
+// first: what triggered each evaluation, its inputs, shortlist, vision comparisons,
+// thresholds and versions, and where the photo ended up. History is kept after the
+// selection is deleted, so an unknown id simply has no decisions.
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Database not configured.' })
+    };
+  }
+
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    console.error('Grouping decisions schema check failed before history lookup:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare grouping decision storage.');
+  }
+
+  const params = event.queryStringParameters || {};
+  const selectionId = Number.isFinite(Number(params.selectionId)) ? Number(params.selectionId) : null;
+  if (!selectionId || selectionId <= 0) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'A valid numeric "selectionId" query parameter is required.' })
+    };
+  }
+
+  try {
+    const decisions = await loadGroupingDecisions(pool, selectionId, {
+      limit: parseInt(params.limit, 10)
+    });
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ selectionId, decisions })
+    };
+  } catch (error) {
+    console.error('Failed to load grouping decisions:', {
+      selectionId,
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to load grouping decisions for this selection.' })
+    };
+  }
+};
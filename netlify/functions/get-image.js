@@ -0,0 +1,54 @@
+const {
+  getImageStore,
+  isValidImageKey
+} = require('./shared/image-store.js');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const key = event.queryStringParameters?.key || '';
+  if (!isValidImageKey(key)) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'A valid image "key" is required.' })
+    };
+  }
+
+  let object;
+  try {
+    object = await getImageStore().get(key);
+  } catch (error) {
+    console.error('Failed to read image from image store:', {
+      key,
+      message: error?.message,
+      status: error?.status
+    });
+    return {
+      statusCode: 502,
+      body: JSON.stringify({ error: 'Failed to load image.' })
+    };
+  }
+
+  if (!object) {
+    return {
+      statusCode: 404,
+      body: JSON.stringify({ error: 'Image not found.' })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': object.contentType,
+      // Keys are content hashes, so a given URL never changes.
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    },
+    body: object.body.toString('base64'),
+    isBase64Encoded: true
+  };
+};
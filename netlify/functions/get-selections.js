@@ -1,8 +1,9 @@
 const {
   getDatabasePool,
-  ensureCameraSelectionsTable,
   CAMERA_SELECTIONS_TABLE_NAME
 } = require('./shared/db.js');
+const { buildRowImageFields } = require('./shared/image-store.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'GET') {
@@ -21,13 +22,10 @@ exports.handler = async (event) => {
   }
 
   try {
-    await ensureCameraSelectionsTable(pool);
+    await assertSchemaCurrent(pool);
   } catch (error) {
-    console.error('Failed to ensure camera selections table:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to prepare storage.' })
-    };
+    console.error('Camera selections schema check failed:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare storage.');
   }
 
   const limit = Math.min(Math.max(parseInt(event.queryStringParameters?.limit, 10) || 50, 1), 200);
@@ -36,7 +34,8 @@ exports.handler = async (event) => {
   try {
     const listQuery = {
       text: `
-        SELECT id, created_at, captured_at, role, image_data_url
+        SELECT id, created_at, captured_at, role, image_key, thumbnail_key,
+               CASE WHEN image_key IS NULL THEN image_data_url END AS image_data_url
         FROM ${CAMERA_SELECTIONS_TABLE_NAME}
         ORDER BY created_at DESC
         LIMIT $1 OFFSET $2
@@ -53,7 +52,7 @@ exports.handler = async (event) => {
       createdAt: row.created_at,
       capturedAt: row.captured_at,
       role: row.role,
-      imageDataUrl: row.image_data_url
+      ...buildRowImageFields(row)
     }));
 
     return {
@@ -1,15 +1,79 @@
 const {
   getDatabasePool,
-  ensureSingleCameraSelectionsTable,
   SINGLE_CAMERA_SELECTIONS_TABLE_NAME
 } = require('./shared/db.js');
-const {
-  // Reuse deterministic scoring so neighbors align with grouping behavior.
-  // Not exported directly, but we can use evaluateDescriptionGrouping with
-  // a thin wrapper that exposes full scored groups by re-running the scoring
-  // logic in a controlled way if needed in future.
-  evaluateDescriptionGrouping
-} = require('./shared/single-description.js');
+const { buildImageUrl } = require('./shared/image-store.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const { scoreGroupCandidates, STABLE_TRAIT_THRESHOLD } = require('./shared/single-description.js');
+const { loadGroupCandidates } = require('./shared/person-group.js');
+
+// GET ?id=<selection id>&limit=<n>. Scores the selection's description against
+// every active group (its own group without it) with the same per-group scoring
+// grouping uses, and returns the top `limit` groups with the full breakdown: one
+// row per trait with both values, weight and verdict, plus the fatal reason for
+// incompatible groups, a thumbnail and when the group was last seen.
+
+const DEFAULT_NEIGHBOR_LIMIT = 5;
+const MAX_NEIGHBOR_LIMIT = 20;
+
+function parseLimit(raw) {
+  const limit = parseInt(raw, 10);
+  if (!Number.isFinite(limit) || limit <= 0) {
+    return DEFAULT_NEIGHBOR_LIMIT;
+  }
+  return Math.min(limit, MAX_NEIGHBOR_LIMIT);
+}
+
+async function loadLastSeen(pool, groupIds, excludeSelectionId) {
+  if (!groupIds.length) {
+    return new Map();
+  }
+  const result = await pool.query(
+    `
+      SELECT person_group_id, MAX(COALESCE(captured_at, created_at)) AS last_seen_at
+      FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+      WHERE person_group_id = ANY($1::bigint[])
+        AND id <> $2
+      GROUP BY person_group_id
+    `,
+    [groupIds, excludeSelectionId]
+  );
+  return new Map((result.rows || []).map((row) => [String(row.person_group_id), row.last_seen_at]));
+}
+
+function buildNeighbor(candidate, group, lastSeenAt, currentGroupId) {
+  const imageUrl = buildImageUrl(group?.representativeImageKey);
+  return {
+    personGroupId: candidate.groupId,
+    label: group?.group_label || null,
+    memberCount: candidate.memberCount,
+    isCurrentGroup: currentGroupId !== null && String(candidate.groupId) === String(currentGroupId),
+    compatible: candidate.compatible,
+    fatal: candidate.compatible ? null : { reason: candidate.reason, details: candidate.details || null },
+    passesThreshold: candidate.passesThreshold,
+    score: candidate.compatible ? Math.round(candidate.matchRatio * 100) : null,
+    traitScore: candidate.compatible ? Math.round(candidate.traitMatchRatio * 100) : null,
+    coverage: candidate.compatible ? candidate.coverage : null,
+    traits: (candidate.traits || []).map((row) => ({
+      trait: row.trait,
+      field: row.field,
+      weight: Math.round(row.weight * 100) / 100,
+      selectionValue: row.first,
+      groupValue: row.second,
+      credit: row.credit,
+      verdict: row.verdict
+    })),
+    evidence: candidate.evidence || [],
+    priors: candidate.priors || null,
+    explanation: candidate.explanation,
+    representativeSelectionId: group?.representativeSelectionId || null,
+    imageUrl,
+    thumbnailUrl: buildImageUrl(group?.representativeThumbnailKey) || imageUrl,
+    imageDataUrl: imageUrl ? null : (group?.representativeImage || null),
+    capturedAt: group?.representativeCapturedAt || null,
+    lastSeenAt: lastSeenAt || null
+  };
+}
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'GET') {
@@ -28,28 +92,27 @@ exports.handler = async (event) => {
   }
 
   try {
-    await ensureSingleCameraSelectionsTable(pool);
+    await assertSchemaCurrent(pool);
   } catch (error) {
-    console.error('Failed to ensure single camera selections table before neighbors lookup:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to prepare single selection storage.' })
-    };
+    console.error('Single camera selections schema check failed before neighbors lookup:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
   }
 
-  const idRaw = event.queryStringParameters && event.queryStringParameters.id;
-  const id = Number.isFinite(Number(idRaw)) ? Number(idRaw) : null;
+  const params = event.queryStringParameters || {};
+  const id = Number.isFinite(Number(params.id)) ? Number(params.id) : null;
   if (!id || id <= 0) {
     return {
       statusCode: 400,
       body: JSON.stringify({ error: 'A valid numeric "id" query parameter is required.' })
     };
   }
+  const limit = parseLimit(params.limit);
 
   try {
     const baseResult = await pool.query(
       `
-        SELECT id, description_json
+        SELECT id, description_json, person_group_id, location,
+               COALESCE(captured_at, created_at) AS seen_at
         FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
         WHERE id = $1
       `,
@@ -73,116 +136,33 @@ exports.handler = async (event) => {
       };
     }
 
-    const baseSchema = baseRow.description_json;
-
-    const groupsResult = await pool.query(
-      `
-        SELECT id,
-               person_group_id,
-               description_json,
-               image_data_url,
-               created_at,
-               captured_at
-        FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-        WHERE description_json IS NOT NULL
-          AND person_group_id IS NOT NULL
-          AND id <> $1
-      `,
-      [id]
+    const capturedAt = baseRow.seen_at ? new Date(baseRow.seen_at).toISOString() : null;
+    const { groups } = await loadGroupCandidates(pool, { excludeSelectionId: id, capturedAt });
+    const candidates = scoreGroupCandidates(
+      baseRow.description_json,
+      groups,
+      capturedAt ? { capturedAt, location: baseRow.location } : null
     );
+    const top = candidates.slice(0, limit);
 
-    const rows = groupsResult.rows || [];
-    if (!rows.length) {
-      return {
-        statusCode: 200,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          baseSelectionId: id,
-          neighbors: []
-        })
-      };
-    }
-
-    // Build canonical entry per group (first row encountered) and member counts.
-    const canonicals = new Map();
-    const memberCounts = new Map();
-
-    for (const row of rows) {
-      const groupId = row.person_group_id;
-      if (!groupId || !row.description_json) continue;
-      const key = String(groupId);
-      memberCounts.set(key, (memberCounts.get(key) || 0) + 1);
-      if (!canonicals.has(key)) {
-        canonicals.set(key, {
-          personGroupId: groupId,
-          descriptionSchema: row.description_json,
-          imageDataUrl: row.image_data_url,
-          createdAt: row.created_at,
-          capturedAt: row.captured_at
-        });
-      }
-    }
-
-    const groupList = [];
-    for (const [key, canonical] of canonicals.entries()) {
-      const count = memberCounts.get(key) || 1;
-      groupList.push({
-        group_id: canonical.personGroupId,
-        group_canonical: canonical.descriptionSchema,
-        group_member_count: count
-      });
-    }
-
-    if (!groupList.length) {
-      return {
-        statusCode: 200,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          baseSelectionId: id,
-          neighbors: []
-        })
-      };
-    }
-
-    // Use evaluateDescriptionGrouping's deterministic scoring logic by
-    // calling it per-group to obtain scores and explanations.
-    const scored = [];
-    for (const group of groupList) {
-      const res = await evaluateDescriptionGrouping(baseSchema, [group]);
-      const score = Number(res.bestGroupProbability) || 0;
-      const explanation = typeof res.explanation === 'string' ? res.explanation : '';
-      const groupId = group.group_id;
-      if (!groupId) continue;
-      scored.push({
-        groupId,
-        score,
-        explanation
-      });
-    }
-
-    scored.sort((a, b) => b.score - a.score);
-
-    const top = scored.filter((g) => g.score > 0).slice(0, 3);
-
-    const neighbors = top.map((entry) => {
-      const key = String(entry.groupId);
-      const canonical = canonicals.get(key);
-      return {
-        personGroupId: entry.groupId,
-        score: entry.score,
-        explanation: entry.explanation,
-        imageDataUrl: canonical ? canonical.imageDataUrl : null,
-        createdAt: canonical ? canonical.createdAt : null,
-        capturedAt: canonical ? canonical.capturedAt : null
-      };
-    });
+    const groupsById = new Map(groups.map((group) => [String(group.group_id), group]));
+    const lastSeen = await loadLastSeen(pool, top.map((candidate) => candidate.groupId), id);
+    const currentGroupId = baseRow.person_group_id ?? null;
 
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         baseSelectionId: id,
-        neighbors
+        personGroupId: currentGroupId,
+        requiredScore: Math.round(STABLE_TRAIT_THRESHOLD * 100),
+        groupsScored: candidates.length,
+        neighbors: top.map((candidate) => buildNeighbor(
+          candidate,
+          groupsById.get(String(candidate.groupId)),
+          lastSeen.get(String(candidate.groupId)),
+          currentGroupId
+        ))
       })
     };
   } catch (error) {
@@ -197,6 +177,3 @@ exports.handler = async (event) => {
     };
   }
 };
-
-
-
@@ -1,10 +1,9 @@
 const {
   getDatabasePool,
-  ensureSingleCameraSelectionsTable,
   SINGLE_CAMERA_SELECTIONS_TABLE_NAME
 } = require('./shared/db.js');
-const { unpackExplanationWithDetails } = require('./shared/grouping-explanation.js');
-const { computeSchemaClarity } = require('./shared/single-description.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const { SELECTION_COLUMNS, mapSelectionRow } = require('./shared/selection-search.js');
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'GET') {
@@ -23,13 +22,10 @@ exports.handler = async (event) => {
   }
 
   try {
-    await ensureSingleCameraSelectionsTable(pool);
+    await assertSchemaCurrent(pool);
   } catch (error) {
-    console.error('Failed to ensure single camera selections table:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to prepare single selection storage.' })
-    };
+    console.error('Single camera selections schema check failed:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
   }
 
   const limit = Math.min(Math.max(parseInt(event.queryStringParameters?.limit, 10) || 50, 1), 200);
@@ -38,16 +34,7 @@ exports.handler = async (event) => {
   try {
     const listQuery = {
       text: `
-        SELECT id,
-               created_at,
-               captured_at,
-               role,
-               image_data_url,
-               description,
-               description_json,
-               person_group_id,
-               grouping_probability,
-               grouping_explanation
+        SELECT ${SELECTION_COLUMNS}
         FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
         ORDER BY created_at DESC
         LIMIT $1 OFFSET $2
@@ -59,39 +46,7 @@ exports.handler = async (event) => {
     const countResult = await pool.query(`SELECT COUNT(*) AS total FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}`);
     const total = parseInt(countResult.rows?.[0]?.total ?? 0, 10);
 
-    const selections = result.rows.map((row) => {
-      const unpacked = unpackExplanationWithDetails(row.grouping_explanation || '');
-      let details = unpacked.details && typeof unpacked.details === 'object'
-        ? unpacked.details
-        : null;
-      let bestCandidate = null;
-      if (details && typeof details === 'object' && details.bestCandidate) {
-        bestCandidate = details.bestCandidate;
-        delete details.bestCandidate;
-      }
-      const descriptionSchema = row.description_json || null;
-      const descriptionClarity = descriptionSchema
-        ? computeSchemaClarity(descriptionSchema)
-        : null;
-
-      return {
-        id: row.id,
-        createdAt: row.created_at,
-        capturedAt: row.captured_at,
-        role: row.role,
-        imageDataUrl: row.image_data_url,
-        description: row.description || null,
-        descriptionSchema,
-        descriptionClarity,
-        personGroupId: row.person_group_id || null,
-        groupingProbability: Number.isFinite(Number(row.grouping_probability))
-          ? Number(row.grouping_probability)
-          : null,
-        groupingExplanation: unpacked.explanation || null,
-        groupingExplanationDetails: details,
-        bestCandidate
-      };
-    });
+    const selections = result.rows.map(mapSelectionRow);
 
     return {
       statusCode: 200,
@@ -0,0 +1,54 @@
+const { getDatabasePool } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const {
+  loadFeedbackPairs,
+  buildThresholdReport,
+  MIN_SAMPLES_PER_VERDICT
+} = require('./shared/grouping-feedback.js');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Database not configured.' })
+    };
+  }
+
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    console.error('Grouping feedback schema check failed before report:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare grouping feedback storage.');
+  }
+
+  const minSamples = Math.min(
+    Math.max(parseInt(event.queryStringParameters?.minSamples, 10) || MIN_SAMPLES_PER_VERDICT, 1),
+    1000
+  );
+
+  try {
+    const pairs = await loadFeedbackPairs(pool);
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildThresholdReport(pairs, { minSamples }))
+    };
+  } catch (error) {
+    console.error('Failed to build threshold recommendations:', {
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to build threshold recommendations.' })
+    };
+  }
+};
@@ -0,0 +1,139 @@
+const { getDatabasePool } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const {
+  createImportJob,
+  addImportJobItem,
+  processImportJob,
+  loadImportJob,
+  listImportJobs,
+  cancelImportJob,
+  retryFailedImportItems,
+  IMPORT_JOB_ERROR_STATUS
+} = require('./shared/import-jobs.js');
+
+const ACTIONS = ['create', 'add-item', 'process', 'cancel', 'retry-failed'];
+
+function parseJobId(value) {
+  const jobId = Number(value);
+  return Number.isInteger(jobId) && jobId > 0 ? jobId : null;
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+async function handleGet(pool, event) {
+  const jobId = parseJobId(event.queryStringParameters?.jobId);
+  if (jobId) {
+    return loadImportJob(pool, jobId);
+  }
+  return { jobs: await listImportJobs(pool) };
+}
+
+async function handlePost(pool, payload) {
+  if (payload.action === 'create') {
+    return createImportJob(pool, {
+      files: payload.files,
+      visionEnabled: payload.visionEnabled !== false
+    });
+  }
+  const jobId = parseJobId(payload.jobId);
+  if (!jobId) {
+    throw badRequest('Numeric "jobId" is required.');
+  }
+  if (payload.action === 'add-item') {
+    const position = Number(payload.position);
+    if (!Number.isInteger(position) || position < 0) {
+      throw badRequest('Integer "position" is required.');
+    }
+    if (typeof payload.imageDataUrl !== 'string' || !payload.imageDataUrl.startsWith('data:image/')) {
+      throw badRequest('imageDataUrl must be a valid data URL.');
+    }
+    return {
+      item: await addImportJobItem(pool, jobId, {
+        position,
+        imageDataUrl: payload.imageDataUrl,
+        thumbnailDataUrl: payload.thumbnailDataUrl,
+        capturedAt: payload.capturedAt,
+        location: payload.location
+      })
+    };
+  }
+  if (payload.action === 'process') {
+    return processImportJob(pool, jobId);
+  }
+  if (payload.action === 'cancel') {
+    return cancelImportJob(pool, jobId);
+  }
+  return retryFailedImportItems(pool, jobId);
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Database not configured.' })
+    };
+  }
+
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    console.error('Import jobs schema check failed:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare import job storage.');
+  }
+
+  let payload = null;
+  if (event.httpMethod === 'POST') {
+    try {
+      payload = JSON.parse(event.body || '{}');
+    } catch {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Invalid JSON body.' })
+      };
+    }
+    if (!ACTIONS.includes(payload?.action)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `"action" must be one of: ${ACTIONS.join(', ')}.` })
+      };
+    }
+  }
+
+  try {
+    const result = payload ? await handlePost(pool, payload) : await handleGet(pool, event);
+    return {
+      statusCode: payload?.action === 'create' ? 201 : 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    const statusCode = error?.statusCode || IMPORT_JOB_ERROR_STATUS[error?.code];
+    if (statusCode) {
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message, code: error.code })
+      };
+    }
+    console.error('Import job request failed:', {
+      action: payload?.action || 'get',
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Import job request failed.' })
+    };
+  }
+};
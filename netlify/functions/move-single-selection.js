@@ -0,0 +1,80 @@
+const {
+  getDatabasePool,
+  withTransaction
+} = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const { moveSelectionToGroup, GROUP_OPERATION_STATUS } = require('./shared/person-group.js');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Database not configured.' })
+    };
+  }
+
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    console.error('Single camera selections schema check failed before move:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'Invalid JSON body.' })
+    };
+  }
+
+  const id = Number.isInteger(Number(payload?.id)) ? Number(payload.id) : null;
+  const targetGroupId = Number.isInteger(Number(payload?.targetGroupId)) ? Number(payload.targetGroupId) : null;
+  if (!id || id <= 0 || !targetGroupId || targetGroupId <= 0) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'Numeric "id" and "targetGroupId" are required.' })
+    };
+  }
+
+  try {
+    const result = await withTransaction(pool, (client) => moveSelectionToGroup(client, {
+      selectionId: id,
+      targetGroupId
+    }));
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    const statusCode = GROUP_OPERATION_STATUS[error?.code];
+    if (statusCode) {
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message, code: error.code })
+      };
+    }
+    console.error('Failed to move single selection to another group:', {
+      id,
+      targetGroupId,
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to move selection.' })
+    };
+  }
+};
@@ -0,0 +1,88 @@
+const { getDatabasePool } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const { getVisionProvider } = require('./shared/vision-provider.js');
+const { queryPeople, PEOPLE_QUERY_ERROR_STATUS } = require('./shared/people-query.js');
+
+// POST { query, limit? } with a typed description such as "tall man with grey
+// curly hair and suspenders". Returns the parsed partial description and the
+// best-matching person groups with a representative thumbnail and a per-trait
+// breakdown of how each one matched.
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'Invalid JSON body.' })
+    };
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Database not configured.' })
+    };
+  }
+
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    console.error('Single camera selections schema check failed before people query:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
+  }
+
+  const provider = getVisionProvider();
+  if (!provider.isConfigured()) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: `Vision provider "${provider.name}" not configured` })
+    };
+  }
+
+  try {
+    const result = await queryPeople(pool, provider, payload?.query, {
+      limit: parseInt(payload?.limit, 10)
+    });
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    const statusCode = PEOPLE_QUERY_ERROR_STATUS[error?.code];
+    if (statusCode) {
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message, code: error.code })
+      };
+    }
+    if (error?.code === 'OUTPUT_INVALID') {
+      console.error('People query answer failed validation:', error.toJSON());
+      return {
+        statusCode: 502,
+        body: JSON.stringify({
+          error: 'The query could not be read into a description, even after a repair attempt.',
+          details: error.toJSON()
+        })
+      };
+    }
+    console.error('People query failed:', {
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'People query failed.' })
+    };
+  }
+};
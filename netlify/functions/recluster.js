@@ -0,0 +1,109 @@
+const { getDatabasePool } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const {
+  createReclusterPlan,
+  loadReclusterPlan,
+  listReclusterPlans,
+  discardReclusterPlan,
+  applyReclusterPlan,
+  RECLUSTER_ERROR_STATUS
+} = require('./shared/recluster.js');
+
+const ACTIONS = ['plan', 'apply', 'discard'];
+
+function parsePlanId(value) {
+  const planId = Number(value);
+  return Number.isInteger(planId) && planId > 0 ? planId : null;
+}
+
+async function handleGet(pool, event) {
+  const planId = parsePlanId(event.queryStringParameters?.planId);
+  if (planId) {
+    return loadReclusterPlan(pool, planId);
+  }
+  return { plans: await listReclusterPlans(pool) };
+}
+
+async function handlePost(pool, payload) {
+  if (payload.action === 'plan') {
+    return createReclusterPlan(pool, { visionEnabled: payload.visionEnabled !== false });
+  }
+  const planId = parsePlanId(payload.planId);
+  if (!planId) {
+    const error = new Error('Numeric "planId" is required.');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (payload.action === 'apply') {
+    return applyReclusterPlan(pool, planId);
+  }
+  return discardReclusterPlan(pool, planId);
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Database not configured.' })
+    };
+  }
+
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    console.error('Recluster schema check failed:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare recluster storage.');
+  }
+
+  let payload = null;
+  if (event.httpMethod === 'POST') {
+    try {
+      payload = JSON.parse(event.body || '{}');
+    } catch {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Invalid JSON body.' })
+      };
+    }
+    if (!ACTIONS.includes(payload?.action)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `"action" must be one of: ${ACTIONS.join(', ')}.` })
+      };
+    }
+  }
+
+  try {
+    const result = payload ? await handlePost(pool, payload) : await handleGet(pool, event);
+    return {
+      statusCode: payload?.action === 'plan' ? 201 : 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    const statusCode = error?.statusCode || RECLUSTER_ERROR_STATUS[error?.code];
+    if (statusCode) {
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message, code: error.code })
+      };
+    }
+    console.error('Recluster request failed:', {
+      action: payload?.action || 'get',
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Recluster request failed.' })
+    };
+  }
+};
@@ -0,0 +1,96 @@
+const {
+  getDatabasePool,
+  withTransaction
+} = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const {
+  recordGroupingFeedback,
+  FEEDBACK_VERDICTS,
+  FEEDBACK_ERROR_STATUS
+} = require('./shared/grouping-feedback.js');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Database not configured.' })
+    };
+  }
+
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    console.error('Grouping feedback schema check failed:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare grouping feedback storage.');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'Invalid JSON body.' })
+    };
+  }
+
+  const selectionId = Number.isInteger(Number(payload?.selectionId)) ? Number(payload.selectionId) : null;
+  const groupId = payload?.groupId === undefined || payload?.groupId === null
+    ? null
+    : Number(payload.groupId);
+  const verdict = typeof payload?.verdict === 'string' ? payload.verdict.trim().toLowerCase() : '';
+  if (!selectionId || selectionId <= 0 || (groupId !== null && !(Number.isInteger(groupId) && groupId > 0))) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'Numeric "selectionId" (and optional "groupId") are required.' })
+    };
+  }
+  if (!FEEDBACK_VERDICTS.includes(verdict)) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: `"verdict" must be one of: ${FEEDBACK_VERDICTS.join(', ')}.` })
+    };
+  }
+
+  try {
+    const result = await withTransaction(pool, (client) => recordGroupingFeedback(client, {
+      selectionId,
+      groupId,
+      verdict,
+      note: payload.note
+    }));
+
+    return {
+      statusCode: 201,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    const statusCode = FEEDBACK_ERROR_STATUS[error?.code];
+    if (statusCode) {
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message, code: error.code })
+      };
+    }
+    console.error('Failed to record grouping feedback:', {
+      selectionId,
+      groupId,
+      verdict,
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to record grouping feedback.' })
+    };
+  }
+};
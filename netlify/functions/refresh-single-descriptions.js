@@ -1,9 +1,14 @@
 const {
   getDatabasePool,
-  ensureSingleCameraSelectionsTable,
+  withTransaction,
   SINGLE_CAMERA_SELECTIONS_TABLE_NAME
 } = require('./shared/db.js');
+const { resolveRowImageDataUrl } = require('./shared/image-store.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
 const { generateStablePersonDescription } = require('./shared/single-description.js');
+const { refreshPersonGroup } = require('./shared/person-group.js');
+const { computeSelectionEmbedding } = require('./shared/embeddings.js');
+const { storeSelectionEmbedding } = require('./shared/embedding-index.js');
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'POST') {
@@ -22,13 +27,10 @@ exports.handler = async (event) => {
   }
 
   try {
-    await ensureSingleCameraSelectionsTable(pool);
+    await assertSchemaCurrent(pool);
   } catch (error) {
-    console.error('Failed to ensure single camera selections table before refresh:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to prepare single selection storage.' })
-    };
+    console.error('Single camera selections schema check failed before refresh:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
   }
 
   let limit = 50;
@@ -44,9 +46,9 @@ exports.handler = async (event) => {
   try {
     const selectQuery = {
       text: `
-        SELECT id, image_data_url
+        SELECT id, image_key, image_data_url
         FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-        WHERE image_data_url IS NOT NULL
+        WHERE (image_key IS NOT NULL OR image_data_url IS NOT NULL)
           AND (description IS NULL OR description_json IS NULL)
         ORDER BY created_at DESC
         LIMIT $1
@@ -64,21 +66,45 @@ exports.handler = async (event) => {
 
     for (const row of rows) {
       try {
-        const descriptionResult = await generateStablePersonDescription(row.image_data_url);
+        const imageDataUrl = await resolveRowImageDataUrl(row);
+        if (!imageDataUrl) {
+          failures.push({ id: row.id, reason: 'image_missing' });
+          continue;
+        }
+        const descriptionResult = await generateStablePersonDescription(imageDataUrl);
         if (!descriptionResult || !descriptionResult.schema || !descriptionResult.naturalSummary) {
-          failures.push({ id: row.id, reason: 'empty_description_or_schema' });
+          failures.push({
+            id: row.id,
+            reason: descriptionResult?.error?.code || 'empty_description_or_schema',
+            errors: descriptionResult?.error?.errors || undefined
+          });
           continue;
         }
+        const embedding = await computeSelectionEmbedding({ schema: descriptionResult.schema, imageDataUrl });
 
-        await pool.query(
-          `
-          UPDATE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-          SET description = $1,
-              description_json = $2
-          WHERE id = $3
-          `,
-          [descriptionResult.naturalSummary, JSON.stringify(descriptionResult.schema), row.id]
-        );
+        await withTransaction(pool, async (client) => {
+          const updateResult = await client.query(
+            `
+            UPDATE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+            SET description = $1,
+                description_json = $2,
+                description_prompt_version = $3
+            WHERE id = $4
+            RETURNING person_group_id
+            `,
+            [
+              descriptionResult.naturalSummary,
+              JSON.stringify(descriptionResult.schema),
+              descriptionResult.promptVersion,
+              row.id
+            ]
+          );
+          await storeSelectionEmbedding(client, row.id, embedding);
+          const groupId = updateResult.rows?.[0]?.person_group_id;
+          if (groupId) {
+            await refreshPersonGroup(client, groupId);
+          }
+        });
         updated += 1;
       } catch (error) {
         console.error('Failed to refresh description for single selection:', {
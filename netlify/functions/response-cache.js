@@ -0,0 +1,94 @@
+const { getDatabasePool } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const {
+  loadResponseCacheStats,
+  invalidateResponseCache,
+  pruneExpiredResponses,
+  resetResponseCacheStats,
+  RESPONSE_CACHE_ERROR_STATUS
+} = require('./shared/response-cache.js');
+
+const ACTIONS = ['invalidate', 'prune', 'reset-stats'];
+
+async function handlePost(pool, payload) {
+  if (payload.action === 'invalidate') {
+    return invalidateResponseCache(pool, {
+      task: payload.task,
+      model: payload.model,
+      imageHash: payload.imageHash,
+      all: payload.all === true
+    });
+  }
+  if (payload.action === 'prune') {
+    return pruneExpiredResponses(pool);
+  }
+  return resetResponseCacheStats(pool);
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Database not configured.' })
+    };
+  }
+
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    console.error('Response cache schema check failed:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare response cache storage.');
+  }
+
+  let payload = null;
+  if (event.httpMethod === 'POST') {
+    try {
+      payload = JSON.parse(event.body || '{}');
+    } catch {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Invalid JSON body.' })
+      };
+    }
+    if (!ACTIONS.includes(payload?.action)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `"action" must be one of: ${ACTIONS.join(', ')}.` })
+      };
+    }
+  }
+
+  try {
+    const result = payload ? await handlePost(pool, payload) : await loadResponseCacheStats(pool);
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    const statusCode = RESPONSE_CACHE_ERROR_STATUS[error?.code];
+    if (statusCode) {
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message, code: error.code })
+      };
+    }
+    console.error('Response cache request failed:', {
+      action: payload?.action || 'stats',
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Response cache request failed.' })
+    };
+  }
+};
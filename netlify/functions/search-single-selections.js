@@ -0,0 +1,71 @@
+const { getDatabasePool } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const {
+  parseSearchFilters,
+  searchSelections,
+  describeSearchFields,
+  SEARCH_ERROR_STATUS
+} = require('./shared/selection-search.js');
+
+// GET with any of: a description field (gender, age_range, top_color, ...) as a
+// comma-separated list, accessory, mark, groupId, clarityMin, clarityMax, from,
+// to, q, describedOnly, limit, offset. The response also lists every filterable
+// field with its allowed values.
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Database not configured.' })
+    };
+  }
+
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    console.error('Single camera selections schema check failed:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
+  }
+
+  const params = event.queryStringParameters || {};
+  try {
+    const filters = parseSearchFilters(params);
+    const result = await searchSelections(pool, filters, {
+      limit: parseInt(params.limit, 10),
+      offset: parseInt(params.offset, 10)
+    });
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...result,
+        filters,
+        fields: describeSearchFields()
+      })
+    };
+  } catch (error) {
+    const statusCode = SEARCH_ERROR_STATUS[error?.code];
+    if (statusCode) {
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message, code: error.code })
+      };
+    }
+    console.error('Failed to search single camera selections:', {
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to search single selections.' })
+    };
+  }
+};
@@ -4,6 +4,8 @@ const DEFAULT_SELECTIONS_TABLE = 'camera_selections';
 const SELECTIONS_TABLE_ENV_KEY = 'CAMERA_SELECTIONS_TABLE';
 const DEFAULT_SINGLE_SELECTIONS_TABLE = 'single_camera_selections';
 const SINGLE_SELECTIONS_TABLE_ENV_KEY = 'SINGLE_CAMERA_SELECTIONS_TABLE';
+const DEFAULT_ANALYSES_TABLE = 'portrait_analyses';
+const ANALYSES_TABLE_ENV_KEY = 'ANALYSES_TABLE';
 
 function resolveSelectionsTableName() {
   const configured = process.env[SELECTIONS_TABLE_ENV_KEY];
@@ -25,10 +27,35 @@ function resolveSingleSelectionsTableName() {
   return isValid ? sanitized : DEFAULT_SINGLE_SELECTIONS_TABLE;
 }
 
+function resolveAnalysesTableName() {
+  const configured = process.env[ANALYSES_TABLE_ENV_KEY];
+  if (!configured) {
+    return DEFAULT_ANALYSES_TABLE;
+  }
+  const sanitized = configured.trim();
+  const isValid = /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(sanitized);
+  if (!isValid) {
+    console.warn(`Invalid ${ANALYSES_TABLE_ENV_KEY} provided. Falling back to default.`, {
+      provided: configured
+    });
+    return DEFAULT_ANALYSES_TABLE;
+  }
+  return sanitized;
+}
+
 const CAMERA_SELECTIONS_TABLE_NAME = resolveSelectionsTableName();
 const SINGLE_CAMERA_SELECTIONS_TABLE_NAME = resolveSingleSelectionsTableName();
+const ANALYSES_TABLE_NAME = resolveAnalysesTableName();
+const PERSON_GROUPS_TABLE_NAME = 'person_groups';
+const PERSON_GROUP_EVENTS_TABLE_NAME = 'person_group_membership_events';
+const GROUPING_FEEDBACK_TABLE_NAME = 'grouping_feedback';
+const RECLUSTER_PLANS_TABLE_NAME = 'recluster_plans';
+const RESPONSE_CACHE_TABLE_NAME = 'vision_response_cache';
+const RESPONSE_CACHE_STATS_TABLE_NAME = 'vision_response_cache_stats';
+const IMPORT_JOBS_TABLE_NAME = 'import_jobs';
+const IMPORT_JOB_ITEMS_TABLE_NAME = 'import_job_items';
+const GROUPING_DECISIONS_TABLE_NAME = 'grouping_decisions';
 let poolInstance = null;
-let ensureSelectionsPromise = null;
 
 function getDatabasePool() {
   if (poolInstance) {
@@ -57,96 +84,44 @@ function getDatabasePool() {
   return poolInstance;
 }
 
-function ensureCameraSelectionsTable(pool) {
-  if (!pool) {
-    return Promise.reject(new Error('Database pool not initialized.'));
-  }
-  if (ensureSelectionsPromise) {
-    return ensureSelectionsPromise;
-  }
-
-  const createTableSql = `
-    CREATE TABLE IF NOT EXISTS ${CAMERA_SELECTIONS_TABLE_NAME} (
-      id BIGSERIAL PRIMARY KEY,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      captured_at TIMESTAMPTZ,
-      role TEXT,
-      image_data_url TEXT NOT NULL,
-      viewport JSONB,
-      signature TEXT,
-      location JSONB
-    );
-  `;
-
-  ensureSelectionsPromise = pool.query(createTableSql).catch((error) => {
-    ensureSelectionsPromise = null;
+// Runs work(client) inside BEGIN/COMMIT on a dedicated client, rolling back on error.
+async function withTransaction(pool, work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Rollback failed:', {
+        message: rollbackError?.message
+      });
+    }
     throw error;
-  });
-
-  return ensureSelectionsPromise;
-}
-
-let ensureSingleSelectionsPromise = null;
-
-function ensureSingleCameraSelectionsTable(pool) {
-  if (!pool) {
-    return Promise.reject(new Error('Database pool not initialized.'));
-  }
-  if (ensureSingleSelectionsPromise) {
-    return ensureSingleSelectionsPromise;
+  } finally {
+    client.release();
   }
-
-  const createTableSql = `
-    CREATE TABLE IF NOT EXISTS ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} (
-      id BIGSERIAL PRIMARY KEY,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      captured_at TIMESTAMPTZ,
-      role TEXT,
-      image_data_url TEXT NOT NULL,
-      viewport JSONB,
-      signature TEXT,
-      location JSONB,
-      description TEXT,
-      description_json JSONB,
-      person_group_id BIGINT,
-      grouping_probability INTEGER,
-      grouping_explanation TEXT
-    );
-  `;
-
-  const alterTableSql = `
-    ALTER TABLE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-    ADD COLUMN IF NOT EXISTS description TEXT;
-
-    ALTER TABLE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-    ADD COLUMN IF NOT EXISTS description_json JSONB;
-
-    ALTER TABLE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-    ADD COLUMN IF NOT EXISTS person_group_id BIGINT;
-
-    ALTER TABLE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-    ADD COLUMN IF NOT EXISTS grouping_probability INTEGER;
-
-    ALTER TABLE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-    ADD COLUMN IF NOT EXISTS grouping_explanation TEXT;
-  `;
-
-  ensureSingleSelectionsPromise = pool.query(createTableSql)
-    .then(() => pool.query(alterTableSql))
-    .catch((error) => {
-      ensureSingleSelectionsPromise = null;
-      throw error;
-    });
-
-  return ensureSingleSelectionsPromise;
 }
 
 module.exports = {
   getDatabasePool,
-  ensureCameraSelectionsTable,
-  ensureSingleCameraSelectionsTable,
+  withTransaction,
   CAMERA_SELECTIONS_TABLE_NAME,
   SINGLE_CAMERA_SELECTIONS_TABLE_NAME,
+  ANALYSES_TABLE_NAME,
+  PERSON_GROUPS_TABLE_NAME,
+  PERSON_GROUP_EVENTS_TABLE_NAME,
+  GROUPING_FEEDBACK_TABLE_NAME,
+  RECLUSTER_PLANS_TABLE_NAME,
+  RESPONSE_CACHE_TABLE_NAME,
+  RESPONSE_CACHE_STATS_TABLE_NAME,
+  IMPORT_JOBS_TABLE_NAME,
+  IMPORT_JOB_ITEMS_TABLE_NAME,
+  GROUPING_DECISIONS_TABLE_NAME,
   resolveSelectionsTableName,
-  resolveSingleSelectionsTableName
+  resolveSingleSelectionsTableName,
+  resolveAnalysesTableName
 };
@@ -0,0 +1,187 @@
+const {
+  withTransaction,
+  SINGLE_CAMERA_SELECTIONS_TABLE_NAME,
+  PERSON_GROUPS_TABLE_NAME
+} = require('./db.js');
+const { readEnvInteger } = require('./provider-limits.js');
+
+// Nearest-neighbour candidate retrieval over selection embeddings (migration 012).
+// Before trait scoring, the selections closest to a new description are looked up
+// through the HNSW index and only their groups are loaded and scored, instead of
+// every group. Groups with no embedded member under the current embedder (saved
+// before embeddings existed, or while the embedder was failing) are always added,
+// so nothing becomes unreachable until scripts/embed-selections.js has run.
+// Without pgvector (migration 012 then adds no embedding column) storing is a no-op
+// and preselection always falls back to scoring every group.
+//
+// EMBEDDING_NEIGHBORS: nearest selections to look at (default 64). An HNSW scan
+// returns at most hnsw.ef_search rows (pgvector default 40), before the model and
+// group filters, so the lookup raises it to the neighbour count for its transaction.
+// EMBEDDING_CANDIDATE_GROUPS: most groups kept from them (default 24).
+// EMBEDDING_PRESELECT_MIN_GROUPS: below this many groups everything is scored (default 100).
+
+const EMBEDDING_NEIGHBORS = readEnvInteger('EMBEDDING_NEIGHBORS', 64, { min: 1, max: 1000 });
+const EMBEDDING_CANDIDATE_GROUPS = readEnvInteger('EMBEDDING_CANDIDATE_GROUPS', 24, { min: 1, max: 500 });
+const EMBEDDING_PRESELECT_MIN_GROUPS = readEnvInteger('EMBEDDING_PRESELECT_MIN_GROUPS', 100, { min: 0 });
+
+// pgvector's floor for hnsw.ef_search, and its ceiling.
+const MIN_EF_SEARCH = 40;
+const MAX_EF_SEARCH = 1000;
+
+function toVectorLiteral(vector) {
+  return `[${vector.join(',')}]`;
+}
+
+// Runs work with hnsw.ef_search raised to at least efSearch. The setting is local to
+// a transaction: a pool gets one of its own, a client is assumed to be inside one.
+async function withEfSearch(queryable, efSearch, work) {
+  if (typeof queryable.connect === 'function') {
+    return withTransaction(queryable, (client) => withEfSearch(client, efSearch, work));
+  }
+  const value = Math.min(Math.max(efSearch, MIN_EF_SEARCH), MAX_EF_SEARCH);
+  await queryable.query(`SELECT set_config('hnsw.ef_search', $1, true)`, [String(value)]);
+  return work(queryable);
+}
+
+let embeddingColumnPromise = null;
+
+// Whether the selections table has the embedding column. Checked once per function
+// instance; a failed check is retried on the next call.
+function hasEmbeddingColumn(queryable) {
+  if (!embeddingColumnPromise) {
+    embeddingColumnPromise = queryable.query(
+      `
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_schema = ANY(current_schemas(false))
+          AND table_name = $1
+          AND column_name = 'embedding'
+      `,
+      [SINGLE_CAMERA_SELECTIONS_TABLE_NAME]
+    ).then((result) => (result.rows || []).length > 0)
+      .catch((error) => {
+        embeddingColumnPromise = null;
+        throw error;
+      });
+  }
+  return embeddingColumnPromise;
+}
+
+// embedding: { vector, model } from computeSelectionEmbedding, or null to clear.
+async function storeSelectionEmbedding(queryable, selectionId, embedding) {
+  if (!(await hasEmbeddingColumn(queryable))) {
+    return;
+  }
+  await queryable.query(
+    `
+      UPDATE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+      SET embedding = $1::vector,
+          embedding_model = $2
+      WHERE id = $3
+    `,
+    [embedding ? toVectorLiteral(embedding.vector) : null, embedding ? embedding.model : null, selectionId]
+  );
+}
+
+// Resolves to null when every group should be scored (no embedding, no similarity
+// index, or too few groups for preselection to matter), otherwise to
+// { groupIds, nearest: [{ groupId, distance }], unindexedGroupIds, activeGroups }.
+async function preselectCandidateGroups(queryable, embedding, {
+  excludeSelectionId = null,
+  neighbors = EMBEDDING_NEIGHBORS,
+  maxGroups = EMBEDDING_CANDIDATE_GROUPS,
+  minGroups = EMBEDDING_PRESELECT_MIN_GROUPS
+} = {}) {
+  if (!embedding || !Array.isArray(embedding.vector) || !(await hasEmbeddingColumn(queryable))) {
+    return null;
+  }
+
+  const countResult = await queryable.query(`
+    SELECT COUNT(*)::int AS count
+    FROM ${PERSON_GROUPS_TABLE_NAME}
+    WHERE merged_into_id IS NULL
+      AND member_count > 0
+      AND canonical_schema IS NOT NULL
+  `);
+  const activeGroups = countResult.rows?.[0]?.count ?? 0;
+  if (activeGroups < minGroups) {
+    return null;
+  }
+
+  const nearestResult = await withEfSearch(queryable, neighbors, (client) => client.query(
+    `
+      WITH nearest AS (
+        SELECT person_group_id, embedding <=> $1::vector AS distance
+        FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+        WHERE embedding_model = $2
+          AND person_group_id IS NOT NULL
+          AND ($4::bigint IS NULL OR id <> $4)
+        ORDER BY embedding <=> $1::vector
+        LIMIT $3
+      )
+      SELECT person_group_id, MIN(distance) AS distance
+      FROM nearest
+      GROUP BY person_group_id
+      ORDER BY MIN(distance), person_group_id
+      LIMIT $5
+    `,
+    [toVectorLiteral(embedding.vector), embedding.model, neighbors, excludeSelectionId, maxGroups]
+  ));
+  const nearest = (nearestResult.rows || []).map((row) => ({
+    groupId: Number(row.person_group_id),
+    distance: Math.round(Number(row.distance) * 1000) / 1000
+  }));
+
+  const unindexedResult = await queryable.query(
+    `
+      SELECT g.id
+      FROM ${PERSON_GROUPS_TABLE_NAME} g
+      WHERE g.merged_into_id IS NULL
+        AND g.member_count > 0
+        AND g.canonical_schema IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1
+          FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} m
+          WHERE m.person_group_id = g.id
+            AND m.embedding_model = $1
+            AND ($2::bigint IS NULL OR m.id <> $2)
+        )
+      ORDER BY g.id
+    `,
+    [embedding.model, excludeSelectionId]
+  );
+  const unindexedGroupIds = (unindexedResult.rows || []).map((row) => Number(row.id));
+
+  return {
+    groupIds: [...new Set([...nearest.map((entry) => entry.groupId), ...unindexedGroupIds])],
+    nearest,
+    unindexedGroupIds,
+    activeGroups
+  };
+}
+
+// Compact form for grouping debug output.
+function summarizePreselection(preselection, embedding) {
+  if (!preselection) {
+    return { applied: false, embedder: embedding ? embedding.model : null };
+  }
+  return {
+    applied: true,
+    embedder: embedding.model,
+    activeGroups: preselection.activeGroups,
+    candidateGroups: preselection.groupIds.length,
+    nearest: preselection.nearest.slice(0, 5),
+    unindexedGroups: preselection.unindexedGroupIds.length
+  };
+}
+
+module.exports = {
+  storeSelectionEmbedding,
+  preselectCandidateGroups,
+  hasEmbeddingColumn,
+  summarizePreselection,
+  toVectorLiteral,
+  EMBEDDING_NEIGHBORS,
+  EMBEDDING_CANDIDATE_GROUPS,
+  EMBEDDING_PRESELECT_MIN_GROUPS
+};
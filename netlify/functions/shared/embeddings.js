@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const {
+  colorCredit,
+  isKnown,
+  normalizeValue,
+  NORMALIZED_COLORS,
+  ORDINAL_SCALES,
+  TRAIT_NAMES,
+  TRAIT_FIELDS,
+  TRAIT_WEIGHTS
+} = require('./trait-scoring.js');
+
+// Embedders turn a described selection into a fixed-length vector for the
+// nearest-neighbour index in embedding-index.js. Every embedder exposes:
+//   { name, dimensions, isConfigured(), embedSelection({ schema, imageDataUrl }) }
+// embedSelection resolves to an array of EMBEDDING_DIMENSIONS numbers, or null when
+// there is nothing to embed. Text embedders read the description and ignore the
+// image; an image embedder can take the same slot later. `name` is stored next to
+// each vector, so switching embedders never compares vectors from different spaces.
+//
+// EMBEDDING_PROVIDER picks the embedder: local (default), openai or off.
+
+const EMBEDDING_DIMENSIONS = 256;
+const PROVIDER_ENV_KEY = 'EMBEDDING_PROVIDER';
+const DEFAULT_PROVIDER_NAME = 'local';
+const SUPPORTED_EMBEDDING_PROVIDERS = ['local', 'openai', 'off'];
+const DEFAULT_OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+const OPENAI_EMBEDDINGS_URL = 'https://api.openai.com/v1/embeddings';
+
+function resolveEmbeddingProviderName() {
+  const configured = (process.env[PROVIDER_ENV_KEY] || '').trim().toLowerCase();
+  if (!configured) {
+    return DEFAULT_PROVIDER_NAME;
+  }
+  if (!SUPPORTED_EMBEDDING_PROVIDERS.includes(configured)) {
+    console.warn(`Unknown ${PROVIDER_ENV_KEY} "${configured}". Falling back to "${DEFAULT_PROVIDER_NAME}".`);
+    return DEFAULT_PROVIDER_NAME;
+  }
+  return configured;
+}
+
+function formatValue(value) {
+  return String(value).replace(/_/g, ' ');
+}
+
+// The text a text embedder reads: the natural summary followed by every known
+// structured field, accessory and mark.
+function buildEmbeddingText(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return '';
+  }
+  const lines = [];
+  if (isKnown(schema.natural_summary)) {
+    lines.push(schema.natural_summary.trim());
+  }
+  const fields = [
+    'gender', 'age_range', 'build', 'height', 'skin_tone', 'hair_color', 'hair_length', 'hair_style',
+    'facial_hair', 'top_color', 'top_description', 'bottom_color', 'bottom_description',
+    'shoes_color', 'shoes_description', 'jacket_color', 'jacket_description'
+  ];
+  const traits = fields
+    .filter((field) => isKnown(schema[field]))
+    .map((field) => `${formatValue(field)}: ${formatValue(schema[field])}`);
+  if (traits.length) {
+    lines.push(traits.join('; '));
+  }
+  const accessories = (Array.isArray(schema.accessories) ? schema.accessories : [])
+    .map((item) => item?.description || item?.type)
+    .filter(Boolean);
+  if (accessories.length) {
+    lines.push(`accessories: ${accessories.join(', ')}`);
+  }
+  const marks = (Array.isArray(schema.distinctive_marks) ? schema.distinctive_marks : [])
+    .map((mark) => [mark?.type, mark?.description, mark?.location].filter(Boolean).join(' '))
+    .filter(Boolean);
+  if (marks.length) {
+    lines.push(`marks: ${marks.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+function normalizeVector(vector) {
+  const length = Math.hypot(...vector);
+  if (!(length > 0)) {
+    return null;
+  }
+  return vector.map((value) => Math.round((value / length) * 1e6) / 1e6);
+}
+
+// Deterministic feature-hashing embedder: each trait value (plus its near
+// neighbours, with the same partial credit trait-scoring.js gives them), each
+// accessory or mark word and each summary word is hashed into one of the
+// dimensions. Cosine similarity then roughly follows the weighted trait score,
+// which is all candidate preselection needs, and it runs offline.
+
+const SUMMARY_WORD_WEIGHT = 0.15;
+const EVIDENCE_WORD_WEIGHT = 0.6;
+// Gender mismatches are fatal in trait scoring, so they should also push vectors apart.
+const GENDER_WEIGHT_FACTOR = 2;
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'with', 'wearing', 'has', 'his', 'her', 'is', 'of', 'on', 'in', 'person']);
+
+function addFeature(vector, feature, weight) {
+  const digest = crypto.createHash('sha256').update(feature).digest();
+  const index = digest.readUInt32BE(0) % vector.length;
+  vector[index] += (digest[4] & 1 ? 1 : -1) * weight;
+}
+
+function neighbourCredits(trait, value) {
+  if (NORMALIZED_COLORS.includes(value)) {
+    return NORMALIZED_COLORS
+      .map((other) => [other, colorCredit(value, other)])
+      .filter(([other, credit]) => other !== value && credit > 0);
+  }
+  const scale = ORDINAL_SCALES[TRAIT_FIELDS[trait]];
+  if (!scale || !scale.includes(value)) {
+    return [];
+  }
+  const position = scale.indexOf(value);
+  return [scale[position - 1], scale[position + 1]].filter(Boolean).map((other) => [other, 0.5]);
+}
+
+function words(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+function embedSchemaLocally(schema, dimensions = EMBEDDING_DIMENSIONS) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  const vector = new Array(dimensions).fill(0);
+  TRAIT_NAMES.forEach((trait) => {
+    const raw = schema[TRAIT_FIELDS[trait]];
+    if (!isKnown(raw)) return;
+    const value = normalizeValue(raw);
+    const weight = Math.sqrt(Number(TRAIT_WEIGHTS[trait]) || 0) * (trait === 'gender' ? GENDER_WEIGHT_FACTOR : 1);
+    addFeature(vector, `${trait}=${value}`, weight);
+    neighbourCredits(trait, value).forEach(([other, credit]) => {
+      addFeature(vector, `${trait}=${other}`, weight * credit);
+    });
+  });
+  [['accessory', schema.accessories], ['mark', schema.distinctive_marks]].forEach(([kind, items]) => {
+    (Array.isArray(items) ? items : []).forEach((item) => {
+      const type = normalizeValue(item?.type || 'other');
+      words(item?.description).forEach((word) => addFeature(vector, `${kind}:${type}:${word}`, EVIDENCE_WORD_WEIGHT));
+    });
+  });
+  const summaryWords = words(schema.natural_summary);
+  summaryWords.forEach((word) => {
+    addFeature(vector, `summary:${word}`, SUMMARY_WORD_WEIGHT);
+  });
+  return normalizeVector(vector);
+}
+
+function createLocalEmbedder() {
+  return {
+    name: 'local-hash-v1',
+    dimensions: EMBEDDING_DIMENSIONS,
+    isConfigured() {
+      return true;
+    },
+    async embedSelection({ schema } = {}) {
+      return embedSchemaLocally(schema);
+    }
+  };
+}
+
+function createOpenAIEmbedder() {
+  const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAIKEY || null;
+  const model = (process.env.EMBEDDING_MODEL || '').trim() || DEFAULT_OPENAI_EMBEDDING_MODEL;
+  return {
+    name: `openai:${model}@${EMBEDDING_DIMENSIONS}`,
+    dimensions: EMBEDDING_DIMENSIONS,
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+    async embedSelection({ schema } = {}) {
+      const input = buildEmbeddingText(schema);
+      if (!input) {
+        return null;
+      }
+      if (!apiKey) {
+        throw new Error('OpenAI embedder is missing an API key.');
+      }
+      const response = await fetch(OPENAI_EMBEDDINGS_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({ model, input, dimensions: EMBEDDING_DIMENSIONS })
+      });
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        const error = new Error(`Embedding request failed with status ${response.status}.`);
+        error.status = response.status;
+        error.body = errorText;
+        throw error;
+      }
+      const data = await response.json();
+      const embedding = data?.data?.[0]?.embedding;
+      if (!Array.isArray(embedding) || embedding.length !== EMBEDDING_DIMENSIONS) {
+        throw new Error(`Embedding response did not contain ${EMBEDDING_DIMENSIONS} dimensions.`);
+      }
+      return normalizeVector(embedding);
+    }
+  };
+}
+
+let embedderInstance = null;
+let embedderInstanceName = null;
+
+// Resolves to the configured embedder, or null when EMBEDDING_PROVIDER=off.
+function getEmbedder() {
+  const name = resolveEmbeddingProviderName();
+  if (embedderInstanceName === name) {
+    return embedderInstance;
+  }
+  if (name === 'off') {
+    embedderInstance = null;
+  } else if (name === 'openai') {
+    embedderInstance = createOpenAIEmbedder();
+  } else {
+    embedderInstance = createLocalEmbedder();
+  }
+  embedderInstanceName = name;
+  return embedderInstance;
+}
+
+// Resolves to { vector, model } or null. Embedding is an optimisation, so a
+// failing embedder is logged and the selection is simply left out of the index.
+async function computeSelectionEmbedding({ schema, imageDataUrl = null } = {}, embedder = getEmbedder()) {
+  if (!embedder || !embedder.isConfigured()) {
+    return null;
+  }
+  try {
+    const vector = await embedder.embedSelection({ schema, imageDataUrl });
+    return vector ? { vector, model: embedder.name } : null;
+  } catch (error) {
+    console.warn('Failed to embed selection; it will not be in the similarity index.', {
+      embedder: embedder.name,
+      status: error?.status ?? null,
+      message: error?.message
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  getEmbedder,
+  computeSelectionEmbedding,
+  buildEmbeddingText,
+  embedSchemaLocally,
+  resolveEmbeddingProviderName,
+  EMBEDDING_DIMENSIONS,
+  SUPPORTED_EMBEDDING_PROVIDERS
+};
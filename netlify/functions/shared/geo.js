@@ -0,0 +1,118 @@
+// Location documents as stored in the JSONB "location" columns, plus the
+// distance maths grouping needs to reason about where photos were taken.
+
+const EARTH_RADIUS_KM = 6371;
+
+function convertToDate(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    const fromNumber = new Date(value);
+    return Number.isNaN(fromNumber.getTime()) ? null : fromNumber;
+  }
+
+  if (typeof value === 'string') {
+    const parsed = Date.parse(value);
+    if (!Number.isNaN(parsed)) {
+      return new Date(parsed);
+    }
+  }
+
+  return null;
+}
+
+function buildLocationDocument(locationInput) {
+  if (!locationInput || typeof locationInput !== 'object') {
+    return null;
+  }
+
+  const status = typeof locationInput.status === 'string'
+    ? locationInput.status.toLowerCase()
+    : 'unknown';
+
+  const locationDoc = { status };
+
+  if (locationInput.error && typeof locationInput.error === 'string') {
+    locationDoc.error = locationInput.error;
+  }
+
+  const timestamp = convertToDate(locationInput.timestamp);
+  if (timestamp) {
+    locationDoc.timestamp = timestamp.toISOString();
+  }
+
+  if (locationInput.coords && typeof locationInput.coords === 'object') {
+    const {
+      latitude,
+      longitude,
+      accuracy,
+      altitude,
+      altitudeAccuracy,
+      heading,
+      speed
+    } = locationInput.coords;
+
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      locationDoc.coordinates = { latitude, longitude };
+    }
+    if (Number.isFinite(accuracy)) {
+      locationDoc.accuracy = accuracy;
+    }
+    if (Number.isFinite(altitude)) {
+      locationDoc.altitude = altitude;
+    }
+    if (Number.isFinite(altitudeAccuracy)) {
+      locationDoc.altitudeAccuracy = altitudeAccuracy;
+    }
+    if (Number.isFinite(heading)) {
+      locationDoc.heading = heading;
+    }
+    if (Number.isFinite(speed)) {
+      locationDoc.speed = speed;
+    }
+  }
+
+  return locationDoc;
+}
+
+// Coordinates from a stored location document, or null when the fix failed.
+function extractCoordinates(locationDoc) {
+  const coordinates = locationDoc?.coordinates;
+  if (!coordinates) {
+    return null;
+  }
+  const latitude = Number(coordinates.latitude);
+  const longitude = Number(coordinates.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+  const accuracy = Number(locationDoc.accuracy);
+  return {
+    latitude,
+    longitude,
+    accuracyKm: Number.isFinite(accuracy) && accuracy > 0 ? accuracy / 1000 : 0
+  };
+}
+
+// Great-circle (haversine) distance in kilometres.
+function distanceKm(from, to) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const deltaLatitude = toRadians(to.latitude - from.latitude);
+  const deltaLongitude = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(deltaLatitude / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+module.exports = {
+  convertToDate,
+  buildLocationDocument,
+  extractCoordinates,
+  distanceKm
+};
@@ -0,0 +1,208 @@
+const { GROUPING_DECISIONS_TABLE_NAME } = require('./db.js');
+const { STABLE_TRAIT_THRESHOLD } = require('./single-description.js');
+const {
+  VISION_SHORTLIST_LIMIT,
+  VISION_ACCEPT_SIMILARITY,
+  VISION_ACCEPT_CONFIDENCE,
+  VISION_REFERENCE_COUNT,
+  VISION_TOKEN_BUDGET
+} = require('./vision-verification.js');
+const { TRAIT_WEIGHTS } = require('./trait-scoring.js');
+const { MAX_TRAVEL_SPEED_KMH, CLOTHING_STABLE_HOURS } = require('./grouping-priors.js');
+const {
+  EMBEDDING_NEIGHBORS,
+  EMBEDDING_CANDIDATE_GROUPS,
+  EMBEDDING_PRESELECT_MIN_GROUPS
+} = require('./embedding-index.js');
+const { getVisionProvider } = require('./vision-provider.js');
+
+// Append-only history of grouping decisions (migrations 013 and 014; a trigger
+// rejects UPDATE and DELETE). Callers record one row in the same transaction that
+// writes the selection's group, so the history never disagrees with
+// person_group_membership_events. Decisions:
+//   assigned     joined an existing group,
+//   new_group    started a group because nothing matched (or grouping failed; see error),
+//   kept         re-described but left in its current group (update-description never
+//                moves a grouped photo; proposed_group_id shows where it would have gone),
+//   pinned       re-described without regrouping because a person placed it,
+//   moved        a person moved it to another group,
+//   split        a person split it out into a new group,
+//   merged       a person merged its group into another,
+//   reclustered  an applied re-clustering plan moved it.
+
+const GROUPING_DECISIONS = ['assigned', 'new_group', 'kept', 'pinned', 'moved', 'split', 'merged', 'reclustered'];
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+// Grouping settings as they stand for this process; stored with each decision.
+function currentGroupingThresholds() {
+  return {
+    stableTraitThreshold: STABLE_TRAIT_THRESHOLD,
+    traitWeights: { ...TRAIT_WEIGHTS },
+    visionShortlistLimit: VISION_SHORTLIST_LIMIT,
+    visionAcceptSimilarity: VISION_ACCEPT_SIMILARITY,
+    visionAcceptConfidence: VISION_ACCEPT_CONFIDENCE,
+    visionReferenceCount: VISION_REFERENCE_COUNT,
+    visionTokenBudget: VISION_TOKEN_BUDGET,
+    maxTravelSpeedKmh: MAX_TRAVEL_SPEED_KMH,
+    clothingStableHours: CLOTHING_STABLE_HOURS,
+    embeddingNeighbors: EMBEDDING_NEIGHBORS,
+    embeddingCandidateGroups: EMBEDDING_CANDIDATE_GROUPS,
+    embeddingPreselectMinGroups: EMBEDDING_PRESELECT_MIN_GROUPS
+  };
+}
+
+function describeDecisionVersions({ descriptionPromptVersion = null, visionOutcome = null, embedding = null } = {}) {
+  const provider = getVisionProvider();
+  return {
+    provider: provider.name,
+    model: provider.model || null,
+    descriptionPrompt: descriptionPromptVersion || null,
+    visionPrompt: visionOutcome?.promptVersion || null,
+    embedder: embedding ? embedding.model : null
+  };
+}
+
+// Every group scored for the decision, as the trait check saw it (priors
+// included), so feedback given later is labelled with decision-time scores.
+function summarizeCandidateScores(candidates) {
+  if (!Array.isArray(candidates)) {
+    return [];
+  }
+  return candidates.map((candidate) => ({
+    groupId: Number(candidate.groupId),
+    memberCount: candidate.memberCount || 0,
+    compatible: Boolean(candidate.compatible),
+    reason: candidate.compatible ? null : (candidate.reason || null),
+    matchedTraits: candidate.matchedTraits || [],
+    partialTraits: candidate.partialTraits || [],
+    evidence: candidate.evidence || [],
+    traitMatchRatio: candidate.traitMatchRatio ?? null,
+    matchRatio: candidate.compatible ? candidate.matchRatio : null,
+    priors: candidate.priors || null
+  }));
+}
+
+function toJson(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+// decision: { selectionId, trigger, triggerDetails?, decision, personGroupId,
+// previousGroupId?, proposedGroupId?, probability?, inputs?, shortlist?,
+// bestCandidate?, vision?, thresholds?, versions?, explanation?, error? }. vision is
+// the full verifyShortlistWithVision outcome, reasoning included. thresholds default
+// to the current ones; pass them when the evaluation ran earlier (a recluster plan).
+async function recordGroupingDecision(queryable, decision) {
+  if (!GROUPING_DECISIONS.includes(decision.decision)) {
+    throw new Error(`Unknown grouping decision "${decision.decision}".`);
+  }
+  const result = await queryable.query(
+    `
+      INSERT INTO ${GROUPING_DECISIONS_TABLE_NAME} (
+        selection_id, trigger, trigger_details, decision, person_group_id, previous_group_id,
+        proposed_group_id, grouping_probability, inputs, shortlist, best_candidate, vision,
+        thresholds, versions, explanation, error
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      RETURNING id
+    `,
+    [
+      decision.selectionId,
+      decision.trigger,
+      toJson(decision.triggerDetails),
+      decision.decision,
+      decision.personGroupId || null,
+      decision.previousGroupId || null,
+      decision.proposedGroupId || null,
+      decision.probability ?? null,
+      toJson(decision.inputs),
+      toJson(decision.shortlist),
+      toJson(decision.bestCandidate),
+      toJson(decision.vision),
+      toJson(decision.thresholds || currentGroupingThresholds()),
+      toJson(decision.versions),
+      decision.explanation || null,
+      decision.error || null
+    ]
+  );
+  return Number(result.rows?.[0]?.id) || null;
+}
+
+function mapDecisionRow(row) {
+  return {
+    id: Number(row.id),
+    selectionId: Number(row.selection_id),
+    trigger: row.trigger,
+    triggerDetails: row.trigger_details || null,
+    decision: row.decision,
+    personGroupId: row.person_group_id ? Number(row.person_group_id) : null,
+    previousGroupId: row.previous_group_id ? Number(row.previous_group_id) : null,
+    proposedGroupId: row.proposed_group_id ? Number(row.proposed_group_id) : null,
+    groupingProbability: row.grouping_probability ?? null,
+    inputs: row.inputs || null,
+    shortlist: row.shortlist || [],
+    bestCandidate: row.best_candidate || null,
+    vision: row.vision || null,
+    thresholds: row.thresholds || null,
+    versions: row.versions || null,
+    explanation: row.explanation || null,
+    error: row.error || null,
+    createdAt: row.created_at
+  };
+}
+
+// The selection's latest decision that scored groups: its id, versions, thresholds,
+// vision outcome and the score it gave groupId. candidate is null when the group
+// was not scored then (it did not exist yet or preselection skipped it). Resolves
+// to null when no decision stored candidate scores (rows from before they were kept).
+async function loadDecisionCandidate(queryable, selectionId, groupId) {
+  const result = await queryable.query(
+    `
+      SELECT id, versions, thresholds, vision, inputs->'candidateScores' AS candidate_scores
+      FROM ${GROUPING_DECISIONS_TABLE_NAME}
+      WHERE selection_id = $1 AND jsonb_typeof(inputs->'candidateScores') = 'array'
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `,
+    [selectionId]
+  );
+  const row = result.rows?.[0];
+  if (!row) {
+    return null;
+  }
+  const candidate = (Array.isArray(row.candidate_scores) ? row.candidate_scores : [])
+    .find((entry) => Number(entry.groupId) === Number(groupId));
+  return {
+    decisionId: Number(row.id),
+    versions: row.versions || null,
+    thresholds: row.thresholds || null,
+    vision: row.vision || null,
+    candidate: candidate || null
+  };
+}
+
+// Newest first.
+async function loadGroupingDecisions(queryable, selectionId, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const rowLimit = Math.min(Math.max(Math.floor(limit) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+  const result = await queryable.query(
+    `
+      SELECT *
+      FROM ${GROUPING_DECISIONS_TABLE_NAME}
+      WHERE selection_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `,
+    [selectionId, rowLimit]
+  );
+  return (result.rows || []).map(mapDecisionRow);
+}
+
+module.exports = {
+  recordGroupingDecision,
+  loadGroupingDecisions,
+  loadDecisionCandidate,
+  summarizeCandidateScores,
+  currentGroupingThresholds,
+  describeDecisionVersions,
+  GROUPING_DECISIONS
+};
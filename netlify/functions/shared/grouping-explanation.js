@@ -72,6 +72,8 @@ function summarizeBestCandidate(candidate, groupsMap, newImageClarity = null) {
     compatible: candidate.compatible !== false,
     incompatibilityReason,
     matchedTraits: candidate.matchedTraits || [],
+    partialTraits: candidate.partialTraits || [],
+    evidence: candidate.evidence || [],
     matchRatio: Number.isFinite(Number(candidate.matchRatio)) ? Math.round(Number(candidate.matchRatio) * 100) : null,
     groupClarity: typeof candidate.groupClarity === 'number' ? candidate.groupClarity : null,
     newImageClarity: Number.isFinite(Number(newImageClarity)) ? Math.round(Number(newImageClarity)) : null,
@@ -81,10 +83,45 @@ function summarizeBestCandidate(candidate, groupsMap, newImageClarity = null) {
   };
 }
 
+// Numeric vision results kept with the decision so later feedback can be scored
+// against what the model actually said. Reasoning text stays in the explanation.
+function summarizeVisionOutcome(visionOutcome) {
+  if (!visionOutcome || typeof visionOutcome !== 'object') {
+    return null;
+  }
+  const comparisons = Array.isArray(visionOutcome.comparisons) ? visionOutcome.comparisons : [];
+  return {
+    applied: Boolean(visionOutcome.applied),
+    reason: visionOutcome.reason || null,
+    approvedGroupId: visionOutcome.approvedGroupId ?? null,
+    partial: Boolean(visionOutcome.partial),
+    usage: visionOutcome.usage || null,
+    promptVersion: visionOutcome.promptVersion || null,
+    comparisons: comparisons.map((comparison) => ({
+      groupId: comparison.groupId ?? null,
+      skipped: Boolean(comparison.skipped),
+      similarity: Number.isFinite(Number(comparison.similarity)) ? Number(comparison.similarity) : null,
+      confidence: comparison.confidence || null,
+      fatalMismatch: comparison.fatalMismatch || null,
+      approved: comparison.approved ?? null,
+      vote: comparison.vote || null,
+      references: (Array.isArray(comparison.references) ? comparison.references : []).map((reference) => ({
+        selectionId: reference.selectionId ?? null,
+        skipped: Boolean(reference.skipped),
+        similarity: Number.isFinite(Number(reference.similarity)) ? Number(reference.similarity) : null,
+        confidence: reference.confidence || null,
+        fatalMismatch: reference.fatalMismatch || null,
+        passed: reference.passed ?? null
+      }))
+    }))
+  };
+}
+
 module.exports = {
   packExplanationWithDetails,
   unpackExplanationWithDetails,
   summarizeBestCandidate,
+  summarizeVisionOutcome,
   SENTINEL_START,
   SENTINEL_END
 };
@@ -0,0 +1,363 @@
+const {
+  SINGLE_CAMERA_SELECTIONS_TABLE_NAME,
+  GROUPING_FEEDBACK_TABLE_NAME
+} = require('./db.js');
+const { unpackExplanationWithDetails } = require('./grouping-explanation.js');
+const {
+  scoreGroupCandidate,
+  STABLE_TRAIT_THRESHOLD
+} = require('./single-description.js');
+const {
+  VISION_ACCEPT_SIMILARITY,
+  VISION_ACCEPT_CONFIDENCE
+} = require('./vision-verification.js');
+const { loadGroupCandidates } = require('./person-group.js');
+const { loadDecisionCandidate } = require('./grouping-decisions.js');
+
+const FEEDBACK_VERDICTS = ['confirm', 'reject'];
+// The trait check only builds the vision shortlist, so it should almost never drop a true match.
+const TARGET_SHORTLIST_RECALL = 0.95;
+const MIN_SAMPLES_PER_VERDICT = 5;
+const VISION_SIMILARITY_STEPS = [50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 100];
+// Weighted trait scores are continuous, so the sweep walks the score range in fixed steps.
+const TRAIT_THRESHOLD_STEPS = Array.from({ length: 20 }, (_, index) => (index + 1) / 20);
+
+// HTTP status for each error code thrown by recordGroupingFeedback.
+const FEEDBACK_ERROR_STATUS = {
+  SELECTION_NOT_FOUND: 404,
+  INVALID_FEEDBACK: 400
+};
+
+function feedbackError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// vision is a decision's vision outcome. The comparison carries the vision prompt
+// version it was made with (null for decisions stored before prompt versions were
+// recorded).
+function findVisionComparison(vision, groupId) {
+  const comparisons = Array.isArray(vision?.comparisons) ? vision.comparisons : [];
+  const comparison = comparisons.find((entry) => (
+    Number(entry.groupId) === Number(groupId) && !entry.skipped
+  ));
+  return comparison ? { ...comparison, promptVersion: vision.promptVersion || null } : null;
+}
+
+function currentFeedbackThresholds() {
+  return {
+    stableTraitThreshold: STABLE_TRAIT_THRESHOLD,
+    visionAcceptSimilarity: VISION_ACCEPT_SIMILARITY,
+    visionAcceptConfidence: VISION_ACCEPT_CONFIDENCE
+  };
+}
+
+function mapFeedbackRow(row) {
+  return {
+    id: Number(row.id),
+    selectionId: Number(row.selection_id),
+    personGroupId: Number(row.person_group_id),
+    assignedGroupId: row.assigned_group_id ? Number(row.assigned_group_id) : null,
+    verdict: row.verdict,
+    groupingProbability: row.grouping_probability ?? null,
+    compatible: row.compatible ?? null,
+    matchedTraits: row.matched_traits || [],
+    matchRatio: row.match_ratio ?? null,
+    visionSimilarity: row.vision_similarity ?? null,
+    visionConfidence: row.vision_confidence || null,
+    visionFatalMismatch: row.vision_fatal_mismatch || null,
+    descriptionPromptVersion: row.description_prompt_version || null,
+    visionPromptVersion: row.vision_prompt_version || null,
+    createdAt: row.created_at
+  };
+}
+
+// Everything a feedback label is scored with, from the selection's latest grouping
+// decision: the group's trait score (priors included), the vision outcome and the
+// thresholds in force. Selections grouped before decisions kept candidate scores
+// fall back to the vision details packed into grouping_explanation and the current
+// thresholds. In either case a group the decision did not score is scored now,
+// against the group without this selection, with the photo's capture time and place.
+async function resolveDecisionScores(client, selection, groupId) {
+  const decision = await loadDecisionCandidate(client, selection.id, groupId);
+  const context = decision
+    ? {
+      decisionId: decision.decisionId,
+      vision: decision.vision,
+      thresholds: {
+        stableTraitThreshold: decision.thresholds?.stableTraitThreshold ?? null,
+        visionAcceptSimilarity: decision.thresholds?.visionAcceptSimilarity ?? null,
+        visionAcceptConfidence: decision.thresholds?.visionAcceptConfidence ?? null
+      }
+    }
+    : {
+      decisionId: null,
+      vision: unpackExplanationWithDetails(selection.grouping_explanation || '').details?.vision || null,
+      thresholds: currentFeedbackThresholds()
+    };
+  if (decision?.candidate) {
+    return {
+      ...context,
+      source: 'decision',
+      candidate: decision.candidate,
+      descriptionPromptVersion: decision.versions?.descriptionPrompt || null
+    };
+  }
+  if (!selection.description_json) {
+    return { ...context, source: null, candidate: null, descriptionPromptVersion: null };
+  }
+  const capturedAt = selection.captured_at || selection.created_at || null;
+  const { groupsMap } = await loadGroupCandidates(client, {
+    excludeSelectionId: selection.id,
+    capturedAt: capturedAt ? new Date(capturedAt).toISOString() : null,
+    groupIds: [groupId]
+  });
+  const candidate = scoreGroupCandidate(
+    selection.description_json,
+    groupsMap.get(String(groupId)) || null,
+    { capturedAt, location: selection.location }
+  );
+  return {
+    ...context,
+    source: candidate ? 'recomputed' : null,
+    candidate: candidate || null,
+    descriptionPromptVersion: candidate ? selection.description_prompt_version || null : null
+  };
+}
+
+// Stores a labelled (selection, group) pair with the trait score, vision comparison
+// and thresholds of the grouping decision (see resolveDecisionScores). Confirming the current group also pins the selection so automated
+// regrouping keeps it there.
+async function recordGroupingFeedback(client, { selectionId, verdict, groupId = null, note = null }) {
+  if (!FEEDBACK_VERDICTS.includes(verdict)) {
+    throw feedbackError(`verdict must be one of: ${FEEDBACK_VERDICTS.join(', ')}.`, 'INVALID_FEEDBACK');
+  }
+
+  const selectionResult = await client.query(
+    `
+      SELECT id, person_group_id, description_json, description_prompt_version, grouping_probability, grouping_explanation,
+             captured_at, created_at, location
+      FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+      WHERE id = $1
+      FOR UPDATE
+    `,
+    [selectionId]
+  );
+  const selection = selectionResult.rows?.[0];
+  if (!selection) {
+    throw feedbackError(`Selection ${selectionId} not found.`, 'SELECTION_NOT_FOUND');
+  }
+
+  const assignedGroupId = selection.person_group_id ? Number(selection.person_group_id) : null;
+  const targetGroupId = groupId ? Number(groupId) : assignedGroupId;
+  if (!targetGroupId) {
+    throw feedbackError('Selection has no group; pass "groupId" to give feedback on a candidate group.', 'INVALID_FEEDBACK');
+  }
+
+  const score = await resolveDecisionScores(client, selection, targetGroupId);
+  const compatibility = score.candidate;
+  const matchedTraits = compatibility?.matchedTraits || [];
+  const matchRatio = compatibility?.compatible ? compatibility.matchRatio : 0;
+  const comparison = findVisionComparison(score.vision, targetGroupId);
+
+  const snapshot = {
+    note: typeof note === 'string' && note.trim() ? note.trim().slice(0, 500) : null,
+    scoreSource: score.source,
+    decisionId: score.decisionId,
+    incompatibilityReason: compatibility && !compatibility.compatible ? compatibility.reason : null,
+    partialTraits: compatibility?.partialTraits || [],
+    evidence: compatibility?.evidence || [],
+    traitMatchRatio: compatibility?.traitMatchRatio ?? null,
+    priors: compatibility?.priors || null,
+    groupMemberCount: compatibility ? compatibility.memberCount : null,
+    thresholds: score.thresholds
+  };
+
+  const inserted = await client.query(
+    `
+      INSERT INTO ${GROUPING_FEEDBACK_TABLE_NAME} (
+        selection_id, person_group_id, assigned_group_id, verdict, grouping_probability,
+        compatible, matched_traits, match_ratio,
+        vision_similarity, vision_confidence, vision_fatal_mismatch, details,
+        description_prompt_version, vision_prompt_version
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `,
+    [
+      selectionId,
+      targetGroupId,
+      assignedGroupId,
+      verdict,
+      selection.grouping_probability ?? null,
+      compatibility ? compatibility.compatible : null,
+      compatibility ? matchedTraits : null,
+      compatibility ? matchRatio : null,
+      comparison ? comparison.similarity : null,
+      comparison ? comparison.confidence : null,
+      comparison ? comparison.fatalMismatch : null,
+      JSON.stringify(snapshot),
+      score.descriptionPromptVersion,
+      comparison ? comparison.promptVersion : null
+    ]
+  );
+
+  let pinned = false;
+  if (verdict === 'confirm' && targetGroupId === assignedGroupId) {
+    await client.query(
+      `
+        UPDATE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+        SET assignment_pinned = TRUE,
+            assignment_source = 'manual-confirm'
+        WHERE id = $1
+      `,
+      [selectionId]
+    );
+    pinned = true;
+  }
+
+  return { feedback: mapFeedbackRow(inserted.rows[0]), pinned };
+}
+
+// Latest verdict per (selection, group); a person changing their mind overrides the earlier label.
+async function loadFeedbackPairs(queryable) {
+  const result = await queryable.query(`
+    SELECT DISTINCT ON (selection_id, person_group_id) *
+    FROM ${GROUPING_FEEDBACK_TABLE_NAME}
+    ORDER BY selection_id, person_group_id, created_at DESC, id DESC
+  `);
+  return (result.rows || []).map(mapFeedbackRow);
+}
+
+function scorePredictions(pairs, predict) {
+  const counts = { truePositive: 0, falsePositive: 0, falseNegative: 0, trueNegative: 0 };
+  for (const pair of pairs) {
+    const predicted = predict(pair);
+    const actual = pair.verdict === 'confirm';
+    if (predicted && actual) counts.truePositive += 1;
+    else if (predicted) counts.falsePositive += 1;
+    else if (actual) counts.falseNegative += 1;
+    else counts.trueNegative += 1;
+  }
+  const precision = counts.truePositive + counts.falsePositive
+    ? counts.truePositive / (counts.truePositive + counts.falsePositive)
+    : null;
+  const recall = counts.truePositive + counts.falseNegative
+    ? counts.truePositive / (counts.truePositive + counts.falseNegative)
+    : null;
+  const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : 0;
+  return { ...counts, precision, recall, f1 };
+}
+
+function countVerdicts(pairs) {
+  return {
+    confirm: pairs.filter((pair) => pair.verdict === 'confirm').length,
+    reject: pairs.filter((pair) => pair.verdict === 'reject').length
+  };
+}
+
+function insufficientReason(counts, minSamples) {
+  if (counts.confirm >= minSamples && counts.reject >= minSamples) {
+    return null;
+  }
+  return `Need at least ${minSamples} confirmed and ${minSamples} rejected pairs (have ${counts.confirm} and ${counts.reject}).`;
+}
+
+function recommendStableTraitThreshold(pairs, minSamples) {
+  const scored = pairs.filter((pair) => pair.compatible !== null && pair.matchRatio !== null);
+  const counts = countVerdicts(scored);
+  const sweep = [];
+  for (const threshold of TRAIT_THRESHOLD_STEPS) {
+    sweep.push({
+      threshold,
+      ...scorePredictions(scored, (pair) => pair.compatible && pair.matchRatio >= threshold - 1e-9)
+    });
+  }
+
+  const insufficient = insufficientReason(counts, minSamples);
+  if (insufficient) {
+    return { current: STABLE_TRAIT_THRESHOLD, recommended: null, reason: insufficient, samples: counts, sweep };
+  }
+
+  // Strictest threshold that still keeps the shortlist recall target.
+  const passing = sweep.filter((entry) => entry.recall !== null && entry.recall >= TARGET_SHORTLIST_RECALL);
+  const chosen = passing.length ? passing[passing.length - 1] : sweep[0];
+  const reason = passing.length
+    ? `Strictest threshold keeping ≥${Math.round(TARGET_SHORTLIST_RECALL * 100)}% of confirmed pairs on the shortlist while dropping ${chosen.trueNegative}/${counts.reject} rejected pairs.`
+    : `No threshold keeps ${Math.round(TARGET_SHORTLIST_RECALL * 100)}% of confirmed pairs; use the loosest setting and review the trait matcher.`;
+  return { current: STABLE_TRAIT_THRESHOLD, recommended: chosen.threshold, reason, samples: counts, sweep };
+}
+
+function recommendVisionAcceptance(pairs, minSamples) {
+  const scored = pairs.filter((pair) => Number.isFinite(Number(pair.visionSimilarity)));
+  const counts = countVerdicts(scored);
+  const sweep = [];
+  for (const confidence of ['high', 'any']) {
+    for (const similarity of VISION_SIMILARITY_STEPS) {
+      sweep.push({
+        similarity,
+        confidence,
+        ...scorePredictions(scored, (pair) => (
+          !pair.visionFatalMismatch
+          && Number(pair.visionSimilarity) >= similarity
+          && (confidence === 'any' || String(pair.visionConfidence || '').toLowerCase() === 'high')
+        ))
+      });
+    }
+  }
+
+  const current = { similarity: VISION_ACCEPT_SIMILARITY, confidence: VISION_ACCEPT_CONFIDENCE };
+  const insufficient = insufficientReason(counts, minSamples);
+  if (insufficient) {
+    return { current, recommended: null, reason: insufficient, samples: counts, sweep };
+  }
+
+  // Best F1; ties go to higher precision, then the stricter rule, since a wrong merge
+  // is harder to notice than a missed one.
+  const ranked = [...sweep].sort((a, b) => (
+    (b.f1 - a.f1)
+    || ((b.precision ?? 0) - (a.precision ?? 0))
+    || ((a.confidence === 'high' ? 0 : 1) - (b.confidence === 'high' ? 0 : 1))
+    || (b.similarity - a.similarity)
+  ));
+  const chosen = ranked[0];
+  return {
+    current,
+    recommended: { similarity: chosen.similarity, confidence: chosen.confidence },
+    reason: `Best F1 (${chosen.f1.toFixed(2)}) over ${scored.length} pairs that had a vision comparison at decision time.`,
+    samples: counts,
+    sweep
+  };
+}
+
+function buildThresholdReport(pairs, { minSamples = MIN_SAMPLES_PER_VERDICT } = {}) {
+  const vision = recommendVisionAcceptance(pairs, minSamples);
+  return {
+    generatedAt: new Date().toISOString(),
+    samples: countVerdicts(pairs),
+    stableTraitThreshold: recommendStableTraitThreshold(pairs, minSamples),
+    visionAcceptSimilarity: {
+      current: vision.current.similarity,
+      recommended: vision.recommended?.similarity ?? null,
+      reason: vision.reason,
+      samples: vision.samples
+    },
+    visionAcceptConfidence: {
+      current: vision.current.confidence,
+      recommended: vision.recommended?.confidence ?? null,
+      reason: vision.reason,
+      samples: vision.samples
+    },
+    visionSweep: vision.sweep
+  };
+}
+
+module.exports = {
+  recordGroupingFeedback,
+  loadFeedbackPairs,
+  buildThresholdReport,
+  FEEDBACK_VERDICTS,
+  FEEDBACK_ERROR_STATUS,
+  MIN_SAMPLES_PER_VERDICT
+};
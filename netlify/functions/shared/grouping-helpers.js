@@ -1,3 +1,6 @@
+const { buildImageUrl } = require('./image-store.js');
+const { selectDiverseReferences } = require('./reference-selection.js');
+
 function extractClarity(description) {
   if (!description || typeof description !== 'object') {
     return 0;
@@ -42,6 +45,10 @@ function collectGroupsWithRepresentatives(rows) {
     if (!groupId || !canonical) continue;
     const key = String(groupId);
     const clarity = extractClarity(canonical);
+    // representativeImage is a URL for image-store rows (data URL for legacy rows);
+    // vision verification loads the bytes from representativeImageKey when it needs them.
+    const rowImage = row.image_key ? buildImageUrl(row.image_key) : (row.image_data_url || null);
+    const rowImageKey = row.image_key || null;
     const captured = row.captured_at || row.created_at || null;
     const capturedIso = captured instanceof Date && !Number.isNaN(captured.getTime())
       ? captured.toISOString()
@@ -52,46 +59,112 @@ function collectGroupsWithRepresentatives(rows) {
         group_id: groupId,
         group_canonical: canonical,
         group_member_count: 0,
-        representativeImage: row.image_data_url || null,
+        representativeImage: rowImage,
+        representativeImageKey: rowImageKey,
         representativeCapturedAt: capturedIso,
+        representativeLocation: row.location || null,
         representativeSelectionId: row.id || null,
-        best_clarity: clarity
+        best_clarity: clarity,
+        group_sightings: [],
+        group_members: []
       };
       groupsMap.set(key, entry);
     }
     entry.group_member_count += 1;
+    entry.group_sightings.push({ selectionId: row.id || null, capturedAt: capturedIso, location: row.location || null });
+    entry.group_members.push({
+      selectionId: row.id || null,
+      imageKey: rowImageKey,
+      image: rowImageKey ? null : (row.image_data_url || null),
+      capturedAt: capturedIso,
+      location: row.location || null,
+      schema: canonical,
+      clarity
+    });
 
     const shouldReplaceCanonical = typeof entry.best_clarity !== 'number' || clarity > entry.best_clarity;
     if (shouldReplaceCanonical) {
       entry.group_canonical = canonical;
       entry.best_clarity = clarity;
-      if (row.image_data_url) {
-        entry.representativeImage = row.image_data_url;
+      if (rowImage) {
+        entry.representativeImage = rowImage;
+        entry.representativeImageKey = rowImageKey;
         entry.representativeCapturedAt = capturedIso;
+        entry.representativeLocation = row.location || null;
         entry.representativeSelectionId = row.id || null;
       }
-    } else if (!entry.representativeImage && row.image_data_url) {
-      entry.representativeImage = row.image_data_url;
+    } else if (!entry.representativeImage && rowImage) {
+      entry.representativeImage = rowImage;
+      entry.representativeImageKey = rowImageKey;
       entry.representativeCapturedAt = capturedIso;
+      entry.representativeLocation = row.location || null;
       entry.representativeSelectionId = row.id || null;
     }
   }
 
   const groups = [];
   for (const entry of groupsMap.values()) {
+    entry.group_references = selectDiverseReferences(entry.group_members, {
+      representativeSelectionId: entry.representativeSelectionId
+    });
     groups.push({
       group_id: entry.group_id,
       group_canonical: entry.group_canonical,
       group_member_count: entry.group_member_count,
       representativeImage: entry.representativeImage || null,
+      representativeImageKey: entry.representativeImageKey || null,
       representativeSelectionId: entry.representativeSelectionId || null,
       representativeCapturedAt: entry.representativeCapturedAt || null,
-      group_image_clarity: typeof entry.best_clarity === 'number' ? entry.best_clarity : null
+      representativeLocation: entry.representativeLocation || null,
+      group_image_clarity: typeof entry.best_clarity === 'number' ? entry.best_clarity : null,
+      group_sightings: entry.group_sightings,
+      group_references: entry.group_references
     });
   }
   return { groups, groupsMap };
 }
 
+// Same { groups, groupsMap } shape as collectGroupsWithRepresentatives, built from
+// person_groups rows joined to their representative selection. Rows may carry the
+// member closest in time to a new photo as sighting_* columns.
+function buildGroupsFromPersonGroupRows(rows) {
+  const groupsMap = new Map();
+  const groups = [];
+  for (const row of rows) {
+    if (!row.id || !row.canonical_schema) continue;
+    const captured = row.captured_at || row.created_at || null;
+    const capturedIso = captured instanceof Date && !Number.isNaN(captured.getTime())
+      ? captured.toISOString()
+      : (typeof captured === 'string' ? captured : null);
+    const clarity = Number.isFinite(Number(row.canonical_clarity))
+      ? Number(row.canonical_clarity)
+      : extractClarity(row.canonical_schema);
+    const group = {
+      group_id: Number(row.id),
+      group_label: row.label || null,
+      group_canonical: row.canonical_schema,
+      group_member_count: Number(row.member_count) || 0,
+      representativeImage: row.image_key ? buildImageUrl(row.image_key) : (row.image_data_url || null),
+      representativeImageKey: row.image_key || null,
+      representativeThumbnailKey: row.thumbnail_key || null,
+      representativeSelectionId: row.representative_selection_id ? Number(row.representative_selection_id) : null,
+      representativeCapturedAt: capturedIso,
+      representativeLocation: row.location || null,
+      group_image_clarity: clarity,
+      group_sightings: row.sighting_selection_id
+        ? [{
+          selectionId: Number(row.sighting_selection_id),
+          capturedAt: row.sighting_captured_at || null,
+          location: row.sighting_location || null
+        }]
+        : []
+    };
+    groups.push(group);
+    groupsMap.set(String(group.group_id), { ...group, best_clarity: clarity });
+  }
+  return { groups, groupsMap };
+}
+
 function formatDateLabel(value) {
   if (!value) {
     return 'time unknown';
@@ -116,8 +189,8 @@ function buildVisionSummary(visionOutcome, groupsMap) {
   }
 
   if (!visionOutcome.applied) {
-    if (visionOutcome.reason === 'missing_api_key') {
-      return 'Vision verification skipped: OpenAI API key not configured.';
+    if (visionOutcome.reason === 'provider_not_configured') {
+      return 'Vision verification skipped: vision provider not configured.';
     }
     if (visionOutcome.reason === 'empty_shortlist') {
       return '';
@@ -135,24 +208,43 @@ function buildVisionSummary(visionOutcome, groupsMap) {
     return 'Vision verification ran but produced no comparisons.';
   }
 
+  const describeReference = (groupId, reference) => {
+    if (reference.skipped) {
+      return `vs selection #${reference.selectionId}: skipped (${reference.reason || 'unknown reason'}).`;
+    }
+    const groupMeta = groupsMap.get(String(groupId)) || {};
+    const selectionId = reference.selectionId || groupMeta.representativeSelectionId;
+    const referenceLabel = selectionId ? `selection #${selectionId}` : `group ${groupId}`;
+    const referenceTime = formatDateLabel(reference.capturedAt || groupMeta.representativeCapturedAt);
+    const reasoning = sanitizeReasoningText(reference.reasoning);
+    const status = reference.fatalMismatch
+      ? `fatal mismatch (${reference.fatalMismatch})`
+      : `${reference.similarity}% (${reference.confidence || 'unknown'})`;
+    const reasoningText = reasoning ? ` Reasoning: ${reasoning}` : '';
+    return `vs ${referenceLabel} (${referenceTime}): ${status}.${reasoningText}`;
+  };
+
   const lines = visionOutcome.comparisons.map((comparison) => {
     if (comparison.skipped) {
       return `Vision check skipped for group ${comparison.groupId}: ${comparison.reason || 'unknown reason'}.`;
     }
-    const groupMeta = groupsMap.get(String(comparison.groupId)) || {};
-    const referenceLabel = groupMeta.representativeSelectionId
-      ? `selection #${groupMeta.representativeSelectionId}`
-      : `group ${comparison.groupId}`;
-    const referenceTime = formatDateLabel(groupMeta.representativeCapturedAt);
+    const { passed, failed, veto } = comparison.vote || { passed: 0, failed: 0, veto: null };
+    const verdict = veto
+      ? `rejected by ${veto} mismatch`
+      : `${passed} of ${passed + failed} references passed`;
+    const details = (comparison.references || []).map((reference) => describeReference(comparison.groupId, reference));
     const newTime = formatDateLabel(comparison.newCapturedAt);
-    const reasoning = sanitizeReasoningText(comparison.reasoning);
-    const status = comparison.fatalMismatch
-      ? `fatal mismatch (${comparison.fatalMismatch})`
-      : `${comparison.similarity}% (${comparison.confidence || 'unknown'})`;
-    const reasoningText = reasoning ? ` Reasoning: ${reasoning}` : '';
-    return `Vision check vs ${referenceLabel} (${referenceTime}) using new capture (${newTime}): ${status}.${reasoningText}`;
+    return `Vision check for group ${comparison.groupId} using new capture (${newTime}), ${verdict}: ${details.join(' ')}`;
   });
 
+  if (visionOutcome.partial) {
+    const refused = visionOutcome.usage?.refused
+      ? ` ${visionOutcome.usage.refused} comparison${visionOutcome.usage.refused === 1 ? '' : 's'} skipped by the token budget.`
+      : '';
+    const failed = visionOutcome.error ? ` Some comparisons failed (${visionOutcome.error}).` : '';
+    lines.push(`Partial vision result:${failed}${refused}`);
+  }
+
   if (visionOutcome.approvedGroupId) {
     lines.push(`Vision approval: group ${visionOutcome.approvedGroupId} confirmed.`);
   } else {
@@ -163,6 +255,8 @@ function buildVisionSummary(visionOutcome, groupsMap) {
 }
 
 module.exports = {
+  extractClarity,
   collectGroupsWithRepresentatives,
+  buildGroupsFromPersonGroupRows,
   buildVisionSummary
 };
@@ -0,0 +1,132 @@
+const { convertToDate, extractCoordinates, distanceKm } = require('./geo.js');
+
+// Time-and-place priors for grouping. Each candidate group is compared with the
+// member photo taken closest in time to the new photo (its "sighting"):
+// - clothing counts fully within a day and fades out after that,
+// - a sighting too far away for the time between the photos rules the group out,
+// - a sighting nearby shortly before or after earns a small score boost.
+
+function readPositiveNumber(envKey, fallback) {
+  const raw = Number(process.env[envKey]);
+  return Number.isFinite(raw) && raw > 0 ? raw : fallback;
+}
+
+const CLOTHING_STABLE_HOURS = readPositiveNumber('CLOTHING_STABLE_HOURS', 12);
+const CLOTHING_FADE_HOURS = 48;
+const CLOTHING_MIN_FACTOR = 0.25;
+
+// Fast ground travel; anything quicker between two photos is treated as two people.
+const MAX_TRAVEL_SPEED_KMH = readPositiveNumber('MAX_TRAVEL_SPEED_KMH', 250);
+// Consumer GPS fixes wander; distances below this never count as travel.
+const TRAVEL_SLACK_KM = 0.5;
+
+const NEARBY_RADIUS_KM = 1;
+const NEARBY_WINDOW_MINUTES = 120;
+const NEARBY_MAX_BOOST = 0.1;
+
+function toSighting(value) {
+  const capturedAt = convertToDate(value?.capturedAt);
+  return {
+    selectionId: value?.selectionId ?? null,
+    capturedAt,
+    coordinates: extractCoordinates(value?.location)
+  };
+}
+
+function clothingFactorFor(elapsedHours) {
+  if (elapsedHours === null || elapsedHours <= CLOTHING_STABLE_HOURS) {
+    return 1;
+  }
+  const fadeEnd = Math.max(CLOTHING_FADE_HOURS, CLOTHING_STABLE_HOURS);
+  if (elapsedHours >= fadeEnd) {
+    return CLOTHING_MIN_FACTOR;
+  }
+  const progress = (elapsedHours - CLOTHING_STABLE_HOURS) / (fadeEnd - CLOTHING_STABLE_HOURS);
+  return Math.round((1 - progress * (1 - CLOTHING_MIN_FACTOR)) * 100) / 100;
+}
+
+function checkTravel(newPhoto, sighting) {
+  if (!newPhoto.coordinates || !sighting.coordinates || !newPhoto.capturedAt || !sighting.capturedAt) {
+    return null;
+  }
+  const distance = distanceKm(newPhoto.coordinates, sighting.coordinates);
+  const slack = TRAVEL_SLACK_KM + newPhoto.coordinates.accuracyKm + sighting.coordinates.accuracyKm;
+  const elapsedHours = Math.abs(newPhoto.capturedAt - sighting.capturedAt) / 3600000;
+  const travelled = Math.max(0, distance - slack);
+  const impossible = travelled > 0 && travelled > elapsedHours * MAX_TRAVEL_SPEED_KMH;
+  return { distanceKm: distance, elapsedHours, impossible };
+}
+
+// context: { capturedAt, location } of the new photo.
+// sightings: [{ selectionId, capturedAt, location }] of the group's members.
+function computeGroupingPriors(context, sightings) {
+  const newPhoto = toSighting(context || {});
+  const candidates = (Array.isArray(sightings) ? sightings : []).map(toSighting);
+  const priors = {
+    sightingSelectionId: null,
+    elapsedMinutes: null,
+    distanceKm: null,
+    clothingFactor: 1,
+    boost: 0,
+    impossible: null
+  };
+  if (!newPhoto.capturedAt || !candidates.length) {
+    return priors;
+  }
+
+  for (const sighting of candidates) {
+    const travel = checkTravel(newPhoto, sighting);
+    if (travel?.impossible) {
+      priors.impossible = {
+        selectionId: sighting.selectionId,
+        distanceKm: Math.round(travel.distanceKm * 10) / 10,
+        elapsedMinutes: Math.round(travel.elapsedHours * 60)
+      };
+      break;
+    }
+  }
+
+  const timed = candidates.filter((sighting) => sighting.capturedAt);
+  if (!timed.length) {
+    return priors;
+  }
+  const nearest = timed.reduce((best, sighting) => (
+    Math.abs(sighting.capturedAt - newPhoto.capturedAt) < Math.abs(best.capturedAt - newPhoto.capturedAt)
+      ? sighting
+      : best
+  ));
+  const elapsedMinutes = Math.abs(nearest.capturedAt - newPhoto.capturedAt) / 60000;
+  priors.sightingSelectionId = nearest.selectionId;
+  priors.elapsedMinutes = Math.round(elapsedMinutes);
+  priors.clothingFactor = clothingFactorFor(elapsedMinutes / 60);
+
+  if (newPhoto.coordinates && nearest.coordinates) {
+    const distance = distanceKm(newPhoto.coordinates, nearest.coordinates);
+    priors.distanceKm = Math.round(distance * 100) / 100;
+    if (distance <= NEARBY_RADIUS_KM && elapsedMinutes <= NEARBY_WINDOW_MINUTES) {
+      priors.boost = Math.round(NEARBY_MAX_BOOST * (1 - elapsedMinutes / NEARBY_WINDOW_MINUTES) * 1000) / 1000;
+    }
+  }
+  return priors;
+}
+
+function describePriors(priors) {
+  if (!priors || priors.elapsedMinutes === null) {
+    return '';
+  }
+  const pieces = [];
+  if (priors.boost > 0) {
+    pieces.push(`Seen ${priors.distanceKm} km away ${priors.elapsedMinutes} min apart (+${Math.round(priors.boost * 100)}%).`);
+  }
+  if (priors.clothingFactor < 1) {
+    pieces.push(`Clothing weighted at ${Math.round(priors.clothingFactor * 100)}% (${Math.round(priors.elapsedMinutes / 60)} h apart).`);
+  }
+  return pieces.join(' ');
+}
+
+module.exports = {
+  computeGroupingPriors,
+  describePriors,
+  MAX_TRAVEL_SPEED_KMH,
+  CLOTHING_STABLE_HOURS
+};
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Image blobs live outside the database rows. Each image is stored once under a
+// content-addressed key (images/<sha256>.<ext>, thumbnails/<sha256>.<ext>) and rows
+// only keep that key. IMAGE_STORE selects the backend:
+//   local (default): files under IMAGE_STORE_DIR,
+//   s3: any S3-compatible bucket via IMAGE_STORE_S3_* settings, signed with SigV4.
+// Rows no longer carry the image inline, so there is no fallback to a temporary
+// directory: it is lost on cold starts and not shared between function instances.
+// Saving refuses with IMAGE_STORE_NOT_CONFIGURED until one of the two is set up.
+
+const IMAGE_STORE_ENV_KEY = 'IMAGE_STORE';
+const SUPPORTED_IMAGE_STORES = ['local', 's3'];
+const IMAGE_SERVE_PATH = '/.netlify/functions/get-image';
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+const EXTENSION_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+const IMAGE_KEY_PATTERN = /^(images|thumbnails)\/[a-f0-9]{64}\.(jpg|png|webp)$/;
+
+let cachedStore = null;
+let cachedStoreName = null;
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function isValidImageKey(key) {
+  return typeof key === 'string' && IMAGE_KEY_PATTERN.test(key);
+}
+
+function contentTypeForKey(key) {
+  const extension = key.slice(key.lastIndexOf('.') + 1);
+  return EXTENSION_CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+function parseImageDataUrl(dataUrl) {
+  if (typeof dataUrl !== 'string') {
+    return null;
+  }
+  const match = /^data:([^;,]+);base64,(.+)$/s.exec(dataUrl.trim());
+  if (!match) {
+    return null;
+  }
+  const contentType = match[1].toLowerCase();
+  const extension = CONTENT_TYPE_EXTENSIONS[contentType];
+  if (!extension) {
+    return null;
+  }
+  const buffer = Buffer.from(match[2], 'base64');
+  if (!buffer.length) {
+    return null;
+  }
+  return {
+    buffer,
+    contentType: EXTENSION_CONTENT_TYPES[extension],
+    extension
+  };
+}
+
+function imageStoreNotConfiguredError(name) {
+  const message = name === 's3'
+    ? 'S3 image store is not configured. Set IMAGE_STORE_S3_ENDPOINT, IMAGE_STORE_S3_BUCKET, IMAGE_STORE_S3_ACCESS_KEY_ID and IMAGE_STORE_S3_SECRET_ACCESS_KEY.'
+    : 'Local image store is not configured. Set IMAGE_STORE_DIR to a persistent directory, or IMAGE_STORE=s3.';
+  const error = new Error(message);
+  error.code = 'IMAGE_STORE_NOT_CONFIGURED';
+  return error;
+}
+
+function createLocalImageStore() {
+  const configuredDir = (process.env.IMAGE_STORE_DIR || '').trim();
+  const rootDir = configuredDir ? path.resolve(configuredDir) : null;
+  const resolvePath = (key) => {
+    if (!rootDir) {
+      throw imageStoreNotConfiguredError('local');
+    }
+    return path.join(rootDir, ...key.split('/'));
+  };
+
+  return {
+    name: 'local',
+    isConfigured() {
+      return Boolean(rootDir);
+    },
+    async exists(key) {
+      const filePath = resolvePath(key);
+      try {
+        await fs.promises.access(filePath);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    async put(key, buffer) {
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename so a concurrent reader never sees a partial file.
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, filePath);
+    },
+    async get(key) {
+      const filePath = resolvePath(key);
+      try {
+        const body = await fs.promises.readFile(filePath);
+        return { body, contentType: contentTypeForKey(key) };
+      } catch (error) {
+        if (error?.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+function encodeS3Path(value) {
+  return value
+    .split('/')
+    .map((segment) => encodeURIComponent(segment).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+function createS3ImageStore() {
+  const endpoint = (process.env.IMAGE_STORE_S3_ENDPOINT || '').trim().replace(/\/+$/, '');
+  const bucket = (process.env.IMAGE_STORE_S3_BUCKET || '').trim();
+  const region = (process.env.IMAGE_STORE_S3_REGION || '').trim() || 'us-east-1';
+  const accessKeyId = (process.env.IMAGE_STORE_S3_ACCESS_KEY_ID || '').trim();
+  const secretAccessKey = (process.env.IMAGE_STORE_S3_SECRET_ACCESS_KEY || '').trim();
+
+  const configured = Boolean(endpoint && bucket && accessKeyId && secretAccessKey);
+
+  async function signedRequest(method, key, body = null, contentType = null) {
+    if (!configured) {
+      throw imageStoreNotConfiguredError('s3');
+    }
+
+    const url = new URL(`${endpoint}/${encodeS3Path(bucket)}/${encodeS3Path(key)}`);
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || '');
+
+    const canonicalHeaders = `host:${url.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`;
+    const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      sha256Hex(canonicalRequest)
+    ].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const headers = {
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+    if (contentType) {
+      headers['Content-Type'] = contentType;
+    }
+
+    return fetch(url, { method, headers, body: body || undefined });
+  }
+
+  async function assertOk(response, action, key) {
+    if (response.ok) {
+      return;
+    }
+    const text = await response.text().catch(() => '');
+    const error = new Error(`S3 ${action} failed for ${key}: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    error.body = text.slice(0, 500);
+    throw error;
+  }
+
+  return {
+    name: 's3',
+    isConfigured() {
+      return configured;
+    },
+    async exists(key) {
+      const response = await signedRequest('HEAD', key);
+      if (response.status === 404) {
+        return false;
+      }
+      await assertOk(response, 'HEAD', key);
+      return true;
+    },
+    async put(key, buffer, contentType) {
+      const response = await signedRequest('PUT', key, buffer, contentType);
+      await assertOk(response, 'PUT', key);
+    },
+    async get(key) {
+      const response = await signedRequest('GET', key);
+      if (response.status === 404) {
+        return null;
+      }
+      await assertOk(response, 'GET', key);
+      return {
+        body: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get('content-type') || contentTypeForKey(key)
+      };
+    }
+  };
+}
+
+function resolveImageStoreName() {
+  const raw = (process.env[IMAGE_STORE_ENV_KEY] || '').trim().toLowerCase();
+  if (!raw) {
+    return 'local';
+  }
+  if (!SUPPORTED_IMAGE_STORES.includes(raw)) {
+    console.warn(`Unknown ${IMAGE_STORE_ENV_KEY} "${raw}". Falling back to "local".`);
+    return 'local';
+  }
+  return raw;
+}
+
+function getImageStore() {
+  const name = resolveImageStoreName();
+  if (cachedStore && cachedStoreName === name) {
+    return cachedStore;
+  }
+  cachedStore = name === 's3' ? createS3ImageStore() : createLocalImageStore();
+  cachedStoreName = name;
+  return cachedStore;
+}
+
+async function saveImageDataUrl(dataUrl, { prefix = 'images' } = {}) {
+  const parsed = parseImageDataUrl(dataUrl);
+  if (!parsed) {
+    const error = new Error('Image must be a base64 JPEG, PNG or WebP data URL.');
+    error.code = 'INVALID_IMAGE';
+    throw error;
+  }
+  const store = getImageStore();
+  if (!store.isConfigured()) {
+    throw imageStoreNotConfiguredError(store.name);
+  }
+  const hash = sha256Hex(parsed.buffer);
+  const key = `${prefix}/${hash}.${parsed.extension}`;
+
+  if (!(await store.exists(key))) {
+    await store.put(key, parsed.buffer, parsed.contentType);
+  }
+
+  return {
+    key,
+    hash,
+    contentType: parsed.contentType,
+    bytes: parsed.buffer.length
+  };
+}
+
+async function loadImageDataUrl(key) {
+  if (!isValidImageKey(key)) {
+    return null;
+  }
+  const object = await getImageStore().get(key);
+  if (!object) {
+    return null;
+  }
+  return `data:${object.contentType};base64,${object.body.toString('base64')}`;
+}
+
+// Rows written before the image store still carry image_data_url inline.
+async function resolveRowImageDataUrl(row) {
+  if (row?.image_key) {
+    const loaded = await loadImageDataUrl(row.image_key);
+    if (loaded) {
+      return loaded;
+    }
+  }
+  return typeof row?.image_data_url === 'string' && row.image_data_url.length
+    ? row.image_data_url
+    : null;
+}
+
+function buildImageUrl(key) {
+  if (!isValidImageKey(key)) {
+    return null;
+  }
+  const publicBase = (process.env.IMAGE_PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+  if (publicBase) {
+    return `${publicBase}/${key}`;
+  }
+  return `${IMAGE_SERVE_PATH}?key=${encodeURIComponent(key)}`;
+}
+
+// Response fields for a stored row. Legacy rows without a key still send the inline data URL.
+function buildRowImageFields(row) {
+  const imageUrl = buildImageUrl(row?.image_key);
+  return {
+    imageUrl,
+    thumbnailUrl: buildImageUrl(row?.thumbnail_key) || imageUrl,
+    imageDataUrl: imageUrl ? null : (row?.image_data_url || null)
+  };
+}
+
+module.exports = {
+  getImageStore,
+  saveImageDataUrl,
+  loadImageDataUrl,
+  resolveRowImageDataUrl,
+  buildImageUrl,
+  buildRowImageFields,
+  isValidImageKey,
+  parseImageDataUrl,
+  contentTypeForKey,
+  SUPPORTED_IMAGE_STORES
+};
@@ -0,0 +1,570 @@
+const {
+  withTransaction,
+  IMPORT_JOBS_TABLE_NAME,
+  IMPORT_JOB_ITEMS_TABLE_NAME
+} = require('./db.js');
+const { saveImageDataUrl, loadImageDataUrl } = require('./image-store.js');
+const { buildLocationDocument } = require('./geo.js');
+const { readEnvInteger } = require('./provider-limits.js');
+const {
+  prepareSingleSelection,
+  commitSingleSelection
+} = require('./single-selection-store.js');
+
+// Batch imports of many photos. A job is created with the full file list, the
+// browser uploads each file as an item, and `process` calls work through pending
+// items in position order until their time budget runs out. All progress is in
+// the database, so any later call (or a reloaded page) continues where the last
+// one stopped.
+
+const MAX_IMPORT_ITEMS = 500;
+// Items described in parallel per batch; grouping still commits one at a time.
+const IMPORT_CONCURRENCY = readEnvInteger('IMPORT_JOB_CONCURRENCY', 3, { min: 1, max: 8 });
+// One process call stops claiming new batches, and hands back the rest of its
+// batch, after this long. Netlify stops functions after 10 s by default, and one
+// photo's grouping and vision check still has to fit after the budget is spent.
+const IMPORT_TIME_BUDGET_MS = readEnvInteger('IMPORT_JOB_TIME_BUDGET_MS', 5000, { min: 1000 });
+// A processing item untouched for this long belongs to a call that died.
+const STALE_PROCESSING_SECONDS = 120;
+const MAX_ITEM_ATTEMPTS = 3;
+
+const OPEN_ITEM_STATUSES = ['awaiting_upload', 'pending', 'processing'];
+
+// HTTP status for each error code thrown by the functions below.
+const IMPORT_JOB_ERROR_STATUS = {
+  INVALID_FILES: 400,
+  TOO_MANY_FILES: 400,
+  INVALID_IMAGE: 400,
+  JOB_NOT_FOUND: 404,
+  ITEM_NOT_FOUND: 404,
+  JOB_CANCELLED: 409,
+  ITEM_ALREADY_UPLOADED: 409,
+  ITEM_ALREADY_FINISHED: 409,
+  IMAGE_STORE_NOT_CONFIGURED: 500,
+  IMAGE_STORE_FAILED: 500
+};
+
+function importJobError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function toIsoOrNull(value) {
+  if (!value && value !== 0) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function mapJobRow(row, counts) {
+  return {
+    id: Number(row.id),
+    status: row.status,
+    options: row.options || {},
+    totalItems: Number(row.total_items),
+    counts: counts || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at || null
+  };
+}
+
+function mapItemRow(row) {
+  return {
+    position: Number(row.position),
+    fileName: row.file_name,
+    fileSize: row.file_size === null ? null : Number(row.file_size),
+    status: row.status,
+    attempts: Number(row.attempts) || 0,
+    selectionId: row.selection_id === null ? null : Number(row.selection_id),
+    personGroupId: row.person_group_id === null ? null : Number(row.person_group_id),
+    result: row.result || null,
+    error: row.error || null,
+    finishedAt: row.finished_at || null
+  };
+}
+
+async function countItemsByStatus(queryable, jobIds) {
+  const result = await queryable.query(
+    `
+      SELECT job_id, status, COUNT(*)::int AS count
+      FROM ${IMPORT_JOB_ITEMS_TABLE_NAME}
+      WHERE job_id = ANY($1::bigint[])
+      GROUP BY job_id, status
+    `,
+    [jobIds]
+  );
+  const countsByJob = new Map(jobIds.map((id) => [Number(id), {}]));
+  for (const row of result.rows || []) {
+    countsByJob.get(Number(row.job_id))[row.status] = row.count;
+  }
+  return countsByJob;
+}
+
+async function loadJobRow(queryable, jobId, { forUpdate = false } = {}) {
+  const result = await queryable.query(
+    `SELECT * FROM ${IMPORT_JOBS_TABLE_NAME} WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [jobId]
+  );
+  const row = result.rows?.[0];
+  if (!row) {
+    throw importJobError(`Import job ${jobId} not found.`, 'JOB_NOT_FOUND');
+  }
+  return row;
+}
+
+// files: [{ name, size }] in the order they should be processed.
+async function createImportJob(pool, { files, visionEnabled = true } = {}) {
+  if (!Array.isArray(files) || !files.length) {
+    throw importJobError('"files" must be a non-empty array of { name, size }.', 'INVALID_FILES');
+  }
+  if (files.length > MAX_IMPORT_ITEMS) {
+    throw importJobError(`An import job holds at most ${MAX_IMPORT_ITEMS} files.`, 'TOO_MANY_FILES');
+  }
+  const names = files.map((file) => (typeof file?.name === 'string' ? file.name.trim().slice(0, 512) : ''));
+  if (names.some((name) => !name)) {
+    throw importJobError('Every file needs a "name".', 'INVALID_FILES');
+  }
+  const sizes = files.map((file) => (Number.isFinite(Number(file?.size)) ? Math.max(0, Math.floor(Number(file.size))) : null));
+
+  const jobId = await withTransaction(pool, async (client) => {
+    const inserted = await client.query(
+      `
+        INSERT INTO ${IMPORT_JOBS_TABLE_NAME} (options, total_items)
+        VALUES ($1, $2)
+        RETURNING id
+      `,
+      [JSON.stringify({ visionEnabled: visionEnabled !== false }), files.length]
+    );
+    const id = inserted.rows[0].id;
+    await client.query(
+      `
+        INSERT INTO ${IMPORT_JOB_ITEMS_TABLE_NAME} (job_id, position, file_name, file_size)
+        SELECT $1, entry.position, entry.file_name, entry.file_size
+        FROM UNNEST($2::int[], $3::text[], $4::bigint[]) AS entry(position, file_name, file_size)
+      `,
+      [id, names.map((_, index) => index), names, sizes]
+    );
+    return id;
+  });
+
+  return loadImportJob(pool, jobId);
+}
+
+// Stores one uploaded file in the image store and queues it for processing.
+// A file that is not a usable image fails its item instead of the request.
+async function addImportJobItem(pool, jobId, {
+  position,
+  imageDataUrl,
+  thumbnailDataUrl,
+  capturedAt,
+  location
+} = {}) {
+  const job = await loadJobRow(pool, jobId);
+  if (job.status === 'cancelled') {
+    throw importJobError(`Import job ${jobId} was cancelled.`, 'JOB_CANCELLED');
+  }
+  const itemResult = await pool.query(
+    `SELECT * FROM ${IMPORT_JOB_ITEMS_TABLE_NAME} WHERE job_id = $1 AND position = $2`,
+    [jobId, position]
+  );
+  const item = itemResult.rows?.[0];
+  if (!item) {
+    throw importJobError(`Import job ${jobId} has no item at position ${position}.`, 'ITEM_NOT_FOUND');
+  }
+  if (item.status !== 'awaiting_upload') {
+    throw importJobError(`Item ${position} of import job ${jobId} is already ${item.status}.`, 'ITEM_ALREADY_UPLOADED');
+  }
+
+  let storedImage;
+  let storedThumbnail = null;
+  try {
+    storedImage = await saveImageDataUrl(imageDataUrl);
+    if (typeof thumbnailDataUrl === 'string' && thumbnailDataUrl.startsWith('data:image/')) {
+      storedThumbnail = await saveImageDataUrl(thumbnailDataUrl, { prefix: 'thumbnails' });
+    }
+  } catch (error) {
+    if (error?.code === 'IMAGE_STORE_NOT_CONFIGURED') {
+      throw error;
+    }
+    if (error?.code !== 'INVALID_IMAGE') {
+      console.error('Failed to save import item image to image store:', {
+        jobId,
+        position,
+        message: error?.message,
+        status: error?.status
+      });
+      throw importJobError('Failed to store import image.', 'IMAGE_STORE_FAILED');
+    }
+    const failed = await pool.query(
+      `
+        UPDATE ${IMPORT_JOB_ITEMS_TABLE_NAME}
+        SET status = 'failed', error = $3, finished_at = NOW(), updated_at = NOW()
+        WHERE job_id = $1 AND position = $2 AND status = 'awaiting_upload'
+        RETURNING *
+      `,
+      [jobId, position, error.message]
+    );
+    await refreshImportJobStatus(pool, jobId);
+    return failed.rows?.[0] ? mapItemRow(failed.rows[0]) : mapItemRow(item);
+  }
+
+  const locationDoc = buildLocationDocument(location);
+  const updated = await pool.query(
+    `
+      UPDATE ${IMPORT_JOB_ITEMS_TABLE_NAME}
+      SET status = 'pending',
+          image_key = $3,
+          thumbnail_key = $4,
+          captured_at = $5,
+          location = $6,
+          updated_at = NOW()
+      WHERE job_id = $1 AND position = $2 AND status = 'awaiting_upload'
+      RETURNING *
+    `,
+    [
+      jobId,
+      position,
+      storedImage.key,
+      storedThumbnail ? storedThumbnail.key : null,
+      toIsoOrNull(capturedAt),
+      locationDoc ? JSON.stringify(locationDoc) : null
+    ]
+  );
+  if (!updated.rows?.length) {
+    // Another upload of the same file won the race; the stored image is identical.
+    throw importJobError(`Item ${position} of import job ${jobId} is already uploaded.`, 'ITEM_ALREADY_UPLOADED');
+  }
+  return mapItemRow(updated.rows[0]);
+}
+
+// Fails items whose earlier processing calls all died before finishing them.
+async function failAbandonedItems(queryable, jobId) {
+  await queryable.query(
+    `
+      UPDATE ${IMPORT_JOB_ITEMS_TABLE_NAME}
+      SET status = 'failed',
+          error = 'Processing was interrupted too many times.',
+          finished_at = NOW(),
+          updated_at = NOW()
+      WHERE job_id = $1
+        AND status = 'processing'
+        AND attempts >= $2
+        AND updated_at < NOW() - make_interval(secs => $3)
+    `,
+    [jobId, MAX_ITEM_ATTEMPTS, STALE_PROCESSING_SECONDS]
+  );
+}
+
+// Claims the next pending (or abandoned) items. SKIP LOCKED keeps two concurrent
+// process calls from claiming the same item.
+async function claimItems(queryable, jobId, limit) {
+  const result = await queryable.query(
+    `
+      UPDATE ${IMPORT_JOB_ITEMS_TABLE_NAME}
+      SET status = 'processing',
+          attempts = attempts + 1,
+          started_at = NOW(),
+          updated_at = NOW()
+      WHERE id IN (
+        SELECT id
+        FROM ${IMPORT_JOB_ITEMS_TABLE_NAME}
+        WHERE job_id = $1
+          AND (
+            status = 'pending'
+            OR (status = 'processing' AND updated_at < NOW() - make_interval(secs => $3))
+          )
+        ORDER BY position
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `,
+    [jobId, limit, STALE_PROCESSING_SECONDS]
+  );
+  return (result.rows || []).sort((a, b) => a.position - b.position);
+}
+
+async function prepareItem(jobId, item, options) {
+  const imageDataUrl = await loadImageDataUrl(item.image_key);
+  if (!imageDataUrl) {
+    throw new Error('Uploaded image is missing from the image store.');
+  }
+  return prepareSingleSelection({
+    imageDataUrl,
+    imageKey: item.image_key,
+    thumbnailKey: item.thumbnail_key,
+    signature: `import:${jobId}:${item.position}`,
+    capturedAt: item.captured_at,
+    location: item.location,
+    mode: 'single',
+    visionEnabled: options.visionEnabled !== false
+  });
+}
+
+// Puts claimed items that this call will not get to back in the queue. The claim
+// did not use up an attempt.
+async function releaseItems(queryable, items) {
+  if (!items.length) {
+    return;
+  }
+  await queryable.query(
+    `
+      UPDATE ${IMPORT_JOB_ITEMS_TABLE_NAME}
+      SET status = 'pending',
+          attempts = GREATEST(attempts - 1, 0),
+          started_at = NULL,
+          updated_at = NOW()
+      WHERE id = ANY($1::bigint[]) AND status = 'processing'
+    `,
+    [items.map((item) => item.id)]
+  );
+}
+
+// Only a processing item is finished, so a call whose claim was taken over after
+// it went stale cannot overwrite the result of the call that took it. Resolves to
+// false when the item was no longer processing.
+async function finishItem(queryable, item, { selection, error }) {
+  if (error) {
+    const failed = await queryable.query(
+      `
+        UPDATE ${IMPORT_JOB_ITEMS_TABLE_NAME}
+        SET status = 'failed', error = $2, finished_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = 'processing'
+      `,
+      [item.id, (error.message || 'Import failed.').slice(0, 1000)]
+    );
+    return failed.rowCount > 0;
+  }
+  const done = await queryable.query(
+    `
+      UPDATE ${IMPORT_JOB_ITEMS_TABLE_NAME}
+      SET status = 'done',
+          selection_id = $2,
+          person_group_id = $3,
+          result = $4,
+          error = NULL,
+          finished_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1 AND status = 'processing'
+    `,
+    [
+      item.id,
+      selection.id,
+      selection.personGroupId,
+      JSON.stringify({
+        groupingProbability: selection.groupingProbability,
+        createdNewGroupId: selection.createdNewGroupId,
+        descriptionError: selection.descriptionError
+      })
+    ]
+  );
+  return done.rowCount > 0;
+}
+
+// Sets the job status from its items: in progress while any item is open,
+// otherwise completed (with errors when any item failed). Cancelled stays cancelled.
+async function refreshImportJobStatus(queryable, jobId) {
+  const counts = (await countItemsByStatus(queryable, [jobId])).get(Number(jobId));
+  const open = OPEN_ITEM_STATUSES.some((status) => counts[status]);
+  const status = open
+    ? 'in_progress'
+    : (counts.failed ? 'completed_with_errors' : 'completed');
+  await queryable.query(
+    `
+      UPDATE ${IMPORT_JOBS_TABLE_NAME}
+      SET status = $2,
+          finished_at = CASE WHEN $2 = 'in_progress' THEN NULL ELSE COALESCE(finished_at, NOW()) END,
+          updated_at = NOW()
+      WHERE id = $1 AND status <> 'cancelled'
+    `,
+    [jobId, status]
+  );
+}
+
+// Processes pending items in batches of `concurrency`: descriptions run in
+// parallel, then each selection is grouped and saved in position order so every
+// photo is compared against the ones imported before it. An item is marked done in
+// the transaction that inserts its selection, so a reclaimed item is never
+// inserted twice. Returns the job with its items once the time budget is spent or
+// nothing is left to claim.
+async function processImportJob(pool, jobId, {
+  concurrency = IMPORT_CONCURRENCY,
+  timeBudgetMs = IMPORT_TIME_BUDGET_MS
+} = {}) {
+  const job = await loadJobRow(pool, jobId);
+  if (job.status === 'cancelled') {
+    return loadImportJob(pool, jobId);
+  }
+  const options = job.options || {};
+  const startedAt = Date.now();
+  let slowestBatchMs = 0;
+  let slowestCommitMs = 0;
+  let processed = 0;
+  let outOfTime = false;
+
+  await failAbandonedItems(pool, jobId);
+
+  while (!outOfTime && Date.now() - startedAt + slowestBatchMs < timeBudgetMs) {
+    // eslint-disable-next-line no-await-in-loop
+    const items = await claimItems(pool, jobId, concurrency);
+    if (!items.length) {
+      break;
+    }
+    const batchStartedAt = Date.now();
+
+    // eslint-disable-next-line no-await-in-loop
+    const outcomes = await Promise.all(items.map((item) => prepareItem(jobId, item, options)
+      .then((prepared) => ({ item, prepared }))
+      .catch((error) => ({ item, error }))));
+
+    for (const [index, outcome] of outcomes.entries()) {
+      // Grouping runs one photo at a time, so a whole batch can outlast the call.
+      // The first commit always runs so every call makes progress.
+      if (processed > 0 && Date.now() - startedAt + slowestCommitMs >= timeBudgetMs) {
+        // eslint-disable-next-line no-await-in-loop
+        await releaseItems(pool, outcomes.slice(index).map((pending) => pending.item));
+        outOfTime = true;
+        break;
+      }
+      const commitStartedAt = Date.now();
+      let error = outcome.error;
+      if (!error) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await commitSingleSelection(pool, outcome.prepared, {
+            source: 'import',
+            triggerDetails: {
+              jobId: Number(jobId),
+              itemId: Number(outcome.item.id),
+              position: outcome.item.position,
+              fileName: outcome.item.file_name
+            },
+            afterInsert: async (client, selection) => {
+              if (!(await finishItem(client, outcome.item, { selection }))) {
+                throw importJobError(
+                  `Item ${outcome.item.position} of import job ${jobId} was already finished by another process call.`,
+                  'ITEM_ALREADY_FINISHED'
+                );
+              }
+            }
+          });
+        } catch (commitError) {
+          error = commitError;
+        }
+      }
+      if (error?.code === 'ITEM_ALREADY_FINISHED') {
+        console.warn(error.message);
+      } else if (error) {
+        console.error('Import item failed:', {
+          jobId,
+          position: outcome.item.position,
+          message: error?.message,
+          stack: error?.stack
+        });
+        // eslint-disable-next-line no-await-in-loop
+        await finishItem(pool, outcome.item, { error });
+      }
+      processed += 1;
+      slowestCommitMs = Math.max(slowestCommitMs, Date.now() - commitStartedAt);
+    }
+
+    slowestBatchMs = Math.max(slowestBatchMs, Date.now() - batchStartedAt);
+  }
+
+  await refreshImportJobStatus(pool, jobId);
+  const view = await loadImportJob(pool, jobId);
+  return { ...view, processed };
+}
+
+async function loadImportJob(queryable, jobId) {
+  const jobRow = await loadJobRow(queryable, jobId);
+  const itemsResult = await queryable.query(
+    `SELECT * FROM ${IMPORT_JOB_ITEMS_TABLE_NAME} WHERE job_id = $1 ORDER BY position`,
+    [jobId]
+  );
+  const counts = (await countItemsByStatus(queryable, [jobId])).get(Number(jobId));
+  return {
+    job: mapJobRow(jobRow, counts),
+    items: (itemsResult.rows || []).map(mapItemRow)
+  };
+}
+
+async function listImportJobs(queryable, { limit = 20 } = {}) {
+  const result = await queryable.query(
+    `SELECT * FROM ${IMPORT_JOBS_TABLE_NAME} ORDER BY id DESC LIMIT $1`,
+    [limit]
+  );
+  const rows = result.rows || [];
+  const countsByJob = await countItemsByStatus(queryable, rows.map((row) => row.id));
+  return rows.map((row) => mapJobRow(row, countsByJob.get(Number(row.id))));
+}
+
+// Stops a job: items not yet processed are cancelled. Items already being
+// processed finish normally. Only an in-progress job can be cancelled; a finished
+// or already cancelled job is returned as it is.
+async function cancelImportJob(pool, jobId) {
+  await withTransaction(pool, async (client) => {
+    const job = await loadJobRow(client, jobId, { forUpdate: true });
+    if (job.status !== 'in_progress') {
+      return;
+    }
+    await client.query(
+      `
+        UPDATE ${IMPORT_JOB_ITEMS_TABLE_NAME}
+        SET status = 'cancelled', updated_at = NOW()
+        WHERE job_id = $1 AND status IN ('awaiting_upload', 'pending')
+      `,
+      [jobId]
+    );
+    await client.query(
+      `
+        UPDATE ${IMPORT_JOBS_TABLE_NAME}
+        SET status = 'cancelled', finished_at = COALESCE(finished_at, NOW()), updated_at = NOW()
+        WHERE id = $1
+      `,
+      [jobId]
+    );
+  });
+  return loadImportJob(pool, jobId);
+}
+
+// Queues failed items again. Items whose upload never reached the image store go
+// back to awaiting_upload so the page asks for the file again.
+async function retryFailedImportItems(pool, jobId) {
+  await withTransaction(pool, async (client) => {
+    const job = await loadJobRow(client, jobId, { forUpdate: true });
+    if (job.status === 'cancelled') {
+      throw importJobError(`Import job ${jobId} was cancelled.`, 'JOB_CANCELLED');
+    }
+    await client.query(
+      `
+        UPDATE ${IMPORT_JOB_ITEMS_TABLE_NAME}
+        SET status = CASE WHEN image_key IS NULL THEN 'awaiting_upload' ELSE 'pending' END,
+            attempts = 0,
+            error = NULL,
+            started_at = NULL,
+            finished_at = NULL,
+            updated_at = NOW()
+        WHERE job_id = $1 AND status = 'failed'
+      `,
+      [jobId]
+    );
+    await refreshImportJobStatus(client, jobId);
+  });
+  return loadImportJob(pool, jobId);
+}
+
+module.exports = {
+  createImportJob,
+  addImportJobItem,
+  processImportJob,
+  loadImportJob,
+  listImportJobs,
+  cancelImportJob,
+  retryFailedImportItems,
+  IMPORT_JOB_ERROR_STATUS,
+  MAX_IMPORT_ITEMS
+};
@@ -0,0 +1,236 @@
+const {
+  CAMERA_SELECTIONS_TABLE_NAME,
+  SINGLE_CAMERA_SELECTIONS_TABLE_NAME,
+  ANALYSES_TABLE_NAME,
+  PERSON_GROUPS_TABLE_NAME,
+  PERSON_GROUP_EVENTS_TABLE_NAME,
+  GROUPING_FEEDBACK_TABLE_NAME,
+  RECLUSTER_PLANS_TABLE_NAME,
+  RESPONSE_CACHE_TABLE_NAME,
+  RESPONSE_CACHE_STATS_TABLE_NAME,
+  IMPORT_JOBS_TABLE_NAME,
+  IMPORT_JOB_ITEMS_TABLE_NAME,
+  GROUPING_DECISIONS_TABLE_NAME
+} = require('./db.js');
+const MIGRATIONS = require('./migrations/index.js');
+
+const SCHEMA_MIGRATIONS_TABLE_NAME = 'schema_migrations';
+const PG_TABLE_NOT_FOUND = '42P01';
+// Arbitrary constant shared by every runner so two deploys never migrate at once.
+const MIGRATION_LOCK_KEY = 7350021;
+
+const MIGRATION_TABLES = {
+  analyses: ANALYSES_TABLE_NAME,
+  selections: CAMERA_SELECTIONS_TABLE_NAME,
+  singleSelections: SINGLE_CAMERA_SELECTIONS_TABLE_NAME,
+  personGroups: PERSON_GROUPS_TABLE_NAME,
+  personGroupEvents: PERSON_GROUP_EVENTS_TABLE_NAME,
+  groupingFeedback: GROUPING_FEEDBACK_TABLE_NAME,
+  reclusterPlans: RECLUSTER_PLANS_TABLE_NAME,
+  responseCache: RESPONSE_CACHE_TABLE_NAME,
+  responseCacheStats: RESPONSE_CACHE_STATS_TABLE_NAME,
+  importJobs: IMPORT_JOBS_TABLE_NAME,
+  importJobItems: IMPORT_JOB_ITEMS_TABLE_NAME,
+  groupingDecisions: GROUPING_DECISIONS_TABLE_NAME
+};
+
+const LATEST_MIGRATION_ID = MIGRATIONS.reduce((max, migration) => Math.max(max, migration.id), 0);
+
+let schemaCheckPromise = null;
+
+class SchemaOutOfDateError extends Error {
+  constructor(pending) {
+    const ids = pending.map((migration) => `${migration.id}_${migration.name}`);
+    super(`Database schema is out of date. Pending migrations: ${ids.join(', ')}. Run "node scripts/migrate.js up".`);
+    this.name = 'SchemaOutOfDateError';
+    this.code = 'SCHEMA_OUT_OF_DATE';
+    this.pending = ids;
+  }
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${SCHEMA_MIGRATIONS_TABLE_NAME} (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function readAppliedMigrations(queryable) {
+  try {
+    const result = await queryable.query(
+      `SELECT id, name, applied_at FROM ${SCHEMA_MIGRATIONS_TABLE_NAME} ORDER BY id`
+    );
+    return result.rows.map((row) => ({
+      id: Number(row.id),
+      name: row.name,
+      appliedAt: row.applied_at
+    }));
+  } catch (error) {
+    if (error?.code === PG_TABLE_NOT_FOUND) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function getMigrationStatus(pool) {
+  const applied = await readAppliedMigrations(pool);
+  const appliedById = new Map(applied.map((entry) => [entry.id, entry]));
+  const migrations = MIGRATIONS.map((migration) => ({
+    id: migration.id,
+    name: migration.name,
+    applied: appliedById.has(migration.id),
+    appliedAt: appliedById.get(migration.id)?.appliedAt || null
+  }));
+  const known = new Set(MIGRATIONS.map((migration) => migration.id));
+  const unknown = applied.filter((entry) => !known.has(entry.id));
+
+  return {
+    latest: LATEST_MIGRATION_ID,
+    current: applied.length ? applied[applied.length - 1].id : 0,
+    migrations,
+    pending: migrations.filter((migration) => !migration.applied),
+    unknown
+  };
+}
+
+async function withMigrationLock(pool, callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, work) {
+  await client.query('BEGIN');
+  try {
+    await work();
+    await client.query('COMMIT');
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch {
+      // Ignore rollback errors, we'll surface the original error.
+    }
+    throw error;
+  }
+}
+
+async function migrateUp(pool, { to = LATEST_MIGRATION_ID, log = () => {} } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set((await readAppliedMigrations(client)).map((entry) => entry.id));
+    const ran = [];
+
+    for (const migration of MIGRATIONS) {
+      if (migration.id > to || applied.has(migration.id)) {
+        continue;
+      }
+      log(`Applying ${migration.id}_${migration.name}...`);
+      // eslint-disable-next-line no-await-in-loop
+      await runInTransaction(client, async () => {
+        await migration.up(client, MIGRATION_TABLES);
+        await client.query(
+          `INSERT INTO ${SCHEMA_MIGRATIONS_TABLE_NAME} (id, name) VALUES ($1, $2)`,
+          [migration.id, migration.name]
+        );
+      });
+      ran.push(migration.id);
+    }
+
+    schemaCheckPromise = null;
+    return ran;
+  });
+}
+
+async function migrateDown(pool, { steps = 1, log = () => {} } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error(`steps must be a positive integer, got ${steps}.`);
+    }
+    const applied = await readAppliedMigrations(client);
+    const targets = applied.slice(Math.max(0, applied.length - steps)).reverse();
+    const reverted = [];
+
+    for (const entry of targets) {
+      const migration = MIGRATIONS.find((candidate) => candidate.id === entry.id);
+      if (!migration) {
+        throw new Error(`Migration ${entry.id}_${entry.name} is applied but not present in this build.`);
+      }
+      log(`Reverting ${migration.id}_${migration.name}...`);
+      // eslint-disable-next-line no-await-in-loop
+      await runInTransaction(client, async () => {
+        await migration.down(client, MIGRATION_TABLES);
+        await client.query(`DELETE FROM ${SCHEMA_MIGRATIONS_TABLE_NAME} WHERE id = $1`, [migration.id]);
+      });
+      reverted.push(migration.id);
+    }
+
+    schemaCheckPromise = null;
+    return reverted;
+  });
+}
+
+// Handlers call this instead of creating tables themselves. A successful check is
+// cached for the lifetime of the function instance; failures are retried next call.
+function assertSchemaCurrent(pool) {
+  if (!pool) {
+    return Promise.reject(new Error('Database pool not initialized.'));
+  }
+  if (schemaCheckPromise) {
+    return schemaCheckPromise;
+  }
+
+  schemaCheckPromise = getMigrationStatus(pool)
+    .then((status) => {
+      if (status.pending.length) {
+        throw new SchemaOutOfDateError(status.pending);
+      }
+      return status;
+    })
+    .catch((error) => {
+      schemaCheckPromise = null;
+      throw error;
+    });
+
+  return schemaCheckPromise;
+}
+
+function buildSchemaErrorResponse(error, fallbackMessage) {
+  if (error?.code === 'SCHEMA_OUT_OF_DATE') {
+    return {
+      statusCode: 503,
+      body: JSON.stringify({
+        error: 'Database schema is out of date.',
+        pendingMigrations: error.pending,
+        details: 'Run "node scripts/migrate.js up" against this database.'
+      })
+    };
+  }
+  return {
+    statusCode: 500,
+    body: JSON.stringify({ error: fallbackMessage })
+  };
+}
+
+module.exports = {
+  assertSchemaCurrent,
+  buildSchemaErrorResponse,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  SchemaOutOfDateError,
+  MIGRATION_TABLES,
+  LATEST_MIGRATION_ID,
+  SCHEMA_MIGRATIONS_TABLE_NAME
+};
@@ -0,0 +1,91 @@
+// Baseline schema. Everything is IF NOT EXISTS so deployments that were created
+// by the old ensure*Table helpers adopt this migration without losing data. For
+// the same reason it cannot be reverted: the tables may hold data from before
+// migrations existed, and dropping them is not undoing anything this migration did.
+
+async function up(client, tables) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.analyses} (
+      id BIGSERIAL PRIMARY KEY,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      captured_at TIMESTAMPTZ,
+      role TEXT,
+      status TEXT NOT NULL,
+      analysis JSONB NOT NULL,
+      discriminators JSONB,
+      reason TEXT,
+      image_data_url TEXT,
+      image_bytes_estimated INTEGER,
+      viewport_signature TEXT,
+      viewport JSONB,
+      location JSONB,
+      openai_request_id TEXT,
+      model TEXT,
+      request_meta JSONB
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.selections} (
+      id BIGSERIAL PRIMARY KEY,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      captured_at TIMESTAMPTZ,
+      role TEXT,
+      image_data_url TEXT NOT NULL,
+      viewport JSONB,
+      signature TEXT,
+      location JSONB
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.singleSelections} (
+      id BIGSERIAL PRIMARY KEY,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      captured_at TIMESTAMPTZ,
+      role TEXT,
+      image_data_url TEXT NOT NULL,
+      viewport JSONB,
+      signature TEXT,
+      location JSONB,
+      description TEXT,
+      description_json JSONB,
+      person_group_id BIGINT,
+      grouping_probability INTEGER,
+      grouping_explanation TEXT
+    );
+  `);
+
+  // Older single-selection tables predate the description/grouping columns.
+  await client.query(`
+    ALTER TABLE ${tables.singleSelections}
+      ADD COLUMN IF NOT EXISTS description TEXT,
+      ADD COLUMN IF NOT EXISTS description_json JSONB,
+      ADD COLUMN IF NOT EXISTS person_group_id BIGINT,
+      ADD COLUMN IF NOT EXISTS grouping_probability INTEGER,
+      ADD COLUMN IF NOT EXISTS grouping_explanation TEXT;
+  `);
+
+  await client.query('CREATE SEQUENCE IF NOT EXISTS single_person_group_id_seq');
+  await client.query(`
+    SELECT setval('single_person_group_id_seq', max_id, true)
+    FROM (
+      SELECT MAX(person_group_id) AS max_id
+      FROM ${tables.singleSelections}
+    ) AS existing
+    WHERE max_id IS NOT NULL
+  `);
+}
+
+async function down() {
+  throw new Error(
+    'Migration 001_initial_tables is the baseline and cannot be reverted; drop the tables by hand if you really mean to.'
+  );
+}
+
+module.exports = {
+  id: 1,
+  name: 'initial_tables',
+  up,
+  down
+};
@@ -0,0 +1,34 @@
+// Indexes for the listing, grouping and role filters every handler runs.
+
+function indexDefinitions(tables) {
+  return [
+    { name: `${tables.singleSelections}_person_group_id_idx`, table: tables.singleSelections, column: 'person_group_id' },
+    { name: `${tables.singleSelections}_created_at_idx`, table: tables.singleSelections, column: 'created_at' },
+    { name: `${tables.singleSelections}_role_idx`, table: tables.singleSelections, column: 'role' },
+    { name: `${tables.selections}_created_at_idx`, table: tables.selections, column: 'created_at' },
+    { name: `${tables.selections}_role_idx`, table: tables.selections, column: 'role' },
+    { name: `${tables.analyses}_created_at_idx`, table: tables.analyses, column: 'created_at' },
+    { name: `${tables.analyses}_role_idx`, table: tables.analyses, column: 'role' }
+  ];
+}
+
+async function up(client, tables) {
+  for (const index of indexDefinitions(tables)) {
+    // eslint-disable-next-line no-await-in-loop
+    await client.query(`CREATE INDEX IF NOT EXISTS ${index.name} ON ${index.table} (${index.column})`);
+  }
+}
+
+async function down(client, tables) {
+  for (const index of indexDefinitions(tables)) {
+    // eslint-disable-next-line no-await-in-loop
+    await client.query(`DROP INDEX IF EXISTS ${index.name}`);
+  }
+}
+
+module.exports = {
+  id: 2,
+  name: 'selection_indexes',
+  up,
+  down
+};
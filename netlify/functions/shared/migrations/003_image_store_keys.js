@@ -0,0 +1,36 @@
+// Images move to the image store (shared/image-store.js). Rows keep a content-hash
+// key plus an optional thumbnail key; image_data_url is only kept for rows that
+// have not been backfilled yet, so it can no longer be NOT NULL.
+
+async function up(client, tables) {
+  for (const table of [tables.analyses, tables.selections, tables.singleSelections]) {
+    // eslint-disable-next-line no-await-in-loop
+    await client.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS image_key TEXT,
+        ADD COLUMN IF NOT EXISTS thumbnail_key TEXT;
+    `);
+  }
+  await client.query(`ALTER TABLE ${tables.selections} ALTER COLUMN image_data_url DROP NOT NULL`);
+  await client.query(`ALTER TABLE ${tables.singleSelections} ALTER COLUMN image_data_url DROP NOT NULL`);
+}
+
+// Rows stored only in the image store have no inline data to restore, so
+// image_data_url stays nullable after rolling back.
+async function down(client, tables) {
+  for (const table of [tables.analyses, tables.selections, tables.singleSelections]) {
+    // eslint-disable-next-line no-await-in-loop
+    await client.query(`
+      ALTER TABLE ${table}
+        DROP COLUMN IF EXISTS image_key,
+        DROP COLUMN IF EXISTS thumbnail_key;
+    `);
+  }
+}
+
+module.exports = {
+  id: 3,
+  name: 'image_store_keys',
+  up,
+  down
+};
@@ -0,0 +1,158 @@
+// person_groups makes groups first-class: canonical profile, representative member,
+// member count and merge lineage are maintained on write by shared/person-group.js
+// instead of being recomputed from every selection row on each request.
+// Group ids keep coming from single_person_group_id_seq so existing ids stay valid.
+//
+// The backfill below is a frozen copy of how groups were summarised when this
+// migration was written; it must not follow later changes to the app's helpers.
+
+const CLARITY_FIELDS = [
+  'gender', 'age_range', 'build', 'height', 'skin_tone', 'hair_color', 'hair_length', 'facial_hair',
+  'top_color', 'top_description', 'bottom_color', 'bottom_description', 'shoes_color', 'shoes_description'
+];
+
+function describedClarity(description) {
+  const baseClarity = Number(description?.image_clarity);
+  if (!Number.isFinite(baseClarity)) {
+    return 0;
+  }
+  const filled = CLARITY_FIELDS.filter((field) => description[field] && description[field] !== 'unknown').length;
+  const completeness = (filled / CLARITY_FIELDS.length) * 100;
+  return Math.round((baseClarity * 0.7) + (completeness * 0.3));
+}
+
+// Per group: the clearest description (first one on ties) is the canonical, and its
+// selection is the representative when it has an image; otherwise the earliest
+// member with an image is.
+function summarizeDescribedGroups(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = String(row.person_group_id);
+    const clarity = describedClarity(row.description_json);
+    const hasImage = Boolean(row.image_key || row.has_inline_image);
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        groupId: row.person_group_id,
+        canonical: row.description_json,
+        clarity,
+        representativeSelectionId: hasImage ? row.id : null
+      };
+      groups.set(key, group);
+      continue;
+    }
+    if (clarity > group.clarity) {
+      group.canonical = row.description_json;
+      group.clarity = clarity;
+      if (hasImage) {
+        group.representativeSelectionId = row.id;
+      }
+    } else if (!group.representativeSelectionId && hasImage) {
+      group.representativeSelectionId = row.id;
+    }
+  }
+  return [...groups.values()];
+}
+
+async function up(client, tables) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.personGroups} (
+      id BIGINT PRIMARY KEY DEFAULT nextval('single_person_group_id_seq'),
+      label TEXT,
+      canonical_schema JSONB,
+      canonical_clarity INTEGER,
+      representative_selection_id BIGINT,
+      member_count INTEGER NOT NULL DEFAULT 0,
+      merged_into_id BIGINT REFERENCES ${tables.personGroups} (id),
+      merged_from BIGINT[] NOT NULL DEFAULT '{}',
+      merged_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS ${tables.personGroups}_active_idx
+      ON ${tables.personGroups} (id)
+      WHERE merged_into_id IS NULL AND member_count > 0
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.personGroupEvents} (
+      id BIGSERIAL PRIMARY KEY,
+      selection_id BIGINT,
+      person_group_id BIGINT,
+      previous_group_id BIGINT,
+      event TEXT NOT NULL,
+      source TEXT,
+      details JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS ${tables.personGroupEvents}_group_idx
+      ON ${tables.personGroupEvents} (person_group_id, created_at)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS ${tables.personGroupEvents}_selection_idx
+      ON ${tables.personGroupEvents} (selection_id, created_at)
+  `);
+
+  // Backfill one group per existing person_group_id.
+  await client.query(`
+    INSERT INTO ${tables.personGroups} (id, member_count, created_at, updated_at)
+    SELECT person_group_id, COUNT(*), MIN(created_at), MAX(created_at)
+    FROM ${tables.singleSelections}
+    WHERE person_group_id IS NOT NULL
+    GROUP BY person_group_id
+    ON CONFLICT (id) DO NOTHING
+  `);
+
+  const describedRows = await client.query(`
+    SELECT id,
+           person_group_id,
+           description_json,
+           image_key,
+           image_data_url IS NOT NULL AS has_inline_image
+    FROM ${tables.singleSelections}
+    WHERE person_group_id IS NOT NULL
+      AND description_json IS NOT NULL
+    ORDER BY id
+  `);
+  for (const group of summarizeDescribedGroups(describedRows.rows || [])) {
+    // eslint-disable-next-line no-await-in-loop
+    await client.query(
+      `
+        UPDATE ${tables.personGroups}
+        SET canonical_schema = $1,
+            canonical_clarity = $2,
+            representative_selection_id = $3
+        WHERE id = $4
+      `,
+      [
+        JSON.stringify(group.canonical),
+        group.clarity,
+        group.representativeSelectionId,
+        group.groupId
+      ]
+    );
+  }
+
+  await client.query(`
+    INSERT INTO ${tables.personGroupEvents} (selection_id, person_group_id, event, source, created_at)
+    SELECT id, person_group_id, 'assigned', 'backfill', created_at
+    FROM ${tables.singleSelections}
+    WHERE person_group_id IS NOT NULL
+  `);
+}
+
+async function down(client, tables) {
+  await client.query(`DROP TABLE IF EXISTS ${tables.personGroupEvents}`);
+  await client.query(`DROP TABLE IF EXISTS ${tables.personGroups}`);
+}
+
+module.exports = {
+  id: 4,
+  name: 'person_groups',
+  up,
+  down
+};
@@ -0,0 +1,33 @@
+// Records who placed each single selection in its group. assignment_source is
+// 'auto' for the grouping pipeline and 'manual-move' / 'manual-split' /
+// 'manual-merge' for edits made by a person; assignment_pinned marks rows that
+// automated regrouping must leave alone.
+
+async function up(client, tables) {
+  await client.query(`
+    ALTER TABLE ${tables.singleSelections}
+      ADD COLUMN IF NOT EXISTS assignment_source TEXT,
+      ADD COLUMN IF NOT EXISTS assignment_pinned BOOLEAN NOT NULL DEFAULT FALSE;
+  `);
+  await client.query(`
+    UPDATE ${tables.singleSelections}
+    SET assignment_source = 'auto'
+    WHERE person_group_id IS NOT NULL
+      AND assignment_source IS NULL
+  `);
+}
+
+async function down(client, tables) {
+  await client.query(`
+    ALTER TABLE ${tables.singleSelections}
+      DROP COLUMN IF EXISTS assignment_source,
+      DROP COLUMN IF EXISTS assignment_pinned;
+  `);
+}
+
+module.exports = {
+  id: 5,
+  name: 'manual_group_assignments',
+  up,
+  down
+};
@@ -0,0 +1,39 @@
+// Human verdicts on grouping decisions. Each row is a labelled pair (selection vs
+// group) with the trait and vision scores as they were when the person judged it,
+// so threshold recommendations stay valid after the group's canonical changes.
+
+async function up(client, tables) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.groupingFeedback} (
+      id BIGSERIAL PRIMARY KEY,
+      selection_id BIGINT NOT NULL,
+      person_group_id BIGINT NOT NULL,
+      assigned_group_id BIGINT,
+      verdict TEXT NOT NULL CHECK (verdict IN ('confirm', 'reject')),
+      grouping_probability INTEGER,
+      compatible BOOLEAN,
+      matched_traits TEXT[],
+      match_ratio REAL,
+      vision_similarity REAL,
+      vision_confidence TEXT,
+      vision_fatal_mismatch TEXT,
+      details JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS ${tables.groupingFeedback}_selection_idx
+      ON ${tables.groupingFeedback} (selection_id, created_at)
+  `);
+}
+
+async function down(client, tables) {
+  await client.query(`DROP TABLE IF EXISTS ${tables.groupingFeedback}`);
+}
+
+module.exports = {
+  id: 6,
+  name: 'grouping_feedback',
+  up,
+  down
+};
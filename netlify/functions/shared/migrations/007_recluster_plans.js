@@ -0,0 +1,30 @@
+// Re-clustering runs in two steps: a plan (the full diff against the current
+// groups) is stored for review and applied later. The fingerprint captures the
+// selections the plan was computed from so a stale plan is never applied.
+
+async function up(client, tables) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.reclusterPlans} (
+      id BIGSERIAL PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'applied', 'discarded', 'stale')),
+      fingerprint TEXT NOT NULL,
+      options JSONB,
+      summary JSONB,
+      plan JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      applied_at TIMESTAMPTZ
+    );
+  `);
+}
+
+async function down(client, tables) {
+  await client.query(`DROP TABLE IF EXISTS ${tables.reclusterPlans}`);
+}
+
+module.exports = {
+  id: 7,
+  name: 'recluster_plans',
+  up,
+  down
+};
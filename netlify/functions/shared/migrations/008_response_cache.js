@@ -0,0 +1,44 @@
+// Cached provider responses, keyed by a hash of the task, model, prompt and
+// image content so the same crop or pair is only sent to the provider once per
+// TTL. Hit/miss counters live in a separate per-task table for diagnostics.
+
+async function up(client, tables) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.responseCache} (
+      cache_key TEXT PRIMARY KEY,
+      task TEXT NOT NULL,
+      model TEXT,
+      prompt_version TEXT,
+      image_hashes TEXT[] NOT NULL,
+      response JSONB NOT NULL,
+      hit_count INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_hit_at TIMESTAMPTZ,
+      expires_at TIMESTAMPTZ NOT NULL
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS ${tables.responseCache}_task_idx
+      ON ${tables.responseCache} (task, expires_at)
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.responseCacheStats} (
+      task TEXT PRIMARY KEY,
+      hits BIGINT NOT NULL DEFAULT 0,
+      misses BIGINT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function down(client, tables) {
+  await client.query(`DROP TABLE IF EXISTS ${tables.responseCacheStats}`);
+  await client.query(`DROP TABLE IF EXISTS ${tables.responseCache}`);
+}
+
+module.exports = {
+  id: 8,
+  name: 'response_cache',
+  up,
+  down
+};
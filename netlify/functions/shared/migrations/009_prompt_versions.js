@@ -0,0 +1,63 @@
+// Records which registered prompt version (shared/prompts/) produced each stored
+// description, analysis and feedback score. Rows written before the registry
+// existed came from the only version at the time, so they are backfilled with it.
+
+async function up(client, tables) {
+  await client.query(`
+    ALTER TABLE ${tables.singleSelections}
+      ADD COLUMN IF NOT EXISTS description_prompt_version TEXT;
+  `);
+  await client.query(`
+    UPDATE ${tables.singleSelections}
+    SET description_prompt_version = 'v1'
+    WHERE description_json IS NOT NULL
+      AND description_prompt_version IS NULL
+  `);
+
+  await client.query(`
+    ALTER TABLE ${tables.analyses}
+      ADD COLUMN IF NOT EXISTS prompt_version TEXT;
+  `);
+  await client.query(`
+    UPDATE ${tables.analyses}
+    SET prompt_version = request_meta->>'promptVersion'
+    WHERE prompt_version IS NULL
+      AND request_meta ? 'promptVersion'
+  `);
+
+  await client.query(`
+    ALTER TABLE ${tables.groupingFeedback}
+      ADD COLUMN IF NOT EXISTS description_prompt_version TEXT,
+      ADD COLUMN IF NOT EXISTS vision_prompt_version TEXT;
+  `);
+  await client.query(`
+    UPDATE ${tables.groupingFeedback}
+    SET description_prompt_version = CASE WHEN compatible IS NOT NULL THEN 'v1' END,
+        vision_prompt_version = CASE WHEN vision_similarity IS NOT NULL THEN 'v1' END
+    WHERE description_prompt_version IS NULL
+      AND vision_prompt_version IS NULL
+  `);
+}
+
+async function down(client, tables) {
+  await client.query(`
+    ALTER TABLE ${tables.groupingFeedback}
+      DROP COLUMN IF EXISTS description_prompt_version,
+      DROP COLUMN IF EXISTS vision_prompt_version;
+  `);
+  await client.query(`
+    ALTER TABLE ${tables.analyses}
+      DROP COLUMN IF EXISTS prompt_version;
+  `);
+  await client.query(`
+    ALTER TABLE ${tables.singleSelections}
+      DROP COLUMN IF EXISTS description_prompt_version;
+  `);
+}
+
+module.exports = {
+  id: 9,
+  name: 'prompt_versions',
+  up,
+  down
+};
@@ -0,0 +1,59 @@
+// Batch imports: a job lists every file up front, each file is uploaded into the
+// image store as its own item, and items are then processed in position order
+// through the same path as store-single-selection. Progress lives here so a page
+// reload (or a new import-jobs call) picks the job up where it stopped.
+
+async function up(client, tables) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.importJobs} (
+      id BIGSERIAL PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('in_progress', 'completed', 'completed_with_errors', 'cancelled')),
+      options JSONB,
+      total_items INTEGER NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.importJobItems} (
+      id BIGSERIAL PRIMARY KEY,
+      job_id BIGINT NOT NULL REFERENCES ${tables.importJobs}(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      file_name TEXT NOT NULL,
+      file_size BIGINT,
+      status TEXT NOT NULL DEFAULT 'awaiting_upload'
+        CHECK (status IN ('awaiting_upload', 'pending', 'processing', 'done', 'failed', 'cancelled')),
+      image_key TEXT,
+      thumbnail_key TEXT,
+      captured_at TIMESTAMPTZ,
+      location JSONB,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      selection_id BIGINT,
+      person_group_id BIGINT,
+      result JSONB,
+      error TEXT,
+      started_at TIMESTAMPTZ,
+      finished_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (job_id, position)
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS ${tables.importJobItems}_status_idx
+      ON ${tables.importJobItems} (job_id, status, position)
+  `);
+}
+
+async function down(client, tables) {
+  await client.query(`DROP TABLE IF EXISTS ${tables.importJobItems}`);
+  await client.query(`DROP TABLE IF EXISTS ${tables.importJobs}`);
+}
+
+module.exports = {
+  id: 10,
+  name: 'import_jobs',
+  up,
+  down
+};
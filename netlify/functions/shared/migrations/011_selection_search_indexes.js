@@ -0,0 +1,41 @@
+// Indexes behind search-single-selections (shared/selection-search.js). Trait
+// filters are JSONB containment tests on description_json; the expression indexes
+// must stay textually identical to the expressions the search builds.
+
+function indexDefinitions(tables) {
+  return [
+    {
+      name: `${tables.singleSelections}_description_json_idx`,
+      definition: `${tables.singleSelections} USING GIN (description_json jsonb_path_ops)`
+    },
+    {
+      name: `${tables.singleSelections}_seen_at_idx`,
+      definition: `${tables.singleSelections} ((COALESCE(captured_at, created_at)))`
+    },
+    {
+      name: `${tables.singleSelections}_image_clarity_idx`,
+      definition: `${tables.singleSelections} ((CASE WHEN jsonb_typeof(description_json->'image_clarity') = 'number' THEN (description_json->>'image_clarity')::numeric END))`
+    }
+  ];
+}
+
+async function up(client, tables) {
+  for (const index of indexDefinitions(tables)) {
+    // eslint-disable-next-line no-await-in-loop
+    await client.query(`CREATE INDEX IF NOT EXISTS ${index.name} ON ${index.definition}`);
+  }
+}
+
+async function down(client, tables) {
+  for (const index of indexDefinitions(tables)) {
+    // eslint-disable-next-line no-await-in-loop
+    await client.query(`DROP INDEX IF EXISTS ${index.name}`);
+  }
+}
+
+module.exports = {
+  id: 11,
+  name: 'selection_search_indexes',
+  up,
+  down
+};
@@ -0,0 +1,89 @@
+// Embedding per single selection for nearest-neighbour candidate retrieval
+// (shared/embedding-index.js). embedding_model names the embedder that produced the
+// vector, so vectors from different embedders are never compared. The column
+// dimension must match EMBEDDING_DIMENSIONS in shared/embeddings.js.
+//
+// Needs pgvector 0.5 or later (HNSW indexes). The index is only an optimisation, so
+// without it the migration adds nothing and every save keeps scoring all groups;
+// "node scripts/embed-selections.js --install-index" adds it once pgvector is there.
+
+const EMBEDDING_DIMENSIONS = 256;
+const MIN_PGVECTOR_VERSION = [0, 5, 0];
+
+function versionAtLeast(version, minimum) {
+  const parts = String(version).split('.').map((part) => parseInt(part, 10) || 0);
+  for (let index = 0; index < minimum.length; index += 1) {
+    if ((parts[index] || 0) !== minimum[index]) {
+      return (parts[index] || 0) > minimum[index];
+    }
+  }
+  return true;
+}
+
+// Must run inside a transaction: a failed CREATE EXTENSION (e.g. missing privilege)
+// is rolled back to a savepoint so the surrounding migration can still commit.
+// Resolves to true when the columns and indexes exist afterwards.
+async function installEmbeddingColumns(client, tables) {
+  const available = await client.query(`
+    SELECT default_version, installed_version
+    FROM pg_available_extensions
+    WHERE name = 'vector'
+  `);
+  const row = available.rows?.[0];
+  const version = row ? (row.installed_version || row.default_version) : null;
+  if (!version || !versionAtLeast(version, MIN_PGVECTOR_VERSION)) {
+    console.warn(`pgvector ${MIN_PGVECTOR_VERSION.join('.')} or later is not available (found ${version || 'none'}); skipping the similarity index.`);
+    return false;
+  }
+
+  await client.query('SAVEPOINT selection_embeddings');
+  try {
+    await client.query('CREATE EXTENSION IF NOT EXISTS vector');
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT selection_embeddings');
+    console.warn('Could not enable pgvector; skipping the similarity index.', {
+      message: error?.message,
+      code: error?.code
+    });
+    return false;
+  }
+  await client.query('RELEASE SAVEPOINT selection_embeddings');
+
+  await client.query(`
+    ALTER TABLE ${tables.singleSelections}
+      ADD COLUMN IF NOT EXISTS embedding vector(${EMBEDDING_DIMENSIONS}),
+      ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS ${tables.singleSelections}_embedding_idx
+      ON ${tables.singleSelections} USING hnsw (embedding vector_cosine_ops)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS ${tables.singleSelections}_embedding_model_idx
+      ON ${tables.singleSelections} (person_group_id, embedding_model)
+  `);
+  return true;
+}
+
+async function up(client, tables) {
+  await installEmbeddingColumns(client, tables);
+}
+
+// The extension stays installed; other database objects may use it.
+async function down(client, tables) {
+  await client.query(`DROP INDEX IF EXISTS ${tables.singleSelections}_embedding_model_idx`);
+  await client.query(`DROP INDEX IF EXISTS ${tables.singleSelections}_embedding_idx`);
+  await client.query(`
+    ALTER TABLE ${tables.singleSelections}
+      DROP COLUMN IF EXISTS embedding,
+      DROP COLUMN IF EXISTS embedding_model;
+  `);
+}
+
+module.exports = {
+  id: 12,
+  name: 'selection_embeddings',
+  up,
+  down,
+  installEmbeddingColumns
+};
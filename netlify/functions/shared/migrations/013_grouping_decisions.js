@@ -0,0 +1,46 @@
+// Append-only audit of grouping decisions. Every time a selection is grouped (saved,
+// imported, ingested or re-described) one row records what the pipeline saw and
+// decided: the inputs, shortlist, every vision comparison, the thresholds and
+// model/prompt versions in force, the final group and what triggered it. The
+// packed grouping_explanation column only keeps the latest decision. Rows are never
+// updated and outlive deleted selections; clear-single-selections empties the table.
+
+async function up(client, tables) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.groupingDecisions} (
+      id BIGSERIAL PRIMARY KEY,
+      selection_id BIGINT NOT NULL,
+      trigger TEXT NOT NULL,
+      trigger_details JSONB,
+      decision TEXT NOT NULL CHECK (decision IN ('assigned', 'new_group', 'kept', 'pinned')),
+      person_group_id BIGINT,
+      previous_group_id BIGINT,
+      proposed_group_id BIGINT,
+      grouping_probability INTEGER,
+      inputs JSONB,
+      shortlist JSONB,
+      best_candidate JSONB,
+      vision JSONB,
+      thresholds JSONB,
+      versions JSONB,
+      explanation TEXT,
+      error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS ${tables.groupingDecisions}_selection_idx
+      ON ${tables.groupingDecisions} (selection_id, created_at DESC, id DESC)
+  `);
+}
+
+async function down(client, tables) {
+  await client.query(`DROP TABLE IF EXISTS ${tables.groupingDecisions}`);
+}
+
+module.exports = {
+  id: 13,
+  name: 'grouping_decisions',
+  up,
+  down
+};
@@ -0,0 +1,63 @@
+// Grouping decisions also cover the paths that regroup photos without scoring
+// them: manual move, split and merge, and applying a re-clustering plan. The
+// table is enforced as append-only: a trigger rejects UPDATE and DELETE.
+// TRUNCATE does not fire row triggers, so clear-single-selections can still empty
+// it. Where it has to fall back to DELETE, it first sets
+// llooker.clear_grouping_decisions = 'on' for its transaction.
+
+const DECISIONS = ['assigned', 'new_group', 'kept', 'pinned', 'moved', 'split', 'merged', 'reclustered'];
+const PREVIOUS_DECISIONS = ['assigned', 'new_group', 'kept', 'pinned'];
+
+function decisionCheck(decisions) {
+  return `CHECK (decision IN (${decisions.map((decision) => `'${decision}'`).join(', ')}))`;
+}
+
+async function up(client, tables) {
+  const table = tables.groupingDecisions;
+  await client.query(`
+    ALTER TABLE ${table}
+      DROP CONSTRAINT IF EXISTS ${table}_decision_check,
+      ADD CONSTRAINT ${table}_decision_check ${decisionCheck(DECISIONS)};
+  `);
+
+  await client.query(`
+    CREATE OR REPLACE FUNCTION ${table}_append_only() RETURNS trigger
+    LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP = 'DELETE' AND current_setting('llooker.clear_grouping_decisions', true) = 'on' THEN
+        RETURN OLD;
+      END IF;
+      RAISE EXCEPTION '% is append-only; % is not allowed.', TG_TABLE_NAME, TG_OP;
+    END;
+    $$;
+  `);
+  await client.query(`DROP TRIGGER IF EXISTS ${table}_append_only ON ${table}`);
+  await client.query(`
+    CREATE TRIGGER ${table}_append_only
+      BEFORE UPDATE OR DELETE ON ${table}
+      FOR EACH ROW EXECUTE FUNCTION ${table}_append_only();
+  `);
+}
+
+async function down(client, tables) {
+  const table = tables.groupingDecisions;
+  await client.query(`DROP TRIGGER IF EXISTS ${table}_append_only ON ${table}`);
+  await client.query(`DROP FUNCTION IF EXISTS ${table}_append_only()`);
+  // The narrower constraint cannot hold the newer decisions.
+  await client.query(
+    `DELETE FROM ${table} WHERE decision <> ALL($1::text[])`,
+    [PREVIOUS_DECISIONS]
+  );
+  await client.query(`
+    ALTER TABLE ${table}
+      DROP CONSTRAINT IF EXISTS ${table}_decision_check,
+      ADD CONSTRAINT ${table}_decision_check ${decisionCheck(PREVIOUS_DECISIONS)};
+  `);
+}
+
+module.exports = {
+  id: 14,
+  name: 'grouping_decision_history',
+  up,
+  down
+};
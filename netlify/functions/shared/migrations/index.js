@@ -0,0 +1,18 @@
+// Every migration is listed explicitly so the function bundler picks them up.
+// Add new files here in order; ids must be unique and increasing.
+module.exports = [
+  require('./001_initial_tables.js'),
+  require('./002_selection_indexes.js'),
+  require('./003_image_store_keys.js'),
+  require('./004_person_groups.js'),
+  require('./005_manual_group_assignments.js'),
+  require('./006_grouping_feedback.js'),
+  require('./007_recluster_plans.js'),
+  require('./008_response_cache.js'),
+  require('./009_prompt_versions.js'),
+  require('./010_import_jobs.js'),
+  require('./011_selection_search_indexes.js'),
+  require('./012_selection_embeddings.js'),
+  require('./013_grouping_decisions.js'),
+  require('./014_grouping_decision_history.js')
+];
@@ -0,0 +1,207 @@
+const { validateOutput } = require('./output-schemas.js');
+
+// Every structured provider call goes through completeWithRepair: the answer is
+// parsed and checked against its JSON Schema (request.responseSchemaName), and an
+// answer that fails is sent back to the model once with the list of problems.
+// If the repaired answer still fails, an OutputValidationError describes both attempts.
+
+const CONTENT_PREVIEW_LENGTH = 400;
+
+class OutputValidationError extends Error {
+  constructor(schemaName, attempts) {
+    const last = attempts[attempts.length - 1];
+    const summary = last.errors.slice(0, 3).map((error) => `${error.path} ${error.message}`).join('; ');
+    super(`Model output failed ${schemaName} validation after ${attempts.length} attempt${attempts.length === 1 ? '' : 's'}: ${summary}`);
+    this.name = 'OutputValidationError';
+    this.code = 'OUTPUT_INVALID';
+    this.schemaName = schemaName;
+    // Not `attempts`: callWithRetries stamps that with the provider call count.
+    this.checks = attempts;
+    this.errors = last.errors;
+  }
+
+  // Safe to return to clients and to log.
+  toJSON() {
+    return {
+      code: this.code,
+      schema: this.schemaName,
+      errors: this.errors,
+      attempts: this.checks.map((attempt) => ({
+        errors: attempt.errors,
+        finishReason: attempt.finishReason,
+        cleanup: attempt.cleanup,
+        contentPreview: attempt.contentPreview
+      }))
+    };
+  }
+}
+
+// Accepts bare JSON, JSON in a code fence, or JSON with prose around the braces.
+// cleanup names the fallback that worked (null when the content was clean).
+function parseJsonStringWithFallback(raw) {
+  if (typeof raw !== 'string') {
+    return { parsed: null, cleanup: 'non_string' };
+  }
+
+  const trimmed = raw.trim();
+  if (!trimmed.length) {
+    return { parsed: null, cleanup: 'empty_string' };
+  }
+
+  const attemptParse = (value, reason) => {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const candidate = value.trim();
+    if (!candidate.length) {
+      return null;
+    }
+    try {
+      return { parsed: JSON.parse(candidate), cleanup: reason };
+    } catch {
+      return null;
+    }
+  };
+
+  const direct = attemptParse(trimmed, null);
+  if (direct) {
+    return direct;
+  }
+
+  const fencedBlockMatch = trimmed.match(/^```(?:json)?\s*([\s\S]*?)```$/i);
+  if (fencedBlockMatch) {
+    const fenced = attemptParse(fencedBlockMatch[1], 'code_fence_block');
+    if (fenced) {
+      return fenced;
+    }
+  }
+
+  if (trimmed.startsWith('```')) {
+    const withoutFenceHeader = trimmed.replace(/^```(?:json)?\s*/i, '');
+    const closingFenceIndex = withoutFenceHeader.indexOf('```');
+    const insideFence = closingFenceIndex !== -1
+      ? withoutFenceHeader.slice(0, closingFenceIndex)
+      : withoutFenceHeader;
+    const strippedFence = attemptParse(insideFence, 'code_fence_stripped');
+    if (strippedFence) {
+      return strippedFence;
+    }
+  }
+
+  const firstBrace = trimmed.indexOf('{');
+  const lastBrace = trimmed.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+    const braceSlice = trimmed.slice(firstBrace, lastBrace + 1);
+    const braceParsed = attemptParse(braceSlice, 'brace_slice');
+    if (braceParsed) {
+      return braceParsed;
+    }
+  }
+
+  return { parsed: null, cleanup: 'unparseable' };
+}
+
+// Returns { ok, value, errors, finishReason, cleanup, contentPreview } for one
+// completion. cleanup is parseJsonStringWithFallback's reason (null for clean JSON).
+function checkOutput(schemaName, content, finishReason = null) {
+  const text = typeof content === 'string' ? content : '';
+  const base = {
+    finishReason: finishReason || null,
+    cleanup: null,
+    contentPreview: text.slice(0, CONTENT_PREVIEW_LENGTH)
+  };
+  if (finishReason === 'length') {
+    return { ...base, ok: false, value: null, errors: [{ path: '/', message: 'was cut off by the token limit' }] };
+  }
+  const { parsed, cleanup } = parseJsonStringWithFallback(text);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { ...base, cleanup, ok: false, value: null, errors: [{ path: '/', message: 'is not a JSON object' }] };
+  }
+  const { ok, errors } = validateOutput(schemaName, parsed);
+  return { ...base, cleanup, ok, value: ok ? parsed : null, errors };
+}
+
+function warnIfCleaned(request, check) {
+  if (check.cleanup) {
+    console.warn('Model output JSON required cleanup before parsing.', {
+      task: request.task,
+      schema: request.responseSchemaName,
+      cleanupReason: check.cleanup,
+      finishReason: check.finishReason
+    });
+  }
+}
+
+function buildRepairPrompt(prompt, previousContent, errors) {
+  const problems = errors.map((error) => `- ${error.path} ${error.message}`).join('\n');
+  return `${prompt}
+
+Your previous answer was:
+${String(previousContent || '').slice(0, 4000)}
+
+It does not match the required JSON structure:
+${problems}
+
+Look at the image(s) again and return the corrected JSON only, with every field present and every value taken from the allowed options.`;
+}
+
+function addUsage(first, second) {
+  if (!first || !second) {
+    return second || first || null;
+  }
+  const total = {};
+  ['prompt_tokens', 'completion_tokens', 'total_tokens'].forEach((key) => {
+    total[key] = (Number(first[key]) || 0) + (Number(second[key]) || 0);
+  });
+  return total;
+}
+
+// Calls provider[method](request) and returns { value, completion, repaired, cleanup,
+// attempts }. cleanup says how the accepted answer had to be extracted (see
+// parseJsonStringWithFallback). completion.usage covers both calls when a repair was
+// needed. Provider errors propagate unchanged; validation failures after the repair
+// throw OutputValidationError.
+async function completeWithRepair(provider, method, request) {
+  const schemaName = request.responseSchemaName;
+  const first = await provider[method](request);
+  const firstCheck = checkOutput(schemaName, first?.content, first?.finishReason);
+  if (firstCheck.ok) {
+    warnIfCleaned(request, firstCheck);
+    return { value: firstCheck.value, completion: first, repaired: false, cleanup: firstCheck.cleanup, attempts: [] };
+  }
+
+  console.warn('Model output failed validation; asking for a repair.', {
+    task: request.task,
+    schema: schemaName,
+    errors: firstCheck.errors.slice(0, 10)
+  });
+  const second = await provider[method]({
+    ...request,
+    prompt: buildRepairPrompt(request.prompt, first?.content, firstCheck.errors)
+  });
+  const secondCheck = checkOutput(schemaName, second?.content, second?.finishReason);
+  const attempts = [firstCheck, secondCheck].map(({ errors, finishReason, cleanup, contentPreview }) => ({
+    errors,
+    finishReason,
+    cleanup,
+    contentPreview
+  }));
+  if (!secondCheck.ok) {
+    throw new OutputValidationError(schemaName, attempts);
+  }
+  warnIfCleaned(request, secondCheck);
+  return {
+    value: secondCheck.value,
+    completion: { ...second, usage: addUsage(first?.usage, second?.usage) },
+    repaired: true,
+    cleanup: secondCheck.cleanup,
+    attempts: attempts.slice(0, 1)
+  };
+}
+
+module.exports = {
+  completeWithRepair,
+  checkOutput,
+  parseJsonStringWithFallback,
+  OutputValidationError
+};
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const { NORMALIZED_COLORS } = require('./trait-scoring.js');
+
+// JSON Schemas for every structured answer the vision provider returns, keyed by
+// the name requests carry as `responseSchemaName`. Enumerations mirror the value
+// lists in the prompts (shared/prompts/), so an answer outside them is rejected
+// instead of being guessed at later. Keys the schema does not list are dropped
+// during validation rather than failing it.
+
+const COLOR_VALUES = [...NORMALIZED_COLORS, 'unknown'];
+
+const colorField = { type: 'string', enum: COLOR_VALUES };
+const textField = { type: 'string', pattern: '\\S' };
+const enumField = (values) => ({ type: 'string', enum: [...values, 'unknown'] });
+
+const SINGLE_DESCRIPTION_SCHEMA = {
+  $id: 'single-description',
+  type: 'object',
+  additionalProperties: false,
+  required: [
+    'gender', 'age_range', 'build', 'height', 'skin_tone',
+    'hair_color', 'hair_length', 'hair_style', 'facial_hair',
+    'top_color', 'top_description', 'bottom_color', 'bottom_description',
+    'shoes_color', 'shoes_description', 'jacket_color', 'jacket_description',
+    'accessories', 'distinctive_marks', 'image_clarity', 'natural_summary'
+  ],
+  properties: {
+    gender: enumField(['male', 'female']),
+    age_range: enumField(['18-24', '25-34', '35-44', '45-54', '55+']),
+    build: enumField(['slim', 'average', 'muscular', 'stocky']),
+    height: enumField(['short', 'average', 'tall']),
+    skin_tone: enumField(['very_light', 'light', 'medium', 'tan', 'brown', 'dark']),
+    hair_color: colorField,
+    hair_length: enumField(['bald', 'buzz', 'very_short', 'short', 'medium', 'long']),
+    hair_style: textField,
+    facial_hair: enumField(['none', 'stubble', 'beard', 'mustache', 'goatee']),
+    top_color: colorField,
+    top_description: textField,
+    bottom_color: colorField,
+    bottom_description: textField,
+    shoes_color: colorField,
+    shoes_description: textField,
+    jacket_color: colorField,
+    jacket_description: textField,
+    accessories: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'description', 'removable'],
+        properties: {
+          type: { type: 'string', enum: ['hat', 'glasses', 'bag', 'scarf', 'watch', 'jewelry', 'other'] },
+          description: textField,
+          removable: { type: 'boolean' }
+        }
+      }
+    },
+    distinctive_marks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'description', 'location'],
+        properties: {
+          type: { type: 'string', enum: ['tattoo', 'scar', 'birthmark'] },
+          description: textField,
+          location: textField
+        }
+      }
+    },
+    image_clarity: { type: 'number', minimum: 0, maximum: 100 },
+    natural_summary: textField
+  }
+};
+
+// A free-text search read as a partial single description: the same fields and
+// values, minus what only a photo can give, with "unknown" for anything not mentioned.
+const QUERY_OMITTED_FIELDS = ['image_clarity', 'natural_summary'];
+const queryFields = SINGLE_DESCRIPTION_SCHEMA.required.filter((field) => !QUERY_OMITTED_FIELDS.includes(field));
+const PEOPLE_QUERY_SCHEMA = {
+  $id: 'people-query',
+  type: 'object',
+  additionalProperties: false,
+  required: queryFields,
+  properties: Object.fromEntries(queryFields.map((field) => [field, SINGLE_DESCRIPTION_SCHEMA.properties[field]]))
+};
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const unitInterval = { type: 'number', minimum: 0, maximum: 1 };
+const clothingItem = {
+  type: 'object',
+  properties: {
+    category: { type: 'string' },
+    colors: stringList,
+    pattern: { type: 'string' },
+    style: { type: 'string' }
+  }
+};
+
+// status "unclear" / "error" answers carry no analysis; "ok" answers must have
+// both the analysis document and the discriminators.
+const PORTRAIT_ANALYSIS_SCHEMA = {
+  $id: 'portrait-analysis',
+  type: 'object',
+  additionalProperties: false,
+  required: ['status'],
+  if: { properties: { status: { const: 'ok' } } },
+  then: { required: ['analysis', 'discriminators'] },
+  properties: {
+    status: { type: 'string', enum: ['ok', 'unclear', 'error'] },
+    analysis: {
+      type: 'object',
+      required: ['subject', 'appearance', 'clothing', 'accessories', 'carriedItems', 'environment', 'confidence'],
+      properties: {
+        subject: {
+          type: 'object',
+          required: ['gender', 'ageRange', 'build', 'skinTone', 'hair'],
+          properties: {
+            gender: { type: 'string' },
+            genderConfidence: unitInterval,
+            ageRange: { type: 'string' },
+            ageBucket: { type: 'string' },
+            build: { type: 'string' },
+            bodyType: { type: 'string' },
+            heightCategory: { type: 'string' },
+            skinTone: { type: 'string' },
+            hair: {
+              type: 'object',
+              properties: {
+                color: { type: 'string' },
+                length: { type: 'string' },
+                style: { type: 'string' }
+              }
+            },
+            facialHair: { type: 'string' },
+            eyewear: { type: 'string' },
+            headwear: { type: 'string' },
+            distinguishingFeatures: stringList
+          }
+        },
+        appearance: {
+          type: 'object',
+          properties: {
+            dominantColors: stringList,
+            styleDescriptors: stringList,
+            patterns: stringList
+          }
+        },
+        clothing: {
+          type: 'object',
+          required: ['top', 'bottom', 'footwear'],
+          properties: {
+            dominantColors: stringList,
+            top: clothingItem,
+            bottom: clothingItem,
+            outerwear: clothingItem,
+            footwear: clothingItem
+          }
+        },
+        accessories: {
+          type: 'object',
+          properties: Object.fromEntries(
+            ['jewelry', 'headwear', 'eyewear', 'handheld', 'bags', 'tech', 'other'].map((bucket) => [bucket, stringList])
+          )
+        },
+        carriedItems: stringList,
+        environment: {
+          type: 'object',
+          properties: {
+            setting: { type: 'string' },
+            background: { type: 'string' },
+            lighting: { type: 'string' },
+            crowdLevel: { type: 'string' }
+          }
+        },
+        confidence: {
+          type: 'object',
+          properties: {
+            overall: unitInterval,
+            gender: unitInterval,
+            age: unitInterval,
+            clothing: unitInterval,
+            accessories: unitInterval
+          }
+        }
+      }
+    },
+    discriminators: {
+      type: 'object',
+      required: ['hair', 'face', 'top', 'bottom', 'footwear', 'accessories', 'carried'],
+      properties: Object.fromEntries(
+        ['hair', 'face', 'top', 'bottom', 'footwear', 'accessories', 'carried'].map((key) => [key, textField])
+      )
+    }
+  }
+};
+
+const VISION_MATCH_SCHEMA = {
+  $id: 'vision-match',
+  type: 'object',
+  additionalProperties: false,
+  required: ['similarity', 'confidence', 'reasoning', 'fatal_mismatch'],
+  properties: {
+    similarity: { type: 'number', minimum: 0, maximum: 100 },
+    confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+    reasoning: textField,
+    fatal_mismatch: {
+      type: ['string', 'null'],
+      enum: ['gender', 'outfit', 'age', 'hair', 'accessories', null]
+    }
+  }
+};
+
+// Boxes are fractions of the image size; person-detection.js clamps them to the frame.
+const PERSON_DETECTION_SCHEMA = {
+  $id: 'person-detection',
+  type: 'object',
+  additionalProperties: false,
+  required: ['people'],
+  properties: {
+    people: {
+      type: 'array',
+      maxItems: 30,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['box', 'confidence', 'description'],
+        properties: {
+          box: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['x', 'y', 'width', 'height'],
+            properties: {
+              x: unitInterval,
+              y: unitInterval,
+              width: unitInterval,
+              height: unitInterval
+            }
+          },
+          confidence: unitInterval,
+          description: textField
+        }
+      }
+    }
+  }
+};
+
+const OUTPUT_SCHEMAS = {
+  'single-description': SINGLE_DESCRIPTION_SCHEMA,
+  'portrait-analysis': PORTRAIT_ANALYSIS_SCHEMA,
+  'vision-match': VISION_MATCH_SCHEMA,
+  'person-detection': PERSON_DETECTION_SCHEMA,
+  'people-query': PEOPLE_QUERY_SCHEMA
+};
+
+const ajv = new Ajv({ allErrors: true, removeAdditional: true });
+const validators = new Map(
+  Object.entries(OUTPUT_SCHEMAS).map(([name, schema]) => [name, ajv.compile(schema)])
+);
+
+// OpenAI strict structured outputs accept a subset of JSON Schema: every object
+// must list all of its keys as required and forbid extra ones, and if/then is not
+// available. Optional keys therefore become nullable in the strict variant, and
+// validateOutput drops those nulls again before checking the full schema.
+const STRICT_UNSUPPORTED_KEYWORDS = ['$id', 'if', 'then'];
+
+function makeNullable(schema) {
+  if (schema.type === 'object' || schema.type === 'array') {
+    return { anyOf: [schema, { type: 'null' }] };
+  }
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes('null')) {
+    return schema;
+  }
+  const nullable = { ...schema, type: [...types, 'null'] };
+  if (schema.enum) {
+    nullable.enum = [...schema.enum, null];
+  }
+  return nullable;
+}
+
+function toStrictSchema(schema, optional = false) {
+  const strict = Object.fromEntries(
+    Object.entries(schema).filter(([keyword]) => !STRICT_UNSUPPORTED_KEYWORDS.includes(keyword))
+  );
+  if (schema.type === 'object') {
+    const required = new Set(schema.required || []);
+    const properties = schema.properties || {};
+    strict.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, child]) => [key, toStrictSchema(child, !required.has(key))])
+    );
+    strict.required = Object.keys(properties);
+    strict.additionalProperties = false;
+  }
+  if (schema.items) {
+    strict.items = toStrictSchema(schema.items);
+  }
+  return optional ? makeNullable(strict) : strict;
+}
+
+const strictSchemas = new Map(
+  Object.entries(OUTPUT_SCHEMAS).map(([name, schema]) => [name, toStrictSchema(schema)])
+);
+
+// The strict variant sent as response_format.json_schema, or null for an unknown name.
+function getStrictResponseSchema(schemaName) {
+  return strictSchemas.get(schemaName) || null;
+}
+
+// Short hash of a schema, so recordings and cached answers change when it does.
+function schemaFingerprint(schemaName) {
+  const schema = OUTPUT_SCHEMAS[schemaName];
+  if (!schema) {
+    return '';
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(schema)).digest('hex').slice(0, 12);
+}
+
+// A null for a key the schema does not require means "not given".
+function dropOptionalNulls(schema, value) {
+  if (Array.isArray(value)) {
+    if (schema.items) {
+      value.forEach((item) => dropOptionalNulls(schema.items, item));
+    }
+    return;
+  }
+  if (!value || typeof value !== 'object' || !schema.properties) {
+    return;
+  }
+  const required = new Set(schema.required || []);
+  Object.entries(schema.properties).forEach(([key, child]) => {
+    if (value[key] === null && !required.has(key)) {
+      delete value[key];
+    } else {
+      dropOptionalNulls(child, value[key]);
+    }
+  });
+}
+
+// Ajv errors reduced to what a log line or a repair prompt needs.
+function describeValidationErrors(errors) {
+  // "if" errors only restate the "then" failures listed next to them.
+  return (errors || []).filter((error) => error.keyword !== 'if').map((error) => {
+    const path = error.instancePath || '/';
+    if (error.keyword === 'enum') {
+      return { path, message: `must be one of: ${error.params.allowedValues.map(String).join(', ')}` };
+    }
+    if (error.keyword === 'pattern') {
+      return { path, message: 'must not be empty' };
+    }
+    if (error.keyword === 'required') {
+      return { path: `${error.instancePath}/${error.params.missingProperty}`, message: 'is required' };
+    }
+    return { path, message: error.message };
+  });
+}
+
+// Validates (and strips unlisted keys and optional nulls from) a parsed answer in
+// place. Returns { ok, errors: [{ path, message }] }.
+function validateOutput(schemaName, value) {
+  const validate = validators.get(schemaName);
+  if (!validate) {
+    throw new Error(`Unknown output schema "${schemaName}".`);
+  }
+  dropOptionalNulls(OUTPUT_SCHEMAS[schemaName], value);
+  if (validate(value)) {
+    return { ok: true, errors: [] };
+  }
+  return { ok: false, errors: describeValidationErrors(validate.errors) };
+}
+
+module.exports = {
+  validateOutput,
+  getStrictResponseSchema,
+  schemaFingerprint,
+  OUTPUT_SCHEMAS
+};
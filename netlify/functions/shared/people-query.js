@@ -0,0 +1,229 @@
+const { getPrompt } = require('./prompts/index.js');
+const { completeWithRepair } = require('./output-repair.js');
+const { loadGroupCandidates } = require('./person-group.js');
+const { buildImageUrl } = require('./image-store.js');
+const {
+  scoreTraitCompatibility,
+  isKnown,
+  TRAIT_NAMES,
+  TRAIT_FIELDS,
+  TRAIT_WEIGHTS
+} = require('./trait-scoring.js');
+
+// Natural-language search over person groups. The provider reads the typed text
+// into a partial single description (people-query schema), which is then scored
+// against every group canonical with the same scoreTraitCompatibility call that
+// evaluateDescriptionGrouping uses for a new photo. Only the traits the text
+// names carry weight, so "tall man with grey hair" is judged on height, gender
+// and hair colour alone; accessories and marks count as evidence on top.
+
+const MAX_QUERY_LENGTH = 300;
+const DEFAULT_RESULT_LIMIT = 10;
+const MAX_RESULT_LIMIT = 50;
+
+// HTTP status for each error code thrown by the functions below.
+const PEOPLE_QUERY_ERROR_STATUS = {
+  INVALID_QUERY: 400,
+  EMPTY_QUERY: 422
+};
+
+function queryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function traitLabel(trait) {
+  return trait.replace(/_/g, ' ');
+}
+
+function normalizeQueryText(text) {
+  const normalized = typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+  if (!normalized) {
+    throw queryError('"query" must be a non-empty string.', 'INVALID_QUERY');
+  }
+  if (normalized.length > MAX_QUERY_LENGTH) {
+    throw queryError(`"query" must be at most ${MAX_QUERY_LENGTH} characters.`, 'INVALID_QUERY');
+  }
+  return normalized;
+}
+
+// Resolves to { schema, promptVersion, repaired, usage, cache }. Provider errors
+// and OutputValidationError propagate to the caller.
+async function parsePeopleQuery(provider, text, options = {}) {
+  const query = normalizeQueryText(text);
+  const promptSpec = getPrompt('people-query', options.promptVersion || null);
+  const { value, completion, repaired } = await completeWithRepair(provider, 'completeText', {
+    task: 'people-query',
+    responseSchemaName: 'people-query',
+    promptVersion: promptSpec.version,
+    systemPrompt: promptSpec.systemPrompt,
+    prompt: promptSpec.buildPrompt(query),
+    text: query,
+    maxTokens: promptSpec.maxTokens,
+    temperature: promptSpec.temperature
+  });
+  return {
+    schema: value,
+    promptVersion: promptSpec.version,
+    repaired,
+    usage: completion?.usage || null,
+    cache: completion?.cache || null
+  };
+}
+
+// Scored traits the query gives a value for.
+function listQueriedTraits(querySchema) {
+  return TRAIT_NAMES.filter((trait) => isKnown(querySchema?.[TRAIT_FIELDS[trait]]));
+}
+
+function buildQueryWeights(queriedTraits) {
+  return TRAIT_NAMES.reduce((weights, trait) => {
+    weights[trait] = queriedTraits.includes(trait) ? TRAIT_WEIGHTS[trait] : 0;
+    return weights;
+  }, {});
+}
+
+function describeTraitMatch(trait, querySchema, canonical, credit) {
+  const field = TRAIT_FIELDS[trait];
+  const entry = {
+    trait,
+    field,
+    query: querySchema[field],
+    group: isKnown(canonical?.[field]) ? canonical[field] : null,
+    credit
+  };
+  if (credit === null) {
+    return { ...entry, verdict: 'unknown' };
+  }
+  if (credit === 1) {
+    return { ...entry, verdict: 'match' };
+  }
+  return { ...entry, verdict: credit > 0 ? 'partial' : 'mismatch' };
+}
+
+function summarizeTraits(traits, evidence) {
+  const byVerdict = (verdict) => traits.filter((entry) => entry.verdict === verdict);
+  const parts = [];
+  const matched = byVerdict('match');
+  if (matched.length) {
+    parts.push(`Matches ${matched.map((entry) => traitLabel(entry.trait)).join(', ')}`);
+  }
+  const partial = byVerdict('partial');
+  if (partial.length) {
+    parts.push(`close on ${partial.map((entry) => `${traitLabel(entry.trait)} (${traitLabel(entry.group)})`).join(', ')}`);
+  }
+  const mismatched = byVerdict('mismatch');
+  if (mismatched.length) {
+    parts.push(`differs on ${mismatched.map((entry) => `${traitLabel(entry.trait)} (${traitLabel(entry.group)})`).join(', ')}`);
+  }
+  const unknown = byVerdict('unknown');
+  if (unknown.length) {
+    parts.push(`no ${unknown.map((entry) => traitLabel(entry.trait)).join(', ')} on record`);
+  }
+  if (evidence.length) {
+    parts.push(`also has ${evidence.map((entry) => entry.description || entry.type).join(', ')}`);
+  }
+  if (!parts.length) {
+    return '';
+  }
+  const sentence = parts.join('; ');
+  return `${sentence.charAt(0).toUpperCase()}${sentence.slice(1)}.`;
+}
+
+// Ranks loaded group candidates against a parsed query. Groups whose gender
+// contradicts the query are left out, as are groups nothing in the query matched.
+// Returns [{ group, score, coverage, traits, evidence, explanation }], best first.
+function rankGroupsForQuery(querySchema, groups, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+  const queriedTraits = listQueriedTraits(querySchema);
+  const weights = buildQueryWeights(queriedTraits);
+  const ranked = [];
+
+  for (const group of groups || []) {
+    if (!group || !group.group_canonical) continue;
+    const canonical = group.group_canonical;
+    const compatibility = scoreTraitCompatibility(querySchema, canonical, { weights });
+    if (!compatibility.compatible) continue;
+
+    const traits = queriedTraits.map((trait) => (
+      describeTraitMatch(trait, querySchema, canonical, compatibility.traitScores[trait])
+    ));
+    const earnedAny = traits.some((entry) => entry.credit > 0) || compatibility.evidence.length > 0;
+    if (!earnedAny) continue;
+
+    ranked.push({
+      group,
+      score: Math.round(compatibility.matchRatio * 100),
+      coverage: compatibility.coverage,
+      traits,
+      evidence: compatibility.evidence,
+      explanation: summarizeTraits(traits, compatibility.evidence)
+    });
+  }
+
+  ranked.sort((a, b) => (
+    (b.score - a.score)
+    || (b.evidence.length - a.evidence.length)
+    || ((b.group.group_member_count || 0) - (a.group.group_member_count || 0))
+  ));
+  return ranked.slice(0, limit);
+}
+
+function buildGroupResult(entry) {
+  const { group } = entry;
+  const imageUrl = buildImageUrl(group.representativeImageKey);
+  return {
+    personGroupId: group.group_id,
+    label: group.group_label || null,
+    memberCount: group.group_member_count || 0,
+    score: entry.score,
+    coverage: entry.coverage,
+    explanation: entry.explanation,
+    traits: entry.traits,
+    evidence: entry.evidence,
+    representativeSelectionId: group.representativeSelectionId,
+    imageUrl,
+    thumbnailUrl: buildImageUrl(group.representativeThumbnailKey) || imageUrl,
+    imageDataUrl: imageUrl ? null : (group.representativeImage || null),
+    capturedAt: group.representativeCapturedAt
+  };
+}
+
+// Resolves to { query, querySchema, queriedTraits, promptVersion, repaired,
+// results, groupsSearched }. Throws EMPTY_QUERY when the text names nothing
+// that can be compared.
+async function queryPeople(pool, provider, text, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+  const query = normalizeQueryText(text);
+  const resultLimit = Math.min(Math.max(Math.floor(limit) || DEFAULT_RESULT_LIMIT, 1), MAX_RESULT_LIMIT);
+  const parsed = await parsePeopleQuery(provider, query);
+  const querySchema = parsed.schema;
+  const queriedTraits = listQueriedTraits(querySchema);
+  const hasEvidence = (querySchema.accessories || []).length > 0 || (querySchema.distinctive_marks || []).length > 0;
+  if (!queriedTraits.length && !hasEvidence) {
+    throw queryError(
+      'The query does not describe any trait that can be compared. Mention gender, age, build, hair, clothing colours, accessories or marks.',
+      'EMPTY_QUERY'
+    );
+  }
+
+  const { groups } = await loadGroupCandidates(pool);
+  const ranked = rankGroupsForQuery(querySchema, groups, { limit: resultLimit });
+
+  return {
+    query,
+    querySchema,
+    queriedTraits,
+    promptVersion: parsed.promptVersion,
+    repaired: parsed.repaired,
+    results: ranked.map(buildGroupResult),
+    groupsSearched: groups.length
+  };
+}
+
+module.exports = {
+  parsePeopleQuery,
+  rankGroupsForQuery,
+  queryPeople,
+  PEOPLE_QUERY_ERROR_STATUS,
+  MAX_QUERY_LENGTH
+};
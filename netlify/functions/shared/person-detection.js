@@ -0,0 +1,90 @@
+const { getPrompt } = require('./prompts/index.js');
+const { completeWithRepair } = require('./output-repair.js');
+
+// Finds every person in a full photo so the single page can offer one crop per
+// person. Boxes are normalized to the image size ({ x, y, width, height } in 0-1)
+// and are what the page turns into viewport selections before saving.
+
+const MIN_BOX_EDGE = 0.02;
+const MIN_BOX_AREA = 0.002;
+const MIN_DETECTION_CONFIDENCE = 0.2;
+
+function roundFraction(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Clamps a box into the frame; returns null when too little of it is left.
+function clampBox(box) {
+  const x = Math.max(0, Math.min(1, Number(box?.x)));
+  const y = Math.max(0, Math.min(1, Number(box?.y)));
+  const right = Math.max(0, Math.min(1, Number(box?.x) + Number(box?.width)));
+  const bottom = Math.max(0, Math.min(1, Number(box?.y) + Number(box?.height)));
+  const width = right - x;
+  const height = bottom - y;
+  if (![x, y, width, height].every(Number.isFinite)) {
+    return null;
+  }
+  if (width < MIN_BOX_EDGE || height < MIN_BOX_EDGE || width * height < MIN_BOX_AREA) {
+    return null;
+  }
+  return {
+    x: roundFraction(x),
+    y: roundFraction(y),
+    width: roundFraction(width),
+    height: roundFraction(height)
+  };
+}
+
+// Drops boxes that are off-frame, tiny or low-confidence and orders the rest left
+// to right, numbering them from 1 for display.
+function normalizeDetections(people) {
+  return (Array.isArray(people) ? people : [])
+    .filter((person) => Number(person?.confidence) >= MIN_DETECTION_CONFIDENCE)
+    .map((person) => ({ ...person, box: clampBox(person.box) }))
+    .filter((person) => person.box)
+    .sort((a, b) => (a.box.x - b.box.x) || (a.box.y - b.box.y))
+    .map((person, index) => ({
+      index: index + 1,
+      box: person.box,
+      confidence: Math.round(Number(person.confidence) * 100) / 100,
+      description: person.description.trim()
+    }));
+}
+
+// Resolves to { people, discarded, promptVersion, usage, cache, responseFormat, repaired }.
+// Provider errors and OutputValidationError propagate to the caller.
+async function detectPeople(provider, imageDataUrl, options = {}) {
+  if (!imageDataUrl) {
+    throw new Error('detectPeople requires imageDataUrl.');
+  }
+
+  const promptSpec = getPrompt('person-detection', options.promptVersion || null);
+  const { value, completion, repaired } = await completeWithRepair(provider, 'describeImage', {
+    task: 'person-detection',
+    responseSchemaName: 'person-detection',
+    model: options.model || undefined,
+    promptVersion: promptSpec.version,
+    systemPrompt: promptSpec.systemPrompt,
+    prompt: promptSpec.buildPrompt(),
+    imageDataUrl,
+    detail: promptSpec.detail,
+    maxTokens: promptSpec.maxTokens,
+    temperature: promptSpec.temperature
+  });
+
+  const people = normalizeDetections(value.people);
+  return {
+    people,
+    discarded: value.people.length - people.length,
+    promptVersion: promptSpec.version,
+    usage: completion.usage || null,
+    cache: completion.cache || null,
+    responseFormat: completion.responseFormat || null,
+    repaired
+  };
+}
+
+module.exports = {
+  detectPeople,
+  normalizeDetections
+};
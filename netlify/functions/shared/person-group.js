@@ -1,12 +1,24 @@
 const {
-  SINGLE_CAMERA_SELECTIONS_TABLE_NAME
+  SINGLE_CAMERA_SELECTIONS_TABLE_NAME,
+  PERSON_GROUPS_TABLE_NAME,
+  PERSON_GROUP_EVENTS_TABLE_NAME
 } = require('./db.js');
+const {
+  extractClarity,
+  collectGroupsWithRepresentatives,
+  buildGroupsFromPersonGroupRows
+} = require('./grouping-helpers.js');
+const { selectDiverseReferences } = require('./reference-selection.js');
+const { recordGroupingDecision } = require('./grouping-decisions.js');
 
-async function ensurePersonGroupSequence(pool) {
-  await pool.query('CREATE SEQUENCE IF NOT EXISTS single_person_group_id_seq');
+// The sequence itself is created by migration 001; this only keeps it ahead of
+// any group ids written outside allocatePersonGroupId.
+async function syncPersonGroupSequence(pool) {
   const maxResult = await pool.query(`
-    SELECT COALESCE(MAX(person_group_id), 0) AS max_id
-    FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+    SELECT GREATEST(
+      (SELECT COALESCE(MAX(person_group_id), 0) FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}),
+      (SELECT COALESCE(MAX(id), 0) FROM ${PERSON_GROUPS_TABLE_NAME})
+    ) AS max_id
   `);
   const maxId = Number(maxResult.rows?.[0]?.max_id || 0);
 
@@ -31,12 +43,562 @@ async function ensurePersonGroupSequence(pool) {
 }
 
 async function allocatePersonGroupId(pool) {
-  await ensurePersonGroupSequence(pool);
+  await syncPersonGroupSequence(pool);
   const nextResult = await pool.query(`SELECT nextval('single_person_group_id_seq') AS next_id`);
   return Number(nextResult.rows?.[0]?.next_id);
 }
 
-module.exports = {
-  allocatePersonGroupId
+async function loadGroupMemberRows(queryable, groupId, excludeSelectionId = null) {
+  const result = await queryable.query(
+    `
+      SELECT id,
+             person_group_id,
+             description_json,
+             image_key,
+             CASE WHEN image_key IS NULL THEN image_data_url END AS image_data_url,
+             captured_at,
+             created_at,
+             location
+      FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+      WHERE person_group_id = $1
+        AND ($2::bigint IS NULL OR id <> $2)
+    `,
+    [groupId, excludeSelectionId]
+  );
+  return result.rows || [];
+}
+
+// Recomputes member count and canonical profile for one group from its current
+// members. Must run inside the caller's transaction; the row lock serialises
+// concurrent writers touching the same group.
+async function refreshPersonGroup(client, groupId) {
+  await client.query(
+    `INSERT INTO ${PERSON_GROUPS_TABLE_NAME} (id) VALUES ($1) ON CONFLICT (id) DO NOTHING`,
+    [groupId]
+  );
+  await client.query(`SELECT id FROM ${PERSON_GROUPS_TABLE_NAME} WHERE id = $1 FOR UPDATE`, [groupId]);
+
+  const members = await loadGroupMemberRows(client, groupId);
+  const canonical = collectGroupsWithRepresentatives(members).groups[0] || null;
+
+  const result = await client.query(
+    `
+      UPDATE ${PERSON_GROUPS_TABLE_NAME}
+      SET member_count = $2,
+          canonical_schema = $3,
+          canonical_clarity = $4,
+          representative_selection_id = $5,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, label, canonical_schema, canonical_clarity, representative_selection_id,
+                member_count, merged_into_id, merged_from, merged_at, created_at, updated_at
+    `,
+    [
+      groupId,
+      members.length,
+      canonical ? JSON.stringify(canonical.group_canonical) : null,
+      canonical ? canonical.group_image_clarity : null,
+      canonical ? canonical.representativeSelectionId : null
+    ]
+  );
+  return result.rows?.[0] || null;
+}
+
+function resolveMembershipEvent(groupId, previousGroupId) {
+  if (groupId && previousGroupId) {
+    return Number(groupId) === Number(previousGroupId) ? null : 'reassigned';
+  }
+  if (groupId) {
+    return 'assigned';
+  }
+  return previousGroupId ? 'removed' : null;
+}
+
+async function appendMembershipEvent(client, { selectionId, groupId, previousGroupId, source, details }) {
+  const event = resolveMembershipEvent(groupId, previousGroupId);
+  if (!event) {
+    return null;
+  }
+  await client.query(
+    `
+      INSERT INTO ${PERSON_GROUP_EVENTS_TABLE_NAME}
+        (selection_id, person_group_id, previous_group_id, event, source, details)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `,
+    [
+      selectionId,
+      groupId || null,
+      previousGroupId || null,
+      event,
+      source,
+      details ? JSON.stringify(details) : null
+    ]
+  );
+  return event;
+}
+
+// Lock in id order so two writers moving members between the same groups cannot deadlock.
+async function refreshPersonGroups(client, groupIds) {
+  const ids = [...new Set(groupIds.filter(Boolean).map(Number))].sort((a, b) => a - b);
+  const refreshed = new Map();
+  for (const id of ids) {
+    // eslint-disable-next-line no-await-in-loop
+    refreshed.set(id, await refreshPersonGroup(client, id));
+  }
+  return refreshed;
+}
+
+// Call after the selection row has been inserted/updated/deleted in the same
+// transaction. Logs the membership change (if any) and refreshes every group it touched.
+async function recordGroupMembership(client, {
+  selectionId,
+  groupId = null,
+  previousGroupId = null,
+  source = null,
+  details = null
+}) {
+  const event = await appendMembershipEvent(client, { selectionId, groupId, previousGroupId, source, details });
+  await refreshPersonGroups(client, [groupId, previousGroupId]);
+  return event;
+}
+
+// HTTP status for each error code thrown by the manual group operations below.
+const GROUP_OPERATION_STATUS = {
+  GROUP_NOT_FOUND: 404,
+  SELECTION_NOT_FOUND: 404,
+  GROUP_MERGED: 409,
+  INVALID_GROUP_OPERATION: 400
 };
 
+function groupOperationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// With forUpdate the row stays locked until the caller's transaction ends, so a
+// concurrent merge cannot tombstone the group between this check and the caller's
+// writes. A merge holding the lock first is waited for and then seen as merged.
+async function loadActiveGroup(client, groupId, { forUpdate = false } = {}) {
+  const result = await client.query(
+    `SELECT id, merged_into_id, member_count FROM ${PERSON_GROUPS_TABLE_NAME} WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [groupId]
+  );
+  const group = result.rows?.[0] || null;
+  if (!group) {
+    throw groupOperationError(`Group ${groupId} does not exist.`, 'GROUP_NOT_FOUND');
+  }
+  if (group.merged_into_id) {
+    throw groupOperationError(
+      `Group ${groupId} was merged into group ${group.merged_into_id}.`,
+      'GROUP_MERGED'
+    );
+  }
+  return group;
+}
+
+// Locks groupId and follows merge tombstones to the group that absorbed it, so an
+// automated assignment never joins a group merged away while it was being scored.
+// Returns the active id, or groupId itself when it has no row yet (a new group).
+async function lockActiveGroupId(client, groupId) {
+  let currentId = Number(groupId);
+  const seen = new Set();
+  while (!seen.has(currentId)) {
+    seen.add(currentId);
+    // eslint-disable-next-line no-await-in-loop
+    const result = await client.query(
+      `SELECT merged_into_id FROM ${PERSON_GROUPS_TABLE_NAME} WHERE id = $1 FOR UPDATE`,
+      [currentId]
+    );
+    const mergedIntoId = result.rows?.[0]?.merged_into_id;
+    if (!mergedIntoId) {
+      break;
+    }
+    currentId = Number(mergedIntoId);
+  }
+  return currentId;
+}
+
+// Grouping decision recorded for each selection moved by reassignSelections.
+const REASSIGN_DECISIONS = {
+  'manual-move': 'moved',
+  'manual-split': 'split',
+  'manual-merge': 'merged',
+  recluster: 'reclustered'
+};
+
+function describeReassignment(decision, previousGroupId, targetGroupId, details) {
+  const from = previousGroupId ? `group ${previousGroupId}` : 'no group';
+  switch (decision) {
+    case 'split':
+      return `Split by hand from ${from} into new group ${targetGroupId}.`;
+    case 'merged':
+      return `Group ${previousGroupId} was merged by hand into group ${targetGroupId}.`;
+    case 'reclustered':
+      return `Re-clustering plan ${details?.planId} moved it from ${from} to group ${targetGroupId}.`;
+    default:
+      return `Moved by hand from ${from} to group ${targetGroupId}.`;
+  }
+}
+
+// Moves selections into targetGroupId and, by default, pins them there. Manual edits
+// are the only writers of assignment_pinned = TRUE, so automated regrouping can skip
+// pinned rows; re-clustering passes pin: false and leaves its moves open to the next run.
+// Each move is also recorded as a membership event and a grouping decision (details
+// become the trigger details). Rows already in targetGroupId are only re-pinned; they
+// did not move, so the history gets nothing for them and moves leaves them out.
+// evaluations optionally maps a selection id to the { inputs, shortlist, vision,
+// thresholds, versions } its decision was based on (re-clustering).
+async function reassignSelections(client, {
+  selectionIds,
+  targetGroupId,
+  source,
+  details = null,
+  pin = true,
+  evaluations = null
+}) {
+  const ids = [...new Set(selectionIds.map(Number))].sort((a, b) => a - b);
+  const current = await client.query(
+    `
+      SELECT id, person_group_id
+      FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+      WHERE id = ANY($1::bigint[])
+      ORDER BY id
+      FOR UPDATE
+    `,
+    [ids]
+  );
+  const rows = current.rows || [];
+  if (rows.length !== ids.length) {
+    const found = new Set(rows.map((row) => Number(row.id)));
+    const missing = ids.filter((id) => !found.has(id));
+    throw groupOperationError(`Selection(s) not found: ${missing.join(', ')}.`, 'SELECTION_NOT_FOUND');
+  }
+
+  await client.query(
+    `
+      UPDATE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+      SET person_group_id = $1,
+          assignment_source = $2,
+          assignment_pinned = $4
+      WHERE id = ANY($3::bigint[])
+    `,
+    [targetGroupId, source, ids, pin]
+  );
+
+  const moves = [];
+  for (const row of rows) {
+    if (row.person_group_id && Number(row.person_group_id) === Number(targetGroupId)) {
+      continue;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await appendMembershipEvent(client, {
+      selectionId: Number(row.id),
+      groupId: targetGroupId,
+      previousGroupId: row.person_group_id,
+      source,
+      details
+    });
+    // eslint-disable-next-line no-await-in-loop
+    await recordGroupingDecision(client, {
+      ...(evaluations?.get(Number(row.id)) || {}),
+      selectionId: Number(row.id),
+      trigger: source,
+      triggerDetails: details,
+      decision: REASSIGN_DECISIONS[source],
+      personGroupId: targetGroupId,
+      previousGroupId: row.person_group_id,
+      explanation: describeReassignment(REASSIGN_DECISIONS[source], row.person_group_id, targetGroupId, details)
+    });
+    moves.push({
+      selectionId: Number(row.id),
+      previousGroupId: row.person_group_id ? Number(row.person_group_id) : null
+    });
+  }
+
+  const refreshed = await refreshPersonGroups(client, [
+    targetGroupId,
+    ...moves.map((move) => move.previousGroupId)
+  ]);
+  return { moves, groups: refreshed };
+}
+
+async function moveSelectionToGroup(client, { selectionId, targetGroupId }) {
+  await loadActiveGroup(client, targetGroupId, { forUpdate: true });
+  const { moves, groups } = await reassignSelections(client, {
+    selectionIds: [selectionId],
+    targetGroupId,
+    source: 'manual-move'
+  });
+  return {
+    selectionId,
+    personGroupId: Number(targetGroupId),
+    // No move means the selection was already in the target group.
+    previousGroupId: moves.length ? moves[0].previousGroupId : Number(targetGroupId),
+    group: groups.get(Number(targetGroupId)) || null
+  };
+}
+
+// Splits the given selections out of their (single, shared) group into a new group.
+async function splitSelectionsToNewGroup(client, { selectionIds }) {
+  const ids = [...new Set(selectionIds.map(Number))];
+  const owners = await client.query(
+    `SELECT DISTINCT person_group_id FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} WHERE id = ANY($1::bigint[])`,
+    [ids]
+  );
+  const ownerIds = (owners.rows || []).map((row) => row.person_group_id);
+  if (ownerIds.length !== 1 || !ownerIds[0]) {
+    throw groupOperationError('Selections to split must all belong to the same group.', 'INVALID_GROUP_OPERATION');
+  }
+  const sourceGroupId = Number(ownerIds[0]);
+
+  const newGroupId = await allocatePersonGroupId(client);
+  const { groups } = await reassignSelections(client, {
+    selectionIds: ids,
+    targetGroupId: newGroupId,
+    source: 'manual-split',
+    details: { splitFrom: sourceGroupId }
+  });
+  return {
+    personGroupId: newGroupId,
+    previousGroupId: sourceGroupId,
+    selectionIds: ids,
+    group: groups.get(newGroupId) || null,
+    previousGroup: groups.get(sourceGroupId) || null
+  };
+}
+
+// Turns sourceGroupId into a tombstone pointing at targetGroupId. Callers move the
+// members first and hold row locks on both groups.
+async function markGroupMerged(client, sourceGroupId, targetGroupId) {
+  await client.query(
+    `
+      UPDATE ${PERSON_GROUPS_TABLE_NAME}
+      SET merged_into_id = $2,
+          merged_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+    `,
+    [sourceGroupId, targetGroupId]
+  );
+  const targetResult = await client.query(
+    `
+      UPDATE ${PERSON_GROUPS_TABLE_NAME} AS target
+      SET merged_from = target.merged_from || source.merged_from || ARRAY[source.id],
+          label = COALESCE(target.label, source.label),
+          updated_at = NOW()
+      FROM ${PERSON_GROUPS_TABLE_NAME} AS source
+      WHERE target.id = $1
+        AND source.id = $2
+      RETURNING target.id, target.label, target.member_count, target.merged_from
+    `,
+    [targetGroupId, sourceGroupId]
+  );
+  return targetResult.rows?.[0] || null;
+}
+
+// Moves every member of sourceGroupId into targetGroupId and leaves the source row
+// behind as a tombstone pointing at the group that absorbed it.
+async function mergePersonGroups(client, { sourceGroupId, targetGroupId }) {
+  if (Number(sourceGroupId) === Number(targetGroupId)) {
+    throw groupOperationError('A group cannot be merged into itself.', 'INVALID_GROUP_OPERATION');
+  }
+  const [firstId, secondId] = [Number(sourceGroupId), Number(targetGroupId)].sort((a, b) => a - b);
+  await client.query(
+    `SELECT id FROM ${PERSON_GROUPS_TABLE_NAME} WHERE id IN ($1, $2) ORDER BY id FOR UPDATE`,
+    [firstId, secondId]
+  );
+  await loadActiveGroup(client, sourceGroupId);
+  await loadActiveGroup(client, targetGroupId);
+
+  const members = await client.query(
+    `SELECT id FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} WHERE person_group_id = $1`,
+    [sourceGroupId]
+  );
+  const selectionIds = (members.rows || []).map((row) => Number(row.id));
+
+  if (selectionIds.length) {
+    await reassignSelections(client, {
+      selectionIds,
+      targetGroupId,
+      source: 'manual-merge',
+      details: { mergedFrom: Number(sourceGroupId) }
+    });
+  }
+
+  const group = await markGroupMerged(client, sourceGroupId, targetGroupId);
+
+  return {
+    personGroupId: Number(targetGroupId),
+    mergedGroupId: Number(sourceGroupId),
+    selectionIds,
+    group
+  };
+}
+
+// Candidate groups for scoring a selection, read from person_groups instead of
+// scanning every selection row. excludeSelectionId scores a selection against
+// its own group as if it were not yet a member. With capturedAt, each group also
+// carries its member photographed closest to that time for the grouping priors.
+// groupIds limits the load to those groups (embedding preselection); null loads all.
+async function loadGroupCandidates(queryable, { excludeSelectionId = null, capturedAt = null, groupIds = null } = {}) {
+  const withSightings = Boolean(capturedAt);
+  const params = withSightings ? [capturedAt, excludeSelectionId] : [];
+  let groupFilter = '';
+  if (Array.isArray(groupIds)) {
+    params.push(groupIds);
+    groupFilter = `
+      AND g.id = ANY($${params.length}::bigint[])`;
+  }
+  const sightingColumns = withSightings
+    ? `,
+           sighting.id AS sighting_selection_id,
+           sighting.seen_at AS sighting_captured_at,
+           sighting.location AS sighting_location`
+    : '';
+  const sightingJoin = withSightings
+    ? `
+    LEFT JOIN LATERAL (
+      SELECT m.id, COALESCE(m.captured_at, m.created_at) AS seen_at, m.location
+      FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} m
+      WHERE m.person_group_id = g.id
+        AND ($2::bigint IS NULL OR m.id <> $2)
+      ORDER BY ABS(EXTRACT(EPOCH FROM (COALESCE(m.captured_at, m.created_at) - $1::timestamptz))), m.id DESC
+      LIMIT 1
+    ) sighting ON TRUE`
+    : '';
+  const result = await queryable.query(`
+    SELECT g.id,
+           g.label,
+           g.canonical_schema,
+           g.canonical_clarity,
+           g.member_count,
+           g.representative_selection_id,
+           s.image_key,
+           s.thumbnail_key,
+           CASE WHEN s.image_key IS NULL THEN s.image_data_url END AS image_data_url,
+           s.captured_at,
+           s.location,
+           s.created_at${sightingColumns}
+    FROM ${PERSON_GROUPS_TABLE_NAME} g
+    LEFT JOIN ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} s ON s.id = g.representative_selection_id${sightingJoin}
+    WHERE g.merged_into_id IS NULL
+      AND g.member_count > 0
+      AND g.canonical_schema IS NOT NULL${groupFilter}
+    ORDER BY g.id
+  `, params);
+  const collection = buildGroupsFromPersonGroupRows(result.rows || []);
+  if (!excludeSelectionId) {
+    return collection;
+  }
+
+  const ownerResult = await queryable.query(
+    `SELECT person_group_id FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} WHERE id = $1`,
+    [excludeSelectionId]
+  );
+  const ownerGroupId = ownerResult.rows?.[0]?.person_group_id;
+  if (!ownerGroupId) {
+    return collection;
+  }
+
+  const key = String(ownerGroupId);
+  const others = await loadGroupMemberRows(queryable, ownerGroupId, excludeSelectionId);
+  const recomputed = collectGroupsWithRepresentatives(others);
+  const replacement = recomputed.groups[0] || null;
+  const label = collection.groupsMap.get(key)?.group_label || null;
+
+  const groups = collection.groups.filter((group) => String(group.group_id) !== key);
+  collection.groupsMap.delete(key);
+  if (replacement) {
+    // Undescribed members still count towards the group.
+    replacement.group_label = label;
+    replacement.group_member_count = others.length;
+    groups.push(replacement);
+    collection.groupsMap.set(key, {
+      ...recomputed.groupsMap.get(key),
+      group_label: label,
+      group_member_count: others.length
+    });
+  }
+  return { groups, groupsMap: collection.groupsMap };
+}
+
+// Candidate rows only carry the representative; before vision verification the
+// shortlisted groups get their diverse reference members (group_references).
+// Legacy inline images are fetched only for the members actually chosen.
+async function attachGroupReferences(queryable, groupsMap, groupIds, { excludeSelectionId = null } = {}) {
+  const ids = [...new Set((groupIds || []).map(Number).filter((id) => Number.isInteger(id) && id > 0))];
+  if (!ids.length) {
+    return;
+  }
+  const result = await queryable.query(
+    `
+      SELECT id,
+             person_group_id,
+             description_json,
+             image_key,
+             (image_key IS NULL AND image_data_url IS NOT NULL) AS has_inline_image,
+             COALESCE(captured_at, created_at) AS captured_at,
+             location
+      FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+      WHERE person_group_id = ANY($1::bigint[])
+        AND ($2::bigint IS NULL OR id <> $2)
+    `,
+    [ids, excludeSelectionId]
+  );
+
+  const membersByGroup = new Map();
+  for (const row of result.rows || []) {
+    if (!row.image_key && !row.has_inline_image) continue;
+    const key = String(row.person_group_id);
+    if (!membersByGroup.has(key)) membersByGroup.set(key, []);
+    membersByGroup.get(key).push({
+      selectionId: Number(row.id),
+      imageKey: row.image_key || null,
+      image: null,
+      hasInlineImage: Boolean(row.has_inline_image),
+      capturedAt: row.captured_at instanceof Date ? row.captured_at.toISOString() : row.captured_at || null,
+      location: row.location || null,
+      schema: row.description_json || null,
+      clarity: extractClarity(row.description_json)
+    });
+  }
+
+  const inlineMembers = [];
+  for (const [key, members] of membersByGroup) {
+    const groupMeta = groupsMap.get(key);
+    if (!groupMeta) continue;
+    const references = selectDiverseReferences(members, {
+      representativeSelectionId: groupMeta.representativeSelectionId
+    });
+    groupMeta.group_references = references;
+    inlineMembers.push(...references.filter((member) => member.hasInlineImage));
+  }
+
+  if (!inlineMembers.length) {
+    return;
+  }
+  const inlineResult = await queryable.query(
+    `SELECT id, image_data_url FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} WHERE id = ANY($1::bigint[])`,
+    [inlineMembers.map((member) => member.selectionId)]
+  );
+  const imagesById = new Map((inlineResult.rows || []).map((row) => [Number(row.id), row.image_data_url]));
+  inlineMembers.forEach((member) => {
+    member.image = imagesById.get(member.selectionId) || null;
+  });
+}
+
+module.exports = {
+  allocatePersonGroupId,
+  refreshPersonGroup,
+  recordGroupMembership,
+  lockActiveGroupId,
+  loadGroupCandidates,
+  attachGroupReferences,
+  moveSelectionToGroup,
+  splitSelectionsToNewGroup,
+  mergePersonGroups,
+  reassignSelections,
+  markGroupMerged,
+  GROUP_OPERATION_STATUS
+};
@@ -0,0 +1,92 @@
+// Registry of every prompt sent to the vision provider, by task and named version.
+// Each task file lists its versions explicitly so the function bundler picks them
+// up. A version is frozen once rows carry its name: change wording by adding a new
+// version, never by editing an existing one, so stored descriptions, recordings and
+// cache entries keep meaning what their version says.
+//
+// The active version per task is the file's defaultVersion unless
+// PROMPT_VERSION_<TASK> overrides it (for example PROMPT_VERSION_SINGLE_DESCRIPTION=v2-layers).
+
+const TASKS = [
+  require('./single-description.js'),
+  require('./portrait-analysis.js'),
+  require('./vision-match.js'),
+  require('./person-detection.js'),
+  require('./people-query.js')
+];
+
+const REGISTRY = new Map(TASKS.map((entry) => [entry.task, entry]));
+
+const warnedOverrides = new Set();
+
+function promptError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function envKeyForTask(task) {
+  return `PROMPT_VERSION_${task.toUpperCase().replace(/-/g, '_')}`;
+}
+
+function requireTask(task) {
+  const entry = REGISTRY.get(task);
+  if (!entry) {
+    throw promptError(`Unknown prompt task "${task}". Known tasks: ${[...REGISTRY.keys()].join(', ')}.`, 'UNKNOWN_PROMPT_TASK');
+  }
+  return entry;
+}
+
+// An override naming a version that does not exist falls back to the default
+// (with one warning) rather than failing every call.
+function getActivePromptVersion(task) {
+  const entry = requireTask(task);
+  const envKey = envKeyForTask(task);
+  const override = (process.env[envKey] || '').trim();
+  if (!override) {
+    return entry.defaultVersion;
+  }
+  if (entry.versions[override]) {
+    return override;
+  }
+  if (!warnedOverrides.has(envKey)) {
+    warnedOverrides.add(envKey);
+    console.warn(`${envKey}="${override}" is not a registered version; using "${entry.defaultVersion}".`, {
+      known: Object.keys(entry.versions)
+    });
+  }
+  return entry.defaultVersion;
+}
+
+// Returns { task, version, description, systemPrompt, buildPrompt, detail, maxTokens, temperature }.
+function getPrompt(task, version = null) {
+  const entry = requireTask(task);
+  const resolved = version || getActivePromptVersion(task);
+  const prompt = entry.versions[resolved];
+  if (!prompt) {
+    throw promptError(
+      `Unknown ${task} prompt version "${resolved}". Known versions: ${Object.keys(entry.versions).join(', ')}.`,
+      'UNKNOWN_PROMPT_VERSION'
+    );
+  }
+  return { task, version: resolved, ...prompt };
+}
+
+function listPromptVersions() {
+  return TASKS.map((entry) => ({
+    task: entry.task,
+    active: getActivePromptVersion(entry.task),
+    defaultVersion: entry.defaultVersion,
+    envKey: envKeyForTask(entry.task),
+    versions: Object.entries(entry.versions).map(([version, prompt]) => ({
+      version,
+      description: prompt.description || null
+    }))
+  }));
+}
+
+module.exports = {
+  getPrompt,
+  getActivePromptVersion,
+  listPromptVersions
+};
@@ -0,0 +1,61 @@
+const { NORMALIZED_COLORS } = require('../trait-scoring.js');
+
+// Free-text people search prompts for people-query.js. The answer uses the
+// single-description fields (without image_clarity and natural_summary) so it can
+// be scored against group canonicals like a description of a new photo.
+
+const v1 = {
+  description: 'Reads a typed description of a person into single-description fields.',
+  systemPrompt: 'You turn a short written description of a person into structured re-identification traits. Output ONLY valid JSON.',
+  maxTokens: 500,
+  temperature: 0,
+  buildPrompt: (text) => `Someone is searching a collection of photographed people and typed this description of who they are looking for:
+
+"""${text}"""
+
+Convert it into JSON with this exact structure:
+
+{
+  "gender": "male|female|unknown",
+  "age_range": "18-24|25-34|35-44|45-54|55+|unknown",
+  "build": "slim|average|muscular|stocky|unknown",
+  "height": "short|average|tall|unknown",
+  "skin_tone": "very_light|light|medium|tan|brown|dark|unknown",
+  "hair_color": "<normalized_color or 'unknown'>",
+  "hair_length": "bald|buzz|very_short|short|medium|long|unknown",
+  "hair_style": "<brief text or 'unknown'>",
+  "facial_hair": "none|stubble|beard|mustache|goatee|unknown",
+  "top_color": "<normalized_color or 'unknown'>",
+  "top_description": "<brief text or 'unknown'>",
+  "bottom_color": "<normalized_color or 'unknown'>",
+  "bottom_description": "<brief text or 'unknown'>",
+  "shoes_color": "<normalized_color or 'unknown'>",
+  "shoes_description": "<brief text or 'unknown'>",
+  "jacket_color": "<normalized_color or 'unknown'>",
+  "jacket_description": "<brief text or 'unknown'>",
+  "accessories": [
+    {"type": "hat|glasses|bag|scarf|watch|jewelry|other", "description": "<text>", "removable": true|false}
+  ],
+  "distinctive_marks": [
+    {"type": "tattoo|scar|birthmark", "description": "<text>", "location": "<body part or 'unknown'>"}
+  ]
+}
+
+RULES:
+1. Fill a field only when the text states it or clearly implies it ("man" means gender male, "elderly" means 55+). Everything else is "unknown" and lists stay empty.
+2. Map words onto the allowed values: "gray" is grey, "trainers" are shoes, "tall" is height. Never invent a value outside the lists.
+3. Normalized colors (use ONLY these): ${NORMALIZED_COLORS.join(', ')}, unknown
+4. Garments and worn items that have no field of their own (suspenders, lanyard, umbrella) go in accessories with type "other" and the item as the description.
+5. accessories: removable=true unless the text says the item is permanent (piercings, permanent jewelry).
+6. Ignore anything that is not about the person's appearance (places, times, actions).
+
+Produce ONLY the JSON. No other text.`
+};
+
+module.exports = {
+  task: 'people-query',
+  defaultVersion: 'v1',
+  versions: {
+    v1
+  }
+};
@@ -0,0 +1,43 @@
+// Person detection prompts for person-detection.js: one call per photo that lists a
+// bounding box for every visible person, so each can be saved as its own selection.
+
+const v1 = {
+  description: 'Normalized bounding box, confidence and short label per visible person.',
+  systemPrompt: 'You are a person detector. Find every person visible in the photo and return ONLY valid JSON with a normalized bounding box for each one.',
+  detail: 'high',
+  maxTokens: 900,
+  temperature: 0,
+  buildPrompt: () => `List every person visible in this photo.
+
+For each person return a bounding box in normalized image coordinates:
+- x, y: top-left corner as a fraction of the image width and height (0 = left/top edge, 1 = right/bottom edge)
+- width, height: size as a fraction of the image width and height
+The box must cover the whole visible body, from the top of the head to the feet (or the lowest visible part), including carried items.
+
+Rules:
+- Include people who are partly hidden or cut off by the image edge, as long as their head or torso is visible.
+- Do NOT include people shown on screens, posters, photos or reflections.
+- Do NOT merge two people into one box, even when they overlap.
+- Order people from left to right.
+
+Return ONLY valid JSON with this exact structure:
+{
+  "people": [
+    {
+      "box": { "x": <number 0-1>, "y": <number 0-1>, "width": <number 0-1>, "height": <number 0-1> },
+      "confidence": <number 0-1, how sure you are this is a real, fully separate person>,
+      "description": "<3-8 words to tell this person apart, e.g. 'man in red jacket, left'>"
+    }
+  ]
+}
+
+If nobody is visible, return {"people": []}.`
+};
+
+module.exports = {
+  task: 'person-detection',
+  defaultVersion: 'v1',
+  versions: {
+    v1
+  }
+};
@@ -0,0 +1,40 @@
+// Prompts for the two-slot analysis in describe.js. buildPrompt receives the
+// instruction that pins the model to the selected crop.
+
+const v2Compact = {
+  description: 'Compact nested analysis with discriminator tokens.',
+  systemPrompt: [
+    'Return ONLY JSON with top-level fields {status, analysis, discriminators}.',
+    'status must be "ok", "unclear", or "error". When status is not "ok", omit analysis and discriminators.',
+    'If status is "ok", analysis must include:',
+    '  subject: gender, genderConfidence (0-1), ageRange, ageBucket, build, bodyType, heightCategory, skinTone, hair{color,length,style}, facialHair, eyewear, headwear, distinguishingFeatures[].',
+    '  appearance: dominantColors[], styleDescriptors[], patterns[].',
+    '  clothing: dominantColors[] plus objects top/bottom/outerwear/footwear each with category, colors[], pattern, style.',
+    '  accessories: buckets jewelry[], headwear[], eyewear[], handheld[], bags[], tech[], other[].',
+    '  carriedItems: array listing obvious handheld or worn items.',
+    '  environment: setting, background, lighting, crowdLevel.',
+    '  confidence: overall, gender, age, clothing, accessories as numbers between 0 and 1.',
+    'discriminators must contain hair, face, top, bottom, footwear, accessories, carried using concise hyphenated tokens (allow "+").',
+    'Use "unknown" or [] when uncertain. Do NOT include prose outside the JSON.'
+  ].join(' '),
+  detail: 'low',
+  maxTokens: 900,
+  temperature: 0.1,
+  buildPrompt: (selectionInstruction) => [
+    'Analyze the framed person for re-identification metadata.',
+    'Fill every requested field even if approximate, using concise hyphenated tokens.',
+    'Report gender cues, age range, build, skin tone, hair details, eyewear/headwear, and distinguishing features.',
+    'Describe clothing (top/bottom/outerwear/footwear) with categories and dominant colours, and list overall outfit colours and patterns.',
+    'List accessories (jewelry, bags, tech, handheld items) and any carried objects.',
+    'Capture environment setting/background/lighting/crowd level plus confidence scores (0-1).',
+    selectionInstruction
+  ].join(' ')
+};
+
+module.exports = {
+  task: 'portrait-analysis',
+  defaultVersion: 'v2-compact',
+  versions: {
+    'v2-compact': v2Compact
+  }
+};
@@ -0,0 +1,96 @@
+const { NORMALIZED_COLORS } = require('../trait-scoring.js');
+
+// Re-identification description prompts. Every version must produce the flat
+// schema that trait-scoring.js and generateStablePersonDescription expect.
+
+const SYSTEM_PROMPT = 'You are a person re-identification descriptor. Extract structured traits from photos. Output ONLY valid JSON.';
+
+const SCHEMA_BLOCK = `{
+  "gender": "male|female|unknown",
+  "age_range": "18-24|25-34|35-44|45-54|55+|unknown",
+  "build": "slim|average|muscular|stocky|unknown",
+  "height": "short|average|tall|unknown",
+  "skin_tone": "very_light|light|medium|tan|brown|dark|unknown",
+  "hair_color": "<normalized_color or 'unknown'>",
+  "hair_length": "bald|buzz|very_short|short|medium|long|unknown",
+  "hair_style": "<brief text or 'unknown'>",
+  "facial_hair": "none|stubble|beard|mustache|goatee|unknown",
+  "top_color": "<normalized_color or 'unknown'>",
+  "top_description": "<brief text or 'unknown'>",
+  "bottom_color": "<normalized_color or 'unknown'>",
+  "bottom_description": "<brief text or 'unknown'>",
+  "shoes_color": "<normalized_color or 'unknown'>",
+  "shoes_description": "<brief text or 'unknown'>",
+  "jacket_color": "<normalized_color or 'unknown'>",
+  "jacket_description": "<brief text or 'unknown'>",
+  "accessories": [
+    {"type": "hat|glasses|bag|scarf|watch|jewelry|other", "description": "<text>", "removable": true|false}
+  ],
+  "distinctive_marks": [
+    {"type": "tattoo|scar|birthmark", "description": "<text>", "location": "<body part>"}
+  ],
+  "image_clarity": 0-100,
+  "natural_summary": "<3-4 sentence description>"
+}`;
+
+const v1 = {
+  description: 'Original re-identification prompt.',
+  systemPrompt: SYSTEM_PROMPT,
+  detail: 'low',
+  maxTokens: 800,
+  temperature: 0.1,
+  buildPrompt: () => `Describe the person in this photo for re-identification purposes.
+
+Output ONLY valid JSON with this exact structure:
+
+${SCHEMA_BLOCK}
+
+CRITICAL RULES:
+1. Only name specific values for traits you can CLEARLY identify. If you cannot see or determine a trait, mark it as "unknown".
+2. Do NOT guess or hedge. Be decisive based on what's actually visible.
+3. If you can see a trait well enough to describe it in natural_summary, you MUST fill in the corresponding structured field with a specific value (not "unknown").
+4. Normalized colors (use ONLY these): ${NORMALIZED_COLORS.join(', ')}, unknown
+5. For clothing descriptions, be specific: "t-shirt", "button-up shirt", "polo", "jeans", "shorts", "sneakers", "dress shoes", etc.
+6. accessories: mark removable=true for hats, bags, sunglasses, scarves; removable=false for tattoos, permanent jewelry
+7. image_clarity: 0=unusable/blurry, 100=perfectly sharp and well-lit
+8. natural_summary: 3-4 factual sentences describing appearance (no background, pose, or actions)
+
+Produce ONLY the JSON. No other text.`
+};
+
+// Candidate: separates the outer layer from the top so an open jacket is not
+// reported as the top colour, and rates clarity on the subject rather than the frame.
+const v2Layers = {
+  description: 'Splits outer layer from top; clarity rates the subject only.',
+  systemPrompt: SYSTEM_PROMPT,
+  detail: 'low',
+  maxTokens: 800,
+  temperature: 0.1,
+  buildPrompt: () => `Describe the person in this photo for re-identification purposes.
+
+Output ONLY valid JSON with this exact structure:
+
+${SCHEMA_BLOCK}
+
+CRITICAL RULES:
+1. Only name specific values for traits you can CLEARLY identify. If a trait is cropped out, hidden or blurred, mark it as "unknown".
+2. Do NOT guess or hedge. Be decisive based on what's actually visible.
+3. If you can see a trait well enough to describe it in natural_summary, you MUST fill in the corresponding structured field with a specific value (not "unknown").
+4. Normalized colors (use ONLY these): ${NORMALIZED_COLORS.join(', ')}, unknown
+5. Layers: jacket_* is the outermost open or closed layer (jacket, coat, cardigan, hoodie worn over something). top_* is the garment underneath, or the only upper garment when there is no outer layer. Never copy the jacket colour into top_color.
+6. For clothing descriptions, be specific: "t-shirt", "button-up shirt", "polo", "jeans", "shorts", "sneakers", "dress shoes", etc.
+7. accessories: mark removable=true for hats, bags, sunglasses, scarves; removable=false for tattoos, permanent jewelry
+8. image_clarity: how well THIS PERSON can be seen (0=unrecognisable, 100=sharp, well-lit, head to feet). Ignore the background.
+9. natural_summary: 3-4 factual sentences describing appearance (no background, pose, or actions)
+
+Produce ONLY the JSON. No other text.`
+};
+
+module.exports = {
+  task: 'single-description',
+  defaultVersion: 'v1',
+  versions: {
+    v1,
+    'v2-layers': v2Layers
+  }
+};
@@ -0,0 +1,78 @@
+// Pairwise comparison prompts for vision-match.js. buildPrompt receives the
+// time/place line, subject and outfit summaries and discriminators of both photos.
+
+const v1 = {
+  description: 'Fatal-mismatch check first, then a 0-100 same-person probability.',
+  systemPrompt: 'You are a re-identification assistant. Compare two cropped person photos and return ONLY valid JSON with similarity, confidence, reasoning, and fatal mismatch.',
+  detail: 'low',
+  maxTokens: 350,
+  temperature: 0.1,
+  buildPrompt: (context) => `Compare these two photos to determine if they show the SAME PERSON.
+
+CONTEXT:
+${context.timeContext}
+Photo 1 subject:
+${context.subjectSummary1}
+Photo 1 outfit:
+${context.outfitSummary1}
+Photo 1 discriminators: ${JSON.stringify(context.discriminators1)}
+
+Photo 2 subject:
+${context.subjectSummary2}
+Photo 2 outfit:
+${context.outfitSummary2}
+Photo 2 discriminators: ${JSON.stringify(context.discriminators2)}
+
+  Step 0 — Fatal-mismatch check (do this first). If ANY fatal mismatch is present, set probability = 0 and return immediately with an explanation naming the fatal mismatch.
+
+  Fatal mismatches (ONLY these, nothing else):
+  - Different major lower-body garment category (skirt/dress vs full-length pants/jeans vs shorts) — but "jeans" and "pants" are the same category.
+  - Different major outfit class (dress/one-piece vs separate top+bottom).
+  - Clear gender-presentation conflict (male vs female).
+  - Clear age-band conflict (child vs adult, or 20s vs 60s — but 50s vs 60s is NOT fatal).
+
+  Do NOT treat as fatal:
+  - Removable accessories (hats, bags, scarves) — people can take these off.
+  - Minor clothing color variations due to lighting ("dark blue" vs "navy" vs "black").
+  - Absent mention of a trait in one photo but present in another (only fatal if BOTH explicitly describe it differently).
+
+  TASK:
+  Determine the probability (0-100%) that these are photos of the SAME PERSON.
+
+CRITICAL RULES:
+  1. Gender mismatch = 0% (fatal).
+  2. Removable accessories (hats, bags, scarves) can differ between photos of the same person.
+  3. Core outfit (top + bottom colors and types) must align.
+  4. Hair color/length must be compatible (but "black" vs "dark brown" is compatible).
+  5. Build, age range, and skin tone must be compatible.
+  6. When uncertain, be conservative (prefer false negative over false positive).
+
+COMPARISON PRIORITIES (in order):
+1. Gender
+2. Outfit colours and layering
+3. Hair style/colour
+4. Accessories & carried items
+5. Build/height category
+6. Age range
+
+Return ONLY valid JSON with this exact structure:
+  {
+    "similarity": <integer 0-100>,
+    "confidence": <"high" | "medium" | "low">,
+    "reasoning": "Why the score is high OR low, mentioning every major factor that influenced it. Format as sentences separated by \\n, each prefixed with '+' for supporting evidence or '-' for conflicting evidence. Example: \"+ Matching navy blazer and glasses\" or \"- Different footwear and backpack\".",
+    "fatal_mismatch": <"gender" | "outfit" | "age" | "hair" | "accessories" | null>
+  }
+
+Examples:
+  - Identical person: {"similarity": 95, "confidence": "high", "reasoning": "+ Same gender\n+ Matching navy suit and glasses\n+ Identical shoes", "fatal_mismatch": null}
+  - Same build but outfit mismatch: {"similarity": 20, "confidence": "high", "reasoning": "+ Similar build\n- Sweater vs bright red jacket\n- Different shoes", "fatal_mismatch": "outfit"}
+  - Gender mismatch: {"similarity": 0, "confidence": "high", "reasoning": "- Female vs male presentation\n- Hair length mismatch", "fatal_mismatch": "gender"}`
+};
+
+module.exports = {
+  task: 'vision-match',
+  defaultVersion: 'v1',
+  versions: {
+    v1
+  }
+};
@@ -0,0 +1,138 @@
+// Retry, concurrency and token-budget helpers for bursts of provider calls.
+// Only rate limits (429), upstream failures (5xx) and network errors are retried;
+// anything else (bad JSON, replay misses, missing keys) fails straight away.
+
+function readEnvInteger(envKey, fallback, { min = 0, max = Infinity } = {}) {
+  const raw = Number(process.env[envKey]);
+  if (Number.isFinite(raw) && raw >= min) {
+    return Math.min(max, Math.floor(raw));
+  }
+  return fallback;
+}
+
+const RETRY_MAX_DELAY_MS = 8000;
+
+function isRetryableProviderError(error) {
+  if (!error) {
+    return false;
+  }
+  if (Number.isInteger(error.status)) {
+    return error.status === 429 || error.status >= 500;
+  }
+  if (['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.cause?.code || error.code)) {
+    return true;
+  }
+  // fetch rejects with a TypeError whose cause carries the socket, DNS or undici
+  // (UND_ERR_*) code when the connection itself fails. A TypeError without one is a
+  // bug in our own code and is not retried.
+  return error.name === 'TypeError' && Boolean(error.cause?.code);
+}
+
+// Retry-After is read as seconds; a missing header arrives as null, which must not
+// count as "retry now".
+function retryDelayMs(error, attempt, baseDelayMs) {
+  const retryAfter = error?.retryAfter;
+  const hasRetryAfter = retryAfter !== null && retryAfter !== undefined && String(retryAfter).trim() !== '';
+  const retryAfterSeconds = hasRetryAfter ? Number(retryAfter) : NaN;
+  if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds >= 0) {
+    return Math.min(RETRY_MAX_DELAY_MS, retryAfterSeconds * 1000);
+  }
+  const exponential = baseDelayMs * (2 ** attempt);
+  return Math.min(RETRY_MAX_DELAY_MS, exponential + Math.random() * baseDelayMs);
+}
+
+// Resolves to { value, attempts }; rejects with the last error (with `attempts` set).
+async function callWithRetries(work, { retries = 2, baseDelayMs = 500, sleep = defaultSleep } = {}) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const value = await work();
+      return { value, attempts: attempt + 1 };
+    } catch (error) {
+      if (attempt >= retries || !isRetryableProviderError(error)) {
+        if (error && typeof error === 'object') {
+          error.attempts = attempt + 1;
+        }
+        throw error;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(retryDelayMs(error, attempt, baseDelayMs));
+      attempt += 1;
+    }
+  }
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Returns run(task): at most `limit` tasks execute at once, the rest wait in order.
+function createConcurrencyLimiter(limit) {
+  const maxActive = Math.max(1, Math.floor(limit) || 1);
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    active -= 1;
+    const next = waiting.shift();
+    if (next) next();
+  };
+
+  return function run(task) {
+    return new Promise((resolve, reject) => {
+      const start = () => {
+        active += 1;
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(release);
+      };
+      if (active < maxActive) {
+        start();
+      } else {
+        waiting.push(start);
+      }
+    });
+  };
+}
+
+// Tracks tokens for one request. Calls reserve an estimate before they start so
+// concurrent calls cannot overshoot together, then settle with the real usage.
+function createTokenBudget(limit, { estimatePerCall }) {
+  let spent = 0;
+  let reserved = 0;
+  let calls = 0;
+  let refused = 0;
+
+  return {
+    reserve() {
+      if (limit > 0 && spent + reserved + estimatePerCall > limit) {
+        refused += 1;
+        return false;
+      }
+      reserved += estimatePerCall;
+      return true;
+    },
+    settle(usage) {
+      reserved -= estimatePerCall;
+      calls += 1;
+      const total = Number(usage?.total_tokens);
+      spent += Number.isFinite(total) ? total : estimatePerCall;
+    },
+    release() {
+      reserved -= estimatePerCall;
+    },
+    summary() {
+      return { limit: limit > 0 ? limit : null, spent, calls, refused };
+    }
+  };
+}
+
+module.exports = {
+  readEnvInteger,
+  isRetryableProviderError,
+  callWithRetries,
+  createConcurrencyLimiter,
+  createTokenBudget
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { schemaFingerprint } = require('./output-schemas.js');
+
+// Record/replay layer for the vision provider.
+// LLOOKER_RECORD_DIR: call the real provider and save every request/response pair to disk.
+// LLOOKER_REPLAY_DIR: never touch the network; answer from recordings and fail loudly on a miss.
+// Recordings are keyed by the hash of the image(s) plus the hash of the prompt text,
+// response schema and generation settings (model, max tokens, temperature), stored
+// as <dir>/<task>/<imageHash>-<promptHash>.json.
+// Text-only calls (completeText) have no images; their input is part of the prompt.
+
+const RECORD_DIR_ENV_KEY = 'LLOOKER_RECORD_DIR';
+const REPLAY_DIR_ENV_KEY = 'LLOOKER_REPLAY_DIR';
+const HASH_PREFIX_LENGTH = 24;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value ?? '')).digest('hex');
+}
+
+function resolveRecordReplayMode() {
+  const replayDir = (process.env[REPLAY_DIR_ENV_KEY] || '').trim();
+  if (replayDir) {
+    return { mode: 'replay', dir: path.resolve(replayDir) };
+  }
+  const recordDir = (process.env[RECORD_DIR_ENV_KEY] || '').trim();
+  if (recordDir) {
+    return { mode: 'record', dir: path.resolve(recordDir) };
+  }
+  return { mode: 'off', dir: null };
+}
+
+function collectRequestImages(request) {
+  if (Array.isArray(request?.images)) {
+    return request.images.filter(Boolean);
+  }
+  return request?.imageDataUrl ? [request.imageDataUrl] : [];
+}
+
+// defaultModel is the provider's model, used when the request does not override it.
+function buildRecordingKey(request = {}, { defaultModel = null } = {}) {
+  const imageHashes = collectRequestImages(request).map((image) => sha256(image));
+  const imageHash = sha256(imageHashes.join('|')).slice(0, HASH_PREFIX_LENGTH);
+  const promptHash = sha256([
+    request.systemPrompt || '',
+    request.prompt || '',
+    request.detail || '',
+    request.responseSchemaName ? `${request.responseSchemaName}@${schemaFingerprint(request.responseSchemaName)}` : '',
+    `model=${request.model || defaultModel || ''}`,
+    `maxTokens=${request.maxTokens ?? ''}`,
+    `temperature=${request.temperature ?? ''}`
+  ].join('\n---\n')).slice(0, HASH_PREFIX_LENGTH);
+  const task = typeof request.task === 'string' && /^[a-z0-9-]+$/i.test(request.task)
+    ? request.task
+    : 'untitled';
+  return {
+    task,
+    imageHash,
+    promptHash,
+    imageHashes,
+    fileName: `${imageHash}-${promptHash}.json`
+  };
+}
+
+function recordingPath(dir, key) {
+  return path.join(dir, key.task, key.fileName);
+}
+
+function readRecording(dir, key) {
+  const filePath = recordingPath(dir, key);
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  const parsed = JSON.parse(raw);
+  return parsed && typeof parsed === 'object' ? parsed : null;
+}
+
+function writeRecording(dir, key, request, providerName, response) {
+  const filePath = recordingPath(dir, key);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const document = {
+    task: key.task,
+    provider: providerName,
+    imageHash: key.imageHash,
+    promptHash: key.promptHash,
+    imageHashes: key.imageHashes,
+    recordedAt: new Date().toISOString(),
+    request: {
+      model: request.model || null,
+      systemPrompt: request.systemPrompt || null,
+      prompt: request.prompt || null,
+      detail: request.detail || null,
+      maxTokens: request.maxTokens ?? null,
+      temperature: request.temperature ?? null,
+      responseSchemaName: request.responseSchemaName || null
+    },
+    response: {
+      content: response?.content ?? null,
+      finishReason: response?.finishReason ?? null,
+      responseFormat: response?.responseFormat ?? null,
+      requestId: response?.requestId ?? null,
+      model: response?.model ?? null,
+      usage: response?.usage ?? null
+    }
+  };
+  fs.writeFileSync(filePath, `${JSON.stringify(document, null, 2)}\n`);
+  return filePath;
+}
+
+function buildReplayMiss(dir, key) {
+  const error = new Error(
+    `No recording for ${key.task} (image ${key.imageHash}, prompt ${key.promptHash}) in ${dir}.`
+  );
+  error.code = 'REPLAY_MISS';
+  error.recordingPath = recordingPath(dir, key);
+  return error;
+}
+
+function wrapWithRecordReplay(provider, modeInfo = resolveRecordReplayMode()) {
+  if (!provider || modeInfo.mode === 'off') {
+    return provider;
+  }
+
+  const { mode, dir } = modeInfo;
+
+  const invoke = async (method, request = {}) => {
+    const key = buildRecordingKey(request, { defaultModel: provider.model });
+
+    if (mode === 'replay') {
+      const recording = readRecording(dir, key);
+      if (!recording) {
+        throw buildReplayMiss(dir, key);
+      }
+      return {
+        content: recording.response?.content ?? null,
+        message: null,
+        finishReason: recording.response?.finishReason ?? 'stop',
+        requestId: recording.response?.requestId ?? null,
+        model: recording.response?.model || provider.model,
+        usage: recording.response?.usage ?? null,
+        provider: `${recording.provider || provider.name}:replay`,
+        responseFormat: recording.response?.responseFormat ?? null
+      };
+    }
+
+    const response = await provider[method](request);
+    try {
+      writeRecording(dir, key, request, provider.name, response);
+    } catch (error) {
+      console.warn('Failed to write provider recording.', {
+        dir,
+        task: key.task,
+        message: error?.message
+      });
+    }
+    return response;
+  };
+
+  return {
+    ...provider,
+    name: mode === 'replay' ? `${provider.name}:replay` : provider.name,
+    recordReplayMode: mode,
+    isConfigured() {
+      return mode === 'replay' ? true : provider.isConfigured();
+    },
+    describeImage(request) {
+      return invoke('describeImage', request);
+    },
+    compareImages(request) {
+      return invoke('compareImages', request);
+    },
+    completeText(request) {
+      return invoke('completeText', request);
+    }
+  };
+}
+
+module.exports = {
+  wrapWithRecordReplay,
+  resolveRecordReplayMode,
+  buildRecordingKey
+};
@@ -0,0 +1,588 @@
+const {
+  withTransaction,
+  SINGLE_CAMERA_SELECTIONS_TABLE_NAME,
+  PERSON_GROUPS_TABLE_NAME,
+  RECLUSTER_PLANS_TABLE_NAME
+} = require('./db.js');
+const { evaluateDescriptionGrouping } = require('./single-description.js');
+const { verifyShortlistWithVision } = require('./vision-verification.js');
+const { getVisionProvider } = require('./vision-provider.js');
+const { collectGroupsWithRepresentatives } = require('./grouping-helpers.js');
+const { resolveRowImageDataUrl } = require('./image-store.js');
+const {
+  allocatePersonGroupId,
+  reassignSelections,
+  markGroupMerged
+} = require('./person-group.js');
+const {
+  currentGroupingThresholds,
+  describeDecisionVersions,
+  summarizeCandidateScores
+} = require('./grouping-decisions.js');
+
+// Targets in a plan are existing group ids (numbers) or placeholders for groups
+// that only get an id when the plan is applied.
+const NEW_GROUP_PREFIX = 'new-';
+
+// HTTP status for each error code thrown by the functions below.
+const RECLUSTER_ERROR_STATUS = {
+  PLAN_NOT_FOUND: 404,
+  PLAN_NOT_PENDING: 409,
+  PLAN_STALE: 409,
+  VISION_UNAVAILABLE: 400
+};
+
+function reclusterError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function toIso(value) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value.toISOString();
+  }
+  return typeof value === 'string' ? value : null;
+}
+
+// Changes whenever a selection is added, removed, regrouped, pinned or re-described,
+// which is everything a plan depends on.
+async function computeSelectionsFingerprint(queryable) {
+  const result = await queryable.query(`
+    SELECT md5(COALESCE(string_agg(
+      id::text
+        || ':' || COALESCE(person_group_id::text, '')
+        || ':' || assignment_pinned::text
+        || ':' || md5(COALESCE(description_json::text, '')),
+      ',' ORDER BY id
+    ), '')) AS fingerprint
+    FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+  `);
+  return result.rows?.[0]?.fingerprint || '';
+}
+
+async function loadSelectionsForReclustering(queryable) {
+  const result = await queryable.query(`
+    SELECT id,
+           person_group_id,
+           assignment_pinned,
+           description_json,
+           description_prompt_version,
+           image_key,
+           CASE WHEN image_key IS NULL THEN image_data_url END AS image_data_url,
+           captured_at,
+           location,
+           created_at
+    FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+    ORDER BY COALESCE(captured_at, created_at), id
+  `);
+  return result.rows || [];
+}
+
+// Replays the store pipeline over every selection in capture order. Pinned rows are
+// seeded first and never move; undescribed rows are placed afterwards. Each scored
+// row keeps its evaluation (inputs, shortlist, vision outcome) for the grouping
+// decision written when the plan is applied; group ids in it are cluster keys.
+async function simulateGrouping(rows, { visionEnabled, log }) {
+  const clusters = new Map();
+  const placements = new Map();
+  const placedRows = [];
+  let nextClusterNumber = 1;
+
+  const openCluster = (fixedGroupId = null) => {
+    const key = `c${nextClusterNumber}`;
+    nextClusterNumber += 1;
+    clusters.set(key, { key, fixedGroupId, selectionIds: [] });
+    return key;
+  };
+  const place = (row, clusterKey, decision, evaluation = null) => {
+    clusters.get(clusterKey).selectionIds.push(Number(row.id));
+    placements.set(Number(row.id), { clusterKey, decision, evaluation });
+    placedRows.push({ ...row, person_group_id: clusterKey });
+  };
+
+  const pinnedClusters = new Map();
+  for (const row of rows) {
+    if (!row.assignment_pinned || !row.person_group_id) continue;
+    const groupId = Number(row.person_group_id);
+    if (!pinnedClusters.has(groupId)) {
+      pinnedClusters.set(groupId, openCluster(groupId));
+    }
+    place(row, pinnedClusters.get(groupId), 'pinned');
+  }
+
+  const pending = rows.filter((row) => !placements.has(Number(row.id)) && row.description_json);
+  const stats = { visionComparisons: 0, visionErrors: 0 };
+
+  for (const [index, row] of pending.entries()) {
+    const { groups, groupsMap } = collectGroupsWithRepresentatives(placedRows);
+    const capturedAt = toIso(row.captured_at || row.created_at);
+    // eslint-disable-next-line no-await-in-loop
+    const grouping = await evaluateDescriptionGrouping(row.description_json, groups, {
+      capturedAt,
+      location: row.location
+    });
+    const shortlist = Array.isArray(grouping.shortlist) ? grouping.shortlist : [];
+    const candidates = Array.isArray(grouping.candidates) ? grouping.candidates : [];
+    let clusterKey = null;
+    let decision = 'new_group';
+    let visionOutcome = null;
+
+    if (shortlist.length && visionEnabled) {
+      // eslint-disable-next-line no-await-in-loop
+      const imageDataUrl = await resolveRowImageDataUrl(row);
+      // eslint-disable-next-line no-await-in-loop
+      visionOutcome = await verifyShortlistWithVision({
+        shortlist,
+        newSelection: {
+          imageDataUrl,
+          descriptionSchema: row.description_json,
+          capturedAt,
+          location: row.location
+        },
+        groupsById: groupsMap
+      });
+      const comparisons = Array.isArray(visionOutcome?.comparisons) ? visionOutcome.comparisons : [];
+      stats.visionComparisons += comparisons.reduce((sum, comparison) => (
+        sum + (comparison.references || []).filter((reference) => !reference.skipped).length
+      ), 0);
+      if (visionOutcome?.error) {
+        stats.visionErrors += 1;
+      }
+      if (visionOutcome?.applied && visionOutcome.approvedGroupId) {
+        clusterKey = String(visionOutcome.approvedGroupId);
+        decision = 'vision_approved';
+      }
+    } else if (shortlist.length) {
+      clusterKey = String(shortlist[0].groupId);
+      decision = 'auto_assigned';
+    }
+
+    if (!clusterKey || !clusters.has(clusterKey)) {
+      clusterKey = openCluster();
+      decision = 'new_group';
+    }
+    place(row, clusterKey, decision, {
+      inputs: {
+        capturedAt,
+        location: row.location || null,
+        visionEnabled,
+        groupsScored: groups.length,
+        // Cluster keys are not numeric, so keep them as they are until they are mapped.
+        candidateScores: summarizeCandidateScores(candidates).map((score, candidateIndex) => ({
+          ...score,
+          groupId: candidates[candidateIndex].groupId
+        }))
+      },
+      shortlist,
+      vision: visionOutcome,
+      versions: describeDecisionVersions({
+        descriptionPromptVersion: row.description_prompt_version,
+        visionOutcome
+      })
+    });
+    log(`[${index + 1}/${pending.length}] selection ${row.id} -> ${clusterKey} (${decision})`);
+  }
+
+  return { clusters, placements, stats };
+}
+
+// Gives each simulated cluster the existing group id it overlaps most, so an
+// unchanged grouping produces an empty diff. Each existing id is used at most once.
+function assignClusterTargets(clusters, rowsById) {
+  const targets = new Map();
+  const usedGroupIds = new Set();
+  const overlaps = [];
+
+  for (const cluster of clusters.values()) {
+    if (cluster.fixedGroupId) {
+      targets.set(cluster.key, cluster.fixedGroupId);
+      usedGroupIds.add(cluster.fixedGroupId);
+      continue;
+    }
+    const counts = new Map();
+    for (const selectionId of cluster.selectionIds) {
+      const current = rowsById.get(selectionId).person_group_id;
+      if (!current) continue;
+      counts.set(Number(current), (counts.get(Number(current)) || 0) + 1);
+    }
+    for (const [groupId, count] of counts) {
+      overlaps.push({ clusterKey: cluster.key, groupId, count });
+    }
+  }
+
+  overlaps.sort((a, b) => (b.count - a.count) || (a.groupId - b.groupId));
+  for (const overlap of overlaps) {
+    if (targets.has(overlap.clusterKey) || usedGroupIds.has(overlap.groupId)) continue;
+    targets.set(overlap.clusterKey, overlap.groupId);
+    usedGroupIds.add(overlap.groupId);
+  }
+
+  let nextNewGroup = 1;
+  for (const cluster of clusters.values()) {
+    if (!targets.has(cluster.key)) {
+      targets.set(cluster.key, `${NEW_GROUP_PREFIX}${nextNewGroup}`);
+      nextNewGroup += 1;
+    }
+  }
+  return targets;
+}
+
+// Rewrites the group ids in an evaluation: cluster keys become plan targets when
+// the plan is built, and plan targets become group ids when it is applied.
+function mapEvaluationGroupIds(evaluation, mapGroupId) {
+  if (!evaluation) {
+    return null;
+  }
+  const mapEntry = (entry) => ({ ...entry, groupId: mapGroupId(entry.groupId) });
+  const { inputs, shortlist, vision } = evaluation;
+  return {
+    ...evaluation,
+    inputs: inputs
+      ? { ...inputs, candidateScores: (inputs.candidateScores || []).map(mapEntry) }
+      : null,
+    shortlist: (shortlist || []).map(mapEntry),
+    vision: vision
+      ? {
+        ...vision,
+        approvedGroupId: vision.approvedGroupId ? mapGroupId(vision.approvedGroupId) : null,
+        comparisons: (vision.comparisons || []).map(mapEntry)
+      }
+      : null
+  };
+}
+
+function countBy(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return counts;
+}
+
+function majorityTarget(counts) {
+  let best = null;
+  for (const [target, count] of counts) {
+    if (!best || count > best.count) {
+      best = { target, count };
+    }
+  }
+  return best ? best.target : null;
+}
+
+function buildPlanDiff(rows, placements, clusterTargets) {
+  const finalTargets = new Map();
+  for (const [selectionId, placement] of placements) {
+    finalTargets.set(selectionId, clusterTargets.get(placement.clusterKey));
+  }
+
+  const destinationsByGroup = new Map();
+  for (const row of rows) {
+    const selectionId = Number(row.id);
+    if (!row.person_group_id || !finalTargets.has(selectionId)) continue;
+    const groupId = Number(row.person_group_id);
+    if (!destinationsByGroup.has(groupId)) destinationsByGroup.set(groupId, []);
+    destinationsByGroup.get(groupId).push(finalTargets.get(selectionId));
+  }
+  const keptTargets = new Set(finalTargets.values());
+
+  // Undescribed rows cannot be scored; they stay with their group, or follow the
+  // majority of its members when the group itself goes away.
+  for (const row of rows) {
+    const selectionId = Number(row.id);
+    if (finalTargets.has(selectionId) || !row.person_group_id) continue;
+    const groupId = Number(row.person_group_id);
+    const destinations = destinationsByGroup.get(groupId);
+    const target = keptTargets.has(groupId) || !destinations
+      ? groupId
+      : majorityTarget(countBy(destinations));
+    finalTargets.set(selectionId, target);
+    placements.set(selectionId, { clusterKey: null, decision: 'undescribed' });
+  }
+
+  const moves = [];
+  for (const row of rows) {
+    const selectionId = Number(row.id);
+    if (!finalTargets.has(selectionId)) continue;
+    const from = row.person_group_id ? Number(row.person_group_id) : null;
+    const to = finalTargets.get(selectionId);
+    if (from === to) continue;
+    const placement = placements.get(selectionId);
+    moves.push({
+      selectionId,
+      from,
+      to,
+      decision: placement.decision,
+      evaluation: mapEvaluationGroupIds(
+        placement.evaluation,
+        (clusterKey) => clusterTargets.get(String(clusterKey)) ?? null
+      )
+    });
+  }
+
+  const destinationCounts = new Map();
+  for (const row of rows) {
+    if (!row.person_group_id) continue;
+    const groupId = Number(row.person_group_id);
+    if (!destinationCounts.has(groupId)) destinationCounts.set(groupId, new Map());
+    const to = finalTargets.get(Number(row.id));
+    const counts = destinationCounts.get(groupId);
+    counts.set(to, (counts.get(to) || 0) + 1);
+  }
+  const finalGroups = new Set(finalTargets.values());
+
+  const merges = [];
+  const splits = [];
+  for (const [groupId, counts] of destinationCounts) {
+    const destinations = [...counts.keys()];
+    if (destinations.length > 1) {
+      splits.push({
+        groupId,
+        kept: finalGroups.has(groupId),
+        into: destinations.map((target) => ({ to: target, count: counts.get(target) }))
+      });
+    } else if (!finalGroups.has(groupId) && typeof destinations[0] === 'number') {
+      merges.push({ sourceGroupId: groupId, targetGroupId: destinations[0], count: counts.get(destinations[0]) });
+    }
+  }
+
+  const newGroupMembers = new Map();
+  for (const move of moves) {
+    if (typeof move.to !== 'string') continue;
+    if (!newGroupMembers.has(move.to)) newGroupMembers.set(move.to, []);
+    newGroupMembers.get(move.to).push(move);
+  }
+  const newGroups = [...newGroupMembers.entries()].map(([key, members]) => ({
+    key,
+    selectionIds: members.map((move) => move.selectionId),
+    from: [...new Set(members.map((move) => move.from).filter(Boolean))]
+  }));
+
+  const groupsBefore = new Set(rows.filter((row) => row.person_group_id).map((row) => Number(row.person_group_id)));
+  return {
+    moves,
+    merges,
+    splits,
+    newGroups,
+    groupsBefore: groupsBefore.size,
+    groupsAfter: finalGroups.size
+  };
+}
+
+function summarizePlan(plan) {
+  return {
+    selections: plan.selectionCount,
+    pinned: plan.pinnedCount,
+    undescribed: plan.undescribedCount,
+    moves: plan.moves.length,
+    merges: plan.merges.length,
+    splits: plan.splits.length,
+    newGroups: plan.newGroups.length,
+    groupsBefore: plan.groupsBefore,
+    groupsAfter: plan.groupsAfter
+  };
+}
+
+function mapPlanRow(row, { includePlan = true } = {}) {
+  return {
+    id: Number(row.id),
+    status: row.status,
+    options: row.options || {},
+    summary: row.summary || {},
+    plan: includePlan ? row.plan : undefined,
+    createdAt: row.created_at,
+    appliedAt: row.applied_at || null
+  };
+}
+
+// Rebuilds every group from scratch and stores the difference to the current
+// grouping as a pending plan. Nothing about the selections changes here.
+async function createReclusterPlan(pool, { visionEnabled = true, log = () => {} } = {}) {
+  if (visionEnabled && !getVisionProvider().isConfigured()) {
+    throw reclusterError(
+      'Vision verification is enabled but no vision provider is configured; plan with vision disabled instead.',
+      'VISION_UNAVAILABLE'
+    );
+  }
+
+  // Read before the rows: a change in between makes the plan stale, never silently wrong.
+  const fingerprint = await computeSelectionsFingerprint(pool);
+  const rows = await loadSelectionsForReclustering(pool);
+  const rowsById = new Map(rows.map((row) => [Number(row.id), row]));
+
+  const { clusters, placements, stats } = await simulateGrouping(rows, { visionEnabled, log });
+  const clusterTargets = assignClusterTargets(clusters, rowsById);
+  const diff = buildPlanDiff(rows, placements, clusterTargets);
+
+  const plan = {
+    generatedAt: new Date().toISOString(),
+    thresholds: { ...currentGroupingThresholds(), visionEnabled },
+    selectionCount: rows.length,
+    pinnedCount: rows.filter((row) => row.assignment_pinned).length,
+    undescribedCount: rows.filter((row) => !row.description_json).length,
+    pipeline: stats,
+    ...diff
+  };
+  const summary = summarizePlan(plan);
+
+  const inserted = await pool.query(
+    `
+      INSERT INTO ${RECLUSTER_PLANS_TABLE_NAME} (fingerprint, options, summary, plan)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `,
+    [fingerprint, JSON.stringify({ visionEnabled }), JSON.stringify(summary), JSON.stringify(plan)]
+  );
+  return mapPlanRow(inserted.rows[0]);
+}
+
+async function loadReclusterPlan(queryable, planId) {
+  const result = await queryable.query(
+    `SELECT * FROM ${RECLUSTER_PLANS_TABLE_NAME} WHERE id = $1`,
+    [planId]
+  );
+  const row = result.rows?.[0];
+  if (!row) {
+    throw reclusterError(`Recluster plan ${planId} not found.`, 'PLAN_NOT_FOUND');
+  }
+  return mapPlanRow(row);
+}
+
+async function listReclusterPlans(queryable, { limit = 20 } = {}) {
+  const result = await queryable.query(
+    `
+      SELECT id, status, options, summary, created_at, applied_at
+      FROM ${RECLUSTER_PLANS_TABLE_NAME}
+      ORDER BY id DESC
+      LIMIT $1
+    `,
+    [limit]
+  );
+  return (result.rows || []).map((row) => mapPlanRow(row, { includePlan: false }));
+}
+
+async function discardReclusterPlan(queryable, planId) {
+  const result = await queryable.query(
+    `
+      UPDATE ${RECLUSTER_PLANS_TABLE_NAME}
+      SET status = 'discarded'
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `,
+    [planId]
+  );
+  if (!result.rows?.length) {
+    const existing = await loadReclusterPlan(queryable, planId);
+    throw reclusterError(`Recluster plan ${planId} is ${existing.status}, not pending.`, 'PLAN_NOT_PENDING');
+  }
+  return mapPlanRow(result.rows[0], { includePlan: false });
+}
+
+// Applies a pending plan in one transaction. Selection writes are blocked while it
+// runs, and a plan computed from different selections is marked stale instead.
+async function applyReclusterPlan(pool, planId) {
+  const result = await withTransaction(pool, async (client) => {
+    const planResult = await client.query(
+      `SELECT * FROM ${RECLUSTER_PLANS_TABLE_NAME} WHERE id = $1 FOR UPDATE`,
+      [planId]
+    );
+    const planRow = planResult.rows?.[0];
+    if (!planRow) {
+      throw reclusterError(`Recluster plan ${planId} not found.`, 'PLAN_NOT_FOUND');
+    }
+    if (planRow.status !== 'pending') {
+      throw reclusterError(`Recluster plan ${planId} is ${planRow.status}, not pending.`, 'PLAN_NOT_PENDING');
+    }
+
+    await client.query(`LOCK TABLE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} IN SHARE ROW EXCLUSIVE MODE`);
+    const fingerprint = await computeSelectionsFingerprint(client);
+    if (fingerprint !== planRow.fingerprint) {
+      await client.query(
+        `UPDATE ${RECLUSTER_PLANS_TABLE_NAME} SET status = 'stale' WHERE id = $1`,
+        [planId]
+      );
+      return { stale: true };
+    }
+
+    const { plan } = planRow;
+    const newGroupIds = new Map();
+    for (const entry of plan.newGroups || []) {
+      // eslint-disable-next-line no-await-in-loop
+      newGroupIds.set(entry.key, await allocatePersonGroupId(client));
+    }
+    const resolveTarget = (target) => (typeof target === 'string' ? newGroupIds.get(target) : Number(target));
+
+    // Each decision is recorded with the evaluation and thresholds the plan was built
+    // with. Plans stored before evaluations were kept record none.
+    const thresholds = { ...plan.thresholds };
+    delete thresholds.visionEnabled;
+    const evaluations = new Map();
+    const touchedGroupIds = new Set();
+    const movesByTarget = new Map();
+    for (const move of plan.moves || []) {
+      const targetGroupId = resolveTarget(move.to);
+      if (!movesByTarget.has(targetGroupId)) movesByTarget.set(targetGroupId, []);
+      movesByTarget.get(targetGroupId).push(move.selectionId);
+      evaluations.set(Number(move.selectionId), {
+        ...mapEvaluationGroupIds(move.evaluation, (target) => (target === null ? null : resolveTarget(target))),
+        thresholds
+      });
+      touchedGroupIds.add(targetGroupId);
+      if (move.from) touchedGroupIds.add(Number(move.from));
+    }
+    await client.query(
+      `SELECT id FROM ${PERSON_GROUPS_TABLE_NAME} WHERE id = ANY($1::bigint[]) ORDER BY id FOR UPDATE`,
+      [[...touchedGroupIds]]
+    );
+
+    const sortedTargets = [...movesByTarget.keys()].sort((a, b) => a - b);
+    for (const targetGroupId of sortedTargets) {
+      // eslint-disable-next-line no-await-in-loop
+      await reassignSelections(client, {
+        selectionIds: movesByTarget.get(targetGroupId),
+        targetGroupId,
+        source: 'recluster',
+        details: { planId: Number(planId) },
+        pin: false,
+        evaluations
+      });
+    }
+
+    for (const merge of plan.merges || []) {
+      // eslint-disable-next-line no-await-in-loop
+      await markGroupMerged(client, merge.sourceGroupId, merge.targetGroupId);
+    }
+
+    await client.query(
+      `UPDATE ${RECLUSTER_PLANS_TABLE_NAME} SET status = 'applied', applied_at = NOW() WHERE id = $1`,
+      [planId]
+    );
+
+    return {
+      stale: false,
+      planId: Number(planId),
+      moved: (plan.moves || []).length,
+      merged: (plan.merges || []).length,
+      newGroupIds: Object.fromEntries(newGroupIds)
+    };
+  });
+
+  if (result.stale) {
+    throw reclusterError(
+      `Selections changed since recluster plan ${planId} was computed; create a new plan.`,
+      'PLAN_STALE'
+    );
+  }
+  delete result.stale;
+  return result;
+}
+
+module.exports = {
+  createReclusterPlan,
+  loadReclusterPlan,
+  listReclusterPlans,
+  discardReclusterPlan,
+  applyReclusterPlan,
+  computeSelectionsFingerprint,
+  RECLUSTER_ERROR_STATUS
+};
@@ -0,0 +1,85 @@
+const { colorCredit, isKnown, normalizeValue } = require('./trait-scoring.js');
+const { convertToDate } = require('./geo.js');
+
+// Picks which members of a group vision verification compares a new photo against.
+// One reference misses other outfits and days, so the group is represented by the
+// members that differ most from each other. Descriptions carry no pose field, so
+// "different" means a different outfit or a different time.
+
+const VISION_REFERENCE_COUNT = (() => {
+  const raw = Number(process.env.VISION_REFERENCE_COUNT);
+  if (Number.isFinite(raw) && raw >= 1) {
+    return Math.min(5, Math.floor(raw));
+  }
+  return 3;
+})();
+
+const OUTFIT_TRAITS = ['top_color', 'bottom_color', 'shoes_color', 'jacket_color'];
+const OUTFIT_WEIGHT = 0.6;
+const TIME_WEIGHT = 0.4;
+// Photos a day or more apart count as fully different in time.
+const TIME_SPAN_HOURS = 24;
+
+function outfitDifference(first, second) {
+  let compared = 0;
+  let difference = 0;
+  for (const trait of OUTFIT_TRAITS) {
+    const value1 = first?.[trait];
+    const value2 = second?.[trait];
+    if (!isKnown(value1) || !isKnown(value2)) continue;
+    compared += 1;
+    difference += 1 - colorCredit(normalizeValue(value1), normalizeValue(value2));
+  }
+  // Nothing comparable: assume a different outfit so the member is not ignored.
+  return compared ? difference / compared : 1;
+}
+
+function timeDifference(first, second) {
+  const time1 = convertToDate(first);
+  const time2 = convertToDate(second);
+  if (!time1 || !time2) {
+    return 0.5;
+  }
+  return Math.min(1, Math.abs(time1 - time2) / (TIME_SPAN_HOURS * 3600000));
+}
+
+function memberDistance(first, second) {
+  return OUTFIT_WEIGHT * outfitDifference(first.schema, second.schema)
+    + TIME_WEIGHT * timeDifference(first.capturedAt, second.capturedAt);
+}
+
+// members: [{ selectionId, imageKey, image, capturedAt, location, schema, clarity }].
+// Starts from the representative (or the clearest member) and greedily adds the
+// member furthest from everything already chosen; clarity breaks ties.
+function selectDiverseReferences(members, { count = VISION_REFERENCE_COUNT, representativeSelectionId = null } = {}) {
+  const usable = (Array.isArray(members) ? members : []).filter((member) => member && (member.imageKey || member.image));
+  if (!usable.length) {
+    return [];
+  }
+  const clarityOf = (member) => (typeof member.clarity === 'number' ? member.clarity : 0);
+  const first = usable.find((member) => representativeSelectionId && Number(member.selectionId) === Number(representativeSelectionId))
+    || usable.reduce((best, member) => (clarityOf(member) > clarityOf(best) ? member : best));
+
+  const chosen = [first];
+  const remaining = usable.filter((member) => member !== first);
+  while (chosen.length < count && remaining.length) {
+    let bestIndex = 0;
+    let bestScore = -1;
+    remaining.forEach((member, index) => {
+      const score = Math.min(...chosen.map((picked) => memberDistance(member, picked)));
+      const better = score > bestScore
+        || (score === bestScore && clarityOf(member) > clarityOf(remaining[bestIndex]));
+      if (better) {
+        bestIndex = index;
+        bestScore = score;
+      }
+    });
+    chosen.push(remaining.splice(bestIndex, 1)[0]);
+  }
+  return chosen;
+}
+
+module.exports = {
+  selectDiverseReferences,
+  VISION_REFERENCE_COUNT
+};
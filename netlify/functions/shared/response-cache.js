@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const {
+  getDatabasePool,
+  RESPONSE_CACHE_TABLE_NAME,
+  RESPONSE_CACHE_STATS_TABLE_NAME
+} = require('./db.js');
+const { checkOutput } = require('./output-repair.js');
+const { schemaFingerprint } = require('./output-schemas.js');
+
+// Persistent cache in front of the vision provider. A response is reused when the
+// task, model, prompt, response schema and image content all match, so
+// re-saving the same crop, re-describing a selection or re-opening a pair costs
+// nothing until the entry expires. Only complete answers that pass their output
+// schema are cached.
+// RESPONSE_CACHE_TTL_HOURS sets the lifetime (default 30 days; 0 disables the cache).
+
+const RESPONSE_CACHE_TTL_HOURS = (() => {
+  const raw = Number(process.env.RESPONSE_CACHE_TTL_HOURS);
+  if (Number.isFinite(raw) && raw >= 0) {
+    return raw;
+  }
+  return 24 * 30;
+})();
+
+const PG_TABLE_NOT_FOUND = '42P01';
+const RESPONSE_CACHE_ERROR_STATUS = {
+  INVALID_FILTER: 400
+};
+
+let missingTableWarned = false;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value ?? '')).digest('hex');
+}
+
+function collectImages(request) {
+  if (Array.isArray(request?.images)) {
+    return request.images.filter(Boolean);
+  }
+  return request?.imageDataUrl ? [request.imageDataUrl] : [];
+}
+
+// imageHashes use the same sha256-of-data-URL as hashImageData in vision-provider.js.
+function buildCacheKey(request, provider) {
+  const imageHashes = collectImages(request).map((image) => sha256(image));
+  const model = request.model || provider.model || null;
+  const promptHash = sha256([
+    request.systemPrompt || '',
+    request.prompt || '',
+    request.detail || '',
+    request.maxTokens ?? '',
+    request.temperature ?? '',
+    request.responseSchemaName ? `${request.responseSchemaName}@${schemaFingerprint(request.responseSchemaName)}` : ''
+  ].join('\n---\n'));
+  const promptVersion = request.promptVersion || `sha256:${promptHash.slice(0, 12)}`;
+  const task = request.task || 'untitled';
+  return {
+    key: sha256([provider.name, task, model || '', promptHash, ...imageHashes].join('|')),
+    task,
+    model,
+    promptVersion,
+    imageHashes
+  };
+}
+
+// Answers that fail their output schema are never stored, so a bad answer is not
+// replayed to every later caller.
+function isCacheable(completion, request) {
+  if (!completion || typeof completion.content !== 'string' || completion.finishReason === 'length') {
+    return false;
+  }
+  if (request.responseSchemaName) {
+    return checkOutput(request.responseSchemaName, completion.content, completion.finishReason).ok;
+  }
+  try {
+    const parsed = JSON.parse(completion.content);
+    return Boolean(parsed) && typeof parsed === 'object';
+  } catch {
+    return false;
+  }
+}
+
+async function lookupCachedResponse(pool, cacheKey) {
+  const result = await pool.query(
+    `
+      UPDATE ${RESPONSE_CACHE_TABLE_NAME}
+      SET hit_count = hit_count + 1, last_hit_at = NOW()
+      WHERE cache_key = $1 AND expires_at > NOW()
+      RETURNING response, created_at
+    `,
+    [cacheKey]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function storeCachedResponse(pool, keyInfo, completion, ttlHours) {
+  const response = {
+    content: completion.content,
+    finishReason: completion.finishReason ?? null,
+    requestId: completion.requestId ?? null,
+    model: completion.model ?? null,
+    usage: completion.usage ?? null,
+    provider: completion.provider ?? null,
+    responseFormat: completion.responseFormat ?? null
+  };
+  await pool.query(
+    `
+      INSERT INTO ${RESPONSE_CACHE_TABLE_NAME}
+        (cache_key, task, model, prompt_version, image_hashes, response, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(secs => $7))
+      ON CONFLICT (cache_key) DO UPDATE
+        SET response = EXCLUDED.response,
+            prompt_version = EXCLUDED.prompt_version,
+            hit_count = 0,
+            created_at = NOW(),
+            last_hit_at = NULL,
+            expires_at = EXCLUDED.expires_at
+    `,
+    [
+      keyInfo.key,
+      keyInfo.task,
+      keyInfo.model,
+      keyInfo.promptVersion,
+      keyInfo.imageHashes,
+      JSON.stringify(response),
+      Math.round(ttlHours * 3600)
+    ]
+  );
+}
+
+async function countLookup(pool, task, hit) {
+  const result = await pool.query(
+    `
+      INSERT INTO ${RESPONSE_CACHE_STATS_TABLE_NAME} (task, hits, misses)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (task) DO UPDATE
+        SET hits = ${RESPONSE_CACHE_STATS_TABLE_NAME}.hits + EXCLUDED.hits,
+            misses = ${RESPONSE_CACHE_STATS_TABLE_NAME}.misses + EXCLUDED.misses,
+            updated_at = NOW()
+      RETURNING hits, misses
+    `,
+    [task, hit ? 1 : 0, hit ? 0 : 1]
+  );
+  const row = result.rows?.[0] || {};
+  return { hits: Number(row.hits) || 0, misses: Number(row.misses) || 0 };
+}
+
+function warnCacheFailure(error, stage) {
+  if (error?.code === PG_TABLE_NOT_FOUND) {
+    if (!missingTableWarned) {
+      missingTableWarned = true;
+      console.warn('Response cache table missing; run "node scripts/migrate.js up". Calling the provider directly.');
+    }
+    return;
+  }
+  console.error(`Response cache ${stage} failed:`, {
+    message: error?.message,
+    code: error?.code
+  });
+}
+
+// Completions gain `cache: { hit, key, promptVersion, cachedAt, stats: { hits, misses } }`.
+// Cache failures never fail the call; the provider is used directly instead.
+function wrapWithResponseCache(provider, { getPool = getDatabasePool, ttlHours = RESPONSE_CACHE_TTL_HOURS } = {}) {
+  if (!(ttlHours > 0)) {
+    return provider;
+  }
+
+  const cached = (method) => async (request = {}) => {
+    const pool = getPool();
+    if (!pool) {
+      return provider[method](request);
+    }
+    const keyInfo = buildCacheKey(request, provider);
+    const cacheInfo = { hit: false, key: keyInfo.key, promptVersion: keyInfo.promptVersion, cachedAt: null, stats: null };
+
+    let entry = null;
+    try {
+      entry = await lookupCachedResponse(pool, keyInfo.key);
+    } catch (error) {
+      warnCacheFailure(error, 'lookup');
+      return provider[method](request);
+    }
+
+    if (entry) {
+      cacheInfo.hit = true;
+      cacheInfo.cachedAt = entry.created_at instanceof Date ? entry.created_at.toISOString() : entry.created_at;
+      try {
+        cacheInfo.stats = await countLookup(pool, keyInfo.task, true);
+      } catch (error) {
+        warnCacheFailure(error, 'stats');
+      }
+      return { ...entry.response, message: null, cache: cacheInfo };
+    }
+
+    const completion = await provider[method](request);
+    try {
+      if (isCacheable(completion, request)) {
+        await storeCachedResponse(pool, keyInfo, completion, ttlHours);
+      }
+      cacheInfo.stats = await countLookup(pool, keyInfo.task, false);
+    } catch (error) {
+      warnCacheFailure(error, 'store');
+    }
+    return { ...completion, cache: cacheInfo };
+  };
+
+  return {
+    ...provider,
+    describeImage: cached('describeImage'),
+    compareImages: cached('compareImages'),
+    completeText: cached('completeText')
+  };
+}
+
+function cacheFilterError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FILTER';
+  return error;
+}
+
+async function loadResponseCacheStats(queryable) {
+  const [statsResult, entriesResult] = await Promise.all([
+    queryable.query(`SELECT task, hits, misses, updated_at FROM ${RESPONSE_CACHE_STATS_TABLE_NAME} ORDER BY task`),
+    queryable.query(`
+      SELECT task,
+             COUNT(*) AS entries,
+             COUNT(*) FILTER (WHERE expires_at <= NOW()) AS expired
+      FROM ${RESPONSE_CACHE_TABLE_NAME}
+      GROUP BY task
+      ORDER BY task
+    `)
+  ]);
+  const entriesByTask = new Map((entriesResult.rows || []).map((row) => [row.task, row]));
+  const tasks = new Set([
+    ...(statsResult.rows || []).map((row) => row.task),
+    ...entriesByTask.keys()
+  ]);
+  const statsByTask = new Map((statsResult.rows || []).map((row) => [row.task, row]));
+  return {
+    ttlHours: RESPONSE_CACHE_TTL_HOURS,
+    enabled: RESPONSE_CACHE_TTL_HOURS > 0,
+    tasks: [...tasks].sort().map((task) => {
+      const stats = statsByTask.get(task) || {};
+      const entries = entriesByTask.get(task) || {};
+      const hits = Number(stats.hits) || 0;
+      const misses = Number(stats.misses) || 0;
+      return {
+        task,
+        hits,
+        misses,
+        hitRate: hits + misses ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null,
+        entries: Number(entries.entries) || 0,
+        expired: Number(entries.expired) || 0,
+        updatedAt: stats.updated_at || null
+      };
+    })
+  };
+}
+
+// filters: { task, imageHash, model, all }. At least one filter (or all: true) is
+// required so an empty request never wipes the cache by accident.
+async function invalidateResponseCache(queryable, filters = {}) {
+  const conditions = [];
+  const values = [];
+  if (filters.task) {
+    values.push(String(filters.task));
+    conditions.push(`task = $${values.length}`);
+  }
+  if (filters.model) {
+    values.push(String(filters.model));
+    conditions.push(`model = $${values.length}`);
+  }
+  if (filters.imageHash) {
+    if (!/^[a-f0-9]{64}$/i.test(String(filters.imageHash))) {
+      throw cacheFilterError('"imageHash" must be a sha256 hex digest.');
+    }
+    values.push(String(filters.imageHash).toLowerCase());
+    conditions.push(`$${values.length} = ANY(image_hashes)`);
+  }
+  if (!conditions.length && filters.all !== true) {
+    throw cacheFilterError('Pass "task", "model", "imageHash" or "all": true.');
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await queryable.query(`DELETE FROM ${RESPONSE_CACHE_TABLE_NAME} ${where}`, values);
+  return { deleted: result.rowCount || 0 };
+}
+
+async function pruneExpiredResponses(queryable) {
+  const result = await queryable.query(`DELETE FROM ${RESPONSE_CACHE_TABLE_NAME} WHERE expires_at <= NOW()`);
+  return { deleted: result.rowCount || 0 };
+}
+
+async function resetResponseCacheStats(queryable) {
+  await queryable.query(`DELETE FROM ${RESPONSE_CACHE_STATS_TABLE_NAME}`);
+  return { reset: true };
+}
+
+module.exports = {
+  wrapWithResponseCache,
+  buildCacheKey,
+  loadResponseCacheStats,
+  invalidateResponseCache,
+  pruneExpiredResponses,
+  resetResponseCacheStats,
+  RESPONSE_CACHE_TTL_HOURS,
+  RESPONSE_CACHE_ERROR_STATUS
+};
@@ -0,0 +1,279 @@
+const { SINGLE_CAMERA_SELECTIONS_TABLE_NAME } = require('./db.js');
+const { OUTPUT_SCHEMAS } = require('./output-schemas.js');
+const { unpackExplanationWithDetails } = require('./grouping-explanation.js');
+const { computeSchemaClarity } = require('./single-description.js');
+const { buildRowImageFields } = require('./image-store.js');
+
+// Listing and searching single selections by their stored description. Trait
+// filters become JSONB containment tests (description_json @> ...), which the GIN
+// index from migration 011 serves; clarity and date filters use its expression
+// indexes, so those expressions must not change here without a new migration.
+
+const SELECTION_COLUMNS = `
+  id,
+  created_at,
+  captured_at,
+  location,
+  role,
+  image_key,
+  thumbnail_key,
+  CASE WHEN image_key IS NULL THEN image_data_url END AS image_data_url,
+  description,
+  description_json,
+  description_prompt_version,
+  person_group_id,
+  grouping_probability,
+  grouping_explanation,
+  assignment_source,
+  assignment_pinned
+`;
+
+const SEEN_AT_SQL = 'COALESCE(captured_at, created_at)';
+const IMAGE_CLARITY_SQL = "(CASE WHEN jsonb_typeof(description_json->'image_clarity') = 'number' THEN (description_json->>'image_clarity')::numeric END)";
+
+const MAX_SEARCH_LIMIT = 200;
+
+// HTTP status for each error code thrown by the functions below.
+const SEARCH_ERROR_STATUS = {
+  INVALID_FILTER: 400
+};
+
+function searchError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FILTER';
+  return error;
+}
+
+const descriptionProperties = OUTPUT_SCHEMAS['single-description'].properties;
+
+// Every enumerated description field can be filtered on; several values for one
+// field match any of them.
+const TRAIT_FILTERS = Object.keys(descriptionProperties)
+  .filter((field) => Array.isArray(descriptionProperties[field].enum))
+  .reduce((filters, field) => {
+    filters[field] = descriptionProperties[field].enum.filter((value) => value !== 'unknown');
+    return filters;
+  }, {});
+
+// Listed accessory and mark types must all be present.
+const LIST_FILTERS = {
+  accessory: { field: 'accessories', values: descriptionProperties.accessories.items.properties.type.enum },
+  mark: { field: 'distinctive_marks', values: descriptionProperties.distinctive_marks.items.properties.type.enum }
+};
+
+function mapSelectionRow(row) {
+  const unpacked = unpackExplanationWithDetails(row.grouping_explanation || '');
+  const details = unpacked.details && typeof unpacked.details === 'object'
+    ? unpacked.details
+    : null;
+  let bestCandidate = null;
+  if (details && details.bestCandidate) {
+    bestCandidate = details.bestCandidate;
+    delete details.bestCandidate;
+  }
+  const descriptionSchema = row.description_json || null;
+  const descriptionClarity = descriptionSchema
+    ? computeSchemaClarity(descriptionSchema)
+    : null;
+
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    capturedAt: row.captured_at,
+    location: row.location || null,
+    role: row.role,
+    ...buildRowImageFields(row),
+    description: row.description || null,
+    descriptionSchema,
+    descriptionClarity,
+    descriptionPromptVersion: row.description_prompt_version || null,
+    personGroupId: row.person_group_id || null,
+    groupingProbability: Number.isFinite(Number(row.grouping_probability))
+      ? Number(row.grouping_probability)
+      : null,
+    groupingExplanation: unpacked.explanation || null,
+    groupingExplanationDetails: details,
+    bestCandidate,
+    assignmentSource: row.assignment_source || null,
+    assignmentPinned: Boolean(row.assignment_pinned)
+  };
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(splitList);
+  }
+  if (typeof value !== 'string') {
+    return [];
+  }
+  return value.split(',').map((entry) => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+function readAllowedValues(name, raw, allowed) {
+  const values = [...new Set(splitList(raw))];
+  const unknown = values.filter((value) => !allowed.includes(value));
+  if (unknown.length) {
+    throw searchError(`Unknown ${name} value(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}.`);
+  }
+  return values;
+}
+
+function readNumber(name, raw, { min, max }) {
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw searchError(`"${name}" must be a number from ${min} to ${max}.`);
+  }
+  return value;
+}
+
+function readDate(name, raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) {
+    throw searchError(`"${name}" must be an ISO date or timestamp.`);
+  }
+  return date.toISOString();
+}
+
+// Turns query parameters into a normalized filter object. Throws INVALID_FILTER
+// for unknown values so typos do not silently match nothing.
+function parseSearchFilters(params = {}) {
+  const filters = { traits: {}, accessory: [], mark: [] };
+
+  Object.keys(TRAIT_FILTERS).forEach((field) => {
+    const values = readAllowedValues(field, params[field], TRAIT_FILTERS[field]);
+    if (values.length) {
+      filters.traits[field] = values;
+    }
+  });
+  Object.keys(LIST_FILTERS).forEach((name) => {
+    filters[name] = readAllowedValues(name, params[name], LIST_FILTERS[name].values);
+  });
+
+  const groupIds = splitList(params.groupId).map(Number);
+  if (groupIds.some((groupId) => !Number.isInteger(groupId) || groupId <= 0)) {
+    throw searchError('"groupId" must be one or more positive integers.');
+  }
+  filters.groupIds = groupIds;
+
+  filters.clarityMin = readNumber('clarityMin', params.clarityMin, { min: 0, max: 100 });
+  filters.clarityMax = readNumber('clarityMax', params.clarityMax, { min: 0, max: 100 });
+  filters.from = readDate('from', params.from);
+  filters.to = readDate('to', params.to);
+
+  const text = typeof params.q === 'string' ? params.q.trim() : '';
+  if (text.length > 200) {
+    throw searchError('"q" must be at most 200 characters.');
+  }
+  filters.text = text || null;
+  filters.describedOnly = params.describedOnly === 'true' || params.describedOnly === true;
+  return filters;
+}
+
+function escapeLikePattern(text) {
+  return text.replace(/[\\%_]/g, (match) => `\\${match}`);
+}
+
+function buildWhereClause(filters) {
+  const conditions = [];
+  const values = [];
+  const addValue = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  Object.entries(filters.traits).forEach(([field, fieldValues]) => {
+    const options = fieldValues.map((value) => `description_json @> ${addValue(JSON.stringify({ [field]: value }))}::jsonb`);
+    conditions.push(options.length === 1 ? options[0] : `(${options.join(' OR ')})`);
+  });
+  Object.entries(LIST_FILTERS).forEach(([name, { field }]) => {
+    filters[name].forEach((type) => {
+      conditions.push(`description_json @> ${addValue(JSON.stringify({ [field]: [{ type }] }))}::jsonb`);
+    });
+  });
+
+  if (filters.groupIds.length) {
+    conditions.push(`person_group_id = ANY(${addValue(filters.groupIds)}::bigint[])`);
+  }
+  if (filters.clarityMin !== null) {
+    conditions.push(`${IMAGE_CLARITY_SQL} >= ${addValue(filters.clarityMin)}`);
+  }
+  if (filters.clarityMax !== null) {
+    conditions.push(`${IMAGE_CLARITY_SQL} <= ${addValue(filters.clarityMax)}`);
+  }
+  if (filters.from) {
+    conditions.push(`${SEEN_AT_SQL} >= ${addValue(filters.from)}`);
+  }
+  if (filters.to) {
+    conditions.push(`${SEEN_AT_SQL} < ${addValue(filters.to)}`);
+  }
+  if (filters.text) {
+    const pattern = addValue(`%${escapeLikePattern(filters.text)}%`);
+    conditions.push(`(description ILIKE ${pattern} OR description_json::text ILIKE ${pattern})`);
+  }
+  if (filters.describedOnly) {
+    conditions.push('description_json IS NOT NULL');
+  }
+
+  return {
+    text: conditions.length ? `WHERE ${conditions.join('\n  AND ')}` : '',
+    values
+  };
+}
+
+// Resolves to { selections, pagination }, newest sighting first.
+async function searchSelections(queryable, filters, { limit = 50, offset = 0 } = {}) {
+  const where = buildWhereClause(filters);
+  const pageLimit = Math.min(Math.max(Math.floor(limit) || 50, 1), MAX_SEARCH_LIMIT);
+  const pageOffset = Math.max(Math.floor(offset) || 0, 0);
+
+  const result = await queryable.query(
+    `
+      SELECT ${SELECTION_COLUMNS}
+      FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+      ${where.text}
+      ORDER BY ${SEEN_AT_SQL} DESC, id DESC
+      LIMIT $${where.values.length + 1} OFFSET $${where.values.length + 2}
+    `,
+    [...where.values, pageLimit, pageOffset]
+  );
+  const countResult = await queryable.query(
+    `SELECT COUNT(*) AS total FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} ${where.text}`,
+    where.values
+  );
+  const total = parseInt(countResult.rows?.[0]?.total ?? 0, 10);
+  const selections = (result.rows || []).map(mapSelectionRow);
+
+  return {
+    selections,
+    pagination: {
+      total,
+      limit: pageLimit,
+      offset: pageOffset,
+      hasMore: pageOffset + selections.length < total
+    }
+  };
+}
+
+// The filterable fields and their values, for building a filter UI.
+function describeSearchFields() {
+  const lists = Object.entries(LIST_FILTERS).reduce((fields, [name, { values }]) => {
+    fields[name] = values;
+    return fields;
+  }, {});
+  return { ...TRAIT_FILTERS, ...lists };
+}
+
+module.exports = {
+  SELECTION_COLUMNS,
+  mapSelectionRow,
+  parseSearchFilters,
+  searchSelections,
+  describeSearchFields,
+  SEARCH_ERROR_STATUS
+};
@@ -1,233 +1,93 @@
-const OPENAI_MODEL = 'gpt-4o-mini';
-const GROUPING_MATCH_THRESHOLD = 60;
-
-// Stable trait matching - minimum matches needed for shortlist
-const STABLE_TRAIT_THRESHOLD = 0.5; // 50% of stable traits must match (5 of 9)
-
-// Color equivalence groups for matching
-const COLOR_EQUIVALENCE = [
-  ['navy', 'dark_blue', 'blue'],
-  ['dark_blonde', 'blonde', 'light_brown'],
-  ['black', 'dark_brown', 'brown'] // allow some hair color variation
-];
+const { getVisionProvider } = require('./vision-provider.js');
+const { scoreTraitCompatibility } = require('./trait-scoring.js');
+const { getPrompt } = require('./prompts/index.js');
+const { completeWithRepair, OutputValidationError } = require('./output-repair.js');
+const { computeGroupingPriors, describePriors } = require('./grouping-priors.js');
 
-function colorsMatch(color1, color2) {
-  if (!color1 || !color2 || color1 === 'unknown' || color2 === 'unknown') {
-    return null; // can't compare
-  }
-  if (color1 === color2) {
-    return true;
-  }
-  for (const group of COLOR_EQUIVALENCE) {
-    if (group.includes(color1) && group.includes(color2)) {
-      return true;
-    }
-  }
-  return false;
-}
+const GROUPING_MATCH_THRESHOLD = 60;
 
-function valuesMatch(val1, val2) {
-  if (!val1 || !val2 || val1 === 'unknown' || val2 === 'unknown') {
-    return null; // can't compare
+// Stable trait matching - minimum weighted trait score needed for the shortlist
+// (0.5 of the trait weight) unless STABLE_TRAIT_THRESHOLD overrides it
+const STABLE_TRAIT_THRESHOLD = (() => {
+  const raw = Number(process.env.STABLE_TRAIT_THRESHOLD);
+  if (Number.isFinite(raw) && raw > 0 && raw <= 1) {
+    return raw;
   }
-  return val1 === val2;
-}
+  return 0.5;
+})();
 
-// Check if stable traits are compatible (no conflicts)
+// Stable traits are compared with the weighted model in trait-scoring.js; the
+// result's matchRatio is what STABLE_TRAIT_THRESHOLD applies to.
 function checkStableCompatibility(schema1, schema2) {
-  const checks = [];
-  
-  // Only gender is truly fatal
-  const genderMatch = valuesMatch(schema1.gender, schema2.gender);
-  if (genderMatch === false) {
-    return { compatible: false, reason: 'gender_mismatch', details: `${schema1.gender} vs ${schema2.gender}` };
-  }
-  if (genderMatch === true) checks.push('gender');
-  
-  // Everything else: count matches but don't reject on mismatches
-  // Let vision decide if differences are real or just AI inconsistency
-  
-  const hairMatch = colorsMatch(schema1.hair_color, schema2.hair_color);
-  if (hairMatch === true) checks.push('hair_color');
-  
-  const hairLengthMatch = valuesMatch(schema1.hair_length, schema2.hair_length);
-  if (hairLengthMatch === true) checks.push('hair_length');
-  
-  const buildMatch = valuesMatch(schema1.build, schema2.build);
-  if (buildMatch === true) checks.push('build');
-  
-  const skinMatch = valuesMatch(schema1.skin_tone, schema2.skin_tone);
-  if (skinMatch === true) checks.push('skin_tone');
-  
-  const age1 = schema1.age_range;
-  const age2 = schema2.age_range;
-  if (age1 && age2 && age1 !== 'unknown' && age2 !== 'unknown' && age1 === age2) {
-    checks.push('age');
-  }
-  
-  const topMatch = colorsMatch(schema1.top_color, schema2.top_color);
-  if (topMatch === true) checks.push('top_color');
-  
-  const bottomMatch = colorsMatch(schema1.bottom_color, schema2.bottom_color);
-  if (bottomMatch === true) checks.push('bottom_color');
-  
-  const shoesMatch = colorsMatch(schema1.shoes_color, schema2.shoes_color);
-  if (shoesMatch === true) checks.push('shoes_color');
-  
-  return { compatible: true, matchedTraits: checks };
+  return scoreTraitCompatibility(schema1, schema2);
 }
 
-async function generateStablePersonDescription(imageDataUrl) {
-  const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAIKEY;
+// options.promptVersion picks a registered single-description prompt; the active
+// version is used otherwise. Resolves to { schema, naturalSummary, promptVersion },
+// or null when no provider is configured. When the provider fails or the answer
+// still breaks the single-description JSON Schema after one repair round-trip,
+// schema is null and `error` says why ({ code, message, schema?, errors? }).
+async function generateStablePersonDescription(imageDataUrl, options = {}) {
+  const provider = getVisionProvider();
 
-  if (!apiKey) {
-    console.warn('OpenAI API key not configured; skipping description generation.');
+  if (!provider.isConfigured()) {
+    console.warn('Vision provider not configured; skipping description generation.', {
+      provider: provider.name
+    });
     return null;
   }
 
-  const prompt = `Describe the person in this photo for re-identification purposes.
-
-Output ONLY valid JSON with this exact structure:
-
-{
-  "gender": "male|female|unknown",
-  "age_range": "18-24|25-34|35-44|45-54|55+|unknown",
-  "build": "slim|average|muscular|stocky|unknown",
-  "height": "short|average|tall|unknown",
-  "skin_tone": "very_light|light|medium|tan|brown|dark|unknown",
-  "hair_color": "<normalized_color or 'unknown'>",
-  "hair_length": "bald|buzz|very_short|short|medium|long|unknown",
-  "hair_style": "<brief text or 'unknown'>",
-  "facial_hair": "none|stubble|beard|mustache|goatee|unknown",
-  "top_color": "<normalized_color or 'unknown'>",
-  "top_description": "<brief text or 'unknown'>",
-  "bottom_color": "<normalized_color or 'unknown'>",
-  "bottom_description": "<brief text or 'unknown'>",
-  "shoes_color": "<normalized_color or 'unknown'>",
-  "shoes_description": "<brief text or 'unknown'>",
-  "jacket_color": "<normalized_color or 'unknown'>",
-  "jacket_description": "<brief text or 'unknown'>",
-  "accessories": [
-    {"type": "hat|glasses|bag|scarf|watch|jewelry|other", "description": "<text>", "removable": true|false}
-  ],
-  "distinctive_marks": [
-    {"type": "tattoo|scar|birthmark", "description": "<text>", "location": "<body part>"}
-  ],
-  "image_clarity": 0-100,
-  "natural_summary": "<3-4 sentence description>"
-}
-
-CRITICAL RULES:
-1. Only name specific values for traits you can CLEARLY identify. If you cannot see or determine a trait, mark it as "unknown".
-2. Do NOT guess or hedge. Be decisive based on what's actually visible.
-3. If you can see a trait well enough to describe it in natural_summary, you MUST fill in the corresponding structured field with a specific value (not "unknown").
-4. Normalized colors (use ONLY these): black, white, grey, navy, dark_blue, blue, light_blue, red, burgundy, green, olive, tan, beige, brown, dark_brown, light_brown, blonde, dark_blonde, auburn, ginger, pink, purple, yellow, orange, unknown
-5. For clothing descriptions, be specific: "t-shirt", "button-up shirt", "polo", "jeans", "shorts", "sneakers", "dress shoes", etc.
-6. accessories: mark removable=true for hats, bags, sunglasses, scarves; removable=false for tattoos, permanent jewelry
-7. image_clarity: 0=unusable/blurry, 100=perfectly sharp and well-lit
-8. natural_summary: 3-4 factual sentences describing appearance (no background, pose, or actions)
-
-Produce ONLY the JSON. No other text.`;
+  const promptSpec = getPrompt('single-description', options.promptVersion || null);
+  const failed = (error) => ({
+    schema: null,
+    naturalSummary: null,
+    promptVersion: promptSpec.version,
+    error
+  });
 
+  let outcome;
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL,
-        response_format: { type: 'json_object' },
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a person re-identification descriptor. Extract structured traits from photos. Output ONLY valid JSON.'
-          },
-          {
-            role: 'user',
-            content: [
-              { type: 'text', text: prompt },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: imageDataUrl,
-                  detail: 'low'
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 800,
-        temperature: 0.1
-      })
+    outcome = await completeWithRepair(provider, 'describeImage', {
+      task: 'single-description',
+      responseSchemaName: 'single-description',
+      promptVersion: promptSpec.version,
+      systemPrompt: promptSpec.systemPrompt,
+      prompt: promptSpec.buildPrompt(),
+      imageDataUrl,
+      detail: promptSpec.detail,
+      maxTokens: promptSpec.maxTokens,
+      temperature: promptSpec.temperature
     });
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => '');
-      console.error('Description generation failed:', {
-        status: response.status,
-        body: errorText.slice(0, 400)
-      });
-      return null;
-    }
-
-    const data = await response.json();
-    const rawContent = data?.choices?.[0]?.message?.content;
-    const contentString = typeof rawContent === 'string' ? rawContent.trim() : '';
-    if (!contentString) {
-      console.warn('Description response was empty.');
-      return null;
-    }
-
-    let schema;
-    try {
-      schema = JSON.parse(contentString);
-    } catch (parseError) {
-      console.error('Failed to parse description JSON:', {
-        message: parseError?.message,
-        contentPreview: contentString.slice(0, 400)
+  } catch (error) {
+    if (error instanceof OutputValidationError) {
+      console.error('Description failed schema validation after repair:', {
+        provider: provider.name,
+        promptVersion: promptSpec.version,
+        ...error.toJSON()
       });
-      return null;
-    }
-
-    if (!schema || typeof schema !== 'object') {
-      console.warn('Description schema missing or invalid.');
-      return null;
+      return failed({ message: error.message, ...error.toJSON() });
     }
-
-    // Validate required fields
-    const required = ['gender', 'age_range', 'build', 'skin_tone', 'hair_color', 'hair_length', 
-                      'top_color', 'bottom_color', 'shoes_color', 'natural_summary'];
-    const missing = required.filter(key => !schema.hasOwnProperty(key));
-    if (missing.length) {
-      console.warn('Description schema missing required fields:', missing);
-      return null;
-    }
-
-    const clarity = Number(schema.image_clarity);
-    if (!Number.isFinite(clarity) || clarity < 0 || clarity > 100) {
-      console.warn('image_clarity missing or invalid.');
-      return null;
-    }
-
-    const naturalSummary = typeof schema.natural_summary === 'string' ? schema.natural_summary.trim() : '';
-    if (!naturalSummary) {
-      console.warn('natural_summary missing.');
-      return null;
-    }
-
-    return {
-      schema,
-      naturalSummary
-    };
-  } catch (error) {
-    console.error('Error generating description:', {
+    console.error('Description generation failed:', {
+      provider: provider.name,
+      promptVersion: promptSpec.version,
+      status: error?.status ?? null,
       message: error?.message,
-      stack: error?.stack
+      body: typeof error?.body === 'string' ? error.body.slice(0, 400) : null
+    });
+    return failed({
+      code: 'PROVIDER_ERROR',
+      message: error?.message || 'Description request failed.',
+      status: error?.status ?? null
     });
-    return null;
   }
+
+  const schema = outcome.value;
+  return {
+    schema,
+    naturalSummary: schema.natural_summary.trim(),
+    promptVersion: promptSpec.version,
+    repaired: outcome.repaired
+  };
 }
 
 // Compute clarity based on how many traits are filled in with specific values
@@ -267,7 +127,104 @@ function computeSchemaClarity(schema) {
   return Math.round((baseClarity * 0.7) + (completeness * 0.3));
 }
 
-async function evaluateDescriptionGrouping(newSchema, existingGroups) {
+function describeTraitScore(candidate) {
+  const partial = candidate.partialTraits?.length ? `, ${candidate.partialTraits.length} partial` : '';
+  const evidence = candidate.evidence?.length
+    ? `, ${candidate.evidence.map((entry) => entry.kind.replace(/_/g, ' ')).join(', ')}`
+    : '';
+  return `${Math.round((candidate.matchRatio || 0) * 100)}% (${candidate.matchedTraits.length} traits matched${partial}${evidence})`;
+}
+
+// Full score of one loaded group (see loadGroupCandidates) against a new
+// description, or null when the group has no canonical. Incompatible groups
+// (impossible_travel from the priors, gender_mismatch from the traits) keep
+// compatible: false with reason and details. Every candidate carries `traits`,
+// the per-trait rows from compareTraits, so callers can show why it scored as it
+// did; matchRatio includes the priors boost and traitMatchRatio does not.
+function scoreGroupCandidate(newSchema, group, context = null) {
+  if (!group || !group.group_canonical) {
+    return null;
+  }
+
+  const canonical = group.group_canonical;
+  const priors = context ? computeGroupingPriors(context, group.group_sightings) : null;
+  const compatibility = scoreTraitCompatibility(newSchema, canonical, {
+    clothingFactor: priors ? priors.clothingFactor : 1
+  });
+  const base = {
+    groupId: group.group_id,
+    memberCount: group.group_member_count || 0,
+    traits: compatibility.traits,
+    priors,
+    groupClarity: computeSchemaClarity(canonical)
+  };
+
+  if (priors?.impossible) {
+    return {
+      ...base,
+      compatible: false,
+      reason: 'impossible_travel',
+      details: `${priors.impossible.distanceKm} km in ${priors.impossible.elapsedMinutes} min`,
+      matchedTraits: []
+    };
+  }
+  if (!compatibility.compatible) {
+    return {
+      ...base,
+      compatible: false,
+      reason: compatibility.reason,
+      details: compatibility.details,
+      matchedTraits: []
+    };
+  }
+
+  return {
+    ...base,
+    compatible: true,
+    matchedTraits: compatibility.matchedTraits,
+    partialTraits: compatibility.partialTraits,
+    evidence: compatibility.evidence,
+    coverage: compatibility.coverage,
+    traitMatchRatio: compatibility.matchRatio,
+    matchRatio: Math.min(1, compatibility.matchRatio + (priors ? priors.boost : 0))
+  };
+}
+
+// Scores every group and returns all candidates, compatible ones first, then by
+// matchRatio and member count. Each gains passesThreshold (whether it would make
+// the grouping shortlist) and a one-line explanation.
+function scoreGroupCandidates(newSchema, groups, context = null) {
+  if (!newSchema || typeof newSchema !== 'object' || !Array.isArray(groups)) {
+    return [];
+  }
+  return groups
+    .map((group) => scoreGroupCandidate(newSchema, group, context))
+    .filter(Boolean)
+    .map((candidate) => {
+      if (!candidate.compatible) {
+        return {
+          ...candidate,
+          passesThreshold: false,
+          explanation: `Incompatible: ${candidate.reason} (${candidate.details})`
+        };
+      }
+      const priorsNote = describePriors(candidate.priors);
+      return {
+        ...candidate,
+        passesThreshold: candidate.matchRatio >= STABLE_TRAIT_THRESHOLD,
+        explanation: `Weighted trait score ${describeTraitScore(candidate)}.${priorsNote ? ` ${priorsNote}` : ''}`
+      };
+    })
+    .sort((a, b) => {
+      if (a.compatible !== b.compatible) return b.compatible ? 1 : -1;
+      return ((b.matchRatio || 0) - (a.matchRatio || 0)) || (b.memberCount - a.memberCount);
+    });
+}
+
+// context ({ capturedAt, location } of the new photo) enables the time-and-place
+// priors against each group's group_sightings; without it only traits are scored.
+// candidates holds every scored group, on the shortlist or not.
+async function evaluateDescriptionGrouping(newSchema, existingGroups, context = null) {
   if (!newSchema || typeof newSchema !== 'object' || !Array.isArray(existingGroups) || !existingGroups.length) {
     return {
       bestGroupId: null,
@@ -277,43 +234,13 @@ async function evaluateDescriptionGrouping(newSchema, existingGroups) {
     };
   }
 
-  const candidates = [];
-  
-  for (const group of existingGroups) {
-    if (!group || !group.group_canonical) continue;
-    
-    const canonical = group.group_canonical;
-    const compatibility = checkStableCompatibility(newSchema, canonical);
-    
-    if (!compatibility.compatible) {
-      candidates.push({
-        groupId: group.group_id,
-        memberCount: group.group_member_count || 0,
-        compatible: false,
-        reason: compatibility.reason,
-        details: compatibility.details,
-        matchedTraits: [],
-        groupClarity: computeSchemaClarity(canonical)
-      });
-      continue;
-    }
-    
-    // Count how many stable traits actually match
-    const matchedTraits = compatibility.matchedTraits || [];
-    const matchRatio = matchedTraits.length / 9; // 9 stable traits total
-    
-    candidates.push({
-      groupId: group.group_id,
-      memberCount: group.group_member_count || 0,
-      compatible: true,
-      matchedTraits,
-      matchRatio,
-      groupClarity: computeSchemaClarity(canonical)
-    });
-  }
+  const candidates = existingGroups
+    .map((group) => scoreGroupCandidate(newSchema, group, context))
+    .filter(Boolean);
   
-  // Filter to compatible candidates with enough matches
+  // Filter to compatible candidates with a high enough weighted score
   const viable = candidates.filter(c => c.compatible && c.matchRatio >= STABLE_TRAIT_THRESHOLD);
+  const requiredScore = Math.round(STABLE_TRAIT_THRESHOLD * 100);
   
   if (!viable.length) {
     // Find best candidate for diagnostics
@@ -326,7 +253,7 @@ async function evaluateDescriptionGrouping(newSchema, existingGroups) {
     if (best && !best.compatible) {
       explanation = `Incompatible: ${best.reason} (${best.details})`;
     } else if (best) {
-      explanation = `No group passed stable trait threshold. Best had ${best.matchedTraits.length}/9 stable traits matching (need ≥${Math.ceil(9 * STABLE_TRAIT_THRESHOLD)}).`;
+      explanation = `No group passed stable trait threshold. Best scored ${describeTraitScore(best)}; need ≥${requiredScore}%.`;
     }
     
     return {
@@ -336,14 +263,18 @@ async function evaluateDescriptionGrouping(newSchema, existingGroups) {
       explanationDetails: best ? {
         reason: best.reason || 'insufficient_stable_matches',
         matchedTraits: best.matchedTraits || [],
-        requiredMatches: Math.ceil(9 * STABLE_TRAIT_THRESHOLD)
+        partialTraits: best.partialTraits || [],
+        evidence: best.evidence || [],
+        matchRatio: best.compatible ? Math.round(best.matchRatio * 100) : null,
+        requiredScore
       } : null,
       shortlist: [],
-      bestCandidate: best || null
+      bestCandidate: best || null,
+      candidates
     };
   }
   
-  // Sort by match ratio, then member count
+  // Sort by weighted score, then member count
   viable.sort((a, b) => {
     if (b.matchRatio !== a.matchRatio) return b.matchRatio - a.matchRatio;
     return b.memberCount - a.memberCount;
@@ -352,12 +283,16 @@ async function evaluateDescriptionGrouping(newSchema, existingGroups) {
   const shortlist = viable.slice(0, 3).map(c => ({
     groupId: c.groupId,
     matchedTraits: c.matchedTraits,
+    partialTraits: c.partialTraits,
+    evidence: c.evidence,
+    priors: c.priors,
     matchRatio: Math.round(c.matchRatio * 100),
     memberCount: c.memberCount
   }));
   
   const top = viable[0];
-  const explanation = `Stable traits compatible. ${top.matchedTraits.length}/9 stable traits matched. Sending to vision for verification.`;
+  const priorsNote = describePriors(top.priors);
+  const explanation = `Stable traits compatible. Weighted trait score ${describeTraitScore(top)}.${priorsNote ? ` ${priorsNote}` : ''} Sending to vision for verification.`;
   
   return {
     bestGroupId: null, // vision will decide
@@ -365,18 +300,26 @@ async function evaluateDescriptionGrouping(newSchema, existingGroups) {
     explanation,
     explanationDetails: {
       matchedTraits: top.matchedTraits,
+      partialTraits: top.partialTraits,
+      evidence: top.evidence,
+      priors: top.priors,
       matchRatio: Math.round(top.matchRatio * 100),
-      requiredMatches: Math.ceil(9 * STABLE_TRAIT_THRESHOLD)
+      requiredScore
     },
     shortlist,
-    bestCandidate: top
+    bestCandidate: top,
+    candidates
   };
 }
 
 module.exports = {
   generateStablePersonDescription,
   evaluateDescriptionGrouping,
+  scoreGroupCandidate,
+  scoreGroupCandidates,
   computeSchemaClarity,
-  GROUPING_MATCH_THRESHOLD
+  checkStableCompatibility,
+  GROUPING_MATCH_THRESHOLD,
+  STABLE_TRAIT_THRESHOLD
 };
 
@@ -0,0 +1,508 @@
+const {
+  withTransaction,
+  SINGLE_CAMERA_SELECTIONS_TABLE_NAME
+} = require('./db.js');
+const {
+  generateStablePersonDescription,
+  evaluateDescriptionGrouping,
+  GROUPING_MATCH_THRESHOLD,
+  computeSchemaClarity
+} = require('./single-description.js');
+const { verifyShortlistWithVision } = require('./vision-verification.js');
+const { buildVisionSummary } = require('./grouping-helpers.js');
+const {
+  packExplanationWithDetails,
+  summarizeBestCandidate,
+  summarizeVisionOutcome
+} = require('./grouping-explanation.js');
+const {
+  allocatePersonGroupId,
+  recordGroupMembership,
+  lockActiveGroupId,
+  loadGroupCandidates,
+  attachGroupReferences
+} = require('./person-group.js');
+const { saveImageDataUrl, buildRowImageFields } = require('./image-store.js');
+const { buildLocationDocument } = require('./geo.js');
+const { computeSelectionEmbedding } = require('./embeddings.js');
+const {
+  storeSelectionEmbedding,
+  preselectCandidateGroups,
+  summarizePreselection
+} = require('./embedding-index.js');
+const {
+  recordGroupingDecision,
+  describeDecisionVersions,
+  summarizeCandidateScores
+} = require('./grouping-decisions.js');
+
+// Saving one single-camera selection, shared by store-single-selection and batch
+// import jobs. It runs in two steps:
+//   prepareSingleSelection: store the image, describe it and embed the description
+//     (no database writes),
+//   commitSingleSelection: group it against the current person groups (preselected
+//     by embedding once there are many), with vision verification when enabled, and
+//     insert the row with its embedding, membership event and grouping decision.
+// Preparing several photos at once is safe. Commits should run one at a time so
+// each photo is grouped against the ones saved before it.
+
+const STORE_SELECTION_ERROR_STATUS = {
+  INVALID_IMAGE: 400,
+  IMAGE_STORE_NOT_CONFIGURED: 500,
+  IMAGE_STORE_FAILED: 500
+};
+
+function cloneDetails(details) {
+  if (!details || typeof details !== 'object') {
+    return null;
+  }
+  try {
+    return JSON.parse(JSON.stringify(details));
+  } catch (error) {
+    console.warn('Failed to clone grouping details payload.', error);
+    return { ...details };
+  }
+}
+
+function sanitizeViewport(viewport) {
+  if (!viewport || typeof viewport !== 'object') {
+    return null;
+  }
+  try {
+    return JSON.parse(JSON.stringify(viewport));
+  } catch {
+    return null;
+  }
+}
+
+async function storeSelectionImages(imageDataUrl, thumbnailDataUrl) {
+  try {
+    const storedImage = await saveImageDataUrl(imageDataUrl);
+    const storedThumbnail = thumbnailDataUrl
+      ? await saveImageDataUrl(thumbnailDataUrl, { prefix: 'thumbnails' })
+      : null;
+    return { storedImage, storedThumbnail };
+  } catch (error) {
+    if (error?.code === 'INVALID_IMAGE' || error?.code === 'IMAGE_STORE_NOT_CONFIGURED') {
+      throw error;
+    }
+    console.error('Failed to save single selection image to image store:', {
+      message: error?.message,
+      status: error?.status
+    });
+    const storeError = new Error('Failed to store selection image.');
+    storeError.code = 'IMAGE_STORE_FAILED';
+    throw storeError;
+  }
+}
+
+// input: { imageDataUrl, thumbnailDataUrl, viewport, signature, capturedAt, location,
+// mode, visionEnabled, imageKey, thumbnailKey }. imageKey/thumbnailKey name images
+// already in the image store (import jobs upload them first).
+async function prepareSingleSelection(input) {
+  const imageDataUrl = input.imageDataUrl;
+  const thumbnailDataUrl = typeof input.thumbnailDataUrl === 'string' && input.thumbnailDataUrl.startsWith('data:image/')
+    ? input.thumbnailDataUrl
+    : null;
+
+  const { storedImage, storedThumbnail } = input.imageKey
+    ? {
+        storedImage: { key: input.imageKey },
+        storedThumbnail: input.thumbnailKey ? { key: input.thumbnailKey } : null
+      }
+    : await storeSelectionImages(imageDataUrl, thumbnailDataUrl);
+
+  const capturedAt = input.capturedAt ? new Date(input.capturedAt) : null;
+  const capturedAtIso = capturedAt instanceof Date && !Number.isNaN(capturedAt.getTime())
+    ? capturedAt.toISOString()
+    : null;
+
+  const descriptionResult = await generateStablePersonDescription(imageDataUrl);
+  const embedding = descriptionResult && descriptionResult.schema
+    ? await computeSelectionEmbedding({ schema: descriptionResult.schema, imageDataUrl })
+    : null;
+
+  return {
+    imageDataUrl,
+    storedImage,
+    storedThumbnail,
+    viewport: sanitizeViewport(input.viewport),
+    capturedAtIso,
+    locationDoc: buildLocationDocument(input.location),
+    signature: typeof input.signature === 'string' ? input.signature.slice(0, 512) : null,
+    mode: typeof input.mode === 'string' ? input.mode.trim().toLowerCase().slice(0, 32) : 'single',
+    visionEnabled: input.visionEnabled !== false,
+    descriptionResult,
+    embedding,
+    newSchemaClarity: descriptionResult && descriptionResult.schema
+      ? computeSchemaClarity(descriptionResult.schema)
+      : 0
+  };
+}
+
+// Resolves to { selection, groupingDebug } where selection is the API shape
+// returned by store-single-selection. Rejects when the insert fails. source names
+// what triggered the save in the membership event and grouping decision;
+// triggerDetails (e.g. the import job item) is kept with the decision.
+// afterInsert(client, selection) runs last inside the insert transaction, so a
+// caller can record its own progress atomically with the row, or throw to roll
+// the insert back.
+async function commitSingleSelection(pool, prepared, {
+  source = 'store',
+  triggerDetails = null,
+  afterInsert = null
+} = {}) {
+  const {
+    imageDataUrl,
+    storedImage,
+    storedThumbnail,
+    viewport,
+    capturedAtIso,
+    locationDoc,
+    signature,
+    mode,
+    visionEnabled,
+    descriptionResult,
+    embedding = null,
+    newSchemaClarity
+  } = prepared;
+
+  let personGroupIdForInsert = null;
+  let groupingProbabilityForInsert = null;
+  let groupingExplanationForInsert = null;
+  let groupingExplanationTextForResponse = null;
+  let groupingExplanationDetailsForResponse = null;
+  let bestCandidateSummaryForResponse = null;
+  let groupingDebugForResponse = null;
+  let groupsMap = new Map();
+  let shortlist = [];
+  let visionOutcome = null;
+  let createdNewGroupId = null;
+  let preselection = null;
+  let proposedGroupId = null;
+  let groupsScored = 0;
+  let candidateScores = null;
+  let groupingFailure = null;
+
+  try {
+    try {
+      preselection = await preselectCandidateGroups(pool, embedding);
+    } catch (preselectError) {
+      console.warn('Embedding preselection failed; scoring every group.', {
+        message: preselectError?.message
+      });
+    }
+    // Canonical descriptions per existing person group, maintained in person_groups.
+    const collection = await loadGroupCandidates(pool, {
+      capturedAt: capturedAtIso,
+      groupIds: preselection ? preselection.groupIds : null
+    });
+    const groups = collection.groups;
+    groupsMap = collection.groupsMap;
+    groupsScored = groups.length;
+
+    const groupingResult = await evaluateDescriptionGrouping(
+      descriptionResult ? descriptionResult.schema : null,
+      groups,
+      { capturedAt: capturedAtIso, location: locationDoc }
+    );
+    const bestGroupId = Number.isFinite(Number(groupingResult.bestGroupId))
+      ? Number(groupingResult.bestGroupId)
+      : null;
+    const bestGroupProbability = Number.isFinite(Number(groupingResult.bestGroupProbability))
+      ? Math.max(0, Math.min(100, Math.round(Number(groupingResult.bestGroupProbability))))
+      : null;
+    const explanation = groupingResult.explanation && typeof groupingResult.explanation === 'string'
+      ? groupingResult.explanation.trim()
+      : '';
+    groupingExplanationDetailsForResponse = cloneDetails(
+      groupingResult.explanationDetails || groupingResult.bestCandidateDetails || null
+    );
+    shortlist = Array.isArray(groupingResult.shortlist) ? groupingResult.shortlist : [];
+    candidateScores = summarizeCandidateScores(groupingResult.candidates);
+
+    let finalGroupId = bestGroupId;
+    let finalProbability = bestGroupProbability;
+    const explanationPieces = [];
+    if (explanation) {
+      explanationPieces.push(explanation);
+    }
+
+    if (shortlist.length && visionEnabled) {
+      await attachGroupReferences(pool, groupsMap, shortlist.map((entry) => entry.groupId));
+      visionOutcome = await verifyShortlistWithVision({
+        shortlist,
+        newSelection: {
+          imageDataUrl,
+          descriptionSchema: descriptionResult ? descriptionResult.schema : null,
+          capturedAt: capturedAtIso,
+          location: locationDoc
+        },
+        groupsById: groupsMap
+      });
+
+      const visionSummary = buildVisionSummary(visionOutcome, groupsMap);
+      if (visionSummary) {
+        explanationPieces.push(visionSummary);
+      }
+
+      if (!visionOutcome?.applied) {
+        finalGroupId = null;
+        finalProbability = 0;
+      } else if (visionOutcome.approvedGroupId) {
+        finalGroupId = visionOutcome.approvedGroupId;
+      } else {
+        finalGroupId = null;
+        finalProbability = 0;
+      }
+    } else if (shortlist.length && !visionEnabled) {
+      // Vision disabled: auto-assign to top shortlist candidate
+      const topCandidate = shortlist[0];
+      finalGroupId = topCandidate.groupId;
+      finalProbability = GROUPING_MATCH_THRESHOLD;
+      explanationPieces.push(`Vision verification disabled. Auto-assigned to group ${topCandidate.groupId} (top text-match candidate with weighted trait score ${topCandidate.matchRatio ?? 0}%).`);
+    }
+
+    proposedGroupId = finalGroupId;
+    if (finalGroupId) {
+      personGroupIdForInsert = finalGroupId;
+    } else {
+      try {
+        createdNewGroupId = await allocatePersonGroupId(pool);
+        finalGroupId = createdNewGroupId;
+        personGroupIdForInsert = createdNewGroupId;
+        explanationPieces.push(`Started new group ${createdNewGroupId} because no existing group matched.`);
+      } catch (groupAllocError) {
+        console.error('Failed to allocate new person group id:', {
+          message: groupAllocError?.message,
+          stack: groupAllocError?.stack
+        });
+      }
+    }
+
+    const bestCandidateSummary = summarizeBestCandidate(
+      groupingResult.bestCandidate,
+      groupsMap,
+      newSchemaClarity
+    );
+    bestCandidateSummaryForResponse = bestCandidateSummary;
+
+    if (bestCandidateSummaryForResponse) {
+      if (!groupingExplanationDetailsForResponse || typeof groupingExplanationDetailsForResponse !== 'object') {
+        groupingExplanationDetailsForResponse = {};
+      }
+      groupingExplanationDetailsForResponse.bestCandidate = bestCandidateSummaryForResponse;
+    }
+
+    const visionDetails = summarizeVisionOutcome(visionOutcome);
+    if (visionDetails) {
+      if (!groupingExplanationDetailsForResponse || typeof groupingExplanationDetailsForResponse !== 'object') {
+        groupingExplanationDetailsForResponse = {};
+      }
+      groupingExplanationDetailsForResponse.vision = visionDetails;
+    }
+
+    groupingProbabilityForInsert = finalProbability;
+    const combinedExplanation = explanationPieces.filter(Boolean).join(' ').trim();
+    groupingExplanationTextForResponse = combinedExplanation || null;
+    groupingExplanationForInsert = combinedExplanation
+      ? packExplanationWithDetails(combinedExplanation, groupingExplanationDetailsForResponse)
+      : null;
+
+    // Keep only lightweight debug data for the client
+    groupingDebugForResponse = {
+      newDescription: descriptionResult ? descriptionResult.schema : null,
+      descriptionClarity: newSchemaClarity,
+      groups,
+      shortlist,
+      bestGroupId,
+      bestGroupProbability,
+      explanation: groupingExplanationTextForResponse,
+      explanationDetails: groupingExplanationDetailsForResponse || null,
+      bestCandidate: bestCandidateSummaryForResponse || groupingResult.bestCandidate || null,
+      vision: visionOutcome,
+      candidatePreselection: summarizePreselection(preselection, embedding),
+      createdNewGroupId
+    };
+  } catch (groupingError) {
+    console.error('Failed to evaluate grouping for single selection:', {
+      message: groupingError?.message,
+      stack: groupingError?.stack
+    });
+    groupingFailure = groupingError?.message || 'Grouping evaluation failed.';
+    if (!personGroupIdForInsert) {
+      try {
+        createdNewGroupId = await allocatePersonGroupId(pool);
+        personGroupIdForInsert = createdNewGroupId;
+        groupingExplanationTextForResponse = `Started new group ${createdNewGroupId} (grouping evaluation failed).`;
+        groupingExplanationDetailsForResponse = groupingExplanationDetailsForResponse || null;
+      } catch (fallbackError) {
+        console.error('Failed to allocate fallback person group id after grouping error:', {
+          message: fallbackError?.message,
+          stack: fallbackError?.stack
+        });
+      }
+    }
+  }
+
+  if (!groupingExplanationForInsert && groupingExplanationTextForResponse) {
+    groupingExplanationForInsert = packExplanationWithDetails(
+      groupingExplanationTextForResponse,
+      groupingExplanationDetailsForResponse || null
+    );
+  }
+
+  const hasStructuredDescription = descriptionResult && descriptionResult.schema && descriptionResult.naturalSummary;
+
+  const insertQuery = {
+    text: `
+        INSERT INTO ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} (role, image_key, thumbnail_key, viewport, signature, captured_at, description, description_json, description_prompt_version, person_group_id, grouping_probability, grouping_explanation, assignment_source, location)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'auto', $13)
+        RETURNING id, created_at, captured_at, location, role, image_key, thumbnail_key, description, description_json, description_prompt_version, person_group_id, grouping_probability, grouping_explanation, assignment_source, assignment_pinned
+    `,
+    values: [
+      mode || 'single',
+      storedImage.key,
+      storedThumbnail ? storedThumbnail.key : null,
+      viewport ? JSON.stringify(viewport) : null,
+      signature,
+      capturedAtIso,
+      hasStructuredDescription ? descriptionResult.naturalSummary : null,
+      hasStructuredDescription ? JSON.stringify(descriptionResult.schema) : null,
+      hasStructuredDescription ? descriptionResult.promptVersion : null,
+      personGroupIdForInsert,
+      groupingProbabilityForInsert,
+      groupingExplanationForInsert,
+      locationDoc ? JSON.stringify(locationDoc) : null
+    ]
+  };
+
+  const buildSelectionResponse = (record, finalGroupId) => ({
+    id: record?.id ?? null,
+    createdAt: record?.created_at ?? null,
+    capturedAt: record?.captured_at ?? null,
+    location: record?.location ?? null,
+    role: record?.role ?? null,
+    ...buildRowImageFields(record),
+    description: record?.description ?? null,
+    descriptionSchema: record?.description_json ?? null,
+    descriptionClarity: newSchemaClarity,
+    descriptionPromptVersion: record?.description_prompt_version ?? null,
+    descriptionError: descriptionResult?.error || null,
+    personGroupId: finalGroupId ?? null,
+    groupingProbability: record?.grouping_probability ?? null,
+    groupingExplanation: groupingExplanationTextForResponse,
+    groupingExplanationDetails: groupingExplanationDetailsForResponse || null,
+    bestCandidate: bestCandidateSummaryForResponse || null,
+    createdNewGroupId: createdNewGroupId ?? null,
+    assignmentSource: record?.assignment_source ?? null,
+    assignmentPinned: Boolean(record?.assignment_pinned)
+  });
+
+  const selection = await withTransaction(pool, async (client) => {
+    // The chosen group is locked until commit, so it cannot be merged away under
+    // the insert. If it was merged while grouping ran, the photo joins the group
+    // that absorbed it.
+    let mergedGroupId = null;
+    let values = insertQuery.values;
+    if (personGroupIdForInsert && Number(personGroupIdForInsert) !== Number(createdNewGroupId)) {
+      const activeGroupId = await lockActiveGroupId(client, personGroupIdForInsert);
+      if (activeGroupId !== Number(personGroupIdForInsert)) {
+        mergedGroupId = Number(personGroupIdForInsert);
+        values = [...values];
+        values[9] = activeGroupId;
+      }
+    }
+    const result = await client.query({ ...insertQuery, values });
+    const inserted = result.rows?.[0];
+
+    let groupId = inserted?.person_group_id ?? null;
+
+    if (!groupId && inserted?.id) {
+      console.warn('Selection missing person_group_id after insert; falling back to selection id.', {
+        selectionId: inserted.id
+      });
+      groupId = inserted.id;
+      await client.query(
+        `
+        UPDATE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+        SET person_group_id = $1
+        WHERE id = $2
+        `,
+        [groupId, inserted.id]
+      );
+    }
+
+    await recordGroupMembership(client, {
+      selectionId: inserted.id,
+      groupId,
+      source,
+      details: {
+        probability: inserted.grouping_probability ?? null,
+        createdNewGroup: Boolean(createdNewGroupId && Number(createdNewGroupId) === Number(groupId))
+      }
+    });
+
+    if (embedding && inserted?.id) {
+      await storeSelectionEmbedding(client, inserted.id, embedding);
+    }
+
+    await recordGroupingDecision(client, {
+      selectionId: inserted.id,
+      trigger: source,
+      triggerDetails,
+      decision: proposedGroupId && [Number(groupId), mergedGroupId].includes(Number(proposedGroupId))
+        ? 'assigned'
+        : 'new_group',
+      personGroupId: groupId,
+      proposedGroupId,
+      probability: inserted.grouping_probability ?? null,
+      inputs: {
+        description: descriptionResult ? descriptionResult.schema : null,
+        descriptionError: descriptionResult?.error || null,
+        descriptionClarity: newSchemaClarity,
+        capturedAt: capturedAtIso,
+        location: locationDoc,
+        visionEnabled,
+        groupsScored,
+        candidateScores,
+        candidatePreselection: summarizePreselection(preselection, embedding)
+      },
+      shortlist,
+      bestCandidate: bestCandidateSummaryForResponse,
+      vision: visionOutcome,
+      versions: describeDecisionVersions({
+        descriptionPromptVersion: descriptionResult?.promptVersion,
+        visionOutcome,
+        embedding
+      }),
+      explanation: mergedGroupId
+        ? `${groupingExplanationTextForResponse || ''} Group ${mergedGroupId} was merged into group ${groupId} before the photo was saved.`.trim()
+        : groupingExplanationTextForResponse,
+      error: groupingFailure
+    });
+
+    const insertedSelection = buildSelectionResponse(inserted, groupId);
+    if (afterInsert) {
+      await afterInsert(client, insertedSelection);
+    }
+    return insertedSelection;
+  });
+
+  return {
+    groupingDebug: groupingDebugForResponse,
+    selection
+  };
+}
+
+async function storeSingleSelection(pool, input, options = {}) {
+  const prepared = await prepareSingleSelection(input);
+  return commitSingleSelection(pool, prepared, options);
+}
+
+module.exports = {
+  prepareSingleSelection,
+  commitSingleSelection,
+  storeSingleSelection,
+  STORE_SELECTION_ERROR_STATUS
+};
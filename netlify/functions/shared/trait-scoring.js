@@ -0,0 +1,362 @@
+// Weighted trait comparison between two description schemas. Every comparable
+// trait earns partial credit between 0 and 1. The credits are weighted, and strong
+// evidence (matching distinctive marks, permanent accessories) is added on top.
+
+// Colours the description prompt is allowed to use, with a rough sRGB value for
+// each. The distance table below is derived from these, so adding a colour here
+// covers it everywhere.
+const COLOR_RGB = {
+  black: [20, 20, 20],
+  white: [245, 245, 245],
+  grey: [128, 128, 128],
+  navy: [0, 0, 110],
+  dark_blue: [20, 40, 140],
+  blue: [40, 90, 200],
+  light_blue: [150, 190, 230],
+  red: [200, 30, 30],
+  burgundy: [110, 20, 40],
+  green: [40, 140, 60],
+  olive: [110, 110, 40],
+  tan: [200, 170, 120],
+  beige: [225, 205, 165],
+  brown: [120, 75, 40],
+  dark_brown: [70, 45, 25],
+  light_brown: [165, 120, 75],
+  blonde: [225, 195, 120],
+  dark_blonde: [185, 150, 90],
+  auburn: [150, 60, 35],
+  ginger: [205, 100, 40],
+  pink: [240, 150, 180],
+  purple: [120, 50, 150],
+  yellow: [240, 210, 40],
+  orange: [240, 130, 30]
+};
+const NORMALIZED_COLORS = Object.keys(COLOR_RGB);
+
+// CIE76 distance: up to COLOR_SAME_DISTANCE is the same colour to a describer,
+// COLOR_DIFFERENT_DISTANCE and beyond is a different one.
+const COLOR_SAME_DISTANCE = 12;
+const COLOR_DIFFERENT_DISTANCE = 40;
+
+// Neighbouring values on these scales are commonly confused between photos.
+const ORDINAL_SCALES = {
+  age_range: ['18-24', '25-34', '35-44', '45-54', '55+'],
+  hair_length: ['bald', 'buzz', 'very_short', 'short', 'medium', 'long'],
+  skin_tone: ['very_light', 'light', 'medium', 'tan', 'brown', 'dark'],
+  height: ['short', 'average', 'tall']
+};
+// Same idea for categorical traits without a natural order.
+const ADJACENT_VALUES = {
+  build: [['slim', 'average'], ['average', 'muscular'], ['average', 'stocky'], ['muscular', 'stocky']],
+  facial_hair: [['none', 'stubble'], ['stubble', 'beard'], ['stubble', 'goatee'], ['beard', 'goatee'], ['mustache', 'goatee']]
+};
+const ADJACENT_CREDIT = 0.5;
+
+// Trait name -> schema field. "age" keeps the name earlier reports used.
+const TRAIT_FIELDS = {
+  gender: 'gender',
+  age: 'age_range',
+  build: 'build',
+  height: 'height',
+  skin_tone: 'skin_tone',
+  hair_color: 'hair_color',
+  hair_length: 'hair_length',
+  facial_hair: 'facial_hair',
+  top_color: 'top_color',
+  bottom_color: 'bottom_color',
+  shoes_color: 'shoes_color'
+};
+const COLOR_TRAITS = new Set(['hair_color', 'top_color', 'bottom_color', 'shoes_color']);
+// Only meaningful while the person is still wearing the same outfit.
+const CLOTHING_TRAITS = new Set(['top_color', 'bottom_color', 'shoes_color']);
+
+// Body traits outweigh clothing; hair length and facial hair change between days.
+const DEFAULT_TRAIT_WEIGHTS = {
+  gender: 1,
+  age: 1,
+  build: 1,
+  height: 0.5,
+  skin_tone: 1.5,
+  hair_color: 1.25,
+  hair_length: 0.75,
+  facial_hair: 0.5,
+  top_color: 1,
+  bottom_color: 1,
+  shoes_color: 0.75
+};
+const TRAIT_NAMES = Object.keys(DEFAULT_TRAIT_WEIGHTS);
+
+// Evidence weights are in the same units as trait weights. Each kind is capped
+// so a pile of small matches cannot outvote the body traits.
+const EVIDENCE_WEIGHTS = {
+  distinctive_mark: { weight: 3, cap: 6 },
+  permanent_accessory: { weight: 1, cap: 2 },
+  removable_accessory: { weight: 0.25, cap: 0.5 }
+};
+
+// Below this share of the total weight being comparable on both sides, the score
+// is scaled down so two matching traits on a blurry photo do not look certain.
+const MIN_COMPARABLE_SHARE = 0.6;
+
+// TRAIT_WEIGHTS='{"shoes_color":0.5}' overrides individual weights.
+const TRAIT_WEIGHTS = (() => {
+  const raw = (process.env.TRAIT_WEIGHTS || '').trim();
+  if (!raw) {
+    return { ...DEFAULT_TRAIT_WEIGHTS };
+  }
+  const weights = { ...DEFAULT_TRAIT_WEIGHTS };
+  try {
+    const overrides = JSON.parse(raw);
+    for (const [trait, value] of Object.entries(overrides || {})) {
+      const weight = Number(value);
+      if (!TRAIT_NAMES.includes(trait) || !Number.isFinite(weight) || weight < 0) {
+        console.warn('Ignoring invalid TRAIT_WEIGHTS entry:', { trait, value });
+        continue;
+      }
+      weights[trait] = weight;
+    }
+  } catch (error) {
+    console.warn('TRAIT_WEIGHTS is not valid JSON; using default weights.', {
+      message: error?.message
+    });
+  }
+  return weights;
+})();
+
+function toLab([red, green, blue]) {
+  const linear = (channel) => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  };
+  const r = linear(red);
+  const g = linear(green);
+  const b = linear(blue);
+  const x = (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047;
+  const y = r * 0.2126 + g * 0.7152 + b * 0.0722;
+  const z = (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883;
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+const COLOR_DISTANCE = (() => {
+  const lab = Object.fromEntries(NORMALIZED_COLORS.map((color) => [color, toLab(COLOR_RGB[color])]));
+  const table = {};
+  for (const first of NORMALIZED_COLORS) {
+    table[first] = {};
+    for (const second of NORMALIZED_COLORS) {
+      const distance = Math.hypot(...lab[first].map((value, index) => value - lab[second][index]));
+      table[first][second] = Math.round(distance);
+    }
+  }
+  return table;
+})();
+
+function isKnown(value) {
+  return typeof value === 'string' && value.trim() !== '' && value !== 'unknown';
+}
+
+function normalizeValue(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+function colorCredit(first, second) {
+  const distance = COLOR_DISTANCE[first]?.[second];
+  if (distance === undefined) {
+    // Colours outside the prompt's list only match themselves.
+    return first === second ? 1 : 0;
+  }
+  if (distance <= COLOR_SAME_DISTANCE) return 1;
+  if (distance >= COLOR_DIFFERENT_DISTANCE) return 0;
+  const credit = (COLOR_DIFFERENT_DISTANCE - distance) / (COLOR_DIFFERENT_DISTANCE - COLOR_SAME_DISTANCE);
+  return Math.round(credit * 100) / 100;
+}
+
+function valueCredit(field, first, second) {
+  if (first === second) return 1;
+  const scale = ORDINAL_SCALES[field];
+  if (scale) {
+    const distance = Math.abs(scale.indexOf(first) - scale.indexOf(second));
+    return scale.includes(first) && scale.includes(second) && distance === 1 ? ADJACENT_CREDIT : 0;
+  }
+  const adjacent = ADJACENT_VALUES[field] || [];
+  return adjacent.some(([a, b]) => (a === first && b === second) || (a === second && b === first))
+    ? ADJACENT_CREDIT
+    : 0;
+}
+
+// Credit for one trait, or null when either side could not see it.
+function scoreTrait(trait, schema1, schema2) {
+  const field = TRAIT_FIELDS[trait];
+  const first = schema1?.[field];
+  const second = schema2?.[field];
+  if (!isKnown(first) || !isKnown(second)) {
+    return null;
+  }
+  const a = normalizeValue(first);
+  const b = normalizeValue(second);
+  return COLOR_TRAITS.has(trait) ? colorCredit(a, b) : valueCredit(field, a, b);
+}
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'on', 'of', 'with', 'and', 'left', 'right', 'small', 'large']);
+
+function significantWords(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+  );
+}
+
+function wordsOverlap(first, second) {
+  const a = significantWords(first);
+  for (const word of significantWords(second)) {
+    if (a.has(word)) return true;
+  }
+  return false;
+}
+
+function listOf(value) {
+  return Array.isArray(value) ? value.filter((item) => item && typeof item === 'object') : [];
+}
+
+// Marks match on type plus an overlapping location (or description when the
+// location is missing). Absence on one side is not counted against: marks are
+// easily hidden by clothing or angle.
+function matchDistinctiveMarks(schema1, schema2) {
+  const matches = [];
+  const remaining = listOf(schema2?.distinctive_marks);
+  for (const mark of listOf(schema1?.distinctive_marks)) {
+    const index = remaining.findIndex((other) => (
+      normalizeValue(other.type || '') === normalizeValue(mark.type || '')
+      && (wordsOverlap(mark.location, other.location)
+        || (!mark.location && !other.location && wordsOverlap(mark.description, other.description)))
+    ));
+    if (index !== -1) {
+      matches.push({ kind: 'distinctive_mark', type: mark.type, description: mark.description || mark.location || null });
+      remaining.splice(index, 1);
+    }
+  }
+  return matches;
+}
+
+function matchAccessories(schema1, schema2) {
+  const matches = [];
+  const remaining = listOf(schema2?.accessories);
+  for (const item of listOf(schema1?.accessories)) {
+    const index = remaining.findIndex((other) => (
+      normalizeValue(other.type || '') === normalizeValue(item.type || '')
+      && wordsOverlap(item.description, other.description)
+    ));
+    if (index === -1) continue;
+    const other = remaining.splice(index, 1)[0];
+    // Only an item both descriptions call permanent counts as strong evidence.
+    const permanent = item.removable === false && other.removable === false;
+    matches.push({
+      kind: permanent ? 'permanent_accessory' : 'removable_accessory',
+      type: item.type,
+      description: item.description || null
+    });
+  }
+  return matches;
+}
+
+function weighEvidence(evidence) {
+  const totals = {};
+  for (const entry of evidence) {
+    const { weight, cap } = EVIDENCE_WEIGHTS[entry.kind];
+    totals[entry.kind] = Math.min(cap, (totals[entry.kind] || 0) + weight);
+  }
+  return Object.values(totals).reduce((sum, value) => sum + value, 0);
+}
+
+function traitVerdict(credit) {
+  if (credit === null) return 'unknown';
+  if (credit === 1) return 'match';
+  return credit > 0 ? 'partial' : 'mismatch';
+}
+
+// One row per scored trait, in TRAIT_NAMES order:
+// { trait, field, weight, first, second, credit, verdict }. weight already has
+// clothingFactor applied; first/second are the raw values (null when unknown);
+// verdict is match, partial, mismatch or unknown (either side could not see it).
+function compareTraits(schema1, schema2, { weights = TRAIT_WEIGHTS, clothingFactor = 1 } = {}) {
+  return TRAIT_NAMES.map((trait) => {
+    const field = TRAIT_FIELDS[trait];
+    const credit = scoreTrait(trait, schema1, schema2);
+    return {
+      trait,
+      field,
+      weight: (Number(weights[trait]) || 0) * (CLOTHING_TRAITS.has(trait) ? clothingFactor : 1),
+      first: isKnown(schema1?.[field]) ? schema1[field] : null,
+      second: isKnown(schema2?.[field]) ? schema2[field] : null,
+      credit,
+      verdict: traitVerdict(credit)
+    };
+  });
+}
+
+// clothingFactor (0-1) scales the clothing weights down, e.g. for photos taken
+// days apart; see grouping-priors.js. Both outcomes carry `traits`, the
+// compareTraits rows the score was built from.
+function scoreTraitCompatibility(schema1, schema2, { weights = TRAIT_WEIGHTS, clothingFactor = 1 } = {}) {
+  const traits = compareTraits(schema1, schema2, { weights, clothingFactor });
+  const gender1 = schema1?.gender;
+  const gender2 = schema2?.gender;
+  if (isKnown(gender1) && isKnown(gender2) && normalizeValue(gender1) !== normalizeValue(gender2)) {
+    return { compatible: false, reason: 'gender_mismatch', details: `${gender1} vs ${gender2}`, traits };
+  }
+
+  const traitScores = {};
+  const matchedTraits = [];
+  const partialTraits = [];
+  let earned = 0;
+  let comparableWeight = 0;
+  let totalWeight = 0;
+
+  for (const { trait, weight, credit } of traits) {
+    totalWeight += weight;
+    traitScores[trait] = credit;
+    if (credit === null) continue;
+    comparableWeight += weight;
+    earned += weight * credit;
+    if (credit === 1) {
+      matchedTraits.push(trait);
+    } else if (credit > 0) {
+      partialTraits.push({ trait, credit });
+    }
+  }
+
+  const evidence = [...matchDistinctiveMarks(schema1, schema2), ...matchAccessories(schema1, schema2)];
+  const evidenceWeight = weighEvidence(evidence);
+  const denominator = Math.max(comparableWeight, totalWeight * MIN_COMPARABLE_SHARE);
+  const matchRatio = denominator > 0 ? Math.min(1, (earned + evidenceWeight) / denominator) : 0;
+
+  return {
+    compatible: true,
+    matchedTraits,
+    partialTraits,
+    traitScores,
+    traits,
+    evidence,
+    coverage: totalWeight > 0 ? Math.round((comparableWeight / totalWeight) * 100) / 100 : 0,
+    matchRatio: Math.round(matchRatio * 1000) / 1000
+  };
+}
+
+module.exports = {
+  scoreTraitCompatibility,
+  compareTraits,
+  colorCredit,
+  isKnown,
+  normalizeValue,
+  NORMALIZED_COLORS,
+  COLOR_DISTANCE,
+  TRAIT_NAMES,
+  TRAIT_FIELDS,
+  ORDINAL_SCALES,
+  CLOTHING_TRAITS,
+  TRAIT_WEIGHTS,
+  DEFAULT_TRAIT_WEIGHTS,
+  EVIDENCE_WEIGHTS
+};
@@ -1,4 +1,9 @@
-const DEFAULT_VISION_MODEL = 'gpt-4o-mini';
+const { DEFAULT_OPENAI_MODEL } = require('./vision-provider.js');
+const { extractCoordinates, distanceKm } = require('./geo.js');
+const { getPrompt } = require('./prompts/index.js');
+const { completeWithRepair } = require('./output-repair.js');
+
+const DEFAULT_VISION_MODEL = DEFAULT_OPENAI_MODEL;
 
 function formatTimeContext(candidate, reference) {
   const time1 = candidate?.capturedAt ? new Date(candidate.capturedAt) : null;
@@ -11,8 +16,13 @@ function formatTimeContext(candidate, reference) {
   }
 
   const diffMinutes = Math.abs(time2 - time1) / (1000 * 60);
+  const coords1 = extractCoordinates(candidate?.location);
+  const coords2 = extractCoordinates(reference?.location);
+  const place = coords1 && coords2
+    ? ` About ${Math.round(distanceKm(coords1, coords2) * 10) / 10} km apart.`
+    : '';
   return {
-    context: `Photos taken ${Math.round(diffMinutes)} minutes apart.`,
+    context: `Photos taken ${Math.round(diffMinutes)} minutes apart.${place}`,
     minutes: diffMinutes
   };
 }
@@ -75,7 +85,7 @@ function summariseClothing(clothing = {}, accessories = {}, carriedItems = []) {
   ].join('\n');
 }
 
-function buildComparisonPrompt(candidate, reference) {
+function buildComparisonPrompt(candidate, reference, promptSpec = getPrompt('vision-match')) {
   const time = formatTimeContext(candidate, reference);
   const subjectSummary1 = summariseSubject(candidate.analysis?.subject || {});
   const subjectSummary2 = summariseSubject(reference.analysis?.subject || {});
@@ -93,66 +103,15 @@ function buildComparisonPrompt(candidate, reference) {
   const discriminators1 = candidate.discriminators || {};
   const discriminators2 = reference.discriminators || {};
 
-  const prompt = `Compare these two photos to determine if they show the SAME PERSON.
-
-CONTEXT:
-${time.context}
-Photo 1 subject:
-${subjectSummary1}
-Photo 1 outfit:
-${outfitSummary1}
-Photo 1 discriminators: ${JSON.stringify(discriminators1)}
-
-Photo 2 subject:
-${subjectSummary2}
-Photo 2 outfit:
-${outfitSummary2}
-Photo 2 discriminators: ${JSON.stringify(discriminators2)}
-
-  Step 0 — Fatal-mismatch check (do this first). If ANY fatal mismatch is present, set probability = 0 and return immediately with an explanation naming the fatal mismatch.
-
-  Fatal mismatches (ONLY these, nothing else):
-  - Different major lower-body garment category (skirt/dress vs full-length pants/jeans vs shorts) — but "jeans" and "pants" are the same category.
-  - Different major outfit class (dress/one-piece vs separate top+bottom).
-  - Clear gender-presentation conflict (male vs female).
-  - Clear age-band conflict (child vs adult, or 20s vs 60s — but 50s vs 60s is NOT fatal).
-
-  Do NOT treat as fatal:
-  - Removable accessories (hats, bags, scarves) — people can take these off.
-  - Minor clothing color variations due to lighting ("dark blue" vs "navy" vs "black").
-  - Absent mention of a trait in one photo but present in another (only fatal if BOTH explicitly describe it differently).
-
-  TASK:
-  Determine the probability (0-100%) that these are photos of the SAME PERSON.
-
-CRITICAL RULES:
-  1. Gender mismatch = 0% (fatal).
-  2. Removable accessories (hats, bags, scarves) can differ between photos of the same person.
-  3. Core outfit (top + bottom colors and types) must align.
-  4. Hair color/length must be compatible (but "black" vs "dark brown" is compatible).
-  5. Build, age range, and skin tone must be compatible.
-  6. When uncertain, be conservative (prefer false negative over false positive).
-
-COMPARISON PRIORITIES (in order):
-1. Gender
-2. Outfit colours and layering
-3. Hair style/colour
-4. Accessories & carried items
-5. Build/height category
-6. Age range
-
-Return ONLY valid JSON with this exact structure:
-  {
-    "similarity": <integer 0-100>,
-    "confidence": <"high" | "medium" | "low">,
-    "reasoning": "Why the score is high OR low, mentioning every major factor that influenced it. Format as sentences separated by \\n, each prefixed with '+' for supporting evidence or '-' for conflicting evidence. Example: \"+ Matching navy blazer and glasses\" or \"- Different footwear and backpack\".",
-    "fatal_mismatch": <"gender" | "outfit" | "age" | "hair" | "accessories" | null>
-  }
-
-Examples:
-  - Identical person: {"similarity": 95, "confidence": "high", "reasoning": "+ Same gender\n+ Matching navy suit and glasses\n+ Identical shoes", "fatal_mismatch": null}
-  - Same build but outfit mismatch: {"similarity": 20, "confidence": "high", "reasoning": "+ Similar build\n- Sweater vs bright red jacket\n- Different shoes", "fatal_mismatch": "outfit"}
-  - Gender mismatch: {"similarity": 0, "confidence": "high", "reasoning": "- Female vs male presentation\n- Hair length mismatch", "fatal_mismatch": "gender"}`;
+  const prompt = promptSpec.buildPrompt({
+    timeContext: time.context,
+    subjectSummary1,
+    outfitSummary1,
+    discriminators1,
+    subjectSummary2,
+    outfitSummary2,
+    discriminators2
+  });
 
   return {
     prompt,
@@ -160,59 +119,38 @@ Examples:
   };
 }
 
-async function performVisionMatch(openai, candidate, reference, options = {}) {
+async function performVisionMatch(provider, candidate, reference, options = {}) {
   if (!candidate?.imageDataUrl || !reference?.imageDataUrl) {
     throw new Error('Both candidate and reference require imageDataUrl for vision comparison.');
   }
 
-  const { prompt, timeDiffMinutes } = buildComparisonPrompt(candidate, reference);
-  const model = options.model || DEFAULT_VISION_MODEL;
-
-  const response = await openai.chat.completions.create({
-    model,
-    messages: [
-      {
-        role: 'system',
-        content: 'You are a re-identification assistant. Compare two cropped person photos and return ONLY valid JSON with similarity, confidence, reasoning, and fatal mismatch.'
-      },
-      {
-        role: 'user',
-        content: [
-          { type: 'text', text: prompt },
-          {
-            type: 'image_url',
-            image_url: {
-              url: candidate.imageDataUrl,
-              detail: 'low'
-            }
-          },
-          {
-            type: 'image_url',
-            image_url: {
-              url: reference.imageDataUrl,
-              detail: 'low'
-            }
-          }
-        ]
-      }
-    ],
-    response_format: { type: 'json_object' },
-    temperature: options.temperature ?? 0.1,
-    max_tokens: options.maxTokens ?? 350
-  });
+  const promptSpec = getPrompt('vision-match', options.promptVersion || null);
+  const { prompt, timeDiffMinutes } = buildComparisonPrompt(candidate, reference, promptSpec);
 
-  const payload = JSON.parse(response.choices[0].message.content);
-
-  if (typeof payload.similarity !== 'number' || Number.isNaN(payload.similarity)) {
-    throw new Error('AI response missing similarity value.');
-  }
+  // Throws OutputValidationError when the answer is still invalid after one repair.
+  const { value: payload, completion: response, repaired } = await completeWithRepair(provider, 'compareImages', {
+    task: 'vision-match',
+    responseSchemaName: 'vision-match',
+    model: options.model || undefined,
+    promptVersion: promptSpec.version,
+    systemPrompt: promptSpec.systemPrompt,
+    prompt,
+    images: [candidate.imageDataUrl, reference.imageDataUrl],
+    detail: promptSpec.detail,
+    temperature: options.temperature ?? promptSpec.temperature,
+    maxTokens: options.maxTokens ?? promptSpec.maxTokens
+  });
 
     return {
-      similarity: Math.max(0, Math.min(100, Math.round(payload.similarity))),
-      confidence: typeof payload.confidence === 'string' ? payload.confidence : 'medium',
-      reasoning: typeof payload.reasoning === 'string' ? payload.reasoning : 'No reasoning provided',
-      fatal_mismatch: typeof payload.fatal_mismatch === 'string' ? payload.fatal_mismatch : null,
-      timeDiffMinutes: timeDiffMinutes !== null ? Math.round(timeDiffMinutes) : null
+      similarity: Math.round(payload.similarity),
+      confidence: payload.confidence,
+      reasoning: payload.reasoning,
+      fatal_mismatch: payload.fatal_mismatch,
+      timeDiffMinutes: timeDiffMinutes !== null ? Math.round(timeDiffMinutes) : null,
+      usage: response.usage || null,
+      cache: response.cache || null,
+      promptVersion: promptSpec.version,
+      repaired
     };
 }
 
@@ -0,0 +1,616 @@
+const crypto = require('crypto');
+const { wrapWithRecordReplay, resolveRecordReplayMode } = require('./provider-replay.js');
+const { wrapWithResponseCache } = require('./response-cache.js');
+const { getStrictResponseSchema } = require('./output-schemas.js');
+const { NORMALIZED_COLORS } = require('./trait-scoring.js');
+
+// Vision provider layer shared by describe, single-description, vision-match,
+// person-detection and people-query.
+// Every provider exposes the same interface:
+//   describeImage({ task, systemPrompt, prompt, imageDataUrl, detail, maxTokens, temperature, model })
+//   compareImages({ task, systemPrompt, prompt, images: [dataUrlA, dataUrlB], detail, maxTokens, temperature, model })
+//   completeText({ task, systemPrompt, prompt, text, maxTokens, temperature, model })
+// completeText sends no image; `text` is the user input the prompt was built
+// around (the fixture provider answers from it). All three resolve to { content, message, finishReason, requestId, model, usage, provider, responseFormat }
+// and reject with an Error carrying `status`, `statusText`, `requestId`, `retryAfter`
+// and `body` when the upstream request fails.
+//
+// When a request names its responseSchemaName and the provider supports strict
+// structured outputs, the answer is constrained with response_format json_schema
+// (responseFormat "json_schema"). Otherwise the provider is only asked for a JSON
+// object (responseFormat "json_object") and the caller's lenient parsing applies.
+
+const PROVIDER_ENV_KEY = 'VISION_PROVIDER';
+const DEFAULT_PROVIDER_NAME = 'openai';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const OPENAI_CHAT_COMPLETIONS_URL = 'https://api.openai.com/v1/chat/completions';
+const SUPPORTED_PROVIDERS = ['openai', 'openai-compatible', 'fixture'];
+
+function resolveProviderName() {
+  const configured = (process.env[PROVIDER_ENV_KEY] || '').trim().toLowerCase();
+  if (!configured) {
+    return DEFAULT_PROVIDER_NAME;
+  }
+  if (!SUPPORTED_PROVIDERS.includes(configured)) {
+    console.warn(`Unknown ${PROVIDER_ENV_KEY} "${configured}". Falling back to "${DEFAULT_PROVIDER_NAME}".`);
+    return DEFAULT_PROVIDER_NAME;
+  }
+  return configured;
+}
+
+function resolveModelOverride() {
+  const configured = (process.env.VISION_MODEL || '').trim();
+  return configured || null;
+}
+
+function buildImageContent(url, detail) {
+  return {
+    type: 'image_url',
+    image_url: {
+      url,
+      detail: detail || 'low'
+    }
+  };
+}
+
+function buildMessages(systemPrompt, prompt, images, detail) {
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+  messages.push({
+    role: 'user',
+    content: [
+      { type: 'text', text: prompt },
+      ...images.map((url) => buildImageContent(url, detail))
+    ]
+  });
+  return messages;
+}
+
+async function postChatCompletion({ url, apiKey, body, providerName }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+
+  const requestId = response.headers.get('x-request-id')
+    || response.headers.get('openai-request-id')
+    || null;
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    const error = new Error(`Vision provider "${providerName}" request failed with status ${response.status}.`);
+    error.status = response.status;
+    error.statusText = response.statusText;
+    error.requestId = requestId;
+    error.retryAfter = response.headers.get('retry-after');
+    error.body = errorText;
+    error.provider = providerName;
+    throw error;
+  }
+
+  const data = await response.json();
+  const firstChoice = data?.choices?.[0] ?? null;
+  const message = firstChoice?.message ?? null;
+
+  return {
+    content: message?.content ?? null,
+    message,
+    finishReason: firstChoice?.finish_reason ?? null,
+    requestId,
+    model: data?.model || body.model,
+    usage: data?.usage || null,
+    provider: providerName
+  };
+}
+
+function buildResponseFormat(request, structuredOutputs) {
+  const schema = structuredOutputs && request.responseSchemaName
+    ? getStrictResponseSchema(request.responseSchemaName)
+    : null;
+  if (!schema) {
+    return { type: 'json_object' };
+  }
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: request.responseSchemaName.replace(/[^a-zA-Z0-9_-]/g, '_'),
+      strict: true,
+      schema
+    }
+  };
+}
+
+// A 400 that complains about response_format means this model cannot do strict
+// structured outputs; such models are remembered and get json_object from then on.
+function isResponseFormatRejection(error) {
+  return error?.status === 400
+    && typeof error.body === 'string'
+    && /response_format|json_schema/i.test(error.body);
+}
+
+function createChatCompletionsProvider({ name, url, apiKey, model, requiresApiKey, structuredOutputs }) {
+  const modelsWithoutStructuredOutputs = new Set();
+
+  const run = async (request, images) => {
+    if (requiresApiKey && !apiKey) {
+      throw new Error(`Vision provider "${name}" is missing an API key.`);
+    }
+    const requestModel = request.model || model;
+    const body = {
+      model: requestModel,
+      messages: buildMessages(request.systemPrompt, request.prompt, images, request.detail),
+      response_format: buildResponseFormat(request, structuredOutputs && !modelsWithoutStructuredOutputs.has(requestModel)),
+      temperature: request.temperature ?? 0.1
+    };
+    if (request.maxTokens) {
+      body.max_tokens = request.maxTokens;
+    }
+    try {
+      const completion = await postChatCompletion({ url, apiKey, body, providerName: name });
+      return { ...completion, responseFormat: body.response_format.type };
+    } catch (error) {
+      if (body.response_format.type !== 'json_schema' || !isResponseFormatRejection(error)) {
+        throw error;
+      }
+      console.warn(`Vision provider "${name}" rejected structured outputs for model "${requestModel}"; using json_object.`, {
+        status: error.status,
+        body: error.body.slice(0, 300)
+      });
+      modelsWithoutStructuredOutputs.add(requestModel);
+      body.response_format = { type: 'json_object' };
+      const completion = await postChatCompletion({ url, apiKey, body, providerName: name });
+      return { ...completion, responseFormat: 'json_object', structuredOutputsRejected: true };
+    }
+  };
+
+  return {
+    name,
+    model,
+    structuredOutputs,
+    isConfigured() {
+      return !requiresApiKey || Boolean(apiKey);
+    },
+    async describeImage(request = {}) {
+      if (!request.imageDataUrl) {
+        throw new Error('describeImage requires imageDataUrl.');
+      }
+      return run(request, [request.imageDataUrl]);
+    },
+    async compareImages(request = {}) {
+      const images = Array.isArray(request.images) ? request.images.filter(Boolean) : [];
+      if (images.length !== 2) {
+        throw new Error('compareImages requires exactly two images.');
+      }
+      return run(request, images);
+    },
+    async completeText(request = {}) {
+      if (!request.prompt) {
+        throw new Error('completeText requires a prompt.');
+      }
+      return run(request, []);
+    }
+  };
+}
+
+function createOpenAIProvider() {
+  return createChatCompletionsProvider({
+    name: 'openai',
+    url: OPENAI_CHAT_COMPLETIONS_URL,
+    apiKey: process.env.OPENAI_API_KEY || process.env.OPENAIKEY || null,
+    model: resolveModelOverride() || DEFAULT_OPENAI_MODEL,
+    requiresApiKey: true,
+    structuredOutputs: true
+  });
+}
+
+function createOpenAICompatibleProvider() {
+  const baseUrl = (process.env.OPENAI_COMPATIBLE_BASE_URL || '').trim().replace(/\/+$/, '');
+  const model = resolveModelOverride() || (process.env.OPENAI_COMPATIBLE_MODEL || '').trim() || DEFAULT_OPENAI_MODEL;
+  const provider = createChatCompletionsProvider({
+    name: 'openai-compatible',
+    url: `${baseUrl}/chat/completions`,
+    apiKey: (process.env.OPENAI_COMPATIBLE_API_KEY || '').trim() || null,
+    model,
+    requiresApiKey: false,
+    // Most OpenAI-compatible servers only honour json_object; opt in when yours does more.
+    structuredOutputs: ['1', 'true', 'yes'].includes((process.env.OPENAI_COMPATIBLE_STRUCTURED_OUTPUTS || '').trim().toLowerCase())
+  });
+  return {
+    ...provider,
+    isConfigured() {
+      return Boolean(baseUrl);
+    }
+  };
+}
+
+// Deterministic fixture provider: derives every answer from a hash of the
+// image bytes so the whole pipeline can run offline with stable results.
+
+const FIXTURE_VALUES = {
+  gender: ['male', 'female'],
+  age_range: ['18-24', '25-34', '35-44', '45-54', '55+'],
+  build: ['slim', 'average', 'muscular', 'stocky'],
+  height: ['short', 'average', 'tall'],
+  skin_tone: ['very_light', 'light', 'medium', 'tan', 'brown', 'dark'],
+  hair_color: ['black', 'dark_brown', 'brown', 'blonde', 'grey', 'auburn'],
+  hair_length: ['buzz', 'very_short', 'short', 'medium', 'long'],
+  facial_hair: ['none', 'stubble', 'beard'],
+  clothing_color: ['black', 'white', 'grey', 'navy', 'blue', 'red', 'green', 'beige', 'brown'],
+  top_description: ['t-shirt', 'hoodie', 'button-up shirt', 'polo'],
+  bottom_description: ['jeans', 'trousers', 'shorts'],
+  shoes_description: ['sneakers', 'boots', 'dress shoes']
+};
+
+const FIXTURE_COMPARED_TRAITS = [
+  'gender', 'age_range', 'build', 'skin_tone', 'hair_color',
+  'hair_length', 'top_color', 'bottom_color', 'shoes_color'
+];
+
+function hashImageData(imageDataUrl) {
+  return crypto.createHash('sha256').update(String(imageDataUrl || '')).digest('hex');
+}
+
+function pickFromHash(hash, slot, values) {
+  const start = (slot * 4) % (hash.length - 8);
+  const numeric = parseInt(hash.slice(start, start + 8), 16);
+  return values[numeric % values.length];
+}
+
+function buildFixturePersonSchema(imageDataUrl) {
+  const hash = hashImageData(imageDataUrl);
+  const schema = {
+    gender: pickFromHash(hash, 0, FIXTURE_VALUES.gender),
+    age_range: pickFromHash(hash, 1, FIXTURE_VALUES.age_range),
+    build: pickFromHash(hash, 2, FIXTURE_VALUES.build),
+    height: pickFromHash(hash, 3, FIXTURE_VALUES.height),
+    skin_tone: pickFromHash(hash, 4, FIXTURE_VALUES.skin_tone),
+    hair_color: pickFromHash(hash, 5, FIXTURE_VALUES.hair_color),
+    hair_length: pickFromHash(hash, 6, FIXTURE_VALUES.hair_length),
+    hair_style: 'unknown',
+    facial_hair: pickFromHash(hash, 7, FIXTURE_VALUES.facial_hair),
+    top_color: pickFromHash(hash, 8, FIXTURE_VALUES.clothing_color),
+    top_description: pickFromHash(hash, 9, FIXTURE_VALUES.top_description),
+    bottom_color: pickFromHash(hash, 10, FIXTURE_VALUES.clothing_color),
+    bottom_description: pickFromHash(hash, 11, FIXTURE_VALUES.bottom_description),
+    shoes_color: pickFromHash(hash, 12, FIXTURE_VALUES.clothing_color),
+    shoes_description: pickFromHash(hash, 13, FIXTURE_VALUES.shoes_description),
+    jacket_color: 'unknown',
+    jacket_description: 'unknown',
+    accessories: [],
+    distinctive_marks: [],
+    image_clarity: 60 + (parseInt(hash.slice(0, 2), 16) % 41)
+  };
+  if (schema.gender === 'female' && schema.facial_hair !== 'none') {
+    schema.facial_hair = 'none';
+  }
+  schema.natural_summary = `A ${schema.build} ${schema.gender} aged ${schema.age_range} with ${schema.hair_length} ${schema.hair_color} hair. `
+    + `Wearing a ${schema.top_color} ${schema.top_description} and ${schema.bottom_color} ${schema.bottom_description}. `
+    + `Footwear is ${schema.shoes_color} ${schema.shoes_description}.`;
+  return schema;
+}
+
+function buildFixturePortraitAnalysis(imageDataUrl) {
+  const schema = buildFixturePersonSchema(imageDataUrl);
+  const clothingBlock = (category, color) => ({
+    category,
+    colors: [color],
+    pattern: 'solid',
+    style: 'casual'
+  });
+  return {
+    status: 'ok',
+    analysis: {
+      subject: {
+        gender: schema.gender,
+        genderConfidence: 0.9,
+        ageRange: schema.age_range,
+        ageBucket: schema.age_range,
+        build: schema.build,
+        bodyType: schema.build,
+        heightCategory: schema.height,
+        skinTone: schema.skin_tone,
+        hair: { color: schema.hair_color, length: schema.hair_length, style: 'unknown' },
+        facialHair: schema.facial_hair,
+        eyewear: 'none',
+        headwear: 'none',
+        distinguishingFeatures: []
+      },
+      appearance: {
+        dominantColors: [schema.top_color, schema.bottom_color],
+        styleDescriptors: ['casual'],
+        patterns: ['solid']
+      },
+      clothing: {
+        dominantColors: [schema.top_color, schema.bottom_color],
+        top: clothingBlock(schema.top_description, schema.top_color),
+        bottom: clothingBlock(schema.bottom_description, schema.bottom_color),
+        outerwear: {},
+        footwear: clothingBlock(schema.shoes_description, schema.shoes_color)
+      },
+      accessories: { jewelry: [], headwear: [], eyewear: [], handheld: [], bags: [], tech: [], other: [] },
+      carriedItems: [],
+      environment: { setting: 'unknown', background: 'unknown', lighting: 'unknown', crowdLevel: 'unknown' },
+      confidence: { overall: 0.8, gender: 0.9, age: 0.7, clothing: 0.8, accessories: 0.5 }
+    },
+    discriminators: {
+      hair: `${schema.hair_length}-${schema.hair_color}`,
+      face: schema.facial_hair,
+      top: `${schema.top_color}-${schema.top_description.replace(/\s+/g, '-')}`,
+      bottom: `${schema.bottom_color}-${schema.bottom_description}`,
+      footwear: `${schema.shoes_color}-${schema.shoes_description.replace(/\s+/g, '-')}`,
+      accessories: 'none',
+      carried: 'none'
+    }
+  };
+}
+
+function buildFixtureComparison(imageA, imageB) {
+  if (hashImageData(imageA) === hashImageData(imageB)) {
+    return {
+      similarity: 98,
+      confidence: 'high',
+      reasoning: '+ Identical image content',
+      fatal_mismatch: null
+    };
+  }
+  const schemaA = buildFixturePersonSchema(imageA);
+  const schemaB = buildFixturePersonSchema(imageB);
+  if (schemaA.gender !== schemaB.gender) {
+    return {
+      similarity: 0,
+      confidence: 'high',
+      reasoning: `- ${schemaA.gender} vs ${schemaB.gender} presentation`,
+      fatal_mismatch: 'gender'
+    };
+  }
+  const lines = [];
+  let matches = 0;
+  for (const trait of FIXTURE_COMPARED_TRAITS) {
+    if (schemaA[trait] === schemaB[trait]) {
+      matches += 1;
+      lines.push(`+ Same ${trait.replace(/_/g, ' ')}`);
+    } else {
+      lines.push(`- ${trait.replace(/_/g, ' ')}: ${schemaA[trait]} vs ${schemaB[trait]}`);
+    }
+  }
+  const similarity = Math.round((matches / FIXTURE_COMPARED_TRAITS.length) * 100);
+  return {
+    similarity,
+    confidence: similarity >= 80 ? 'high' : (similarity >= 50 ? 'medium' : 'low'),
+    reasoning: lines.join('\n'),
+    fatal_mismatch: null
+  };
+}
+
+// One to three side-by-side people, so multi-person saving can be exercised offline.
+function buildFixtureDetection(imageDataUrl) {
+  const hash = hashImageData(imageDataUrl);
+  const count = 1 + (parseInt(hash.slice(0, 2), 16) % 3);
+  const slotWidth = 1 / count;
+  const people = [];
+  for (let index = 0; index < count; index += 1) {
+    const schema = buildFixturePersonSchema(`${imageDataUrl}#${index}`);
+    const width = Math.round(slotWidth * 0.7 * 1000) / 1000;
+    people.push({
+      box: {
+        x: Math.round((index * slotWidth + slotWidth * 0.15) * 1000) / 1000,
+        y: 0.1,
+        width,
+        height: 0.85
+      },
+      confidence: 0.9,
+      description: `${schema.gender} in ${schema.top_color} ${schema.top_description}`
+    });
+  }
+  return { people };
+}
+
+// Keyword reading of a people-query text: colour words attach to the garment or
+// hair named right after them, everything not mentioned stays "unknown".
+const FIXTURE_QUERY_WORDS = {
+  gender: { man: 'male', men: 'male', male: 'male', guy: 'male', boy: 'male', woman: 'female', women: 'female', female: 'female', lady: 'female', girl: 'female' },
+  height: { tall: 'tall', short: 'short' },
+  build: { slim: 'slim', thin: 'slim', skinny: 'slim', muscular: 'muscular', stocky: 'stocky', heavy: 'stocky' },
+  age_range: { young: '18-24', teenage: '18-24', elderly: '55+', old: '55+', older: '45-54', middle: '35-44' },
+  facial_hair: { beard: 'beard', bearded: 'beard', stubble: 'stubble', mustache: 'mustache', moustache: 'mustache', goatee: 'goatee', 'clean-shaven': 'none' },
+  hair_length: { bald: 'bald', buzz: 'buzz', long: 'long' },
+  hair_style: { curly: 'curly', wavy: 'wavy', straight: 'straight', braided: 'braided', ponytail: 'ponytail' }
+};
+const FIXTURE_QUERY_GARMENTS = {
+  hair: 'hair',
+  shirt: 'top',
+  't-shirt': 'top',
+  top: 'top',
+  hoodie: 'top',
+  sweater: 'top',
+  polo: 'top',
+  jacket: 'jacket',
+  coat: 'jacket',
+  trousers: 'bottom',
+  pants: 'bottom',
+  jeans: 'bottom',
+  shorts: 'bottom',
+  skirt: 'bottom',
+  shoes: 'shoes',
+  sneakers: 'shoes',
+  trainers: 'shoes',
+  boots: 'shoes'
+};
+const FIXTURE_QUERY_ACCESSORIES = {
+  hat: 'hat',
+  cap: 'hat',
+  beanie: 'hat',
+  glasses: 'glasses',
+  sunglasses: 'glasses',
+  bag: 'bag',
+  backpack: 'bag',
+  scarf: 'scarf',
+  watch: 'watch',
+  necklace: 'jewelry',
+  earrings: 'jewelry',
+  suspenders: 'other',
+  umbrella: 'other'
+};
+const FIXTURE_QUERY_MARKS = ['tattoo', 'scar', 'birthmark'];
+
+function buildFixtureQuerySchema(text) {
+  const words = String(text || '').toLowerCase().replace(/gray/g, 'grey').split(/[^a-z0-9-]+/).filter(Boolean);
+  const schema = {
+    gender: 'unknown',
+    age_range: 'unknown',
+    build: 'unknown',
+    height: 'unknown',
+    skin_tone: 'unknown',
+    hair_color: 'unknown',
+    hair_length: 'unknown',
+    hair_style: 'unknown',
+    facial_hair: 'unknown',
+    top_color: 'unknown',
+    top_description: 'unknown',
+    bottom_color: 'unknown',
+    bottom_description: 'unknown',
+    shoes_color: 'unknown',
+    shoes_description: 'unknown',
+    jacket_color: 'unknown',
+    jacket_description: 'unknown',
+    accessories: [],
+    distinctive_marks: []
+  };
+  words.forEach((word, index) => {
+    const next = words[index + 1];
+    Object.entries(FIXTURE_QUERY_WORDS).forEach(([field, values]) => {
+      // "short hair" is a hair length, not a height.
+      if (values[word] && schema[field] === 'unknown' && !(field === 'height' && next === 'hair')) {
+        schema[field] = values[word];
+      }
+    });
+    if (word === 'short' && next === 'hair') {
+      schema.hair_length = 'short';
+    }
+    const garment = FIXTURE_QUERY_GARMENTS[word];
+    if (garment && garment !== 'hair') {
+      schema[`${garment}_description`] = word;
+    }
+    if (FIXTURE_QUERY_ACCESSORIES[word]) {
+      schema.accessories.push({ type: FIXTURE_QUERY_ACCESSORIES[word], description: word, removable: true });
+    }
+    if (FIXTURE_QUERY_MARKS.includes(word)) {
+      schema.distinctive_marks.push({ type: word, description: word, location: 'unknown' });
+    }
+    const color = NORMALIZED_COLORS.includes(`${word}_${next}`) ? `${word}_${next}` : word;
+    if (NORMALIZED_COLORS.includes(color)) {
+      // The colour belongs to the first garment within the next three words.
+      const target = words.slice(index + 1, index + 4).map((candidate) => FIXTURE_QUERY_GARMENTS[candidate]).find(Boolean);
+      if (target && schema[`${target}_color`] === 'unknown') {
+        schema[`${target}_color`] = color;
+      }
+    }
+  });
+  return schema;
+}
+
+function buildFixtureCompletion(payload, seed, model) {
+  return {
+    content: JSON.stringify(payload),
+    message: null,
+    finishReason: 'stop',
+    requestId: `fixture-${seed.slice(0, 12)}`,
+    model,
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    provider: 'fixture',
+    responseFormat: 'json_object'
+  };
+}
+
+function createFixtureProvider() {
+  const model = resolveModelOverride() || 'fixture-v1';
+  return {
+    name: 'fixture',
+    model,
+    structuredOutputs: false,
+    isConfigured() {
+      return true;
+    },
+    async describeImage(request = {}) {
+      if (!request.imageDataUrl) {
+        throw new Error('describeImage requires imageDataUrl.');
+      }
+      const seed = hashImageData(request.imageDataUrl);
+      if (request.task === 'single-description') {
+        return buildFixtureCompletion(buildFixturePersonSchema(request.imageDataUrl), seed, model);
+      }
+      if (request.task === 'portrait-analysis') {
+        return buildFixtureCompletion(buildFixturePortraitAnalysis(request.imageDataUrl), seed, model);
+      }
+      if (request.task === 'person-detection') {
+        return buildFixtureCompletion(buildFixtureDetection(request.imageDataUrl), seed, model);
+      }
+      throw new Error(`Fixture provider has no describeImage fixture for task "${request.task}".`);
+    },
+    async compareImages(request = {}) {
+      const images = Array.isArray(request.images) ? request.images.filter(Boolean) : [];
+      if (images.length !== 2) {
+        throw new Error('compareImages requires exactly two images.');
+      }
+      if (request.task !== 'vision-match') {
+        throw new Error(`Fixture provider has no compareImages fixture for task "${request.task}".`);
+      }
+      const seed = hashImageData(`${images[0]}|${images[1]}`);
+      return buildFixtureCompletion(buildFixtureComparison(images[0], images[1]), seed, model);
+    },
+    async completeText(request = {}) {
+      if (request.task !== 'people-query') {
+        throw new Error(`Fixture provider has no completeText fixture for task "${request.task}".`);
+      }
+      const seed = hashImageData(request.text || request.prompt);
+      return buildFixtureCompletion(buildFixtureQuerySchema(request.text), seed, model);
+    }
+  };
+}
+
+let providerInstance = null;
+let providerInstanceKey = null;
+
+function createVisionProvider(name = resolveProviderName()) {
+  if (name === 'fixture') {
+    return createFixtureProvider();
+  }
+  if (name === 'openai-compatible') {
+    return createOpenAICompatibleProvider();
+  }
+  return createOpenAIProvider();
+}
+
+function getVisionProvider() {
+  const name = resolveProviderName();
+  const recordReplay = resolveRecordReplayMode();
+  const instanceKey = `${name}|${recordReplay.mode}|${recordReplay.dir || ''}`;
+  if (providerInstance && providerInstanceKey === instanceKey) {
+    return providerInstance;
+  }
+  const wrapped = wrapWithRecordReplay(createVisionProvider(name), recordReplay);
+  // Recording and replaying must see every call, so the response cache stays out of the way.
+  providerInstance = recordReplay.mode === 'off'
+    ? wrapWithResponseCache(wrapped)
+    : wrapped;
+  providerInstanceKey = instanceKey;
+  return providerInstance;
+}
+
+module.exports = {
+  getVisionProvider,
+  createVisionProvider,
+  resolveProviderName,
+  hashImageData,
+  buildFixturePersonSchema,
+  DEFAULT_OPENAI_MODEL,
+  SUPPORTED_PROVIDERS
+};
@@ -1,4 +1,3 @@
-const OpenAI = require('openai');
 const { schemaToVisionAnalysis } = require('./schema-to-analysis.js');
 
 const VISION_SHORTLIST_LIMIT = (() => {
@@ -17,9 +16,40 @@ const VISION_ACCEPT_SIMILARITY = (() => {
 })();
 const VISION_ACCEPT_CONFIDENCE = (process.env.VISION_ACCEPT_CONFIDENCE || 'high').toLowerCase();
 
+// Voting rule for groups with several reference members: each reference is
+// compared on its own and passes when it meets the similarity and confidence
+// thresholds without a fatal mismatch. A gender or age mismatch against any
+// reference rejects the group, since those do not change between photos; outfit
+// mismatches only count as a failed vote. Otherwise the group is approved when
+// more completed comparisons pass than fail. Comparisons stop once the vote is
+// decided: each round only starts the calls that could still change the outcome,
+// so a clear match usually costs two calls.
+const IDENTITY_FATAL_MISMATCHES = new Set(['gender', 'age']);
+
 const { performVisionMatch } = require('./vision-match.js');
+const { getActivePromptVersion } = require('./prompts/index.js');
+const { getVisionProvider } = require('./vision-provider.js');
+const { loadImageDataUrl } = require('./image-store.js');
+const { VISION_REFERENCE_COUNT } = require('./reference-selection.js');
+const {
+  readEnvInteger,
+  callWithRetries,
+  createConcurrencyLimiter,
+  createTokenBudget
+} = require('./provider-limits.js');
+
+// Shortlisted groups and their references are compared concurrently, capped at
+// VISION_CONCURRENCY calls in flight. Failed calls are retried on 429/5xx; a call
+// that still fails only drops that reference from the vote. VISION_TOKEN_BUDGET
+// caps the tokens one verification may spend (0 disables the cap).
+const VISION_CONCURRENCY = readEnvInteger('VISION_CONCURRENCY', 3, { min: 1, max: 10 });
+const VISION_MAX_RETRIES = readEnvInteger('VISION_MAX_RETRIES', 2, { max: 5 });
+const VISION_RETRY_BASE_MS = readEnvInteger('VISION_RETRY_BASE_MS', 500);
+const VISION_TOKEN_BUDGET = readEnvInteger('VISION_TOKEN_BUDGET', 12000);
+// Two low-detail images, the comparison prompt and the 350-token answer.
+const ESTIMATED_COMPARISON_TOKENS = 1500;
 
-function buildPhotoPayload(imageDataUrl, schema, capturedAt) {
+function buildPhotoPayload(imageDataUrl, schema, capturedAt, location = null) {
   if (!imageDataUrl) {
     return null;
   }
@@ -27,10 +57,58 @@ function buildPhotoPayload(imageDataUrl, schema, capturedAt) {
     imageDataUrl,
     analysis: schemaToVisionAnalysis(schema) || {},
     discriminators: null,
-    capturedAt: capturedAt || null
+    capturedAt: capturedAt || null,
+    location: location || null
   };
 }
 
+async function resolveReferenceImage(reference) {
+  if (reference.imageKey) {
+    const loaded = await loadImageDataUrl(reference.imageKey);
+    if (loaded) {
+      return loaded;
+    }
+  }
+  const inline = reference.image;
+  return typeof inline === 'string' && inline.startsWith('data:') ? inline : null;
+}
+
+// Groups built before reference selection ran only know their representative.
+function listGroupReferences(groupMeta) {
+  if (Array.isArray(groupMeta.group_references) && groupMeta.group_references.length) {
+    return groupMeta.group_references;
+  }
+  return [{
+    selectionId: groupMeta.representativeSelectionId || null,
+    imageKey: groupMeta.representativeImageKey || null,
+    image: groupMeta.representativeImage || null,
+    capturedAt: groupMeta.representativeCapturedAt || groupMeta.representativeCreatedAt || null,
+    location: groupMeta.representativeLocation || null,
+    schema: groupMeta.group_canonical
+  }];
+}
+
+function passesAcceptance(result) {
+  const passesSimilarity = result.similarity >= VISION_ACCEPT_SIMILARITY;
+  const passesConfidence =
+    VISION_ACCEPT_CONFIDENCE === 'any' || (result.confidence || '').toLowerCase() === 'high';
+  return passesSimilarity && passesConfidence && !result.fatal_mismatch;
+}
+
+// The group-level similarity/confidence reported for a vote: the weakest reference
+// that passed when approved, otherwise the strongest one that failed (or the veto).
+// Feedback threshold sweeps therefore see the number that decided the vote.
+function pickDecidingReference(completed, approved, veto) {
+  if (veto) {
+    return completed.find((record) => record.fatalMismatch === veto);
+  }
+  const side = completed.filter((record) => record.passed === approved);
+  return side.reduce((best, record) => {
+    const better = approved ? record.similarity < best.similarity : record.similarity > best.similarity;
+    return better ? record : best;
+  });
+}
+
 function ensureMap(mapLike) {
   if (mapLike instanceof Map) {
     return mapLike;
@@ -54,20 +132,21 @@ async function verifyShortlistWithVision({ shortlist, newSelection, groupsById }
     };
   }
 
-  const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAIKEY;
-  if (!apiKey) {
+  const provider = getVisionProvider();
+  if (!provider.isConfigured()) {
     return {
       approvedGroupId: null,
       comparisons: [],
       applied: false,
-      reason: 'missing_api_key'
+      reason: 'provider_not_configured'
     };
   }
 
   const candidatePhoto = buildPhotoPayload(
     newSelection?.imageDataUrl,
     newSelection?.descriptionSchema,
-    newSelection?.capturedAt
+    newSelection?.capturedAt,
+    newSelection?.location
   );
   if (!candidatePhoto) {
     return {
@@ -78,87 +157,222 @@ async function verifyShortlistWithVision({ shortlist, newSelection, groupsById }
     };
   }
 
-  const openai = new OpenAI({ apiKey });
-  const comparisons = [];
+  const context = {
+    provider,
+    candidatePhoto,
+    limiter: createConcurrencyLimiter(VISION_CONCURRENCY),
+    budget: createTokenBudget(VISION_TOKEN_BUDGET, { estimatePerCall: ESTIMATED_COMPARISON_TOKENS }),
+    approvedIndex: Infinity,
+    retries: 0,
+    promptVersion: getActivePromptVersion('vision-match')
+  };
   const groupMap = ensureMap(groupsById);
   const limit = Math.max(1, Math.min(VISION_SHORTLIST_LIMIT, shortlist.length));
+  const entries = shortlist.slice(0, limit);
 
-  for (let index = 0; index < limit; index += 1) {
-    const entry = shortlist[index];
-    const groupMeta = groupMap.get(String(entry.groupId));
-    if (!groupMeta || !groupMeta.representativeImage) {
-      comparisons.push({
-        groupId: entry.groupId,
-        probability: entry.probability,
-        skipped: true,
-        reason: 'missing_reference_image'
-      });
-      continue;
+  const records = await Promise.all(entries.map((entry, index) => (
+    verifyGroup(context, entry, index, groupMap.get(String(entry.groupId)), newSelection)
+  )));
+
+  // Groups that never ran because an earlier group was approved are left out.
+  const comparisons = records.filter((record) => record.reason !== 'superseded');
+  const approved = records.find((record) => record.approved);
+  const failedReferences = records
+    .flatMap((record) => record.references || [])
+    .filter((reference) => reference.reason === 'vision_error');
+  const usage = { ...context.budget.summary(), retries: context.retries };
+
+  const outcome = {
+    approvedGroupId: approved ? approved.groupId : null,
+    comparisons,
+    applied: true,
+    usage,
+    promptVersion: context.promptVersion
+  };
+  if (failedReferences.length || usage.refused) {
+    outcome.partial = true;
+  }
+  if (failedReferences.length) {
+    outcome.error = failedReferences[0].error;
+    if (!comparisons.some((record) => !record.skipped)) {
+      outcome.reason = 'vision_error';
     }
+  } else if (usage.refused && !comparisons.some((record) => !record.skipped)) {
+    outcome.reason = 'budget_exhausted';
+  }
+  return outcome;
+}
 
-    const referencePhoto = buildPhotoPayload(
-      groupMeta.representativeImage,
-      groupMeta.group_canonical,
-      groupMeta.representativeCapturedAt || groupMeta.representativeCreatedAt || null
-    );
-    if (!referencePhoto) {
-      comparisons.push({
-        groupId: entry.groupId,
-        probability: entry.probability,
-        skipped: true,
-        reason: 'missing_reference_payload'
+// One provider call through the shared limiter and budget. Never throws: failures
+// become a skipped reference record so the rest of the vote still counts.
+function compareReference(context, groupIndex, reference, referencePhotoFor) {
+  return context.limiter(async () => {
+    const base = { selectionId: reference.selectionId || null };
+    if (context.approvedIndex < groupIndex) {
+      return { ...base, skipped: true, reason: 'superseded' };
+    }
+
+    let referenceImage = null;
+    try {
+      referenceImage = await resolveReferenceImage(reference);
+    } catch (error) {
+      console.error('Failed to load reference image for vision verification:', {
+        selectionId: reference.selectionId,
+        key: reference.imageKey,
+        message: error?.message
       });
-      continue;
+    }
+    if (!referenceImage) {
+      return { ...base, skipped: true, reason: 'missing_reference_image' };
     }
 
-    let result;
+    if (!context.budget.reserve()) {
+      return { ...base, skipped: true, reason: 'budget_exhausted' };
+    }
     try {
-      // eslint-disable-next-line no-await-in-loop
-      result = await performVisionMatch(openai, candidatePhoto, referencePhoto);
+      const { value: result, attempts } = await callWithRetries(
+        () => performVisionMatch(context.provider, context.candidatePhoto, referencePhotoFor(referenceImage), {
+          promptVersion: context.promptVersion
+        }),
+        { retries: VISION_MAX_RETRIES, baseDelayMs: VISION_RETRY_BASE_MS }
+      );
+      // Cached answers cost nothing, so they are charged as zero tokens.
+      context.budget.settle(result.cache?.hit ? { total_tokens: 0 } : result.usage);
+      context.retries += attempts - 1;
+      return {
+        ...base,
+        capturedAt: reference.capturedAt || null,
+        similarity: result.similarity,
+        confidence: result.confidence,
+        fatalMismatch: result.fatal_mismatch,
+        reasoning: result.reasoning,
+        passed: passesAcceptance(result),
+        attempts
+      };
     } catch (error) {
+      context.budget.release();
+      context.retries += (error?.attempts || 1) - 1;
+      console.error('Vision comparison failed:', {
+        selectionId: reference.selectionId,
+        status: error?.status,
+        attempts: error?.attempts,
+        message: error?.message
+      });
       return {
-        approvedGroupId: null,
-        comparisons,
-        applied: true,
+        ...base,
+        skipped: true,
         reason: 'vision_error',
-        error: error?.message || 'Vision comparison failed'
+        error: error?.message || 'Vision comparison failed',
+        attempts: error?.attempts || 1
       };
     }
+  });
+}
 
-    const comparisonRecord = {
+// How many more completed comparisons could decide the vote, so each round only
+// starts the calls that might matter.
+function comparisonsNeeded(vote, left) {
+  const toApprove = Math.floor((vote.failed + left - vote.passed) / 2) + 1;
+  const toReject = Math.ceil((vote.passed + left - vote.failed) / 2);
+  return Math.max(1, Math.min(toApprove, toReject, left));
+}
+
+async function verifyGroup(context, entry, groupIndex, groupMeta, newSelection) {
+  if (!groupMeta) {
+    return {
       groupId: entry.groupId,
       probability: entry.probability,
-      similarity: result.similarity,
-      confidence: result.confidence,
-      fatalMismatch: result.fatal_mismatch,
-      reasoning: result.reasoning,
-      newCapturedAt: newSelection?.capturedAt || null,
-      referenceSelectionId: groupMeta.representativeSelectionId || null,
-      referenceCapturedAt: groupMeta.representativeCapturedAt || null
+      skipped: true,
+      reason: 'missing_reference_image'
     };
-    comparisons.push(comparisonRecord);
+  }
 
-    const passesSimilarity = result.similarity >= VISION_ACCEPT_SIMILARITY;
-    const passesConfidence =
-      VISION_ACCEPT_CONFIDENCE === 'any' || (result.confidence || '').toLowerCase() === 'high';
-    const passesFatal = !result.fatal_mismatch;
+  const references = listGroupReferences(groupMeta);
+  const referenceRecords = [];
+  const vote = { passed: 0, failed: 0, veto: null };
+  let next = 0;
 
-    if (passesSimilarity && passesConfidence && passesFatal) {
-      return {
-        approvedGroupId: entry.groupId,
-        comparisons,
-        applied: true
-      };
+  while (next < references.length) {
+    const batch = references.slice(next, next + comparisonsNeeded(vote, references.length - next));
+    next += batch.length;
+    // eslint-disable-next-line no-await-in-loop
+    const results = await Promise.all(batch.map((reference) => compareReference(
+      context,
+      groupIndex,
+      reference,
+      (image) => buildPhotoPayload(
+        image,
+        reference.schema || groupMeta.group_canonical,
+        reference.capturedAt || null,
+        reference.location || null
+      )
+    )));
+    for (const record of results) {
+      referenceRecords.push(record);
+      if (record.skipped) continue;
+      if (record.passed) {
+        vote.passed += 1;
+      } else {
+        vote.failed += 1;
+      }
+      if (!vote.veto && IDENTITY_FATAL_MISMATCHES.has(record.fatalMismatch)) {
+        vote.veto = record.fatalMismatch;
+      }
+    }
+    const left = references.length - next;
+    if (vote.veto || vote.passed > vote.failed + left || vote.failed >= vote.passed + left) {
+      break;
+    }
+    if (results.some((record) => record.reason === 'superseded' || record.reason === 'budget_exhausted')) {
+      break;
     }
   }
 
+  const completed = referenceRecords.filter((record) => !record.skipped);
+  if (!completed.length) {
+    const reasons = referenceRecords.map((record) => record.reason);
+    const reason = ['vision_error', 'budget_exhausted', 'superseded']
+      .find((candidate) => reasons.includes(candidate)) || 'missing_reference_image';
+    return {
+      groupId: entry.groupId,
+      probability: entry.probability,
+      skipped: true,
+      reason,
+      references: referenceRecords
+    };
+  }
+
+  const approved = !vote.veto && vote.passed > vote.failed;
+  if (approved) {
+    context.approvedIndex = Math.min(context.approvedIndex, groupIndex);
+  }
+  const deciding = pickDecidingReference(completed, approved, vote.veto);
   return {
-    approvedGroupId: null,
-    comparisons,
-    applied: true
+    groupId: entry.groupId,
+    probability: entry.probability,
+    similarity: deciding.similarity,
+    confidence: deciding.confidence,
+    fatalMismatch: deciding.fatalMismatch,
+    reasoning: deciding.reasoning,
+    newCapturedAt: newSelection?.capturedAt || null,
+    referenceSelectionId: deciding.selectionId,
+    referenceCapturedAt: deciding.capturedAt,
+    approved,
+    vote: {
+      passed: vote.passed,
+      failed: vote.failed,
+      veto: vote.veto
+    },
+    references: referenceRecords
   };
 }
 
 module.exports = {
-  verifyShortlistWithVision
+  verifyShortlistWithVision,
+  VISION_SHORTLIST_LIMIT,
+  VISION_ACCEPT_SIMILARITY,
+  VISION_ACCEPT_CONFIDENCE,
+  VISION_REFERENCE_COUNT,
+  VISION_CONCURRENCY,
+  VISION_TOKEN_BUDGET
 };
@@ -0,0 +1,85 @@
+const {
+  getDatabasePool,
+  withTransaction
+} = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
+const { splitSelectionsToNewGroup, GROUP_OPERATION_STATUS } = require('./shared/person-group.js');
+
+const MAX_SPLIT_SELECTIONS = 200;
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Database not configured.' })
+    };
+  }
+
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    console.error('Single camera selections schema check failed before split:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: 'Invalid JSON body.' })
+    };
+  }
+
+  const selectionIds = Array.isArray(payload?.selectionIds)
+    ? payload.selectionIds.map(Number).filter((value) => Number.isInteger(value) && value > 0)
+    : [];
+  if (!selectionIds.length || selectionIds.length !== payload.selectionIds.length) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: '"selectionIds" must be a non-empty array of numeric ids.' })
+    };
+  }
+  if (selectionIds.length > MAX_SPLIT_SELECTIONS) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: `At most ${MAX_SPLIT_SELECTIONS} selections can be split at once.` })
+    };
+  }
+
+  try {
+    const result = await withTransaction(pool, (client) => splitSelectionsToNewGroup(client, { selectionIds }));
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    const statusCode = GROUP_OPERATION_STATUS[error?.code];
+    if (statusCode) {
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message, code: error.code })
+      };
+    }
+    console.error('Failed to split person group:', {
+      selectionIds,
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to split group.' })
+    };
+  }
+};
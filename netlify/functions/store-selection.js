@@ -1,8 +1,9 @@
 const {
   getDatabasePool,
-  ensureCameraSelectionsTable,
   CAMERA_SELECTIONS_TABLE_NAME
 } = require('./shared/db.js');
+const { saveImageDataUrl, buildRowImageFields } = require('./shared/image-store.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
 
 function normalizeRole(role) {
   if (typeof role !== 'string') {
@@ -46,13 +47,10 @@ exports.handler = async (event) => {
   }
 
   try {
-    await ensureCameraSelectionsTable(pool);
+    await assertSchemaCurrent(pool);
   } catch (error) {
-    console.error('Failed to ensure camera selections table:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to prepare storage.' })
-    };
+    console.error('Camera selections schema check failed:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare storage.');
   }
 
   let payload;
@@ -73,6 +71,41 @@ exports.handler = async (event) => {
     };
   }
 
+  const thumbnailDataUrl = typeof payload?.thumbnailDataUrl === 'string' && payload.thumbnailDataUrl.startsWith('data:image/')
+    ? payload.thumbnailDataUrl
+    : null;
+
+  let storedImage;
+  let storedThumbnail = null;
+  try {
+    storedImage = await saveImageDataUrl(imageDataUrl);
+    if (thumbnailDataUrl) {
+      storedThumbnail = await saveImageDataUrl(thumbnailDataUrl, { prefix: 'thumbnails' });
+    }
+  } catch (error) {
+    if (error?.code === 'INVALID_IMAGE') {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+    if (error?.code === 'IMAGE_STORE_NOT_CONFIGURED') {
+      console.error('Image store is not configured:', { message: error.message });
+      return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+    console.error('Failed to save camera selection image to image store:', {
+      message: error?.message,
+      status: error?.status
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to store selection image.' })
+    };
+  }
+
   const role = normalizeRole(payload.role);
   const viewport = sanitizeViewport(payload.viewport);
   const capturedAt = payload.capturedAt ? new Date(payload.capturedAt) : null;
@@ -80,13 +113,14 @@ exports.handler = async (event) => {
 
   const insertQuery = {
     text: `
-      INSERT INTO ${CAMERA_SELECTIONS_TABLE_NAME} (role, image_data_url, viewport, signature, captured_at)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, created_at, captured_at, role
+      INSERT INTO ${CAMERA_SELECTIONS_TABLE_NAME} (role, image_key, thumbnail_key, viewport, signature, captured_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, created_at, captured_at, role, image_key, thumbnail_key
     `,
     values: [
       role,
-      imageDataUrl,
+      storedImage.key,
+      storedThumbnail ? storedThumbnail.key : null,
       viewport ? JSON.stringify(viewport) : null,
       signature,
       capturedAt instanceof Date && !Number.isNaN(capturedAt.getTime()) ? capturedAt.toISOString() : null
@@ -104,7 +138,8 @@ exports.handler = async (event) => {
           id: record?.id ?? null,
           createdAt: record?.created_at ?? null,
           capturedAt: record?.captured_at ?? null,
-          role: record?.role ?? null
+          role: record?.role ?? null,
+          ...buildRowImageFields(record)
         }
       })
     };
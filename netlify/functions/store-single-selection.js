@@ -1,48 +1,10 @@
+const { getDatabasePool } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
 const {
-  getDatabasePool,
-  ensureSingleCameraSelectionsTable,
-  SINGLE_CAMERA_SELECTIONS_TABLE_NAME
-} = require('./shared/db.js');
-const {
-  generateStablePersonDescription,
-  evaluateDescriptionGrouping,
-  GROUPING_MATCH_THRESHOLD,
-  computeSchemaClarity
-} = require('./shared/single-description.js');
-const { verifyShortlistWithVision } = require('./shared/vision-verification.js');
-const {
-  collectGroupsWithRepresentatives,
-  buildVisionSummary
-} = require('./shared/grouping-helpers.js');
-const {
-  packExplanationWithDetails,
-  summarizeBestCandidate
-} = require('./shared/grouping-explanation.js');
-const { allocatePersonGroupId } = require('./shared/person-group.js');
-
-function cloneDetails(details) {
-  if (!details || typeof details !== 'object') {
-    return null;
-  }
-  try {
-    return JSON.parse(JSON.stringify(details));
-  } catch (error) {
-    console.warn('Failed to clone grouping details payload.', error);
-    return { ...details };
-  }
-}
-
-function sanitizeViewport(viewport) {
-  if (!viewport || typeof viewport !== 'object') {
-    return null;
-  }
-  try {
-    return JSON.parse(JSON.stringify(viewport));
-  } catch {
-    return null;
-  }
-}
-
+  prepareSingleSelection,
+  commitSingleSelection,
+  STORE_SELECTION_ERROR_STATUS
+} = require('./shared/single-selection-store.js');
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'POST') {
@@ -61,13 +23,10 @@ exports.handler = async (event) => {
   }
 
   try {
-    await ensureSingleCameraSelectionsTable(pool);
+    await assertSchemaCurrent(pool);
   } catch (error) {
-    console.error('Failed to ensure single camera selections table:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to prepare single selection storage.' })
-    };
+    console.error('Single camera selections schema check failed:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
   }
 
   let payload;
@@ -88,259 +47,44 @@ exports.handler = async (event) => {
     };
   }
 
-  const viewport = sanitizeViewport(payload.viewport);
-  const capturedAt = payload.capturedAt ? new Date(payload.capturedAt) : null;
-  const capturedAtIso = capturedAt instanceof Date && !Number.isNaN(capturedAt.getTime())
-    ? capturedAt.toISOString()
-    : null;
-  const signature = typeof payload.signature === 'string' ? payload.signature.slice(0, 512) : null;
-  const mode = typeof payload.mode === 'string' ? payload.mode.trim().toLowerCase().slice(0, 32) : 'single';
-  const visionEnabled = payload.visionEnabled !== false;
-
-  const descriptionResult = await generateStablePersonDescription(imageDataUrl);
-  const newSchemaClarity = descriptionResult && descriptionResult.schema
-    ? computeSchemaClarity(descriptionResult.schema)
-    : 0;
-
-  let personGroupIdForInsert = null;
-  let groupingProbabilityForInsert = null;
-  let groupingExplanationForInsert = null;
-  let groupingExplanationTextForResponse = null;
-  let groupingExplanationDetailsForResponse = null;
-  let bestCandidateSummaryForResponse = null;
-  let groupsMap = new Map();
-  let shortlist = [];
-  let visionOutcome = null;
-let createdNewGroupId = null;
-
+  let prepared;
   try {
-    // Build canonical descriptions per existing person group using structured description_json.
-      const groupsResult = await pool.query(
-        `
-        SELECT id,
-               person_group_id,
-               description_json,
-               image_data_url,
-               captured_at,
-               created_at
-        FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-        WHERE description_json IS NOT NULL
-          AND person_group_id IS NOT NULL
-        `
-      );
-
-      const rows = groupsResult.rows || [];
-      const collection = collectGroupsWithRepresentatives(rows);
-      const groups = collection.groups;
-      groupsMap = collection.groupsMap;
-
-      const groupingResult = await evaluateDescriptionGrouping(
-        descriptionResult ? descriptionResult.schema : null,
-        groups
-      );
-      const bestGroupId = Number.isFinite(Number(groupingResult.bestGroupId))
-        ? Number(groupingResult.bestGroupId)
-        : null;
-      const bestGroupProbability = Number.isFinite(Number(groupingResult.bestGroupProbability))
-        ? Math.max(0, Math.min(100, Math.round(Number(groupingResult.bestGroupProbability))))
-        : null;
-      const explanation = groupingResult.explanation && typeof groupingResult.explanation === 'string'
-        ? groupingResult.explanation.trim()
-        : '';
-      groupingExplanationDetailsForResponse = cloneDetails(
-        groupingResult.explanationDetails || groupingResult.bestCandidateDetails || null
-      );
-      shortlist = Array.isArray(groupingResult.shortlist) ? groupingResult.shortlist : [];
-
-      let finalGroupId = bestGroupId;
-      let finalProbability = bestGroupProbability;
-      const explanationPieces = [];
-      if (explanation) {
-        explanationPieces.push(explanation);
-      }
-
-      if (shortlist.length && visionEnabled) {
-        visionOutcome = await verifyShortlistWithVision({
-          shortlist,
-          newSelection: {
-            imageDataUrl,
-            descriptionSchema: descriptionResult ? descriptionResult.schema : null,
-            capturedAt: capturedAtIso
-          },
-          groupsById: groupsMap
-        });
-
-        const visionSummary = buildVisionSummary(visionOutcome, groupsMap);
-        if (visionSummary) {
-          explanationPieces.push(visionSummary);
-        }
-
-        if (!visionOutcome?.applied) {
-          finalGroupId = null;
-          finalProbability = 0;
-        } else if (visionOutcome.approvedGroupId) {
-          finalGroupId = visionOutcome.approvedGroupId;
-        } else {
-          finalGroupId = null;
-          finalProbability = 0;
-        }
-      } else if (shortlist.length && !visionEnabled) {
-        // Vision disabled: auto-assign to top shortlist candidate
-        const topCandidate = shortlist[0];
-        finalGroupId = topCandidate.groupId;
-        finalProbability = GROUPING_MATCH_THRESHOLD;
-        explanationPieces.push(`Vision verification disabled. Auto-assigned to group ${topCandidate.groupId} (top text-match candidate with ${topCandidate.matchedTraits?.length || 0}/9 traits).`);
-      }
-
-      if (finalGroupId) {
-        personGroupIdForInsert = finalGroupId;
-      } else {
-        try {
-          createdNewGroupId = await allocatePersonGroupId(pool);
-          finalGroupId = createdNewGroupId;
-          personGroupIdForInsert = createdNewGroupId;
-          explanationPieces.push(`Started new group ${createdNewGroupId} because no existing group matched.`);
-        } catch (groupAllocError) {
-          console.error('Failed to allocate new person group id:', {
-            message: groupAllocError?.message,
-            stack: groupAllocError?.stack
-          });
-        }
-      }
-
-      const bestCandidateSummary = summarizeBestCandidate(
-        groupingResult.bestCandidate,
-        groupsMap,
-        newSchemaClarity
-      );
-      bestCandidateSummaryForResponse = bestCandidateSummary;
-
-      if (bestCandidateSummaryForResponse) {
-        if (!groupingExplanationDetailsForResponse || typeof groupingExplanationDetailsForResponse !== 'object') {
-          groupingExplanationDetailsForResponse = {};
-        }
-        groupingExplanationDetailsForResponse.bestCandidate = bestCandidateSummaryForResponse;
-      }
-
-      groupingProbabilityForInsert = finalProbability;
-      const combinedExplanation = explanationPieces.filter(Boolean).join(' ').trim();
-      groupingExplanationTextForResponse = combinedExplanation || null;
-      groupingExplanationForInsert = combinedExplanation
-        ? packExplanationWithDetails(combinedExplanation, groupingExplanationDetailsForResponse)
-        : null;
-
-      // Keep only lightweight debug data for the client
-      var groupingDebugForResponse = {
-        newDescription: descriptionResult ? descriptionResult.schema : null,
-        descriptionClarity: newSchemaClarity,
-        groups,
-        shortlist,
-        bestGroupId,
-        bestGroupProbability,
-        explanation: groupingExplanationTextForResponse,
-        explanationDetails: groupingExplanationDetailsForResponse || null,
-        bestCandidate: bestCandidateSummaryForResponse || groupingResult.bestCandidate || null,
-        vision: visionOutcome,
-        createdNewGroupId
-      };
-  } catch (groupingError) {
-    console.error('Failed to evaluate grouping for single selection:', {
-      message: groupingError?.message,
-      stack: groupingError?.stack
+    prepared = await prepareSingleSelection({
+      imageDataUrl,
+      thumbnailDataUrl: payload.thumbnailDataUrl,
+      viewport: payload.viewport,
+      signature: payload.signature,
+      capturedAt: payload.capturedAt,
+      location: payload.location,
+      mode: payload.mode,
+      visionEnabled: payload.visionEnabled
     });
-    if (!personGroupIdForInsert) {
-      try {
-        createdNewGroupId = await allocatePersonGroupId(pool);
-        personGroupIdForInsert = createdNewGroupId;
-        groupingExplanationTextForResponse = `Started new group ${createdNewGroupId} (grouping evaluation failed).`;
-        groupingExplanationDetailsForResponse = groupingExplanationDetailsForResponse || null;
-      } catch (fallbackError) {
-        console.error('Failed to allocate fallback person group id after grouping error:', {
-          message: fallbackError?.message,
-          stack: fallbackError?.stack
-        });
-      }
+  } catch (error) {
+    const statusCode = STORE_SELECTION_ERROR_STATUS[error?.code];
+    if (statusCode) {
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message })
+      };
     }
+    console.error('Failed to prepare single camera selection:', {
+      message: error?.message,
+      stack: error?.stack
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to store single selection.' })
+    };
   }
 
-  if (!groupingExplanationForInsert && groupingExplanationTextForResponse) {
-    groupingExplanationForInsert = packExplanationWithDetails(
-      groupingExplanationTextForResponse,
-      groupingExplanationDetailsForResponse || null
-    );
-  }
-
-  const hasStructuredDescription = descriptionResult && descriptionResult.schema && descriptionResult.naturalSummary;
-
-  const insertQuery = {
-    text: `
-        INSERT INTO ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} (role, image_data_url, viewport, signature, captured_at, description, description_json, person_group_id, grouping_probability, grouping_explanation)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        RETURNING id, created_at, captured_at, role, description, description_json, person_group_id, grouping_probability, grouping_explanation
-    `,
-    values: [
-      mode || 'single',
-      imageDataUrl,
-      viewport ? JSON.stringify(viewport) : null,
-      signature,
-        capturedAtIso,
-      hasStructuredDescription ? descriptionResult.naturalSummary : null,
-      hasStructuredDescription ? JSON.stringify(descriptionResult.schema) : null,
-      personGroupIdForInsert,
-      groupingProbabilityForInsert,
-      groupingExplanationForInsert
-    ]
-  };
-
   try {
-    const result = await pool.query(insertQuery);
-    const record = result.rows?.[0];
-
-    let finalGroupId = record?.person_group_id ?? null;
-
-    if (!finalGroupId && record?.id) {
-      console.warn('Selection missing person_group_id after insert; falling back to selection id.', {
-        selectionId: record.id
-      });
-      finalGroupId = record.id;
-      try {
-        await pool.query(
-          `
-          UPDATE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-          SET person_group_id = $1
-          WHERE id = $2
-          `,
-          [finalGroupId, record.id]
-        );
-      } catch (updateError) {
-        console.error('Failed to backfill person_group_id for new single selection:', {
-          id: record.id,
-          message: updateError?.message,
-          stack: updateError?.stack
-        });
-      }
-    }
-
+    const { selection, groupingDebug } = await commitSingleSelection(pool, prepared, { source: 'store' });
     return {
       statusCode: 201,
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        groupingDebug: typeof groupingDebugForResponse === 'object' ? groupingDebugForResponse : null,
-        selection: {
-          id: record?.id ?? null,
-          createdAt: record?.created_at ?? null,
-          capturedAt: record?.captured_at ?? null,
-          role: record?.role ?? null,
-          description: record?.description ?? null,
-          descriptionSchema: record?.description_json ?? null,
-          descriptionClarity: newSchemaClarity,
-          personGroupId: finalGroupId ?? null,
-          groupingProbability: record?.grouping_probability ?? null,
-          groupingExplanation: groupingExplanationTextForResponse,
-          groupingExplanationDetails: groupingExplanationDetailsForResponse || null,
-          bestCandidate: bestCandidateSummaryForResponse || null,
-          createdNewGroupId: createdNewGroupId ?? null
-        }
+        groupingDebug,
+        selection
       })
     };
   } catch (error) {
@@ -354,5 +98,3 @@ let createdNewGroupId = null;
     };
   }
 };
-
-
@@ -1,4 +1,4 @@
-const { Pool } = require('pg');
+const { getDatabasePool } = require('./shared/db.js');
 
 exports.handler = async (event, context) => {
   const databaseUrl = process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL;
@@ -16,18 +16,11 @@ exports.handler = async (event, context) => {
   }
 
   // Try to connect
-  let pool;
   try {
-    const sslRequired = databaseUrl.includes('sslmode=require');
-    pool = new Pool({
-      connectionString: databaseUrl,
-      ssl: sslRequired ? { rejectUnauthorized: false } : undefined
-    });
+    const pool = getDatabasePool();
 
     // Test query
     const result = await pool.query('SELECT NOW() as current_time, version() as pg_version');
-    
-    await pool.end();
 
     return {
       statusCode: 200,
@@ -42,8 +35,6 @@ exports.handler = async (event, context) => {
     };
 
   } catch (error) {
-    if (pool) await pool.end();
-    
     return {
       statusCode: 500,
       body: JSON.stringify({
@@ -1,8 +1,9 @@
 const {
   getDatabasePool,
-  ensureSingleCameraSelectionsTable,
+  withTransaction,
   SINGLE_CAMERA_SELECTIONS_TABLE_NAME
 } = require('./shared/db.js');
+const { assertSchemaCurrent, buildSchemaErrorResponse } = require('./shared/migrations.js');
 const {
   generateStablePersonDescription,
   evaluateDescriptionGrouping,
@@ -10,15 +11,30 @@ const {
   computeSchemaClarity
 } = require('./shared/single-description.js');
 const { verifyShortlistWithVision } = require('./shared/vision-verification.js');
-const {
-  collectGroupsWithRepresentatives,
-  buildVisionSummary
-} = require('./shared/grouping-helpers.js');
+const { buildVisionSummary } = require('./shared/grouping-helpers.js');
 const {
   packExplanationWithDetails,
   unpackExplanationWithDetails,
-  summarizeBestCandidate
+  summarizeBestCandidate,
+  summarizeVisionOutcome
 } = require('./shared/grouping-explanation.js');
+const { resolveRowImageDataUrl } = require('./shared/image-store.js');
+const {
+  recordGroupMembership,
+  loadGroupCandidates,
+  attachGroupReferences
+} = require('./shared/person-group.js');
+const { computeSelectionEmbedding } = require('./shared/embeddings.js');
+const {
+  storeSelectionEmbedding,
+  preselectCandidateGroups,
+  summarizePreselection
+} = require('./shared/embedding-index.js');
+const {
+  recordGroupingDecision,
+  describeDecisionVersions,
+  summarizeCandidateScores
+} = require('./shared/grouping-decisions.js');
 
 function cloneDetails(details) {
   if (!details || typeof details !== 'object') {
@@ -49,13 +65,10 @@ exports.handler = async (event) => {
   }
 
   try {
-    await ensureSingleCameraSelectionsTable(pool);
+    await assertSchemaCurrent(pool);
   } catch (error) {
-    console.error('Failed to ensure single camera selections table before single update:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to prepare single selection storage.' })
-    };
+    console.error('Single camera selections schema check failed before single update:', error);
+    return buildSchemaErrorResponse(error, 'Failed to prepare single selection storage.');
   }
 
   let payload;
@@ -80,7 +93,7 @@ exports.handler = async (event) => {
   try {
     const result = await pool.query(
       `
-        SELECT id, image_data_url, description, person_group_id, grouping_probability, grouping_explanation
+        SELECT id, image_key, image_data_url, captured_at, location, description, person_group_id, grouping_probability, grouping_explanation, assignment_pinned
       FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
       WHERE id = $1
       `,
@@ -106,7 +119,18 @@ exports.handler = async (event) => {
     };
   }
 
-  if (!row.image_data_url || typeof row.image_data_url !== 'string') {
+  let imageDataUrl = null;
+  try {
+    imageDataUrl = await resolveRowImageDataUrl(row);
+  } catch (error) {
+    console.error('Failed to load stored image for single selection:', {
+      id,
+      key: row.image_key,
+      message: error?.message
+    });
+  }
+
+  if (!imageDataUrl) {
     return {
       statusCode: 400,
       body: JSON.stringify({ error: 'Selection is missing stored image data.' })
@@ -123,7 +147,7 @@ exports.handler = async (event) => {
 
   let description;
   try {
-    description = await generateStablePersonDescription(row.image_data_url);
+    description = await generateStablePersonDescription(imageDataUrl);
   } catch (error) {
     console.error('Description generation failed for single selection:', {
       id,
@@ -138,12 +162,18 @@ exports.handler = async (event) => {
 
   if (!description || !description.schema || !description.naturalSummary) {
     return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Description generation returned empty content for this selection.' })
+      statusCode: description?.error?.code === 'OUTPUT_INVALID' ? 502 : 500,
+      body: JSON.stringify({
+        error: description?.error?.code === 'OUTPUT_INVALID'
+          ? 'Description did not match the expected structure, even after a repair attempt.'
+          : 'Description generation returned empty content for this selection.',
+        details: description?.error || null
+      })
     };
   }
 
   const newSchemaClarity = computeSchemaClarity(description.schema);
+  const embedding = await computeSelectionEmbedding({ schema: description.schema, imageDataUrl });
 
   const existingExplanation = unpackExplanationWithDetails(row.grouping_explanation || '');
   let personGroupId = row.person_group_id || null;
@@ -157,31 +187,37 @@ exports.handler = async (event) => {
   let groupsMap = new Map();
   let shortlist = [];
   let visionOutcome = null;
+  let preselection = null;
+  let proposedGroupId = null;
+  let groupsScored = 0;
+  let candidateScores = null;
+  let groupingFailure = null;
 
-  try {
-    // Only assign or re-evaluate a group using structured description.
-      const groupsResult = await pool.query(
-        `
-          SELECT id,
-                 person_group_id,
-                 description_json,
-                 image_data_url,
-                 captured_at,
-                 created_at
-          FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-          WHERE description_json IS NOT NULL
-            AND person_group_id IS NOT NULL
-            AND id <> $1
-        `,
-        [id]
-      );
-
-      const rows = groupsResult.rows || [];
-      const collection = collectGroupsWithRepresentatives(rows);
+  // Pinned rows were placed by a person; only their description is refreshed.
+  if (!row.assignment_pinned) {
+    try {
+      try {
+        preselection = await preselectCandidateGroups(pool, embedding, { excludeSelectionId: id });
+      } catch (preselectError) {
+        console.warn('Embedding preselection failed for updated selection; scoring every group.', {
+          id,
+          message: preselectError?.message
+        });
+      }
+      // Only assign or re-evaluate a group using structured description.
+      const collection = await loadGroupCandidates(pool, {
+        excludeSelectionId: id,
+        capturedAt: selectionCapturedAtIso,
+        groupIds: preselection ? preselection.groupIds : null
+      });
       const groups = collection.groups;
       groupsMap = collection.groupsMap;
+      groupsScored = groups.length;
 
-      const groupingResult = await evaluateDescriptionGrouping(description.schema, groups);
+      const groupingResult = await evaluateDescriptionGrouping(description.schema, groups, {
+        capturedAt: selectionCapturedAtIso,
+        location: row.location
+      });
       const bestGroupId = Number.isFinite(Number(groupingResult.bestGroupId))
         ? Number(groupingResult.bestGroupId)
         : null;
@@ -192,6 +228,7 @@ exports.handler = async (event) => {
         ? groupingResult.explanation.trim()
         : '';
       shortlist = Array.isArray(groupingResult.shortlist) ? groupingResult.shortlist : [];
+      candidateScores = summarizeCandidateScores(groupingResult.candidates);
 
       let finalGroupId = bestGroupId;
       let finalProbability = bestGroupProbability;
@@ -202,12 +239,16 @@ exports.handler = async (event) => {
 
       if (shortlist.length) {
         try {
+          await attachGroupReferences(pool, groupsMap, shortlist.map((entry) => entry.groupId), {
+            excludeSelectionId: id
+          });
           visionOutcome = await verifyShortlistWithVision({
             shortlist,
             newSelection: {
-              imageDataUrl: row.image_data_url,
+              imageDataUrl,
               descriptionSchema: description.schema,
-              capturedAt: selectionCapturedAtIso
+              capturedAt: selectionCapturedAtIso,
+              location: row.location
             },
             groupsById: groupsMap
           });
@@ -242,6 +283,7 @@ exports.handler = async (event) => {
         }
       }
 
+      proposedGroupId = finalGroupId;
       if (finalGroupId) {
         personGroupId = finalGroupId;
       }
@@ -265,6 +307,13 @@ exports.handler = async (event) => {
           groupingExplanationDetailsForResponse = { bestCandidate: bestCandidateSummary };
         }
       }
+      const visionDetails = summarizeVisionOutcome(visionOutcome);
+      if (visionDetails) {
+        if (!groupingExplanationDetailsForResponse || typeof groupingExplanationDetailsForResponse !== 'object') {
+          groupingExplanationDetailsForResponse = {};
+        }
+        groupingExplanationDetailsForResponse.vision = visionDetails;
+      }
       groupingExplanationPackedForUpdate = combinedExplanation
         ? packExplanationWithDetails(combinedExplanation, groupingExplanationDetailsForResponse)
         : null;
@@ -279,38 +328,102 @@ exports.handler = async (event) => {
         explanation: groupingExplanationTextForResponse,
         explanationDetails: groupingExplanationDetailsForResponse,
         bestCandidate: bestCandidateSummaryForResponse || null,
-        vision: visionOutcome
+        vision: visionOutcome,
+        candidatePreselection: summarizePreselection(preselection, embedding)
       };
 
       bestCandidateForResponse = bestCandidateSummaryForResponse;
-  } catch (groupError) {
-    console.error('Failed to evaluate grouping for updated single selection:', {
-      id,
-      message: groupError?.message,
-      stack: groupError?.stack
-    });
+    } catch (groupError) {
+      console.error('Failed to evaluate grouping for updated single selection:', {
+        id,
+        message: groupError?.message,
+        stack: groupError?.stack
+      });
+      groupingFailure = groupError?.message || 'Grouping evaluation failed.';
+    }
   }
 
-    try {
-    await pool.query(
-      `
-        UPDATE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
-        SET description = $1,
-            description_json = $2,
-            person_group_id = COALESCE(person_group_id, $3),
-            grouping_probability = COALESCE($4, grouping_probability),
-            grouping_explanation = COALESCE($5, grouping_explanation)
-        WHERE id = $6
-      `,
-      [
-        description.naturalSummary,
-        JSON.stringify(description.schema),
-        personGroupId || null,
-        groupingProbabilityForUpdate,
-        groupingExplanationPackedForUpdate,
-        id
-      ]
-    );
+  try {
+    await withTransaction(pool, async (client) => {
+      const result = await client.query(
+        `
+          UPDATE ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} AS updated
+          SET description = $1,
+              description_json = $2,
+              description_prompt_version = $7,
+              person_group_id = COALESCE(updated.person_group_id, $3),
+              assignment_source = CASE
+                WHEN updated.person_group_id IS NULL AND $3::bigint IS NOT NULL THEN 'auto'
+                ELSE updated.assignment_source
+              END,
+              grouping_probability = COALESCE($4, updated.grouping_probability),
+              grouping_explanation = COALESCE($5, updated.grouping_explanation)
+          FROM (
+            SELECT id, person_group_id FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} WHERE id = $6 FOR UPDATE
+          ) AS previous
+          WHERE updated.id = previous.id
+          RETURNING updated.person_group_id, previous.person_group_id AS previous_group_id
+        `,
+        [
+          description.naturalSummary,
+          JSON.stringify(description.schema),
+          personGroupId || null,
+          groupingProbabilityForUpdate,
+          groupingExplanationPackedForUpdate,
+          id,
+          description.promptVersion
+        ]
+      );
+      const updated = result.rows?.[0];
+      if (!updated) {
+        return;
+      }
+      // A stale vector would keep placing the selection where its old description was.
+      await storeSelectionEmbedding(client, id, embedding);
+      // The new description may change the group's canonical profile even when membership stays put.
+      await recordGroupMembership(client, {
+        selectionId: id,
+        groupId: updated.person_group_id,
+        previousGroupId: updated.previous_group_id,
+        source: 'update-description',
+        details: { probability: groupingProbabilityForUpdate }
+      });
+      let decision = 'kept';
+      if (row.assignment_pinned) {
+        decision = 'pinned';
+      } else if (!updated.previous_group_id && updated.person_group_id) {
+        decision = 'assigned';
+      }
+      await recordGroupingDecision(client, {
+        selectionId: id,
+        trigger: 'update-description',
+        decision,
+        personGroupId: updated.person_group_id,
+        previousGroupId: updated.previous_group_id,
+        proposedGroupId,
+        probability: groupingProbabilityForUpdate,
+        inputs: {
+          description: description.schema,
+          descriptionClarity: newSchemaClarity,
+          capturedAt: selectionCapturedAtIso,
+          location: row.location || null,
+          visionEnabled: true,
+          groupsScored,
+          candidateScores,
+          candidatePreselection: row.assignment_pinned ? null : summarizePreselection(preselection, embedding)
+        },
+        shortlist,
+        bestCandidate: row.assignment_pinned ? null : bestCandidateSummaryForResponse,
+        vision: visionOutcome,
+        versions: describeDecisionVersions({
+          descriptionPromptVersion: description.promptVersion,
+          visionOutcome,
+          embedding
+        }),
+        explanation: row.assignment_pinned ? null : groupingExplanationTextForResponse,
+        error: groupingFailure
+      });
+    });
   } catch (error) {
     console.error('Failed to store updated description for single selection:', {
       id,
@@ -330,6 +443,7 @@ exports.handler = async (event) => {
       id,
       description: description.naturalSummary,
       descriptionClarity: newSchemaClarity,
+      descriptionPromptVersion: description.promptVersion,
       groupingProbability: groupingProbabilityForUpdate ?? row.grouping_probability ?? null,
       groupingExplanation: groupingExplanationTextForResponse,
       groupingExplanationDetails: groupingExplanationDetailsForResponse,
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+'use strict';
+
+const {
+  getDatabasePool,
+  ANALYSES_TABLE_NAME,
+  CAMERA_SELECTIONS_TABLE_NAME,
+  SINGLE_CAMERA_SELECTIONS_TABLE_NAME
+} = require('../netlify/functions/shared/db.js');
+const { getMigrationStatus } = require('../netlify/functions/shared/migrations.js');
+const {
+  saveImageDataUrl,
+  buildImageUrl
+} = require('../netlify/functions/shared/image-store.js');
+const {
+  packExplanationWithDetails,
+  unpackExplanationWithDetails
+} = require('../netlify/functions/shared/grouping-explanation.js');
+
+const TABLES = {
+  analyses: ANALYSES_TABLE_NAME,
+  selections: CAMERA_SELECTIONS_TABLE_NAME,
+  single: SINGLE_CAMERA_SELECTIONS_TABLE_NAME
+};
+
+function printHelp(exitCode = 0) {
+  const helpText = `
+Usage: node scripts/backfill-image-store.js [options]
+
+Moves inline image_data_url values into the image store, sets image_key and clears the
+inline copy. For single selections it also rewrites representative images embedded in
+grouping explanations to image-store URLs.
+
+Options:
+  --table <analyses|selections|single>  Only backfill one table (default: all three).
+  --batch-size <n>                      Rows per batch (default: 25).
+  --keep-inline                         Set image_key but leave image_data_url in place.
+  --dry-run                             Count rows that would be backfilled and exit.
+  -h, --help                            Show this help message.
+
+Environment variables:
+  DATABASE_URL or NETLIFY_DATABASE_URL  Postgres connection string (required)
+  IMAGE_STORE, IMAGE_STORE_DIR, IMAGE_STORE_S3_*
+                                        Image store configuration (see README)
+`.trim();
+
+  console.log(helpText);
+  process.exit(exitCode);
+}
+
+function parseArgs(argv) {
+  const options = {
+    tables: Object.keys(TABLES),
+    batchSize: 25,
+    keepInline: false,
+    dryRun: false
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '-h' || arg === '--help') {
+      printHelp(0);
+    } else if (arg === '--table') {
+      const table = argv[index + 1];
+      if (!TABLES[table]) {
+        console.error(`Unknown --table "${table}".`);
+        printHelp(1);
+      }
+      options.tables = [table];
+      index += 1;
+    } else if (arg === '--batch-size') {
+      const size = Number(argv[index + 1]);
+      if (!Number.isInteger(size) || size <= 0) {
+        console.error('--batch-size expects a positive integer.');
+        printHelp(1);
+      }
+      options.batchSize = size;
+      index += 1;
+    } else if (arg === '--keep-inline') {
+      options.keepInline = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      console.error(`Unknown option ${arg}.`);
+      printHelp(1);
+    }
+  }
+
+  return options;
+}
+
+async function rewriteExplanationImages(explanation) {
+  const unpacked = unpackExplanationWithDetails(explanation || '');
+  const candidate = unpacked.details?.bestCandidate;
+  const inline = candidate?.representativeImage;
+  if (typeof inline !== 'string' || !inline.startsWith('data:')) {
+    return null;
+  }
+  const stored = await saveImageDataUrl(inline);
+  candidate.representativeImage = buildImageUrl(stored.key);
+  return packExplanationWithDetails(unpacked.explanation, unpacked.details);
+}
+
+async function backfillTable(pool, label, options) {
+  const tableName = TABLES[label];
+  const pendingResult = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM ${tableName} WHERE image_key IS NULL AND image_data_url IS NOT NULL`
+  );
+  const pending = pendingResult.rows?.[0]?.count ?? 0;
+  console.log(`${tableName}: ${pending} row${pending === 1 ? '' : 's'} with inline images.`);
+  if (options.dryRun || !pending) {
+    return { moved: 0, failed: 0 };
+  }
+
+  let moved = 0;
+  let failed = 0;
+  let lastId = 0;
+
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const batch = await pool.query(
+      `
+        SELECT id, image_data_url
+        FROM ${tableName}
+        WHERE image_key IS NULL
+          AND image_data_url IS NOT NULL
+          AND id > $1
+        ORDER BY id
+        LIMIT $2
+      `,
+      [lastId, options.batchSize]
+    );
+    if (!batch.rows.length) {
+      break;
+    }
+
+    for (const row of batch.rows) {
+      lastId = Number(row.id);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const stored = await saveImageDataUrl(row.image_data_url);
+        // eslint-disable-next-line no-await-in-loop
+        await pool.query(
+          `
+            UPDATE ${tableName}
+            SET image_key = $1,
+                image_data_url = CASE WHEN $2 THEN image_data_url ELSE NULL END
+            WHERE id = $3
+          `,
+          [stored.key, options.keepInline, row.id]
+        );
+        moved += 1;
+      } catch (error) {
+        failed += 1;
+        console.error(`Failed to backfill ${tableName} row ${row.id}.`, {
+          message: error?.message,
+          code: error?.code
+        });
+      }
+    }
+
+    console.log(`  ${tableName}: ${moved}/${pending} moved${failed ? `, ${failed} failed` : ''}.`);
+  }
+
+  return { moved, failed };
+}
+
+async function backfillExplanations(pool, options) {
+  const tableName = TABLES.single;
+  let rewritten = 0;
+  let lastId = 0;
+
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const batch = await pool.query(
+      `
+        SELECT id, grouping_explanation
+        FROM ${tableName}
+        WHERE grouping_explanation LIKE '%"representativeImage":"data:%'
+          AND id > $1
+        ORDER BY id
+        LIMIT $2
+      `,
+      [lastId, options.batchSize]
+    );
+    if (!batch.rows.length) {
+      break;
+    }
+
+    for (const row of batch.rows) {
+      lastId = Number(row.id);
+      if (options.dryRun) {
+        rewritten += 1;
+        continue;
+      }
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const packed = await rewriteExplanationImages(row.grouping_explanation);
+        if (packed) {
+          // eslint-disable-next-line no-await-in-loop
+          await pool.query(
+            `UPDATE ${tableName} SET grouping_explanation = $1 WHERE id = $2`,
+            [packed, row.id]
+          );
+          rewritten += 1;
+        }
+      } catch (error) {
+        console.error(`Failed to rewrite grouping explanation for ${tableName} row ${row.id}.`, {
+          message: error?.message
+        });
+      }
+    }
+  }
+
+  console.log(`${tableName}: ${options.dryRun ? 'would rewrite' : 'rewrote'} ${rewritten} grouping explanation${rewritten === 1 ? '' : 's'} with inline representative images.`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    console.error('DATABASE_URL or NETLIFY_DATABASE_URL must be set to run this script.');
+    process.exit(1);
+  }
+
+  try {
+    const status = await getMigrationStatus(pool);
+    if (status.pending.length) {
+      console.error('Database schema is out of date. Run "node scripts/migrate.js up" first.');
+      process.exitCode = 1;
+      return;
+    }
+
+    let failed = 0;
+    for (const label of options.tables) {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await backfillTable(pool, label, options);
+      failed += result.failed;
+    }
+    if (options.tables.includes('single')) {
+      await backfillExplanations(pool, options);
+    }
+
+    if (failed) {
+      console.error(`⚠️ ${failed} row${failed === 1 ? '' : 's'} could not be backfilled; re-run to retry.`);
+      process.exitCode = 1;
+    } else {
+      console.log(options.dryRun ? 'Dry run complete.' : '✅ Backfill complete.');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Unexpected error while backfilling the image store:', error);
+  process.exit(1);
+});
@@ -0,0 +1,550 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { TRAIT_NAMES } = require('../netlify/functions/shared/trait-scoring.js');
+
+const IMAGE_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+// EXIF sits at the start of a JPEG; js/exif.js scans the same window.
+const EXIF_SCAN_BYTES = 256 * 1024;
+
+
+function printHelp(exitCode = 0) {
+  const helpText = `
+Usage: node scripts/benchmark-grouping.js <labelled-dir> [options]
+
+Runs every photo in <labelled-dir> through the single-selection grouping pipeline
+(generateStablePersonDescription -> evaluateDescriptionGrouping -> verifyShortlistWithVision)
+in capture order and scores the resulting groups against the true identities.
+
+<labelled-dir> must contain one sub-directory per person; the sub-directory name is the
+identity label and every image inside it (.jpg, .jpeg, .png, .webp) is a photo of that person.
+
+Options:
+  --order <capture|mtime|name>
+                              Processing order: EXIF capture time, falling back to the file
+                              modification time (default), modification time only, or file path.
+  --trait-threshold <0-1>     Override STABLE_TRAIT_THRESHOLD for this run.
+  --vision-similarity <0-100> Override VISION_ACCEPT_SIMILARITY for this run.
+  --vision-confidence <high|any>
+                              Override VISION_ACCEPT_CONFIDENCE for this run.
+  --no-vision                 Skip vision verification and auto-assign the top shortlist entry,
+                              like store-single-selection does when the vision toggle is off.
+  --limit <n>                 Only process the first n photos (after ordering).
+  --json <file>               Also write the full report as JSON.
+  -h, --help                  Show this help message.
+
+Environment variables:
+  VISION_PROVIDER, LLOOKER_RECORD_DIR, LLOOKER_REPLAY_DIR and the usual OpenAI settings
+  select the model backend. Use LLOOKER_REPLAY_DIR to re-run a benchmark offline while
+  sweeping thresholds.
+`.trim();
+
+  console.log(helpText);
+  process.exit(exitCode);
+}
+
+function parseArgs(argv) {
+  const options = {
+    dir: null,
+    order: 'capture',
+    traitThreshold: null,
+    visionSimilarity: null,
+    visionConfidence: null,
+    vision: true,
+    limit: null,
+    json: null
+  };
+
+  const readValue = (index, flag) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      console.error(`Missing value for ${flag}.`);
+      printHelp(1);
+    }
+    return value;
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        printHelp(0);
+        break;
+      case '--order':
+        options.order = readValue(index, arg);
+        index += 1;
+        break;
+      case '--trait-threshold':
+        options.traitThreshold = readValue(index, arg);
+        index += 1;
+        break;
+      case '--vision-similarity':
+        options.visionSimilarity = readValue(index, arg);
+        index += 1;
+        break;
+      case '--vision-confidence':
+        options.visionConfidence = readValue(index, arg);
+        index += 1;
+        break;
+      case '--no-vision':
+        options.vision = false;
+        break;
+      case '--limit':
+        options.limit = Number(readValue(index, arg));
+        index += 1;
+        break;
+      case '--json':
+        options.json = readValue(index, arg);
+        index += 1;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          console.error(`Unknown option ${arg}.`);
+          printHelp(1);
+        }
+        options.dir = arg;
+    }
+  }
+
+  if (!options.dir) {
+    console.error('A labelled photo directory is required.');
+    printHelp(1);
+  }
+  if (!['capture', 'mtime', 'name'].includes(options.order)) {
+    console.error(`Unsupported --order "${options.order}". Use "capture", "mtime" or "name".`);
+    printHelp(1);
+  }
+
+  return options;
+}
+
+// Thresholds are read from the environment when the shared modules load,
+// so overrides must be applied before they are required.
+function applyThresholdOverrides(options) {
+  if (options.traitThreshold !== null) {
+    process.env.STABLE_TRAIT_THRESHOLD = String(options.traitThreshold);
+  }
+  if (options.visionSimilarity !== null) {
+    process.env.VISION_ACCEPT_SIMILARITY = String(options.visionSimilarity);
+  }
+  if (options.visionConfidence !== null) {
+    process.env.VISION_ACCEPT_CONFIDENCE = String(options.visionConfidence);
+  }
+}
+
+function readFileHead(filePath, byteCount) {
+  const handle = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(byteCount);
+    const bytesRead = fs.readSync(handle, buffer, 0, byteCount, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(handle);
+  }
+}
+
+// Capture time and GPS come from the EXIF block, like scripts/ingest.js, so the
+// time-and-place priors see the same inputs as a real import. Photos without an
+// EXIF capture time fall back to the file modification time.
+function readSampleMetadata(filePath, contentType, mtimeMs, exif) {
+  const headDataUrl = `data:${contentType};base64,${readFileHead(filePath, EXIF_SCAN_BYTES).toString('base64')}`;
+  const exifCapturedAt = exif.extractCaptureTimeFromDataUrl(headDataUrl);
+  return {
+    capturedAt: exifCapturedAt || new Date(mtimeMs).toISOString(),
+    capturedAtSource: exifCapturedAt ? 'exif' : 'mtime',
+    location: exif.extractGpsLocationFromDataUrl(headDataUrl)
+  };
+}
+
+function collectSamples(rootDir, order, exif) {
+  const samples = [];
+  const entries = fs.readdirSync(rootDir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+    const label = entry.name;
+    const labelDir = path.join(rootDir, label);
+    for (const fileName of fs.readdirSync(labelDir)) {
+      const extension = path.extname(fileName).toLowerCase();
+      if (!IMAGE_CONTENT_TYPES[extension]) {
+        continue;
+      }
+      const filePath = path.join(labelDir, fileName);
+      const stats = fs.statSync(filePath);
+      if (!stats.isFile()) {
+        continue;
+      }
+      samples.push({
+        label,
+        filePath,
+        relativePath: path.relative(rootDir, filePath),
+        contentType: IMAGE_CONTENT_TYPES[extension],
+        mtimeMs: stats.mtimeMs,
+        ...readSampleMetadata(filePath, IMAGE_CONTENT_TYPES[extension], stats.mtimeMs, exif)
+      });
+    }
+  }
+
+  samples.sort((a, b) => {
+    if (order === 'capture' && a.capturedAt !== b.capturedAt) {
+      return a.capturedAt.localeCompare(b.capturedAt);
+    }
+    if (order === 'mtime' && a.mtimeMs !== b.mtimeMs) {
+      return a.mtimeMs - b.mtimeMs;
+    }
+    return a.relativePath.localeCompare(b.relativePath);
+  });
+
+  return samples;
+}
+
+function readImageAsDataUrl(sample) {
+  const base64 = fs.readFileSync(sample.filePath).toString('base64');
+  return `data:${sample.contentType};base64,${base64}`;
+}
+
+function majorityLabel(labels) {
+  const counts = new Map();
+  for (const label of labels) {
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+  let best = null;
+  let bestCount = 0;
+  for (const [label, count] of counts.entries()) {
+    if (count > bestCount) {
+      best = label;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function computePairwiseMetrics(assignments) {
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+  let trueNegatives = 0;
+
+  for (let i = 0; i < assignments.length; i += 1) {
+    for (let j = i + 1; j < assignments.length; j += 1) {
+      const sameLabel = assignments[i].label === assignments[j].label;
+      const sameGroup = assignments[i].groupId === assignments[j].groupId;
+      if (sameLabel && sameGroup) truePositives += 1;
+      else if (!sameLabel && sameGroup) falsePositives += 1;
+      else if (sameLabel && !sameGroup) falseNegatives += 1;
+      else trueNegatives += 1;
+    }
+  }
+
+  const precision = ratio(truePositives, truePositives + falsePositives);
+  const recall = ratio(truePositives, truePositives + falseNegatives);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? Math.round(((2 * precision * recall) / (precision + recall)) * 1000) / 1000
+    : null;
+
+  return {
+    truePositives,
+    falsePositives,
+    falseNegatives,
+    trueNegatives,
+    precision,
+    recall,
+    f1
+  };
+}
+
+function computeClusterMetrics(assignments) {
+  const clusters = new Map();
+  const identities = new Map();
+
+  for (const assignment of assignments) {
+    const clusterKey = String(assignment.groupId);
+    if (!clusters.has(clusterKey)) clusters.set(clusterKey, []);
+    clusters.get(clusterKey).push(assignment.label);
+
+    if (!identities.has(assignment.label)) identities.set(assignment.label, new Set());
+    identities.get(assignment.label).add(clusterKey);
+  }
+
+  let majorityTotal = 0;
+  const overMerged = [];
+  for (const [groupId, labels] of clusters.entries()) {
+    const majority = majorityLabel(labels);
+    majorityTotal += labels.filter((label) => label === majority).length;
+    const distinct = new Set(labels);
+    if (distinct.size > 1) {
+      overMerged.push({ groupId, identities: Array.from(distinct).sort(), size: labels.length });
+    }
+  }
+
+  const overSplit = [];
+  let extraClusters = 0;
+  for (const [label, groupIds] of identities.entries()) {
+    if (groupIds.size > 1) {
+      overSplit.push({ identity: label, groups: Array.from(groupIds).sort() });
+      extraClusters += groupIds.size - 1;
+    }
+  }
+
+  return {
+    photos: assignments.length,
+    identities: identities.size,
+    clusters: clusters.size,
+    purity: ratio(majorityTotal, assignments.length),
+    overSplitting: {
+      identitiesSplit: overSplit.length,
+      extraClusters,
+      details: overSplit
+    },
+    overMerging: {
+      mergedClusters: overMerged.length,
+      details: overMerged
+    }
+  };
+}
+
+function createTraitStats() {
+  const stats = {
+    samePairs: 0,
+    differentPairs: 0,
+    traits: {}
+  };
+  for (const trait of TRAIT_NAMES) {
+    stats.traits[trait] = { matchesSame: 0, matchesDifferent: 0 };
+  }
+  return stats;
+}
+
+function summariseTraitStats(stats) {
+  return TRAIT_NAMES.map((trait) => {
+    const entry = stats.traits[trait];
+    const sameRate = ratio(entry.matchesSame, stats.samePairs);
+    const differentRate = ratio(entry.matchesDifferent, stats.differentPairs);
+    return {
+      trait,
+      matchRateSamePerson: sameRate,
+      matchRateDifferentPerson: differentRate,
+      lift: sameRate !== null && differentRate !== null
+        ? Math.round((sameRate - differentRate) * 1000) / 1000
+        : null
+    };
+  }).sort((a, b) => (b.lift ?? -Infinity) - (a.lift ?? -Infinity));
+}
+
+function formatMetric(value) {
+  return value === null || value === undefined ? 'n/a' : String(value);
+}
+
+function printReport(report) {
+  const { thresholds, pairwise, clusters, traits, pipeline } = report;
+  console.log('\nGrouping benchmark');
+  console.log(`  photos: ${clusters.photos}, identities: ${clusters.identities}, predicted groups: ${clusters.clusters}`);
+  console.log(`  thresholds: STABLE_TRAIT_THRESHOLD=${thresholds.stableTraitThreshold}, VISION_ACCEPT_SIMILARITY=${thresholds.visionAcceptSimilarity}, VISION_ACCEPT_CONFIDENCE=${thresholds.visionAcceptConfidence}, vision=${thresholds.visionEnabled ? 'on' : 'off'}`);
+  console.log(`  pipeline: ${pipeline.descriptionFailures} description failures, ${pipeline.visionComparisons} vision comparisons, ${pipeline.visionErrors} vision errors`);
+
+  console.log('\nPairwise');
+  console.log(`  precision ${formatMetric(pairwise.precision)}  recall ${formatMetric(pairwise.recall)}  F1 ${formatMetric(pairwise.f1)}`);
+  console.log(`  TP ${pairwise.truePositives}  FP ${pairwise.falsePositives}  FN ${pairwise.falseNegatives}  TN ${pairwise.trueNegatives}`);
+
+  console.log('\nClusters');
+  console.log(`  purity ${formatMetric(clusters.purity)}`);
+  console.log(`  over-splitting: ${clusters.overSplitting.identitiesSplit} identities split into ${clusters.overSplitting.extraClusters} extra groups`);
+  clusters.overSplitting.details.forEach((entry) => {
+    console.log(`    ${entry.identity}: groups ${entry.groups.join(', ')}`);
+  });
+  console.log(`  over-merging: ${clusters.overMerging.mergedClusters} groups mix identities`);
+  clusters.overMerging.details.forEach((entry) => {
+    console.log(`    group ${entry.groupId} (${entry.size} photos): ${entry.identities.join(', ')}`);
+  });
+
+  console.log('\nPer-trait contribution (match rate same person vs different person)');
+  traits.forEach((entry) => {
+    console.log(`  ${entry.trait.padEnd(13)} same ${formatMetric(entry.matchRateSamePerson).padEnd(6)} different ${formatMetric(entry.matchRateDifferentPerson).padEnd(6)} lift ${formatMetric(entry.lift)}`);
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  applyThresholdOverrides(options);
+
+  const {
+    generateStablePersonDescription,
+    evaluateDescriptionGrouping,
+    checkStableCompatibility,
+    STABLE_TRAIT_THRESHOLD
+  } = require('../netlify/functions/shared/single-description.js');
+  const {
+    verifyShortlistWithVision,
+    VISION_ACCEPT_SIMILARITY,
+    VISION_ACCEPT_CONFIDENCE
+  } = require('../netlify/functions/shared/vision-verification.js');
+  const { collectGroupsWithRepresentatives } = require('../netlify/functions/shared/grouping-helpers.js');
+
+  const rootDir = path.resolve(options.dir);
+  if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+    console.error(`Not a directory: ${rootDir}`);
+    process.exit(1);
+  }
+
+  // js/package.json marks the browser modules as ESM, so Node loads them without guessing.
+  const exif = await import(pathToFileURL(path.join(__dirname, '..', 'js', 'exif.js')).href);
+  let samples = collectSamples(rootDir, options.order, exif);
+  if (Number.isFinite(options.limit) && options.limit > 0) {
+    samples = samples.slice(0, options.limit);
+  }
+  if (!samples.length) {
+    console.error(`No labelled images found under ${rootDir}.`);
+    process.exit(1);
+  }
+
+  const rows = [];
+  const groupLabels = new Map();
+  const assignments = [];
+  const traitStats = createTraitStats();
+  const pipeline = {
+    descriptionFailures: 0,
+    visionComparisons: 0,
+    visionErrors: 0
+  };
+  let nextGroupId = 1;
+
+  for (const [index, sample] of samples.entries()) {
+    const imageDataUrl = readImageAsDataUrl(sample);
+    const capturedAtIso = sample.capturedAt;
+    // eslint-disable-next-line no-await-in-loop
+    const description = await generateStablePersonDescription(imageDataUrl);
+
+    let groupId = null;
+    let decision = 'new_group';
+
+    if (description && description.schema) {
+      const { groups, groupsMap } = collectGroupsWithRepresentatives(rows);
+
+      for (const group of groups) {
+        const compatibility = checkStableCompatibility(description.schema, group.group_canonical);
+        const sameIdentity = majorityLabel(groupLabels.get(String(group.group_id)) || []) === sample.label;
+        if (sameIdentity) traitStats.samePairs += 1;
+        else traitStats.differentPairs += 1;
+        const matched = compatibility.compatible ? compatibility.matchedTraits || [] : [];
+        for (const trait of matched) {
+          if (!traitStats.traits[trait]) continue;
+          if (sameIdentity) traitStats.traits[trait].matchesSame += 1;
+          else traitStats.traits[trait].matchesDifferent += 1;
+        }
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const grouping = await evaluateDescriptionGrouping(description.schema, groups, {
+        capturedAt: capturedAtIso,
+        location: sample.location
+      });
+      const shortlist = Array.isArray(grouping.shortlist) ? grouping.shortlist : [];
+
+      if (shortlist.length && options.vision) {
+        // eslint-disable-next-line no-await-in-loop
+        const visionOutcome = await verifyShortlistWithVision({
+          shortlist,
+          newSelection: {
+            imageDataUrl,
+            descriptionSchema: description.schema,
+            capturedAt: capturedAtIso,
+            location: sample.location
+          },
+          groupsById: groupsMap
+        });
+        const comparisons = Array.isArray(visionOutcome?.comparisons) ? visionOutcome.comparisons : [];
+        pipeline.visionComparisons += comparisons.reduce((sum, comparison) => (
+          sum + (comparison.references || []).filter((reference) => !reference.skipped).length
+        ), 0);
+        if (visionOutcome?.error) {
+          pipeline.visionErrors += 1;
+        }
+        if (visionOutcome?.approvedGroupId) {
+          groupId = visionOutcome.approvedGroupId;
+          decision = 'vision_approved';
+        }
+      } else if (shortlist.length) {
+        groupId = shortlist[0].groupId;
+        decision = 'auto_assigned';
+      }
+    } else {
+      pipeline.descriptionFailures += 1;
+    }
+
+    if (!groupId) {
+      groupId = nextGroupId;
+      nextGroupId += 1;
+    }
+
+    const groupKey = String(groupId);
+    if (!groupLabels.has(groupKey)) groupLabels.set(groupKey, []);
+    groupLabels.get(groupKey).push(sample.label);
+
+    if (description && description.schema) {
+      rows.push({
+        id: index + 1,
+        person_group_id: groupId,
+        description_json: description.schema,
+        image_data_url: imageDataUrl,
+        captured_at: capturedAtIso,
+        location: sample.location,
+        created_at: capturedAtIso
+      });
+    }
+
+    assignments.push({
+      file: sample.relativePath,
+      label: sample.label,
+      capturedAt: capturedAtIso,
+      capturedAtSource: sample.capturedAtSource,
+      groupId,
+      decision
+    });
+    console.log(`[${index + 1}/${samples.length}] ${sample.relativePath} -> group ${groupId} (${decision})`);
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    directory: rootDir,
+    thresholds: {
+      stableTraitThreshold: STABLE_TRAIT_THRESHOLD,
+      visionAcceptSimilarity: VISION_ACCEPT_SIMILARITY,
+      visionAcceptConfidence: VISION_ACCEPT_CONFIDENCE,
+      visionEnabled: options.vision
+    },
+    pipeline,
+    pairwise: computePairwiseMetrics(assignments),
+    clusters: computeClusterMetrics(assignments),
+    traits: summariseTraitStats(traitStats),
+    assignments
+  };
+
+  printReport(report);
+
+  if (options.json) {
+    const outputPath = path.resolve(options.json);
+    fs.writeFileSync(outputPath, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`\nFull report written to ${outputPath}`);
+  }
+
+  return report;
+}
+
+main().catch((error) => {
+  console.error('Grouping benchmark failed:', error);
+  process.exit(1);
+});
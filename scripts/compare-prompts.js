@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('node:fs');
+const { getDatabasePool, SINGLE_CAMERA_SELECTIONS_TABLE_NAME } = require('../netlify/functions/shared/db.js');
+const { getMigrationStatus } = require('../netlify/functions/shared/migrations.js');
+const {
+  getPrompt,
+  getActivePromptVersion,
+  listPromptVersions
+} = require('../netlify/functions/shared/prompts/index.js');
+const {
+  generateStablePersonDescription,
+  evaluateDescriptionGrouping,
+  computeSchemaClarity
+} = require('../netlify/functions/shared/single-description.js');
+const { loadGroupCandidates } = require('../netlify/functions/shared/person-group.js');
+const { resolveRowImageDataUrl } = require('../netlify/functions/shared/image-store.js');
+const { isKnown, normalizeValue } = require('../netlify/functions/shared/trait-scoring.js');
+
+// Structured fields compared between the two versions' descriptions.
+const COMPARED_FIELDS = [
+  'gender',
+  'age_range',
+  'build',
+  'height',
+  'skin_tone',
+  'hair_color',
+  'hair_length',
+  'facial_hair',
+  'top_color',
+  'bottom_color',
+  'shoes_color',
+  'jacket_color'
+];
+
+function printHelp(exitCode = 0) {
+  const helpText = `
+Usage: node scripts/compare-prompts.js --b <version> [options]
+
+Describes a stored sample of single selections with two single-description prompt
+versions and compares them: how often each structured field agrees, how many fields
+each version leaves "unknown", description clarity, and where the stable-trait
+grouping step would place each photo. Grouping is scored against the photo's current
+group (pinned photos were placed or confirmed by a person, so they are reported
+separately). Vision verification is not run; the grouping outcome is the trait shortlist.
+
+Options:
+  --a <version>          Baseline version (default: the active version).
+  --b <version>          Candidate version (required).
+  --sample <n>           Number of described selections to use (default 20). The sample
+                         is a fixed spread over selection ids, so repeated runs reuse it.
+  --json <file>          Also write the full report, including every description, as JSON.
+  --list                 List the registered versions and exit.
+  -h, --help             Show this help message.
+
+Environment variables:
+  DATABASE_URL or NETLIFY_DATABASE_URL  Postgres connection string (required)
+  VISION_PROVIDER and provider keys     Used for the descriptions (LLOOKER_REPLAY_DIR works too)
+`.trim();
+
+  console.log(helpText);
+  process.exit(exitCode);
+}
+
+function parseArgs(argv) {
+  const options = { a: null, b: null, sample: 20, json: null, list: false };
+
+  const readValue = (index, flag) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      console.error(`Missing value for ${flag}.`);
+      printHelp(1);
+    }
+    return value;
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        printHelp(0);
+        break;
+      case '--a':
+        options.a = readValue(index, arg);
+        index += 1;
+        break;
+      case '--b':
+        options.b = readValue(index, arg);
+        index += 1;
+        break;
+      case '--sample':
+        options.sample = Number(readValue(index, arg));
+        index += 1;
+        break;
+      case '--json':
+        options.json = readValue(index, arg);
+        index += 1;
+        break;
+      case '--list':
+        options.list = true;
+        break;
+      default:
+        console.error(`Unknown option ${arg}.`);
+        printHelp(1);
+    }
+  }
+
+  if (options.list) {
+    return options;
+  }
+  options.a = options.a || getActivePromptVersion('single-description');
+  if (!options.b) {
+    console.error('--b is required.');
+    printHelp(1);
+  }
+  if (options.a === options.b) {
+    console.error('--a and --b must name different versions.');
+    printHelp(1);
+  }
+  if (!Number.isInteger(options.sample) || options.sample <= 0) {
+    console.error('--sample expects a positive integer.');
+    printHelp(1);
+  }
+  try {
+    getPrompt('single-description', options.a);
+    getPrompt('single-description', options.b);
+  } catch (error) {
+    console.error(error.message);
+    printHelp(1);
+  }
+  return options;
+}
+
+function listVersions() {
+  listPromptVersions().forEach((entry) => {
+    console.log(`${entry.task} (active: ${entry.active}, override with ${entry.envKey})`);
+    entry.versions.forEach((version) => {
+      console.log(`  ${version.version.padEnd(14)} ${version.description || ''}`);
+    });
+  });
+}
+
+// md5 ordering spreads the sample over old and new selections but stays stable
+// between runs, so recordings and cache entries from a previous run are reused.
+async function loadSample(pool, size) {
+  const result = await pool.query(
+    `
+      SELECT id,
+             person_group_id,
+             assignment_pinned,
+             COALESCE(captured_at, created_at) AS captured_at,
+             location,
+             image_key,
+             CASE WHEN image_key IS NULL THEN image_data_url END AS image_data_url,
+             description_prompt_version
+      FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+      WHERE description_json IS NOT NULL
+      ORDER BY md5(id::text)
+      LIMIT $1
+    `,
+    [size]
+  );
+  return result.rows || [];
+}
+
+function unknownFields(schema) {
+  return COMPARED_FIELDS.filter((field) => !isKnown(schema[field]));
+}
+
+// join_top: the current group tops the shortlist; join_shortlisted: it is on the
+// shortlist below another group; other_group / new_group: it is missing.
+function classifyGrouping(grouping, currentGroupId, currentGroupExists) {
+  const shortlist = Array.isArray(grouping.shortlist) ? grouping.shortlist : [];
+  const index = shortlist.findIndex((entry) => Number(entry.groupId) === Number(currentGroupId));
+  let outcome = 'new_group';
+  if (index === 0) {
+    outcome = 'join_top';
+  } else if (index > 0) {
+    outcome = 'join_shortlisted';
+  } else if (shortlist.length) {
+    outcome = 'other_group';
+  }
+  const correct = currentGroupExists ? outcome === 'join_top' : outcome === 'new_group';
+  return {
+    outcome,
+    correct,
+    topGroupId: shortlist[0]?.groupId ?? null,
+    topScore: shortlist[0]?.matchRatio ?? null
+  };
+}
+
+async function describeWith(version, imageDataUrl, groups, context, currentGroupId, currentGroupExists) {
+  const description = await generateStablePersonDescription(imageDataUrl, { promptVersion: version });
+  if (!description?.schema) {
+    return { ok: false };
+  }
+  const grouping = await evaluateDescriptionGrouping(description.schema, groups, context);
+  return {
+    ok: true,
+    schema: description.schema,
+    clarity: computeSchemaClarity(description.schema),
+    unknown: unknownFields(description.schema),
+    grouping: classifyGrouping(grouping, currentGroupId, currentGroupExists)
+  };
+}
+
+function round(value, digits = 3) {
+  if (value === null || !Number.isFinite(value)) {
+    return null;
+  }
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function summariseVersion(version, results) {
+  const described = results.filter((entry) => entry.ok);
+  const grouped = (subset) => {
+    const outcomes = {};
+    subset.forEach((entry) => {
+      outcomes[entry.grouping.outcome] = (outcomes[entry.grouping.outcome] || 0) + 1;
+    });
+    return {
+      photos: subset.length,
+      accuracy: round(subset.length ? subset.filter((entry) => entry.grouping.correct).length / subset.length : null),
+      outcomes
+    };
+  };
+  return {
+    version,
+    described: described.length,
+    failures: results.length - described.length,
+    meanClarity: round(mean(described.map((entry) => entry.clarity)), 1),
+    meanUnknownFields: round(mean(described.map((entry) => entry.unknown.length)), 2),
+    grouping: grouped(described),
+    pinnedGrouping: grouped(described.filter((entry) => entry.pinned))
+  };
+}
+
+function summariseAgreement(pairs) {
+  return COMPARED_FIELDS.map((field) => {
+    let bothKnown = 0;
+    let agree = 0;
+    let knownOnlyInA = 0;
+    let knownOnlyInB = 0;
+    pairs.forEach(({ a, b }) => {
+      const knownA = isKnown(a.schema[field]);
+      const knownB = isKnown(b.schema[field]);
+      if (knownA && knownB) {
+        bothKnown += 1;
+        if (normalizeValue(a.schema[field]) === normalizeValue(b.schema[field])) agree += 1;
+      } else if (knownA) {
+        knownOnlyInA += 1;
+      } else if (knownB) {
+        knownOnlyInB += 1;
+      }
+    });
+    return {
+      field,
+      bothKnown,
+      agreement: round(bothKnown ? agree / bothKnown : null),
+      knownOnlyInA,
+      knownOnlyInB
+    };
+  });
+}
+
+function formatMetric(value) {
+  return value === null || value === undefined ? 'n/a' : String(value);
+}
+
+function printReport(report) {
+  const { versions, agreement, pairs } = report;
+  console.log(`\nPrompt comparison: single-description ${versions[0].version} (A) vs ${versions[1].version} (B), ${report.sample} selections`);
+
+  console.log('\nDescriptions');
+  versions.forEach((entry, index) => {
+    console.log(`  ${index ? 'B' : 'A'} ${entry.version.padEnd(14)} described ${entry.described}, failed ${entry.failures}, mean clarity ${formatMetric(entry.meanClarity)}, mean unknown fields ${formatMetric(entry.meanUnknownFields)}`);
+  });
+
+  console.log(`\nField agreement (${pairs.compared} selections described by both)`);
+  agreement.forEach((entry) => {
+    console.log(`  ${entry.field.padEnd(13)} ${formatMetric(entry.agreement).padEnd(6)} of ${String(entry.bothKnown).padStart(3)} known by both; only A ${entry.knownOnlyInA}, only B ${entry.knownOnlyInB}`);
+  });
+
+  console.log('\nGrouping (trait shortlist vs current group)');
+  versions.forEach((entry, index) => {
+    const outcomes = Object.entries(entry.grouping.outcomes).map(([key, count]) => `${key} ${count}`).join(', ');
+    console.log(`  ${index ? 'B' : 'A'} accuracy ${formatMetric(entry.grouping.accuracy)} (${outcomes || 'no photos'}); pinned only ${formatMetric(entry.pinnedGrouping.accuracy)} of ${entry.pinnedGrouping.photos}`);
+  });
+  console.log(`  A and B place ${pairs.sameOutcome} of ${pairs.compared} photos the same way.`);
+  pairs.changed.forEach((entry) => {
+    console.log(`    selection ${entry.selectionId} (group ${entry.currentGroupId}${entry.pinned ? ', pinned' : ''}): A ${entry.a} -> B ${entry.b}`);
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.list) {
+    listVersions();
+    return;
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    console.error('DATABASE_URL or NETLIFY_DATABASE_URL must be set to run this script.');
+    process.exit(1);
+  }
+
+  try {
+    const status = await getMigrationStatus(pool);
+    if (status.pending.length) {
+      console.error('Database schema is out of date. Run "node scripts/migrate.js up" first.');
+      process.exitCode = 1;
+      return;
+    }
+
+    const rows = await loadSample(pool, options.sample);
+    if (!rows.length) {
+      console.error('No described single selections to sample.');
+      process.exitCode = 1;
+      return;
+    }
+
+    const results = { a: [], b: [] };
+    const selections = [];
+    for (const [index, row] of rows.entries()) {
+      // eslint-disable-next-line no-await-in-loop
+      const imageDataUrl = await resolveRowImageDataUrl(row);
+      if (!imageDataUrl) {
+        console.warn(`Skipping selection ${row.id}: image missing.`);
+        continue;
+      }
+      const capturedAt = row.captured_at instanceof Date ? row.captured_at.toISOString() : row.captured_at;
+      // Candidates exclude this photo, the view the pipeline had when it was stored.
+      // eslint-disable-next-line no-await-in-loop
+      const { groups } = await loadGroupCandidates(pool, { excludeSelectionId: row.id, capturedAt });
+      const currentGroupId = row.person_group_id ? Number(row.person_group_id) : null;
+      const currentGroupExists = groups.some((group) => Number(group.group_id) === currentGroupId);
+      const context = { capturedAt, location: row.location || null };
+
+      const entry = { selectionId: Number(row.id), currentGroupId, pinned: Boolean(row.assignment_pinned) };
+      for (const side of ['a', 'b']) {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await describeWith(options[side], imageDataUrl, groups, context, currentGroupId, currentGroupExists);
+        results[side].push({ ...result, pinned: entry.pinned });
+        entry[side] = result;
+      }
+      selections.push(entry);
+      console.log(`[${index + 1}/${rows.length}] selection ${row.id}: A ${entry.a.ok ? entry.a.grouping.outcome : 'failed'}, B ${entry.b.ok ? entry.b.grouping.outcome : 'failed'}`);
+    }
+
+    const both = selections.filter((entry) => entry.a.ok && entry.b.ok);
+    const changed = both
+      .filter((entry) => entry.a.grouping.outcome !== entry.b.grouping.outcome
+        || entry.a.grouping.topGroupId !== entry.b.grouping.topGroupId)
+      .map((entry) => ({
+        selectionId: entry.selectionId,
+        currentGroupId: entry.currentGroupId,
+        pinned: entry.pinned,
+        a: `${entry.a.grouping.outcome}${entry.a.grouping.topGroupId ? ` (group ${entry.a.grouping.topGroupId})` : ''}`,
+        b: `${entry.b.grouping.outcome}${entry.b.grouping.topGroupId ? ` (group ${entry.b.grouping.topGroupId})` : ''}`
+      }));
+
+    const report = {
+      task: 'single-description',
+      sample: selections.length,
+      versions: [summariseVersion(options.a, results.a), summariseVersion(options.b, results.b)],
+      agreement: summariseAgreement(both.map((entry) => ({ a: entry.a, b: entry.b }))),
+      pairs: {
+        compared: both.length,
+        sameOutcome: both.length - changed.length,
+        changed
+      }
+    };
+    printReport(report);
+
+    if (options.json) {
+      fs.writeFileSync(options.json, JSON.stringify({ ...report, selections }, null, 2));
+      console.log(`\nFull report written to ${options.json}`);
+    }
+  } catch (error) {
+    console.error('Prompt comparison failed.', {
+      message: error?.message,
+      stack: error?.stack
+    });
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Unexpected error while comparing prompts:', error);
+  process.exit(1);
+});
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+'use strict';
+
+const {
+  getDatabasePool,
+  withTransaction,
+  SINGLE_CAMERA_SELECTIONS_TABLE_NAME
+} = require('../netlify/functions/shared/db.js');
+const { getMigrationStatus, MIGRATION_TABLES } = require('../netlify/functions/shared/migrations.js');
+const { installEmbeddingColumns } = require('../netlify/functions/shared/migrations/012_selection_embeddings.js');
+const { getEmbedder, computeSelectionEmbedding } = require('../netlify/functions/shared/embeddings.js');
+const { storeSelectionEmbedding, hasEmbeddingColumn } = require('../netlify/functions/shared/embedding-index.js');
+
+function printHelp(exitCode = 0) {
+  const helpText = `
+Usage: node scripts/embed-selections.js [options]
+
+Computes the similarity-index embedding for every described single selection that
+has none from the configured embedder, for example after enabling embeddings or
+switching EMBEDDING_PROVIDER. Until a group has an embedded member, every save
+scores it in full.
+
+Options:
+  --install-index     Add the embedding column and index first. Use this when
+                      pgvector was missing while migration 012 ran.
+  --all               Re-embed every described selection, not only missing ones.
+  --batch-size <n>    Rows per batch (default: 50).
+  --dry-run           Count rows that would be embedded and exit.
+  -h, --help          Show this help message.
+
+Environment variables:
+  DATABASE_URL or NETLIFY_DATABASE_URL  Postgres connection string (required)
+  EMBEDDING_PROVIDER                    local (default) or openai
+  EMBEDDING_MODEL, OPENAI_API_KEY       OpenAI embedder settings
+`.trim();
+
+  console.log(helpText);
+  process.exit(exitCode);
+}
+
+function parseArgs(argv) {
+  const options = { all: false, batchSize: 50, dryRun: false, installIndex: false };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '-h' || arg === '--help') {
+      printHelp(0);
+    } else if (arg === '--install-index') {
+      options.installIndex = true;
+    } else if (arg === '--all') {
+      options.all = true;
+    } else if (arg === '--batch-size') {
+      const size = Number(argv[index + 1]);
+      if (!Number.isInteger(size) || size <= 0) {
+        console.error('--batch-size expects a positive integer.');
+        printHelp(1);
+      }
+      options.batchSize = size;
+      index += 1;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      console.error(`Unknown option ${arg}.`);
+      printHelp(1);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const embedder = getEmbedder();
+  if (!embedder) {
+    console.error('EMBEDDING_PROVIDER is off; nothing to embed.');
+    process.exit(1);
+  }
+  if (!embedder.isConfigured()) {
+    console.error(`Embedder "${embedder.name}" is not configured (missing API key?).`);
+    process.exit(1);
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    console.error('DATABASE_URL or NETLIFY_DATABASE_URL must be set to run this script.');
+    process.exit(1);
+  }
+
+  try {
+    const status = await getMigrationStatus(pool);
+    if (status.pending.length) {
+      console.error('Database schema is out of date. Run "node scripts/migrate.js up" first.');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (options.installIndex && !options.dryRun) {
+      const installed = await withTransaction(pool, (client) => installEmbeddingColumns(client, MIGRATION_TABLES));
+      console.log(installed ? 'Similarity index installed.' : 'Similarity index could not be installed.');
+    }
+    if (!(await hasEmbeddingColumn(pool))) {
+      console.error('The similarity index is not installed (pgvector 0.5 or later was missing when migration 012 ran). Install pgvector, then re-run with --install-index.');
+      process.exitCode = 1;
+      return;
+    }
+
+    // $1 is the embedder name; with --all it is ignored.
+    const pendingFilter = `description_json IS NOT NULL
+          AND ($2::boolean OR embedding_model IS DISTINCT FROM $1)`;
+    const pendingResult = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME} WHERE ${pendingFilter}`,
+      [embedder.name, options.all]
+    );
+    const pending = pendingResult.rows?.[0]?.count ?? 0;
+    console.log(`${pending} selection${pending === 1 ? '' : 's'} to embed with ${embedder.name}.`);
+    if (options.dryRun || !pending) {
+      return;
+    }
+
+    let embedded = 0;
+    let failed = 0;
+    let lastId = 0;
+
+    for (;;) {
+      // eslint-disable-next-line no-await-in-loop
+      const batch = await pool.query(
+        `
+          SELECT id, description_json
+          FROM ${SINGLE_CAMERA_SELECTIONS_TABLE_NAME}
+          WHERE ${pendingFilter}
+            AND id > $3
+          ORDER BY id
+          LIMIT $4
+        `,
+        [embedder.name, options.all, lastId, options.batchSize]
+      );
+      if (!batch.rows.length) {
+        break;
+      }
+
+      for (const row of batch.rows) {
+        lastId = Number(row.id);
+        // eslint-disable-next-line no-await-in-loop
+        const embedding = await computeSelectionEmbedding({ schema: row.description_json }, embedder);
+        if (!embedding) {
+          failed += 1;
+          continue;
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await storeSelectionEmbedding(pool, row.id, embedding);
+        embedded += 1;
+      }
+
+      console.log(`  ${embedded}/${pending} embedded${failed ? `, ${failed} failed` : ''}.`);
+    }
+
+    if (failed) {
+      console.error(`⚠️ ${failed} selection${failed === 1 ? '' : 's'} could not be embedded; re-run to retry.`);
+      process.exitCode = 1;
+    } else {
+      console.log('✅ Embedding backfill complete.');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Unexpected error while embedding selections:', error);
+  process.exit(1);
+});
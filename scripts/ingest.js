@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { pathToFileURL } = require('node:url');
+const { getDatabasePool } = require('../netlify/functions/shared/db.js');
+const { getMigrationStatus } = require('../netlify/functions/shared/migrations.js');
+const { getVisionProvider } = require('../netlify/functions/shared/vision-provider.js');
+const { createConcurrencyLimiter } = require('../netlify/functions/shared/provider-limits.js');
+const {
+  prepareSingleSelection,
+  commitSingleSelection
+} = require('../netlify/functions/shared/single-selection-store.js');
+
+const IMAGE_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+// Same output as the single page: createViewportDataUrl caps the crop at 640 px
+// (JPEG 0.85) and createThumbnailDataUrl makes a 192 px thumbnail (JPEG 0.8).
+const SELECTION_MAX_EDGE = 640;
+const SELECTION_JPEG_QUALITY = 85;
+const THUMBNAIL_MAX_EDGE = 192;
+const THUMBNAIL_JPEG_QUALITY = 80;
+// EXIF sits at the start of a JPEG; js/exif.js scans the same window.
+const EXIF_SCAN_BYTES = 256 * 1024;
+
+function printHelp(exitCode = 0) {
+  const helpText = `
+Usage: node scripts/ingest.js [options] <file|dir>...
+
+Saves photos as single-camera selections through the same code path as
+store-single-selection: describe, group against the existing person groups (with
+vision verification unless --no-vision), insert. Prints the assigned group and
+the grouping explanation for each file.
+
+Capture time and GPS come from the EXIF tags (parsed with js/exif.js); photos
+without a capture time use the file modification time. Each photo is cropped and
+resized like the single page does for a full-frame upload.
+
+Options:
+  --recursive                 Also read images in sub-directories of <dir>.
+  --order <capture|name>      Processing order: capture time (default) or file path.
+  --crop <x,y,width,height>   Keep only this part of every photo, as fractions (0-1).
+  --no-vision                 Assign to the top trait-match candidate instead of asking
+                              the vision provider, like the page's vision toggle.
+  --concurrency <n>           Describe up to n photos at once (default 3). Grouping and
+                              saving always run one photo at a time, in order.
+  --dry-run                   Only list the photos with their capture time and location.
+  --json <file>               Also write the per-file results as JSON.
+  -h, --help                  Show this help message.
+
+Environment variables:
+  DATABASE_URL or NETLIFY_DATABASE_URL  Postgres connection string (required)
+  VISION_PROVIDER and provider keys     Model backend for descriptions and vision checks
+  IMAGE_STORE and its settings          Where the images are stored, as for the functions
+`.trim();
+
+  console.log(helpText);
+  process.exit(exitCode);
+}
+
+function parseCrop(value) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    return null;
+  }
+  const [x, y, width, height] = parts;
+  if (x < 0 || y < 0 || width <= 0 || height <= 0 || x + width > 1 || y + height > 1) {
+    return null;
+  }
+  return { x, y, width, height };
+}
+
+function parseArgs(argv) {
+  const options = {
+    inputs: [],
+    recursive: false,
+    order: 'capture',
+    crop: { x: 0, y: 0, width: 1, height: 1 },
+    vision: true,
+    concurrency: 3,
+    dryRun: false,
+    json: null
+  };
+
+  const readValue = (index, flag) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      console.error(`Missing value for ${flag}.`);
+      printHelp(1);
+    }
+    return value;
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        printHelp(0);
+        break;
+      case '--recursive':
+        options.recursive = true;
+        break;
+      case '--order':
+        options.order = readValue(index, arg);
+        index += 1;
+        break;
+      case '--crop':
+        options.crop = parseCrop(readValue(index, arg));
+        index += 1;
+        if (!options.crop) {
+          console.error('--crop expects four fractions "x,y,width,height" that stay inside the photo.');
+          printHelp(1);
+        }
+        break;
+      case '--no-vision':
+        options.vision = false;
+        break;
+      case '--concurrency':
+        options.concurrency = Number(readValue(index, arg));
+        index += 1;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--json':
+        options.json = readValue(index, arg);
+        index += 1;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          console.error(`Unknown option ${arg}.`);
+          printHelp(1);
+        }
+        options.inputs.push(arg);
+    }
+  }
+
+  if (!options.inputs.length) {
+    console.error('At least one image file or directory is required.');
+    printHelp(1);
+  }
+  if (!['capture', 'name'].includes(options.order)) {
+    console.error(`Unsupported --order "${options.order}". Use "capture" or "name".`);
+    printHelp(1);
+  }
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    console.error('--concurrency expects a positive integer.');
+    printHelp(1);
+  }
+  return options;
+}
+
+function collectImageFiles(inputs, { recursive }) {
+  const files = [];
+  const visit = (entryPath, isTopLevel) => {
+    const stat = fs.statSync(entryPath);
+    if (stat.isDirectory()) {
+      if (!isTopLevel && !recursive) {
+        return;
+      }
+      fs.readdirSync(entryPath)
+        .filter((name) => !name.startsWith('.'))
+        .forEach((name) => visit(path.join(entryPath, name), false));
+      return;
+    }
+    if (IMAGE_CONTENT_TYPES[path.extname(entryPath).toLowerCase()]) {
+      files.push({ filePath: entryPath, mtime: stat.mtime });
+    } else if (isTopLevel) {
+      throw new Error(`${entryPath} is not a .jpg, .jpeg, .png or .webp image.`);
+    }
+  };
+  inputs.forEach((input) => visit(path.resolve(input), true));
+  return files;
+}
+
+function readFileHead(filePath, byteCount) {
+  const handle = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(byteCount);
+    const bytesRead = fs.readSync(handle, buffer, 0, byteCount, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(handle);
+  }
+}
+
+function toDataUrl(buffer, contentType) {
+  return `data:${contentType};base64,${buffer.toString('base64')}`;
+}
+
+// Reads capture time and GPS from the EXIF block only; the pixels are decoded later.
+function readPhotoMetadata(file, exif) {
+  const contentType = IMAGE_CONTENT_TYPES[path.extname(file.filePath).toLowerCase()];
+  const headDataUrl = toDataUrl(readFileHead(file.filePath, EXIF_SCAN_BYTES), contentType);
+  const exifCapturedAt = exif.extractCaptureTimeFromDataUrl(headDataUrl);
+  return {
+    ...file,
+    capturedAt: exifCapturedAt || file.mtime.toISOString(),
+    capturedAtSource: exifCapturedAt ? 'exif' : 'mtime',
+    location: exif.extractGpsLocationFromDataUrl(headDataUrl)
+  };
+}
+
+// sharp is a native dev dependency that only this script needs, so a site install
+// without dev dependencies does not download it. main() loads it before any work
+// (a --dry-run does not render, so it runs without it).
+let sharp = null;
+
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (error) {
+    if (error?.code === 'MODULE_NOT_FOUND') {
+      console.error('scripts/ingest.js needs sharp. Run "npm install --include=dev" first.');
+      process.exit(1);
+    }
+    throw error;
+  }
+}
+
+// Mirrors createViewportDataUrl for a full-frame viewport: orient the photo, keep
+// the crop, cap the longest edge, encode as JPEG. The thumbnail is made from the crop.
+async function renderSelectionImages(filePath, crop) {
+  const oriented = await sharp(filePath).rotate().toBuffer({ resolveWithObject: true });
+  const { width: naturalWidth, height: naturalHeight } = oriented.info;
+  const left = Math.round(crop.x * naturalWidth);
+  const top = Math.round(crop.y * naturalHeight);
+  const region = {
+    left,
+    top,
+    width: Math.max(1, Math.min(naturalWidth - left, Math.round(crop.width * naturalWidth))),
+    height: Math.max(1, Math.min(naturalHeight - top, Math.round(crop.height * naturalHeight)))
+  };
+  if (region.width < 2 || region.height < 2) {
+    throw new Error('Selection area is too small to analyze.');
+  }
+
+  const selection = await sharp(oriented.data)
+    .extract(region)
+    .resize(SELECTION_MAX_EDGE, SELECTION_MAX_EDGE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: SELECTION_JPEG_QUALITY })
+    .toBuffer();
+  const thumbnail = await sharp(selection)
+    .resize(THUMBNAIL_MAX_EDGE, THUMBNAIL_MAX_EDGE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: THUMBNAIL_JPEG_QUALITY })
+    .toBuffer();
+
+  return {
+    imageDataUrl: toDataUrl(selection, 'image/jpeg'),
+    thumbnailDataUrl: toDataUrl(thumbnail, 'image/jpeg'),
+    viewport: {
+      containerWidth: naturalWidth,
+      containerHeight: naturalHeight,
+      naturalWidth,
+      naturalHeight,
+      objectFit: 'contain',
+      transform: { scale: 1, translateX: 0, translateY: 0 },
+      devicePixelRatio: 1,
+      selection: crop
+    }
+  };
+}
+
+async function preparePhoto(photo, options) {
+  const rendered = await renderSelectionImages(photo.filePath, options.crop);
+  const fileHash = crypto.createHash('sha256').update(fs.readFileSync(photo.filePath)).digest('hex');
+  const { x, y, width, height } = options.crop;
+  return prepareSingleSelection({
+    ...rendered,
+    signature: `ingest:${fileHash.slice(0, 16)}|${[x, y, width, height].map((value) => value.toFixed(4)).join('|')}`,
+    capturedAt: photo.capturedAt,
+    location: photo.location,
+    mode: 'single',
+    visionEnabled: options.vision
+  });
+}
+
+function formatLocation(location) {
+  const coordinates = location?.coords;
+  return coordinates ? `${coordinates.latitude.toFixed(5)}, ${coordinates.longitude.toFixed(5)}` : 'no GPS';
+}
+
+function printResult(index, total, photo, selection) {
+  const label = `[${index + 1}/${total}] ${photo.displayPath}`;
+  const groupLabel = selection.createdNewGroupId
+    ? 'new group'
+    : `${selection.groupingProbability ?? '?'}%`;
+  console.log(`${label} -> group ${selection.personGroupId} (${groupLabel})`);
+  if (selection.descriptionError) {
+    console.log(`    Saved without description: ${selection.descriptionError}`);
+  }
+  if (selection.groupingExplanation) {
+    console.log(`    ${selection.groupingExplanation}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.dryRun) {
+    sharp = loadSharp();
+  }
+
+  let photos;
+  try {
+    // js/package.json marks the browser modules as ESM, so Node loads them without guessing.
+    const exif = await import(pathToFileURL(path.join(__dirname, '..', 'js', 'exif.js')).href);
+    photos = collectImageFiles(options.inputs, options).map((file) => readPhotoMetadata(file, exif));
+  } catch (error) {
+    console.error(`Failed to read input photos: ${error.message}`);
+    process.exit(1);
+  }
+  if (!photos.length) {
+    console.error('No .jpg, .jpeg, .png or .webp images found.');
+    process.exit(1);
+  }
+
+  const cwd = process.cwd();
+  photos.forEach((photo) => {
+    photo.displayPath = path.relative(cwd, photo.filePath) || photo.filePath;
+  });
+  photos.sort((a, b) => (options.order === 'capture'
+    ? (a.capturedAt.localeCompare(b.capturedAt) || a.filePath.localeCompare(b.filePath))
+    : a.filePath.localeCompare(b.filePath)));
+
+  if (options.dryRun) {
+    photos.forEach((photo, index) => {
+      console.log(`[${index + 1}/${photos.length}] ${photo.displayPath}  ${photo.capturedAt} (${photo.capturedAtSource})  ${formatLocation(photo.location)}`);
+    });
+    return;
+  }
+
+  if (options.vision && !getVisionProvider().isConfigured()) {
+    console.error('Vision verification is enabled but no vision provider is configured. Configure one or pass --no-vision.');
+    process.exit(1);
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    console.error('DATABASE_URL or NETLIFY_DATABASE_URL must be set to run this script.');
+    process.exit(1);
+  }
+
+  const results = [];
+  try {
+    const status = await getMigrationStatus(pool);
+    if (status.pending.length) {
+      console.error('Database schema is out of date. Run "node scripts/migrate.js up" first.');
+      process.exitCode = 1;
+      return;
+    }
+
+    // Descriptions run ahead in parallel; each photo is grouped only after every
+    // earlier one is saved, so the order above decides the grouping.
+    const limit = createConcurrencyLimiter(options.concurrency);
+    const prepared = photos.map((photo) => {
+      const pending = limit(() => preparePhoto(photo, options));
+      pending.catch(() => {});
+      return pending;
+    });
+
+    for (let index = 0; index < photos.length; index += 1) {
+      const photo = photos[index];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const { selection } = await commitSingleSelection(pool, await prepared[index], {
+          source: 'ingest',
+          triggerDetails: { file: photo.displayPath }
+        });
+        printResult(index, photos.length, photo, selection);
+        results.push({
+          file: photo.displayPath,
+          capturedAt: photo.capturedAt,
+          capturedAtSource: photo.capturedAtSource,
+          location: photo.location,
+          selectionId: selection.id,
+          personGroupId: selection.personGroupId,
+          createdNewGroup: Boolean(selection.createdNewGroupId),
+          groupingProbability: selection.groupingProbability,
+          groupingExplanation: selection.groupingExplanation,
+          descriptionError: selection.descriptionError
+        });
+      } catch (error) {
+        console.error(`[${index + 1}/${photos.length}] ${photo.displayPath} failed: ${error?.message}`);
+        results.push({ file: photo.displayPath, error: error?.message || String(error) });
+        process.exitCode = 1;
+      }
+    }
+
+    const failed = results.filter((result) => result.error).length;
+    const newGroups = results.filter((result) => result.createdNewGroup).length;
+    console.log(`\nIngested ${results.length - failed} of ${photos.length} photos (${newGroups} new groups, ${failed} failed).`);
+
+    if (options.json) {
+      fs.writeFileSync(options.json, `${JSON.stringify(results, null, 2)}\n`);
+      console.log(`Results written to ${options.json}.`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Unexpected error while ingesting photos:', error);
+  process.exit(1);
+});
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+'use strict';
+
+const { getDatabasePool } = require('../netlify/functions/shared/db.js');
+const {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  LATEST_MIGRATION_ID
+} = require('../netlify/functions/shared/migrations.js');
+
+function printHelp(exitCode = 0) {
+  const helpText = `
+Usage: node scripts/migrate.js <command> [options]
+
+Commands:
+  status                 List every migration and whether it has been applied.
+  up [--to <id>]         Apply pending migrations (up to and including <id>, default: latest).
+  down [--steps <n>] --force
+                         Roll back the last <n> applied migrations (default: 1).
+                         Rolling back can drop tables, so --force is required.
+
+Options:
+  -h, --help             Show this help message.
+
+Environment variables:
+  DATABASE_URL or NETLIFY_DATABASE_URL  Postgres connection string (required)
+  ANALYSES_TABLE, CAMERA_SELECTIONS_TABLE, SINGLE_CAMERA_SELECTIONS_TABLE
+                                        Optional explicit table names
+`.trim();
+
+  console.log(helpText);
+  process.exit(exitCode);
+}
+
+function readNumberFlag(args, flag, fallback, { min = 0 } = {}) {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return fallback;
+  }
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < min) {
+    console.error(`${flag} expects an integer of at least ${min}.`);
+    printHelp(1);
+  }
+  return value;
+}
+
+function printStatus(status) {
+  console.log(`Schema version ${status.current} of ${status.latest}.`);
+  status.migrations.forEach((migration) => {
+    const marker = migration.applied ? '✅' : '⏳';
+    const appliedAt = migration.appliedAt ? ` (applied ${new Date(migration.appliedAt).toISOString()})` : '';
+    console.log(`  ${marker} ${String(migration.id).padStart(3, '0')}_${migration.name}${appliedAt}`);
+  });
+  status.unknown.forEach((entry) => {
+    console.log(`  ⚠️  ${String(entry.id).padStart(3, '0')}_${entry.name} is applied but not present in this checkout.`);
+  });
+  if (status.pending.length) {
+    console.log(`${status.pending.length} pending migration${status.pending.length === 1 ? '' : 's'}. Run "node scripts/migrate.js up".`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || args.includes('--help') || args.includes('-h')) {
+    printHelp(command ? 0 : 1);
+  }
+
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.error(`Unknown command "${command}".`);
+    printHelp(1);
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    console.error('DATABASE_URL or NETLIFY_DATABASE_URL must be set to run this script.');
+    process.exit(1);
+  }
+
+  const log = (message) => console.log(message);
+
+  try {
+    if (command === 'status') {
+      printStatus(await getMigrationStatus(pool));
+    } else if (command === 'up') {
+      const target = readNumberFlag(args, '--to', LATEST_MIGRATION_ID);
+      const applied = await migrateUp(pool, { to: target, log });
+      console.log(applied.length
+        ? `✅ Applied ${applied.length} migration${applied.length === 1 ? '' : 's'}.`
+        : 'Schema already up to date.');
+    } else {
+      if (!args.includes('--force')) {
+        console.error('Refusing to roll back without --force. Reverting migrations can drop tables and data.');
+        printHelp(1);
+      }
+      const steps = readNumberFlag(args, '--steps', 1, { min: 1 });
+      const reverted = await migrateDown(pool, { steps, log });
+      console.log(`✅ Reverted ${reverted.length} migration${reverted.length === 1 ? '' : 's'}.`);
+    }
+  } catch (error) {
+    console.error(`Migration command "${command}" failed.`, {
+      message: error?.message,
+      code: error?.code
+    });
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Unexpected error while running migrations:', error);
+  process.exit(1);
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const { getDatabasePool } = require('../netlify/functions/shared/db.js');
+const { getMigrationStatus } = require('../netlify/functions/shared/migrations.js');
+const {
+  createReclusterPlan,
+  loadReclusterPlan,
+  listReclusterPlans,
+  discardReclusterPlan,
+  applyReclusterPlan
+} = require('../netlify/functions/shared/recluster.js');
+
+function printHelp(exitCode = 0) {
+  const helpText = `
+Usage: node scripts/recluster.js <command> [options]
+
+Rebuilds every single-camera person group from the stored descriptions (and images,
+when vision is enabled) and applies the result as a reviewed plan. Pinned assignments
+never move.
+
+Commands:
+  plan [--no-vision] [--verbose] [--json <file>]
+                         Compute a plan, store it as pending and print the diff.
+  list                   List recent plans.
+  show <planId> [--json <file>]
+                         Print a stored plan.
+  apply <planId> --force Apply a pending plan in one transaction.
+  discard <planId>       Mark a pending plan as discarded.
+
+Options:
+  --no-vision            Assign to the top trait-match candidate instead of asking the vision provider.
+  --verbose              Log every placement while planning.
+  --json <file>          Also write the full plan to <file>.
+  -h, --help             Show this help message.
+
+Environment variables:
+  DATABASE_URL or NETLIFY_DATABASE_URL  Postgres connection string (required)
+  VISION_PROVIDER and provider keys     Needed for planning unless --no-vision is set
+`.trim();
+
+  console.log(helpText);
+  process.exit(exitCode);
+}
+
+function readPlanId(args) {
+  const planId = Number(args[1]);
+  if (!Number.isInteger(planId) || planId <= 0) {
+    console.error(`"${args[0]}" expects a numeric plan id.`);
+    printHelp(1);
+  }
+  return planId;
+}
+
+function readJsonPath(args) {
+  const index = args.indexOf('--json');
+  if (index === -1) {
+    return null;
+  }
+  const jsonPath = args[index + 1];
+  if (!jsonPath) {
+    console.error('--json expects a file path.');
+    printHelp(1);
+  }
+  return jsonPath;
+}
+
+function formatTarget(target) {
+  return typeof target === 'string' ? target : `group ${target}`;
+}
+
+function printPlan(entry) {
+  const { plan, summary } = entry;
+  console.log(`Plan ${entry.id} (${entry.status}), created ${new Date(entry.createdAt).toISOString()}.`);
+  console.log(`  ${summary.selections} selections, ${summary.pinned} pinned, ${summary.undescribed} without description.`);
+  console.log(`  Groups: ${summary.groupsBefore} -> ${summary.groupsAfter}.`);
+  console.log(`  ${summary.moves} moves, ${summary.merges} merges, ${summary.splits} splits, ${summary.newGroups} new groups.`);
+
+  if (plan.merges.length) {
+    console.log('\nMerges:');
+    plan.merges.forEach((merge) => {
+      console.log(`  group ${merge.sourceGroupId} -> group ${merge.targetGroupId} (${merge.count} selection${merge.count === 1 ? '' : 's'})`);
+    });
+  }
+  if (plan.splits.length) {
+    console.log('\nSplits:');
+    plan.splits.forEach((split) => {
+      const parts = split.into.map((part) => `${formatTarget(part.to)} x${part.count}`).join(', ');
+      console.log(`  group ${split.groupId}${split.kept ? '' : ' (dissolved)'} -> ${parts}`);
+    });
+  }
+  if (plan.moves.length) {
+    console.log('\nMoves:');
+    plan.moves.forEach((move) => {
+      const from = move.from ? `group ${move.from}` : 'no group';
+      console.log(`  selection ${move.selectionId}: ${from} -> ${formatTarget(move.to)} (${move.decision})`);
+    });
+  }
+}
+
+function writeJson(jsonPath, entry) {
+  if (!jsonPath) {
+    return;
+  }
+  fs.writeFileSync(jsonPath, `${JSON.stringify(entry, null, 2)}\n`);
+  console.log(`\nFull plan written to ${jsonPath}.`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || args.includes('--help') || args.includes('-h')) {
+    printHelp(command ? 0 : 1);
+  }
+
+  if (!['plan', 'list', 'show', 'apply', 'discard'].includes(command)) {
+    console.error(`Unknown command "${command}".`);
+    printHelp(1);
+  }
+
+  const planId = ['show', 'apply', 'discard'].includes(command) ? readPlanId(args) : null;
+  const jsonPath = readJsonPath(args);
+  if (command === 'apply' && !args.includes('--force')) {
+    console.error('Refusing to apply without --force. Review the plan with "show" first.');
+    printHelp(1);
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    console.error('DATABASE_URL or NETLIFY_DATABASE_URL must be set to run this script.');
+    process.exit(1);
+  }
+
+  try {
+    const status = await getMigrationStatus(pool);
+    if (status.pending.length) {
+      console.error('Database schema is out of date. Run "node scripts/migrate.js up" first.');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (command === 'plan') {
+      const verbose = args.includes('--verbose');
+      const entry = await createReclusterPlan(pool, {
+        visionEnabled: !args.includes('--no-vision'),
+        log: verbose ? (message) => console.log(message) : () => {}
+      });
+      printPlan(entry);
+      writeJson(jsonPath, entry);
+      console.log(`\nApply with "node scripts/recluster.js apply ${entry.id} --force".`);
+    } else if (command === 'list') {
+      const plans = await listReclusterPlans(pool);
+      if (!plans.length) {
+        console.log('No recluster plans yet.');
+      }
+      plans.forEach((entry) => {
+        console.log(`  ${String(entry.id).padStart(4)}  ${entry.status.padEnd(9)}  ${new Date(entry.createdAt).toISOString()}  ${entry.summary.moves ?? 0} moves, ${entry.summary.merges ?? 0} merges, ${entry.summary.splits ?? 0} splits`);
+      });
+    } else if (command === 'show') {
+      const entry = await loadReclusterPlan(pool, planId);
+      printPlan(entry);
+      writeJson(jsonPath, entry);
+    } else if (command === 'apply') {
+      const result = await applyReclusterPlan(pool, planId);
+      const created = Object.entries(result.newGroupIds)
+        .map(([key, groupId]) => `${key} = group ${groupId}`)
+        .join(', ');
+      console.log(`✅ Applied plan ${planId}: ${result.moved} moves, ${result.merged} merges.`);
+      if (created) {
+        console.log(`  New groups: ${created}.`);
+      }
+    } else {
+      await discardReclusterPlan(pool, planId);
+      console.log(`Discarded plan ${planId}.`);
+    }
+  } catch (error) {
+    console.error(`Recluster command "${command}" failed.`, {
+      message: error?.message,
+      code: error?.code
+    });
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Unexpected error while reclustering:', error);
+  process.exit(1);
+});
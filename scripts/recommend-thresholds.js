@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const { getDatabasePool } = require('../netlify/functions/shared/db.js');
+const { getMigrationStatus } = require('../netlify/functions/shared/migrations.js');
+const {
+  loadFeedbackPairs,
+  buildThresholdReport,
+  MIN_SAMPLES_PER_VERDICT
+} = require('../netlify/functions/shared/grouping-feedback.js');
+
+function printHelp(exitCode = 0) {
+  const helpText = `
+Usage: node scripts/recommend-thresholds.js [options]
+
+Recommends STABLE_TRAIT_THRESHOLD, VISION_ACCEPT_SIMILARITY and VISION_ACCEPT_CONFIDENCE
+from the confirm/reject feedback recorded on the single-camera page.
+
+Options:
+  --min-samples <n>  Confirmed and rejected pairs required before recommending (default: ${MIN_SAMPLES_PER_VERDICT}).
+  --json <file>      Also write the full report, including every threshold tried, to <file>.
+  -h, --help         Show this help message.
+
+Environment variables:
+  DATABASE_URL or NETLIFY_DATABASE_URL  Postgres connection string (required)
+`.trim();
+
+  console.log(helpText);
+  process.exit(exitCode);
+}
+
+function parseArgs(argv) {
+  const options = { minSamples: MIN_SAMPLES_PER_VERDICT, jsonPath: null };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '-h' || arg === '--help') {
+      printHelp(0);
+    } else if (arg === '--min-samples') {
+      const value = Number(argv[index + 1]);
+      if (!Number.isInteger(value) || value <= 0) {
+        console.error('--min-samples expects a positive integer.');
+        printHelp(1);
+      }
+      options.minSamples = value;
+      index += 1;
+    } else if (arg === '--json') {
+      options.jsonPath = argv[index + 1];
+      if (!options.jsonPath) {
+        console.error('--json expects a file path.');
+        printHelp(1);
+      }
+      index += 1;
+    } else {
+      console.error(`Unknown option ${arg}.`);
+      printHelp(1);
+    }
+  }
+  return options;
+}
+
+function formatRate(value) {
+  return value === null || value === undefined ? '  n/a' : `${(value * 100).toFixed(0).padStart(4)}%`;
+}
+
+function printRecommendation(name, entry) {
+  const recommended = entry.recommended === null ? 'no recommendation' : entry.recommended;
+  console.log(`${name}: current ${entry.current}, recommended ${recommended}`);
+  console.log(`  ${entry.reason}`);
+}
+
+function printReport(report) {
+  console.log(`Feedback pairs: ${report.samples.confirm} confirmed, ${report.samples.reject} rejected.\n`);
+
+  printRecommendation('STABLE_TRAIT_THRESHOLD', report.stableTraitThreshold);
+  console.log('  threshold  precision  recall');
+  report.stableTraitThreshold.sweep.forEach((entry) => {
+    console.log(`  ${entry.threshold.toFixed(2).padStart(9)}  ${formatRate(entry.precision)}      ${formatRate(entry.recall)}`);
+  });
+  console.log('');
+
+  printRecommendation('VISION_ACCEPT_SIMILARITY', report.visionAcceptSimilarity);
+  printRecommendation('VISION_ACCEPT_CONFIDENCE', report.visionAcceptConfidence);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    console.error('DATABASE_URL or NETLIFY_DATABASE_URL must be set to run this script.');
+    process.exit(1);
+  }
+
+  try {
+    const status = await getMigrationStatus(pool);
+    if (status.pending.length) {
+      console.error('Database schema is out of date. Run "node scripts/migrate.js up" first.');
+      process.exitCode = 1;
+      return;
+    }
+
+    const pairs = await loadFeedbackPairs(pool);
+    const report = buildThresholdReport(pairs, { minSamples: options.minSamples });
+    printReport(report);
+
+    if (options.jsonPath) {
+      fs.writeFileSync(options.jsonPath, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`\nFull report written to ${options.jsonPath}.`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Unexpected error while building threshold recommendations:', error);
+  process.exit(1);
+});
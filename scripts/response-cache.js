@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+'use strict';
+
+const { getDatabasePool } = require('../netlify/functions/shared/db.js');
+const { getMigrationStatus } = require('../netlify/functions/shared/migrations.js');
+const {
+  loadResponseCacheStats,
+  invalidateResponseCache,
+  pruneExpiredResponses,
+  resetResponseCacheStats
+} = require('../netlify/functions/shared/response-cache.js');
+
+function printHelp(exitCode = 0) {
+  const helpText = `
+Usage: node scripts/response-cache.js <command> [options]
+
+Inspects and clears the cached provider responses (descriptions and comparisons).
+
+Commands:
+  stats                  Print hit/miss counts and entries per task.
+  invalidate [filters]   Delete matching entries.
+  prune                  Delete expired entries.
+  reset-stats            Zero the hit/miss counters.
+
+Filters for invalidate (combine freely; at least one, or --all):
+  --task <name>          single-description, vision-match or portrait-analysis.
+  --model <name>         Model the response came from.
+  --image-hash <sha256>  Entries that include this image (sha256 of the data URL).
+  --all --force          Delete every entry.
+
+Environment variables:
+  DATABASE_URL or NETLIFY_DATABASE_URL  Postgres connection string (required)
+  RESPONSE_CACHE_TTL_HOURS              Lifetime of new entries (default 720, 0 disables)
+`.trim();
+
+  console.log(helpText);
+  process.exit(exitCode);
+}
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return null;
+  }
+  const value = args[index + 1];
+  if (!value || value.startsWith('--')) {
+    console.error(`${name} expects a value.`);
+    printHelp(1);
+  }
+  return value;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || args.includes('--help') || args.includes('-h')) {
+    printHelp(command ? 0 : 1);
+  }
+
+  if (!['stats', 'invalidate', 'prune', 'reset-stats'].includes(command)) {
+    console.error(`Unknown command "${command}".`);
+    printHelp(1);
+  }
+
+  const filters = {
+    task: readOption(args, '--task'),
+    model: readOption(args, '--model'),
+    imageHash: readOption(args, '--image-hash'),
+    all: args.includes('--all')
+  };
+  if (command === 'invalidate' && filters.all && !args.includes('--force')) {
+    console.error('Refusing to delete every cached response without --force.');
+    printHelp(1);
+  }
+
+  const pool = getDatabasePool();
+  if (!pool) {
+    console.error('DATABASE_URL or NETLIFY_DATABASE_URL must be set to run this script.');
+    process.exit(1);
+  }
+
+  try {
+    const status = await getMigrationStatus(pool);
+    if (status.pending.length) {
+      console.error('Database schema is out of date. Run "node scripts/migrate.js up" first.');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (command === 'stats') {
+      const stats = await loadResponseCacheStats(pool);
+      console.log(`Response cache ${stats.enabled ? `enabled, TTL ${stats.ttlHours} h` : 'disabled'}.`);
+      if (!stats.tasks.length) {
+        console.log('No cached responses or lookups yet.');
+      }
+      stats.tasks.forEach((entry) => {
+        const rate = entry.hitRate === null ? '-' : `${Math.round(entry.hitRate * 100)}%`;
+        console.log(`  ${entry.task.padEnd(20)} ${String(entry.hits).padStart(6)} hits ${String(entry.misses).padStart(6)} misses  ${rate.padStart(4)}  ${entry.entries} entries (${entry.expired} expired)`);
+      });
+    } else if (command === 'invalidate') {
+      const result = await invalidateResponseCache(pool, filters);
+      console.log(`Deleted ${result.deleted} cached response${result.deleted === 1 ? '' : 's'}.`);
+    } else if (command === 'prune') {
+      const result = await pruneExpiredResponses(pool);
+      console.log(`Deleted ${result.deleted} expired response${result.deleted === 1 ? '' : 's'}.`);
+    } else {
+      await resetResponseCacheStats(pool);
+      console.log('Hit/miss counters reset.');
+    }
+  } catch (error) {
+    console.error(`Response cache command "${command}" failed.`, {
+      message: error?.message,
+      code: error?.code
+    });
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Unexpected error while managing the response cache:', error);
+  process.exit(1);
+});